@@ -44,7 +44,9 @@ BEGIN
 END;
 $$ language 'plpgsql';
 
-CREATE TRIGGER IF NOT EXISTS update_device_sync_status_updated_at 
+-- PostgreSQL has no CREATE TRIGGER IF NOT EXISTS; drop and recreate so the file can be re-run
+DROP TRIGGER IF EXISTS update_device_sync_status_updated_at ON device_sync_status;
+CREATE TRIGGER update_device_sync_status_updated_at 
     BEFORE UPDATE ON device_sync_status 
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
@@ -0,0 +1,45 @@
+-- Migration 010 (down): Comment soft-delete counts
+-- Created: 2024
+-- Description: Restore the update_photo_counts trigger from migration 003, which counts every
+--              comment row regardless of is_deleted
+
+-- =====================================================
+-- UPDATE PHOTO COUNTS FUNCTION
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION update_photo_counts()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        IF TG_TABLE_NAME = 'photo_likes' THEN
+            UPDATE photos SET like_count = like_count + 1 WHERE id = NEW.photo_id;
+        ELSIF TG_TABLE_NAME = 'photo_comments' THEN
+            UPDATE photos SET comment_count = comment_count + 1 WHERE id = NEW.photo_id;
+        END IF;
+        RETURN NEW;
+    ELSIF TG_OP = 'DELETE' THEN
+        IF TG_TABLE_NAME = 'photo_likes' THEN
+            UPDATE photos SET like_count = like_count - 1 WHERE id = OLD.photo_id;
+        ELSIF TG_TABLE_NAME = 'photo_comments' THEN
+            UPDATE photos SET comment_count = comment_count - 1 WHERE id = OLD.photo_id;
+        END IF;
+        RETURN OLD;
+    END IF;
+    RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+-- =====================================================
+-- RECREATE COMMENT COUNT TRIGGER
+-- =====================================================
+
+DROP TRIGGER IF EXISTS trigger_update_photo_comment_count ON photo_comments;
+CREATE TRIGGER trigger_update_photo_comment_count AFTER INSERT OR DELETE ON photo_comments FOR EACH ROW EXECUTE FUNCTION update_photo_counts();
+
+-- Recalculate existing counts the way the restored trigger keeps them
+UPDATE photos p SET comment_count = (
+    SELECT COUNT(*) FROM photo_comments c
+    WHERE c.photo_id = p.id
+);
+
+-- Migration 010 (down) Complete
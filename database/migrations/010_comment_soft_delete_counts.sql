@@ -0,0 +1,52 @@
+-- Migration 010: Comment soft-delete counts
+-- Created: 2024
+-- Description: Keep photos.comment_count in sync when comments are soft-deleted
+
+-- =====================================================
+-- UPDATE PHOTO COUNTS FUNCTION
+-- =====================================================
+
+-- Soft-deleted comments (is_deleted flipped by UPDATE) no longer count toward comment_count
+CREATE OR REPLACE FUNCTION update_photo_counts()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        IF TG_TABLE_NAME = 'photo_likes' THEN
+            UPDATE photos SET like_count = like_count + 1 WHERE id = NEW.photo_id;
+        ELSIF TG_TABLE_NAME = 'photo_comments' THEN
+            UPDATE photos SET comment_count = comment_count + 1 WHERE id = NEW.photo_id;
+        END IF;
+        RETURN NEW;
+    ELSIF TG_OP = 'UPDATE' THEN
+        IF TG_TABLE_NAME = 'photo_comments' AND OLD.is_deleted IS DISTINCT FROM NEW.is_deleted THEN
+            IF NEW.is_deleted THEN
+                UPDATE photos SET comment_count = GREATEST(comment_count - 1, 0) WHERE id = NEW.photo_id;
+            ELSE
+                UPDATE photos SET comment_count = comment_count + 1 WHERE id = NEW.photo_id;
+            END IF;
+        END IF;
+        RETURN NEW;
+    ELSIF TG_OP = 'DELETE' THEN
+        IF TG_TABLE_NAME = 'photo_likes' THEN
+            UPDATE photos SET like_count = like_count - 1 WHERE id = OLD.photo_id;
+        ELSIF TG_TABLE_NAME = 'photo_comments' AND NOT OLD.is_deleted THEN
+            UPDATE photos SET comment_count = comment_count - 1 WHERE id = OLD.photo_id;
+        END IF;
+        RETURN OLD;
+    END IF;
+    RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+-- =====================================================
+-- RECREATE COMMENT COUNT TRIGGER
+-- =====================================================
+
+DROP TRIGGER IF EXISTS trigger_update_photo_comment_count ON photo_comments;
+CREATE TRIGGER trigger_update_photo_comment_count AFTER INSERT OR UPDATE OF is_deleted OR DELETE ON photo_comments FOR EACH ROW EXECUTE FUNCTION update_photo_counts();
+
+-- Recalculate existing counts
+UPDATE photos p SET comment_count = (
+    SELECT COUNT(*) FROM photo_comments c
+    WHERE c.photo_id = p.id AND c.is_deleted = false
+);
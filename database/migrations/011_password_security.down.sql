@@ -0,0 +1,10 @@
+-- Migration 011 (down): Password Security
+-- Created: 2024
+-- Description: Remove token versioning and the reset token index
+
+DROP INDEX IF EXISTS idx_users_password_reset_token;
+
+ALTER TABLE users DROP COLUMN IF EXISTS password_changed_at;
+ALTER TABLE users DROP COLUMN IF EXISTS token_version;
+
+-- Migration 011 (down) Complete
@@ -0,0 +1,25 @@
+-- Migration 011: Password Security
+-- Created: 2024
+-- Description: Token versioning so password changes invalidate issued tokens, and single-use reset tokens
+
+-- =====================================================
+-- TOKEN VERSIONING
+-- =====================================================
+
+-- Every issued JWT carries the user's token_version; bumping it revokes all existing tokens
+ALTER TABLE users ADD COLUMN IF NOT EXISTS token_version INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMP WITH TIME ZONE;
+
+-- =====================================================
+-- PASSWORD RESET TOKENS
+-- =====================================================
+
+-- password_reset_token stores a SHA-256 hash of the emailed token, never the token itself
+CREATE INDEX IF NOT EXISTS idx_users_password_reset_token ON users(password_reset_token);
+
+-- Comments
+COMMENT ON COLUMN users.token_version IS 'Incremented on password change/reset to invalidate issued tokens';
+COMMENT ON COLUMN users.password_changed_at IS 'Last time the password was changed or reset';
+COMMENT ON COLUMN users.password_reset_token IS 'SHA-256 hash of the single-use password reset token';
+
+-- Migration 011 Complete
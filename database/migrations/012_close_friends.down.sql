@@ -0,0 +1,11 @@
+-- Migration 012 (down): Close Friends
+-- Created: 2024
+-- Description: Remove close-friend flags from friendships
+
+DROP INDEX IF EXISTS idx_friendships_requester_close;
+DROP INDEX IF EXISTS idx_friendships_addressee_close;
+
+ALTER TABLE friendships DROP COLUMN IF EXISTS requester_marked_close;
+ALTER TABLE friendships DROP COLUMN IF EXISTS addressee_marked_close;
+
+-- Migration 012 (down) Complete
@@ -0,0 +1,22 @@
+-- Migration 012: Close Friends
+-- Created: 2024
+-- Description: Per-side close-friend flags on friendships so each user curates their own close-friends list
+
+-- =====================================================
+-- CLOSE FRIEND FLAGS
+-- =====================================================
+
+-- Each side of a friendship marks the other independently:
+-- requester_marked_close = the requester put the addressee on their close-friends list
+-- addressee_marked_close = the addressee put the requester on their close-friends list
+ALTER TABLE friendships ADD COLUMN IF NOT EXISTS requester_marked_close BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE friendships ADD COLUMN IF NOT EXISTS addressee_marked_close BOOLEAN NOT NULL DEFAULT false;
+
+CREATE INDEX IF NOT EXISTS idx_friendships_requester_close ON friendships(requester_id) WHERE requester_marked_close = true;
+CREATE INDEX IF NOT EXISTS idx_friendships_addressee_close ON friendships(addressee_id) WHERE addressee_marked_close = true;
+
+-- Comments
+COMMENT ON COLUMN friendships.requester_marked_close IS 'Requester lists the addressee as a close friend';
+COMMENT ON COLUMN friendships.addressee_marked_close IS 'Addressee lists the requester as a close friend';
+
+-- Migration 012 Complete
@@ -0,0 +1,15 @@
+-- Migration 013 (down): Share Links
+-- Created: 2024
+-- Description: Remove share link passwords and restore non-unique token indexes
+
+DROP INDEX IF EXISTS idx_photo_shares_access_token;
+DROP INDEX IF EXISTS idx_album_shares_access_token;
+CREATE INDEX IF NOT EXISTS idx_photo_shares_access_token ON photo_shares(access_token);
+CREATE INDEX IF NOT EXISTS idx_album_shares_access_token ON album_shares(access_token);
+
+ALTER TABLE photo_shares DROP COLUMN IF EXISTS last_accessed_at;
+ALTER TABLE album_shares DROP COLUMN IF EXISTS last_accessed_at;
+ALTER TABLE photo_shares DROP COLUMN IF EXISTS password_hash;
+ALTER TABLE album_shares DROP COLUMN IF EXISTS password_hash;
+
+-- Migration 013 (down) Complete
@@ -0,0 +1,32 @@
+-- Migration 013: Share Links
+-- Created: 2024
+-- Description: Public share links resolved by access_token, with optional password protection
+
+-- =====================================================
+-- SHARE LINK PASSWORDS
+-- =====================================================
+
+-- Link shares are rows with shared_with = NULL; password_hash is a bcrypt hash, NULL when the link is open
+ALTER TABLE photo_shares ADD COLUMN IF NOT EXISTS password_hash VARCHAR(255);
+ALTER TABLE album_shares ADD COLUMN IF NOT EXISTS password_hash VARCHAR(255);
+
+ALTER TABLE photo_shares ADD COLUMN IF NOT EXISTS last_accessed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE album_shares ADD COLUMN IF NOT EXISTS last_accessed_at TIMESTAMP WITH TIME ZONE;
+
+-- =====================================================
+-- TOKEN LOOKUP
+-- =====================================================
+
+-- Tokens identify a link on their own, so they must be unique per table
+DROP INDEX IF EXISTS idx_photo_shares_access_token;
+DROP INDEX IF EXISTS idx_album_shares_access_token;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_photo_shares_access_token ON photo_shares(access_token);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_album_shares_access_token ON album_shares(access_token);
+
+-- Comments
+COMMENT ON COLUMN photo_shares.password_hash IS 'Optional bcrypt hash protecting a public share link';
+COMMENT ON COLUMN album_shares.password_hash IS 'Optional bcrypt hash protecting a public share link';
+COMMENT ON COLUMN photo_shares.last_accessed_at IS 'Last time the share link was opened';
+COMMENT ON COLUMN album_shares.last_accessed_at IS 'Last time the share link was opened';
+
+-- Migration 013 Complete
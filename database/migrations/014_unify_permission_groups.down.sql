@@ -0,0 +1,65 @@
+-- Migration 014 (down): Unify Permission Groups
+-- Created: 2024
+-- Description: Restore custom_permission_groups from the groups migration 014 created from it and
+--              point photos.custom_group_id back at it. Groups folded in from access_permissions
+--              stay in permission_groups, since that table is not recreated.
+
+-- =====================================================
+-- CUSTOM_PERMISSION_GROUPS
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS custom_permission_groups (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    group_name VARCHAR(100) NOT NULL,
+    description TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    is_deleted BOOLEAN DEFAULT false
+);
+
+CREATE INDEX IF NOT EXISTS idx_custom_permission_groups_user_id ON custom_permission_groups(user_id);
+CREATE INDEX IF NOT EXISTS idx_custom_permission_groups_is_deleted ON custom_permission_groups(is_deleted);
+
+-- Original ids, and the original name where 014 appended the id to avoid a clash
+INSERT INTO custom_permission_groups (id, user_id, group_name, description, created_at, updated_at, is_deleted)
+SELECT pg.legacy_custom_group_id,
+       pg.user_id,
+       LEFT(regexp_replace(pg.name, ' \(' || pg.legacy_custom_group_id || '\)$', ''), 100),
+       pg.description, pg.created_at, pg.updated_at, pg.is_deleted
+FROM permission_groups pg
+WHERE pg.legacy_custom_group_id IS NOT NULL;
+
+SELECT setval(
+  pg_get_serial_sequence('custom_permission_groups', 'id'),
+  COALESCE((SELECT MAX(id) FROM custom_permission_groups), 0) + 1,
+  false
+);
+
+-- =====================================================
+-- PHOTOS.CUSTOM_GROUP_ID -> CUSTOM_PERMISSION_GROUPS
+-- =====================================================
+
+ALTER TABLE photos DROP CONSTRAINT IF EXISTS photos_custom_group_id_fkey;
+
+-- Photos of groups created after 014 have no legacy group and lose their custom group
+UPDATE photos p
+SET custom_group_id = pg.legacy_custom_group_id
+FROM permission_groups pg
+WHERE pg.id = p.custom_group_id;
+
+ALTER TABLE photos
+ADD CONSTRAINT photos_custom_group_id_fkey
+FOREIGN KEY (custom_group_id) REFERENCES custom_permission_groups(id) ON DELETE SET NULL;
+
+-- =====================================================
+-- CLEANUP
+-- =====================================================
+
+DELETE FROM permission_groups WHERE legacy_custom_group_id IS NOT NULL;
+
+ALTER TABLE permission_groups DROP COLUMN IF EXISTS legacy_custom_group_id;
+
+COMMENT ON COLUMN photos.custom_group_id IS NULL;
+
+-- Migration 014 (down) Complete
@@ -0,0 +1,109 @@
+-- Migration 014: Unify Permission Groups
+-- Created: 2024
+-- Description: Make permission_groups / permission_group_members the only custom group backend.
+--              Folds custom_permission_groups (migration 007) and any hand-made access_permissions
+--              table into it, and repoints photos.custom_group_id at permission_groups.
+
+-- =====================================================
+-- LEGACY ID MAPPING
+-- =====================================================
+
+-- Columns remembering where each migrated group came from; legacy_custom_group_id is kept so
+-- the down script can restore custom_permission_groups under the original ids
+ALTER TABLE permission_groups ADD COLUMN IF NOT EXISTS legacy_custom_group_id INTEGER;
+ALTER TABLE permission_groups ADD COLUMN IF NOT EXISTS legacy_access_permission_id INTEGER;
+
+-- =====================================================
+-- CUSTOM_PERMISSION_GROUPS -> PERMISSION_GROUPS
+-- =====================================================
+
+-- Names are unique per user in permission_groups, so clashing names get the legacy id appended
+INSERT INTO permission_groups (user_id, name, description, created_at, updated_at, is_deleted, legacy_custom_group_id)
+SELECT c.user_id,
+       CASE
+         WHEN c.name_rank > 1
+           OR EXISTS (SELECT 1 FROM permission_groups pg WHERE pg.user_id = c.user_id AND pg.name = c.group_name)
+         THEN c.group_name || ' (' || c.id || ')'
+         ELSE c.group_name
+       END,
+       c.description, c.created_at, c.updated_at, COALESCE(c.is_deleted, false), c.id
+FROM (
+  SELECT cpg.*, ROW_NUMBER() OVER (PARTITION BY cpg.user_id, cpg.group_name ORDER BY cpg.id) AS name_rank
+  FROM custom_permission_groups cpg
+) c;
+
+-- custom_permission_groups never had a members table, so migrated groups start empty
+-- and their photos stay visible to the owner only until members are added
+
+ALTER TABLE photos DROP CONSTRAINT IF EXISTS photos_custom_group_id_fkey;
+
+UPDATE photos p
+SET custom_group_id = pg.id
+FROM permission_groups pg
+WHERE pg.legacy_custom_group_id = p.custom_group_id;
+
+-- =====================================================
+-- ACCESS_PERMISSIONS -> PERMISSION_GROUPS (if present)
+-- =====================================================
+
+-- No migration creates access_permissions, but older code read it; carry its data over where it exists
+DO $$
+BEGIN
+  IF to_regclass('access_permissions') IS NOT NULL THEN
+    EXECUTE $sql$
+      INSERT INTO permission_groups (user_id, name, description, legacy_access_permission_id)
+      SELECT ap.user_id,
+             CASE
+               WHEN ap.name_rank > 1
+                 OR EXISTS (SELECT 1 FROM permission_groups pg WHERE pg.user_id = ap.user_id AND pg.name = ap.group_name)
+               THEN ap.group_name || ' (' || ap.id || ')'
+               ELSE ap.group_name
+             END,
+             ap.description, ap.id
+      FROM (
+        SELECT a.*, ROW_NUMBER() OVER (PARTITION BY a.user_id, a.group_name ORDER BY a.id) AS name_rank
+        FROM access_permissions a
+      ) ap
+    $sql$;
+
+    EXECUTE $sql$
+      INSERT INTO permission_group_members (group_id, user_id, added_by)
+      SELECT pg.id, member.user_id, pg.user_id
+      FROM permission_groups pg
+      JOIN access_permissions ap ON ap.id = pg.legacy_access_permission_id
+      CROSS JOIN LATERAL unnest(ap.allowed_user_ids) AS member(user_id)
+      WHERE EXISTS (SELECT 1 FROM users u WHERE u.id = member.user_id)
+      ON CONFLICT (group_id, user_id) DO NOTHING
+    $sql$;
+
+    DROP TABLE access_permissions;
+  END IF;
+END $$;
+
+-- =====================================================
+-- PHOTOS.CUSTOM_GROUP_ID -> PERMISSION_GROUPS
+-- =====================================================
+
+-- Anything that did not map to a migrated group can no longer be resolved
+UPDATE photos
+SET custom_group_id = NULL
+WHERE custom_group_id IS NOT NULL
+  AND custom_group_id NOT IN (SELECT id FROM permission_groups);
+
+ALTER TABLE photos
+ADD CONSTRAINT photos_custom_group_id_fkey
+FOREIGN KEY (custom_group_id) REFERENCES permission_groups(id) ON DELETE SET NULL;
+
+-- =====================================================
+-- CLEANUP
+-- =====================================================
+
+DROP TABLE IF EXISTS custom_permission_groups;
+
+ALTER TABLE permission_groups DROP COLUMN IF EXISTS legacy_access_permission_id;
+
+-- Comments
+COMMENT ON COLUMN photos.custom_group_id IS 'permission_groups entry whose members may see a custom photo';
+COMMENT ON COLUMN permission_groups.legacy_custom_group_id IS 'custom_permission_groups id this group was migrated from (migration 014)';
+
+-- Migration 014 Complete
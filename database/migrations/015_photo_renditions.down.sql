@@ -0,0 +1,10 @@
+-- Migration 015 (down): Photo Renditions
+-- Created: 2024
+-- Description: Stop tracking renditions (files on disk are left in place)
+
+DROP INDEX IF EXISTS idx_photos_renditions_missing;
+
+ALTER TABLE photos DROP COLUMN IF EXISTS renditions_generated_at;
+ALTER TABLE photos DROP COLUMN IF EXISTS renditions;
+
+-- Migration 015 (down) Complete
@@ -0,0 +1,20 @@
+-- Migration 015: Photo Renditions
+-- Created: 2024
+-- Description: Track resized renditions (small/medium/large, JPEG + WebP) generated next to each original
+
+-- =====================================================
+-- RENDITIONS
+-- =====================================================
+
+-- Shape: { "small": { "path": "...jpg", "webpPath": "...webp", "width": 320, "height": 240 }, "medium": {...}, "large": {...} }
+-- NULL means renditions have not been generated yet (see npm run renditions:backfill)
+ALTER TABLE photos ADD COLUMN IF NOT EXISTS renditions JSONB;
+ALTER TABLE photos ADD COLUMN IF NOT EXISTS renditions_generated_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_photos_renditions_missing ON photos(id) WHERE renditions IS NULL;
+
+-- Comments
+COMMENT ON COLUMN photos.renditions IS 'Relative paths and dimensions of resized JPEG/WebP renditions';
+COMMENT ON COLUMN photos.renditions_generated_at IS 'When renditions were last generated';
+
+-- Migration 015 Complete
@@ -0,0 +1,12 @@
+-- Migration 016 (down): Photo Metadata Extraction
+-- Created: 2024
+-- Description: Remove metadata extraction tracking and the GPS stripping preference (extracted values stay)
+
+ALTER TABLE users DROP COLUMN IF EXISTS strip_gps_on_upload;
+
+DROP INDEX IF EXISTS idx_photos_metadata_missing;
+DROP INDEX IF EXISTS idx_photos_user_taken_at;
+
+ALTER TABLE photos DROP COLUMN IF EXISTS metadata_extracted_at;
+
+-- Migration 016 (down) Complete
@@ -0,0 +1,26 @@
+-- Migration 016: Photo Metadata Extraction
+-- Created: 2024
+-- Description: Track EXIF/XMP extraction on photos and add the per-user GPS stripping preference
+
+-- =====================================================
+-- PHOTO METADATA
+-- =====================================================
+
+-- exif_data, taken_at, width, height and location already exist (003); record when they were filled
+ALTER TABLE photos ADD COLUMN IF NOT EXISTS metadata_extracted_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_photos_user_taken_at ON photos(user_id, taken_at);
+CREATE INDEX IF NOT EXISTS idx_photos_metadata_missing ON photos(id) WHERE metadata_extracted_at IS NULL;
+
+-- =====================================================
+-- USER PREFERENCE
+-- =====================================================
+
+-- Opt-in: remove GPS coordinates from uploaded files and never store a location
+ALTER TABLE users ADD COLUMN IF NOT EXISTS strip_gps_on_upload BOOLEAN NOT NULL DEFAULT false;
+
+-- Comments
+COMMENT ON COLUMN photos.metadata_extracted_at IS 'When EXIF/XMP metadata was last extracted from the file';
+COMMENT ON COLUMN users.strip_gps_on_upload IS 'Strip GPS data from uploaded photos';
+
+-- Migration 016 Complete
@@ -0,0 +1,7 @@
+-- Migration 017 (down): Capture Timeline Index
+-- Created: 2024
+-- Description: Drop the capture time index
+
+DROP INDEX IF EXISTS idx_photos_user_captured_at;
+
+-- Migration 017 (down) Complete
@@ -0,0 +1,10 @@
+-- Migration 017: Capture Timeline Index
+-- Created: 2024
+-- Description: Index photos by capture time (taken_at, falling back to uploaded_at) for timeline buckets and cursor pagination
+
+-- Matches ORDER BY COALESCE(p.taken_at, p.uploaded_at) DESC, p.id DESC in PhotoModel.findTimelinePhotos
+CREATE INDEX IF NOT EXISTS idx_photos_user_captured_at
+    ON photos(user_id, (COALESCE(taken_at, uploaded_at)) DESC, id DESC)
+    WHERE is_deleted = false;
+
+-- Migration 017 Complete
@@ -0,0 +1,9 @@
+-- Migration 018 (down): Resumable Uploads
+-- Created: 2024
+-- Description: Drop upload sessions (temp files under uploads/temp/resumable are left in place)
+
+DROP INDEX IF EXISTS idx_sync_sessions_session_token_unique;
+
+DROP TABLE IF EXISTS upload_sessions;
+
+-- Migration 018 (down) Complete
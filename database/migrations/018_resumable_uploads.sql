@@ -0,0 +1,53 @@
+-- Migration 018: Resumable Uploads
+-- Created: 2024
+-- Description: Chunked, resumable device uploads tracked per file inside a sync session (replaces bulk multipart upload)
+
+-- =====================================================
+-- UPLOAD SESSIONS
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS upload_sessions (
+    id SERIAL PRIMARY KEY,
+    upload_token UUID NOT NULL DEFAULT uuid_generate_v4(),
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    device_id INTEGER NOT NULL REFERENCES device_sync(id) ON DELETE CASCADE,
+    sync_session_id INTEGER NOT NULL REFERENCES sync_sessions(id) ON DELETE CASCADE,
+    local_path VARCHAR(1000) NOT NULL,
+    file_name VARCHAR(500) NOT NULL,
+    mime_type VARCHAR(100) NOT NULL,
+    file_size BIGINT NOT NULL CHECK (file_size > 0),
+    expected_md5 VARCHAR(32) NOT NULL,
+    local_modified TIMESTAMP WITH TIME ZONE,
+    caption TEXT,
+    permission_type VARCHAR(20) NOT NULL CHECK (permission_type IN ('public', 'friends', 'close_friends', 'custom')),
+    custom_group_id INTEGER REFERENCES permission_groups(id) ON DELETE SET NULL,
+    -- Sorted, non-overlapping [start, end) byte ranges already written to the temp file
+    received_ranges JSONB NOT NULL DEFAULT '[]',
+    bytes_received BIGINT NOT NULL DEFAULT 0,
+    status VARCHAR(20) NOT NULL DEFAULT 'uploading' CHECK (status IN ('uploading', 'finalizing', 'completed', 'failed', 'cancelled', 'expired')),
+    photo_id INTEGER REFERENCES photos(id) ON DELETE SET NULL,
+    error_message TEXT,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_upload_sessions_upload_token ON upload_sessions(upload_token);
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_sync_session_id ON upload_sessions(sync_session_id);
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_resume ON upload_sessions(user_id, device_id, local_path, expected_md5) WHERE status = 'uploading';
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_expires_at ON upload_sessions(expires_at) WHERE status = 'uploading';
+
+DROP TRIGGER IF EXISTS update_upload_sessions_updated_at ON upload_sessions;
+CREATE TRIGGER update_upload_sessions_updated_at 
+    BEFORE UPDATE ON upload_sessions 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Session tokens are looked up directly by clients
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sync_sessions_session_token_unique ON sync_sessions(session_token);
+
+-- Comments
+COMMENT ON TABLE upload_sessions IS 'Resumable chunked file uploads belonging to a device sync session';
+COMMENT ON COLUMN upload_sessions.received_ranges IS 'Merged [start, end) byte ranges received so far';
+
+-- Migration 018 Complete
@@ -0,0 +1,40 @@
+-- Migration 019 (down): Consolidate Device Sync Tables
+-- Created: 2024
+-- Description: Recreate device_sync_status from device_sync (device_file_mappings is not restored)
+
+CREATE TABLE IF NOT EXISTS device_sync_status (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    device_id VARCHAR(255) NOT NULL,
+    device_name VARCHAR(255),
+    device_type VARCHAR(50),
+    sync_enabled BOOLEAN DEFAULT true,
+    total_photos_synced INTEGER DEFAULT 0,
+    last_sync_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, device_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_device_sync_status_user_id ON device_sync_status(user_id);
+CREATE INDEX IF NOT EXISTS idx_device_sync_status_device_id ON device_sync_status(device_id);
+CREATE INDEX IF NOT EXISTS idx_device_sync_status_sync_enabled ON device_sync_status(sync_enabled);
+
+DROP TRIGGER IF EXISTS update_device_sync_status_updated_at ON device_sync_status;
+CREATE TRIGGER update_device_sync_status_updated_at 
+    BEFORE UPDATE ON device_sync_status 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+INSERT INTO device_sync_status (user_id, device_id, device_name, device_type, sync_enabled, total_photos_synced, last_sync_at, created_at)
+SELECT user_id, device_id, device_name, device_type, sync_enabled, total_photos_synced, last_sync, created_at
+FROM device_sync
+ON CONFLICT (user_id, device_id) DO NOTHING;
+
+DROP INDEX IF EXISTS idx_photos_user_hash_md5;
+
+DROP TRIGGER IF EXISTS update_device_sync_updated_at ON device_sync;
+ALTER TABLE device_sync ALTER COLUMN last_sync SET DEFAULT CURRENT_TIMESTAMP;
+ALTER TABLE device_sync DROP COLUMN IF EXISTS updated_at;
+ALTER TABLE device_sync DROP COLUMN IF EXISTS total_photos_synced;
+
+-- Migration 019 (down) Complete
@@ -0,0 +1,59 @@
+-- Migration 019: Consolidate Device Sync Tables
+-- Created: 2024
+-- Description: Keep devices in device_sync only; move device_sync_status (and any hand-made
+--              device_file_mappings) rows into device_sync / sync_file_mappings and drop them
+
+-- =====================================================
+-- DEVICE_SYNC: COLUMNS PREVIOUSLY IN device_sync_status
+-- =====================================================
+
+ALTER TABLE device_sync ADD COLUMN IF NOT EXISTS total_photos_synced INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE device_sync ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP;
+
+-- A newly registered device has not synced yet
+ALTER TABLE device_sync ALTER COLUMN last_sync DROP DEFAULT;
+
+DROP TRIGGER IF EXISTS update_device_sync_updated_at ON device_sync;
+CREATE TRIGGER update_device_sync_updated_at 
+    BEFORE UPDATE ON device_sync 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- =====================================================
+-- MOVE LEGACY ROWS
+-- =====================================================
+
+DO $$
+BEGIN
+    IF to_regclass('device_sync_status') IS NOT NULL THEN
+        INSERT INTO device_sync (user_id, device_id, device_name, device_type, sync_enabled, total_photos_synced, last_sync, created_at)
+        SELECT user_id, device_id, device_name, device_type, COALESCE(sync_enabled, true),
+               COALESCE(total_photos_synced, 0), last_sync_at, created_at
+        FROM device_sync_status
+        ON CONFLICT (user_id, device_id) DO UPDATE SET
+            device_name = COALESCE(device_sync.device_name, EXCLUDED.device_name),
+            device_type = COALESCE(device_sync.device_type, EXCLUDED.device_type),
+            total_photos_synced = device_sync.total_photos_synced + EXCLUDED.total_photos_synced,
+            last_sync = GREATEST(device_sync.last_sync, EXCLUDED.last_sync);
+    END IF;
+
+    -- Never created by a migration, but written by older application code
+    IF to_regclass('device_file_mappings') IS NOT NULL THEN
+        INSERT INTO sync_file_mappings (device_id, local_path, local_filename, local_hash, photo_id, sync_status)
+        SELECT ds.id, dfm.device_file_path, regexp_replace(dfm.device_file_path, '^.*[\\/]', ''),
+               LEFT(dfm.file_hash, 32), dfm.photo_id, 'completed'
+        FROM device_file_mappings dfm
+        JOIN device_sync ds ON ds.user_id = dfm.user_id AND ds.device_id = dfm.device_id
+        ON CONFLICT (device_id, local_path) DO NOTHING;
+    END IF;
+END $$;
+
+DROP TABLE IF EXISTS device_file_mappings;
+DROP TABLE IF EXISTS device_sync_status;
+
+-- Dedupe looks photos up by owner and content hash
+CREATE INDEX IF NOT EXISTS idx_photos_user_hash_md5 ON photos(user_id, hash_md5) WHERE hash_md5 IS NOT NULL;
+
+-- Comments
+COMMENT ON COLUMN device_sync.total_photos_synced IS 'Photos uploaded from this device';
+
+-- Migration 019 Complete
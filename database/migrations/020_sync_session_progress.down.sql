@@ -0,0 +1,9 @@
+-- Migration 020 (down): Sync Session Progress
+-- Created: 2024
+-- Description: Remove sync session activity tracking
+
+DROP INDEX IF EXISTS idx_sync_sessions_active;
+
+ALTER TABLE sync_sessions DROP COLUMN IF EXISTS last_activity_at;
+
+-- Migration 020 (down) Complete
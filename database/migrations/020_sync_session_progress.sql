@@ -0,0 +1,23 @@
+-- Migration 020: Sync Session Progress
+-- Created: 2024
+-- Description: Track sync session activity so abandoned sessions can be timed out and
+--              in-progress syncs can be listed per user
+
+-- =====================================================
+-- SYNC_SESSIONS ACTIVITY
+-- =====================================================
+
+ALTER TABLE sync_sessions ADD COLUMN IF NOT EXISTS last_activity_at TIMESTAMP WITH TIME ZONE;
+
+UPDATE sync_sessions
+SET last_activity_at = COALESCE(completed_at, started_at, created_at)
+WHERE last_activity_at IS NULL;
+
+ALTER TABLE sync_sessions ALTER COLUMN last_activity_at SET DEFAULT CURRENT_TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_sync_sessions_active ON sync_sessions(device_id, last_activity_at) WHERE status = 'active';
+
+-- Comments
+COMMENT ON COLUMN sync_sessions.last_activity_at IS 'Last start, progress or upload event; active sessions idle too long are failed';
+
+-- Migration 020 Complete
@@ -0,0 +1,9 @@
+-- Migration 021 (down): Photo Change Feed
+-- Created: 2024
+-- Description: Remove the photo change feed and device deletion policy
+
+ALTER TABLE device_sync DROP COLUMN IF EXISTS local_deletion_policy;
+
+DROP TABLE IF EXISTS photo_changes;
+
+-- Migration 021 (down) Complete
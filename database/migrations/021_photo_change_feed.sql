@@ -0,0 +1,45 @@
+-- Migration 021: Photo Change Feed
+-- Created: 2024
+-- Description: Per-user log of created, updated and deleted photos that devices read with a cursor,
+--              and a per-device policy for deletions reported by the device
+
+-- =====================================================
+-- PHOTO_CHANGES TABLE
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS photo_changes (
+    id BIGSERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    -- No foreign key: deleted photos keep their change history
+    photo_id INTEGER NOT NULL,
+    change_type VARCHAR(20) NOT NULL CHECK (change_type IN ('created', 'updated', 'deleted')),
+    changed_fields TEXT[],
+    -- Lets devices find local copies of deleted photos through sync_file_mappings.local_hash
+    hash_md5 VARCHAR(32),
+    source_device_id INTEGER REFERENCES device_sync(id) ON DELETE SET NULL,
+    changed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_photo_changes_user_id_id ON photo_changes(user_id, id);
+CREATE INDEX IF NOT EXISTS idx_photo_changes_photo_id ON photo_changes(photo_id);
+
+-- Existing photos appear as created so a device reading from the start gets the full library
+INSERT INTO photo_changes (user_id, photo_id, change_type, hash_md5, changed_at)
+SELECT p.user_id, p.id, 'created', p.hash_md5, p.uploaded_at
+FROM photos p
+WHERE p.is_deleted = false
+  AND NOT EXISTS (SELECT 1 FROM photo_changes pc WHERE pc.photo_id = p.id)
+ORDER BY p.uploaded_at, p.id;
+
+-- =====================================================
+-- DEVICE DELETION POLICY
+-- =====================================================
+
+ALTER TABLE device_sync ADD COLUMN IF NOT EXISTS local_deletion_policy VARCHAR(10) NOT NULL DEFAULT 'ignore'
+    CHECK (local_deletion_policy IN ('mirror', 'ignore'));
+
+-- Comments
+COMMENT ON TABLE photo_changes IS 'Change feed of photos for two-way device sync';
+COMMENT ON COLUMN device_sync.local_deletion_policy IS 'mirror: files deleted on the device are deleted on the server; ignore: only unlinked';
+
+-- Migration 021 Complete
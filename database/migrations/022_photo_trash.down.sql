@@ -0,0 +1,8 @@
+-- Migration 022 (down): Photo Trash
+-- Created: 2024
+-- Description: Remove photo trash indexes
+
+DROP INDEX IF EXISTS idx_photos_trash_purge;
+DROP INDEX IF EXISTS idx_photos_trash;
+
+-- Migration 022 (down) Complete
@@ -0,0 +1,19 @@
+-- Migration 022: Photo Trash
+-- Created: 2024
+-- Description: Deleted photos stay in the owner's trash until restored, emptied or purged
+--              after the retention period
+
+-- =====================================================
+-- PHOTOS TRASH
+-- =====================================================
+
+-- Backfill rows flagged as deleted before deleted_at was always set
+UPDATE photos SET deleted_at = CURRENT_TIMESTAMP WHERE is_deleted = true AND deleted_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_photos_trash ON photos(user_id, deleted_at DESC) WHERE is_deleted = true;
+CREATE INDEX IF NOT EXISTS idx_photos_trash_purge ON photos(deleted_at) WHERE is_deleted = true;
+
+-- Comments
+COMMENT ON COLUMN photos.deleted_at IS 'When the photo was moved to trash; purged after the trash retention period';
+
+-- Migration 022 Complete
@@ -0,0 +1,11 @@
+-- Migration 023 (down): User Blocks
+-- Created: 2024
+-- Description: Remove the block list and allow the 'blocked' friendship status again
+
+ALTER TABLE friendships DROP CONSTRAINT IF EXISTS friendships_status_check;
+ALTER TABLE friendships ADD CONSTRAINT friendships_status_check
+    CHECK (status IN ('pending', 'accepted', 'declined', 'blocked'));
+
+DROP TABLE IF EXISTS user_blocks;
+
+-- Migration 023 (down) Complete
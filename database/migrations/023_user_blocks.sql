@@ -0,0 +1,41 @@
+-- Migration 023: User Blocks
+-- Created: 2024
+-- Description: Block list kept apart from friendships; a block hides both users from each other
+--              and replaces the unused 'blocked' friendship status
+
+-- =====================================================
+-- USER_BLOCKS TABLE
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS user_blocks (
+    id SERIAL PRIMARY KEY,
+    blocker_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    blocked_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(blocker_id, blocked_id),
+    CHECK (blocker_id != blocked_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_blocks_blocked_id ON user_blocks(blocked_id);
+
+-- =====================================================
+-- FRIENDSHIPS STATUS
+-- =====================================================
+
+-- Blocked friendships carry no direction; keep them as blocks by the requester
+INSERT INTO user_blocks (blocker_id, blocked_id, created_at)
+SELECT requester_id, addressee_id, updated_at
+FROM friendships
+WHERE status = 'blocked'
+ON CONFLICT (blocker_id, blocked_id) DO NOTHING;
+
+DELETE FROM friendships WHERE status = 'blocked';
+
+ALTER TABLE friendships DROP CONSTRAINT IF EXISTS friendships_status_check;
+ALTER TABLE friendships ADD CONSTRAINT friendships_status_check
+    CHECK (status IN ('pending', 'accepted', 'declined'));
+
+-- Comments
+COMMENT ON TABLE user_blocks IS 'Users blocked by other users; blocked pairs cannot see or reach each other';
+
+-- Migration 023 Complete
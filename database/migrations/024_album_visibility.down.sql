@@ -0,0 +1,15 @@
+-- Migration 024 (down): Album Visibility
+-- Created: 2024
+-- Description: Restore albums.is_public from the visibility setting
+
+ALTER TABLE albums ADD COLUMN IF NOT EXISTS is_public BOOLEAN DEFAULT false;
+
+UPDATE albums SET is_public = (privacy_type = 'public');
+
+CREATE INDEX IF NOT EXISTS idx_albums_is_public ON albums(is_public);
+
+DROP INDEX IF EXISTS idx_albums_privacy_type;
+ALTER TABLE albums DROP COLUMN IF EXISTS custom_group_id;
+ALTER TABLE albums DROP COLUMN IF EXISTS privacy_type;
+
+-- Migration 024 (down) Complete
@@ -0,0 +1,25 @@
+-- Migration 024: Album Visibility
+-- Created: 2024
+-- Description: Replace albums.is_public with a visibility setting matching photo permissions
+--              (private, friends, close friends, custom group, public)
+
+-- =====================================================
+-- ALBUMS VISIBILITY
+-- =====================================================
+
+ALTER TABLE albums ADD COLUMN IF NOT EXISTS privacy_type VARCHAR(20) NOT NULL DEFAULT 'private'
+    CHECK (privacy_type IN ('private', 'friends', 'close_friends', 'custom', 'public'));
+ALTER TABLE albums ADD COLUMN IF NOT EXISTS custom_group_id INTEGER REFERENCES permission_groups(id) ON DELETE SET NULL;
+
+UPDATE albums SET privacy_type = 'public' WHERE is_public = true;
+
+DROP INDEX IF EXISTS idx_albums_is_public;
+ALTER TABLE albums DROP COLUMN IF EXISTS is_public;
+
+CREATE INDEX IF NOT EXISTS idx_albums_privacy_type ON albums(privacy_type);
+
+-- Comments
+COMMENT ON COLUMN albums.privacy_type IS 'Who can see the album besides the owner and share recipients';
+COMMENT ON COLUMN albums.custom_group_id IS 'Permission group that can see the album when privacy_type is custom';
+
+-- Migration 024 Complete
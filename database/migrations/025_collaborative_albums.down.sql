@@ -0,0 +1,12 @@
+-- Migration 025 (down): Collaborative Albums
+-- Created: 2024
+-- Description: Drop album photo contributors; photos added by contributors are removed from albums
+
+DELETE FROM album_photos ap
+USING albums a, photos p
+WHERE a.id = ap.album_id AND p.id = ap.photo_id AND p.user_id != a.user_id;
+
+DROP INDEX IF EXISTS idx_album_photos_added_by;
+ALTER TABLE album_photos DROP COLUMN IF EXISTS added_by;
+
+-- Migration 025 (down) Complete
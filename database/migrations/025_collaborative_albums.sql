@@ -0,0 +1,23 @@
+-- Migration 025: Collaborative Albums
+-- Created: 2024
+-- Description: Record who added each album photo so share recipients with 'contribute'
+--              can add their own photos and remove only what they added
+
+-- =====================================================
+-- ALBUM_PHOTOS CONTRIBUTOR
+-- =====================================================
+
+ALTER TABLE album_photos ADD COLUMN IF NOT EXISTS added_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+-- Until now only album owners could add photos
+UPDATE album_photos ap
+SET added_by = a.user_id
+FROM albums a
+WHERE a.id = ap.album_id AND ap.added_by IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_album_photos_added_by ON album_photos(added_by);
+
+-- Comments
+COMMENT ON COLUMN album_photos.added_by IS 'User who added the photo: the album owner or a contributor adding their own photo';
+
+-- Migration 025 Complete
@@ -0,0 +1,12 @@
+-- Migration 026 (down): Album Ordering
+-- Created: 2024
+-- Description: Drop album sort modes; positions are kept but no longer required
+
+DROP INDEX IF EXISTS idx_album_photos_album_position;
+CREATE INDEX IF NOT EXISTS idx_album_photos_position ON album_photos(position);
+
+ALTER TABLE album_photos ALTER COLUMN position DROP NOT NULL;
+
+ALTER TABLE albums DROP COLUMN IF EXISTS sort_mode;
+
+-- Migration 026 (down) Complete
@@ -0,0 +1,35 @@
+-- Migration 026: Album Ordering
+-- Created: 2024
+-- Description: Manual album photo order, album sort modes and automatic cover fallback
+
+-- =====================================================
+-- ALBUM SORT MODE
+-- =====================================================
+
+ALTER TABLE albums ADD COLUMN IF NOT EXISTS sort_mode VARCHAR(20) NOT NULL DEFAULT 'manual'
+    CHECK (sort_mode IN ('manual', 'taken_at', 'uploaded_at'));
+
+-- =====================================================
+-- ALBUM_PHOTOS POSITION
+-- =====================================================
+
+-- Albums were listed newest addition first; keep that as their manual order
+UPDATE album_photos ap
+SET position = ordered.position
+FROM (
+    SELECT id, ROW_NUMBER() OVER (PARTITION BY album_id ORDER BY added_at DESC, id DESC) as position
+    FROM album_photos
+) ordered
+WHERE ordered.id = ap.id;
+
+ALTER TABLE album_photos ALTER COLUMN position SET NOT NULL;
+
+DROP INDEX IF EXISTS idx_album_photos_position;
+CREATE INDEX IF NOT EXISTS idx_album_photos_album_position ON album_photos(album_id, position);
+
+-- Comments
+COMMENT ON COLUMN albums.sort_mode IS 'Default photo order: manual (album_photos.position), taken_at or uploaded_at';
+COMMENT ON COLUMN albums.cover_photo_id IS 'Chosen cover; when NULL or no longer in the album the first photo is used';
+COMMENT ON COLUMN album_photos.position IS 'Manual order within the album, ascending';
+
+-- Migration 026 Complete
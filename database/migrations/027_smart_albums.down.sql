@@ -0,0 +1,17 @@
+-- Migration 027 (down): Smart Albums
+-- Created: 2024
+-- Description: Drop smart albums and their shares, and photo source devices
+
+DELETE FROM album_shares WHERE smart_album_id IS NOT NULL;
+
+DROP INDEX IF EXISTS idx_album_shares_smart_album_id;
+ALTER TABLE album_shares DROP CONSTRAINT IF EXISTS album_shares_target_check;
+ALTER TABLE album_shares DROP COLUMN IF EXISTS smart_album_id;
+ALTER TABLE album_shares ALTER COLUMN album_id SET NOT NULL;
+
+DROP INDEX IF EXISTS idx_photos_source_device_id;
+ALTER TABLE photos DROP COLUMN IF EXISTS source_device_id;
+
+DROP TABLE IF EXISTS smart_albums;
+
+-- Migration 027 (down) Complete
@@ -0,0 +1,54 @@
+-- Migration 027: Smart Albums
+-- Created: 2024
+-- Description: Albums defined by a saved photo filter evaluated on read, the device each photo
+--              was uploaded from, and album shares that point at a smart album
+
+-- =====================================================
+-- SMART_ALBUMS TABLE
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS smart_albums (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    filters JSONB NOT NULL, -- tags, takenFrom, takenTo, cameraMake, cameraModel, sourceDeviceIds
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_smart_albums_user_id ON smart_albums(user_id);
+
+-- =====================================================
+-- PHOTOS SOURCE DEVICE
+-- =====================================================
+
+ALTER TABLE photos ADD COLUMN IF NOT EXISTS source_device_id INTEGER REFERENCES device_sync(id) ON DELETE SET NULL;
+
+-- The change feed already recorded which device uploaded each photo
+UPDATE photos p
+SET source_device_id = pc.source_device_id
+FROM photo_changes pc
+WHERE pc.photo_id = p.id AND pc.change_type = 'created'
+  AND pc.source_device_id IS NOT NULL AND p.source_device_id IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_photos_source_device_id ON photos(source_device_id) WHERE source_device_id IS NOT NULL;
+
+-- =====================================================
+-- ALBUM_SHARES SMART ALBUM
+-- =====================================================
+
+ALTER TABLE album_shares ADD COLUMN IF NOT EXISTS smart_album_id INTEGER REFERENCES smart_albums(id) ON DELETE CASCADE;
+ALTER TABLE album_shares ALTER COLUMN album_id DROP NOT NULL;
+ALTER TABLE album_shares DROP CONSTRAINT IF EXISTS album_shares_target_check;
+ALTER TABLE album_shares ADD CONSTRAINT album_shares_target_check
+    CHECK ((album_id IS NULL) != (smart_album_id IS NULL));
+
+CREATE INDEX IF NOT EXISTS idx_album_shares_smart_album_id ON album_shares(smart_album_id) WHERE smart_album_id IS NOT NULL;
+
+-- Comments
+COMMENT ON TABLE smart_albums IS 'Albums whose photos are the owner''s photos matching a saved filter';
+COMMENT ON COLUMN photos.source_device_id IS 'Synced device the photo was uploaded from';
+COMMENT ON COLUMN album_shares.smart_album_id IS 'Shared smart album; set instead of album_id';
+
+-- Migration 027 Complete
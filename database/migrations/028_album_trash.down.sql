@@ -0,0 +1,8 @@
+-- Migration 028 (down): Album Trash
+-- Created: 2024
+-- Description: Remove album trash indexes
+
+DROP INDEX IF EXISTS idx_albums_trash_purge;
+DROP INDEX IF EXISTS idx_albums_trash;
+
+-- Migration 028 (down) Complete
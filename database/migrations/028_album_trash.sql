@@ -0,0 +1,19 @@
+-- Migration 028: Album Trash
+-- Created: 2024
+-- Description: Deleted albums stay in the owner's trash with their photos and shares until
+--              restored, emptied or purged with the photo trash
+
+-- =====================================================
+-- ALBUMS TRASH
+-- =====================================================
+
+-- Backfill rows flagged as deleted before deleted_at was always set
+UPDATE albums SET deleted_at = CURRENT_TIMESTAMP WHERE is_deleted = true AND deleted_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_albums_trash ON albums(user_id, deleted_at DESC) WHERE is_deleted = true;
+CREATE INDEX IF NOT EXISTS idx_albums_trash_purge ON albums(deleted_at) WHERE is_deleted = true;
+
+-- Comments
+COMMENT ON COLUMN albums.deleted_at IS 'When the album was moved to trash; purged after the trash retention period';
+
+-- Migration 028 Complete
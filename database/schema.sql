@@ -23,7 +23,10 @@ CREATE TABLE users (
     email_verified BOOLEAN DEFAULT false,
     verification_token VARCHAR(255),
     password_reset_token VARCHAR(255),
-    password_reset_expires TIMESTAMP WITH TIME ZONE
+    password_reset_expires TIMESTAMP WITH TIME ZONE,
+    token_version INTEGER NOT NULL DEFAULT 0,
+    password_changed_at TIMESTAMP WITH TIME ZONE,
+    strip_gps_on_upload BOOLEAN NOT NULL DEFAULT false
 );
 
 -- Create indexes for users
@@ -31,6 +34,7 @@ CREATE INDEX idx_users_username ON users(username);
 CREATE INDEX idx_users_email ON users(email);
 CREATE INDEX idx_users_created_at ON users(created_at);
 CREATE INDEX idx_users_is_active ON users(is_active);
+CREATE INDEX idx_users_password_reset_token ON users(password_reset_token);
 
 -- ===============================
 -- FRIENDSHIPS TABLE
@@ -39,7 +43,9 @@ CREATE TABLE friendships (
     id SERIAL PRIMARY KEY,
     requester_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
     addressee_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'declined', 'blocked')),
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'declined')),
+    requester_marked_close BOOLEAN NOT NULL DEFAULT false,
+    addressee_marked_close BOOLEAN NOT NULL DEFAULT false,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     UNIQUE(requester_id, addressee_id),
@@ -51,6 +57,23 @@ CREATE INDEX idx_friendships_requester ON friendships(requester_id);
 CREATE INDEX idx_friendships_addressee ON friendships(addressee_id);
 CREATE INDEX idx_friendships_status ON friendships(status);
 CREATE INDEX idx_friendships_created_at ON friendships(created_at);
+CREATE INDEX idx_friendships_requester_close ON friendships(requester_id) WHERE requester_marked_close = true;
+CREATE INDEX idx_friendships_addressee_close ON friendships(addressee_id) WHERE addressee_marked_close = true;
+
+-- ===============================
+-- USER_BLOCKS TABLE
+-- ===============================
+CREATE TABLE user_blocks (
+    id SERIAL PRIMARY KEY,
+    blocker_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    blocked_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(blocker_id, blocked_id),
+    CHECK (blocker_id != blocked_id)
+);
+
+-- Create indexes for user_blocks
+CREATE INDEX idx_user_blocks_blocked_id ON user_blocks(blocked_id);
 
 -- ===============================
 -- PHOTOS TABLE
@@ -76,6 +99,10 @@ CREATE TABLE photos (
     comment_count INTEGER DEFAULT 0,
     tags TEXT[], -- Array of tags
     exif_data JSONB, -- EXIF metadata
+    source_device_id INTEGER, -- Foreign key added after device_sync
+    renditions JSONB, -- Resized JPEG/WebP renditions
+    renditions_generated_at TIMESTAMP WITH TIME ZONE,
+    metadata_extracted_at TIMESTAMP WITH TIME ZONE,
     is_deleted BOOLEAN DEFAULT false,
     deleted_at TIMESTAMP WITH TIME ZONE
 );
@@ -86,8 +113,14 @@ CREATE INDEX idx_photos_uploaded_at ON photos(uploaded_at);
 CREATE INDEX idx_photos_is_public ON photos(is_public);
 CREATE INDEX idx_photos_is_deleted ON photos(is_deleted);
 CREATE INDEX idx_photos_hash_md5 ON photos(hash_md5);
+CREATE INDEX idx_photos_user_hash_md5 ON photos(user_id, hash_md5) WHERE hash_md5 IS NOT NULL;
 CREATE INDEX idx_photos_tags ON photos USING GIN(tags);
 CREATE INDEX idx_photos_exif_data ON photos USING GIN(exif_data);
+CREATE INDEX idx_photos_user_taken_at ON photos(user_id, taken_at);
+CREATE INDEX idx_photos_user_captured_at ON photos(user_id, (COALESCE(taken_at, uploaded_at)) DESC, id DESC) WHERE is_deleted = false;
+CREATE INDEX idx_photos_trash ON photos(user_id, deleted_at DESC) WHERE is_deleted = true;
+CREATE INDEX idx_photos_trash_purge ON photos(deleted_at) WHERE is_deleted = true;
+CREATE INDEX idx_photos_source_device_id ON photos(source_device_id) WHERE source_device_id IS NOT NULL;
 
 -- ===============================
 -- ALBUMS TABLE
@@ -98,7 +131,9 @@ CREATE TABLE albums (
     name VARCHAR(255) NOT NULL,
     description TEXT,
     cover_photo_id INTEGER REFERENCES photos(id) ON DELETE SET NULL,
-    is_public BOOLEAN DEFAULT false,
+    privacy_type VARCHAR(20) NOT NULL DEFAULT 'private' CHECK (privacy_type IN ('private', 'friends', 'close_friends', 'custom', 'public')),
+    custom_group_id INTEGER, -- Foreign key added after permission_groups
+    sort_mode VARCHAR(20) NOT NULL DEFAULT 'manual' CHECK (sort_mode IN ('manual', 'taken_at', 'uploaded_at')),
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     is_deleted BOOLEAN DEFAULT false,
@@ -108,8 +143,10 @@ CREATE TABLE albums (
 -- Create indexes for albums
 CREATE INDEX idx_albums_user_id ON albums(user_id);
 CREATE INDEX idx_albums_created_at ON albums(created_at);
-CREATE INDEX idx_albums_is_public ON albums(is_public);
+CREATE INDEX idx_albums_privacy_type ON albums(privacy_type);
 CREATE INDEX idx_albums_is_deleted ON albums(is_deleted);
+CREATE INDEX idx_albums_trash ON albums(user_id, deleted_at DESC) WHERE is_deleted = true;
+CREATE INDEX idx_albums_trash_purge ON albums(deleted_at) WHERE is_deleted = true;
 
 -- ===============================
 -- ALBUM_PHOTOS TABLE (Many-to-Many)
@@ -118,15 +155,33 @@ CREATE TABLE album_photos (
     id SERIAL PRIMARY KEY,
     album_id INTEGER NOT NULL REFERENCES albums(id) ON DELETE CASCADE,
     photo_id INTEGER NOT NULL REFERENCES photos(id) ON DELETE CASCADE,
+    added_by INTEGER REFERENCES users(id) ON DELETE SET NULL, -- Album owner or contributor
     added_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
-    position INTEGER DEFAULT 0,
+    position INTEGER NOT NULL DEFAULT 0, -- Manual order, ascending
     UNIQUE(album_id, photo_id)
 );
 
 -- Create indexes for album_photos
 CREATE INDEX idx_album_photos_album_id ON album_photos(album_id);
 CREATE INDEX idx_album_photos_photo_id ON album_photos(photo_id);
-CREATE INDEX idx_album_photos_position ON album_photos(position);
+CREATE INDEX idx_album_photos_album_position ON album_photos(album_id, position);
+CREATE INDEX idx_album_photos_added_by ON album_photos(added_by);
+
+-- ===============================
+-- SMART_ALBUMS TABLE
+-- ===============================
+CREATE TABLE smart_albums (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    filters JSONB NOT NULL, -- tags, takenFrom, takenTo, cameraMake, cameraModel, sourceDeviceIds
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for smart_albums
+CREATE INDEX idx_smart_albums_user_id ON smart_albums(user_id);
 
 -- ===============================
 -- PHOTO_SHARES TABLE
@@ -145,6 +200,8 @@ CREATE TABLE photo_shares (
     is_active BOOLEAN DEFAULT true,
     message TEXT,
     require_auth BOOLEAN DEFAULT true,
+    password_hash VARCHAR(255),
+    last_accessed_at TIMESTAMP WITH TIME ZONE,
     share_type VARCHAR(20) DEFAULT 'individual_photo' CHECK (share_type IN ('all_photos', 'album', 'individual_photo')),
     album_id INTEGER REFERENCES albums(id) ON DELETE CASCADE,
     CONSTRAINT chk_photo_shares_resource_consistency 
@@ -159,7 +216,7 @@ CREATE TABLE photo_shares (
 CREATE INDEX idx_photo_shares_photo_id ON photo_shares(photo_id);
 CREATE INDEX idx_photo_shares_shared_by ON photo_shares(shared_by);
 CREATE INDEX idx_photo_shares_shared_with ON photo_shares(shared_with);
-CREATE INDEX idx_photo_shares_access_token ON photo_shares(access_token);
+CREATE UNIQUE INDEX idx_photo_shares_access_token ON photo_shares(access_token);
 CREATE INDEX idx_photo_shares_expires_at ON photo_shares(expires_at);
 CREATE INDEX idx_photo_shares_is_active ON photo_shares(is_active);
 
@@ -168,7 +225,8 @@ CREATE INDEX idx_photo_shares_is_active ON photo_shares(is_active);
 -- ===============================
 CREATE TABLE album_shares (
     id SERIAL PRIMARY KEY,
-    album_id INTEGER NOT NULL REFERENCES albums(id) ON DELETE CASCADE,
+    album_id INTEGER REFERENCES albums(id) ON DELETE CASCADE,
+    smart_album_id INTEGER REFERENCES smart_albums(id) ON DELETE CASCADE, -- Set instead of album_id
     shared_by INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
     shared_with INTEGER REFERENCES users(id) ON DELETE CASCADE, -- NULL for public shares
     permission_level VARCHAR(20) DEFAULT 'view' CHECK (permission_level IN ('view', 'download', 'contribute')),
@@ -179,14 +237,18 @@ CREATE TABLE album_shares (
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     is_active BOOLEAN DEFAULT true,
     message TEXT,
-    require_auth BOOLEAN DEFAULT true
+    require_auth BOOLEAN DEFAULT true,
+    password_hash VARCHAR(255),
+    last_accessed_at TIMESTAMP WITH TIME ZONE,
+    CONSTRAINT album_shares_target_check CHECK ((album_id IS NULL) != (smart_album_id IS NULL))
 );
 
 -- Create indexes for album_shares
 CREATE INDEX idx_album_shares_album_id ON album_shares(album_id);
+CREATE INDEX idx_album_shares_smart_album_id ON album_shares(smart_album_id) WHERE smart_album_id IS NOT NULL;
 CREATE INDEX idx_album_shares_shared_by ON album_shares(shared_by);
 CREATE INDEX idx_album_shares_shared_with ON album_shares(shared_with);
-CREATE INDEX idx_album_shares_access_token ON album_shares(access_token);
+CREATE UNIQUE INDEX idx_album_shares_access_token ON album_shares(access_token);
 CREATE INDEX idx_album_shares_expires_at ON album_shares(expires_at);
 CREATE INDEX idx_album_shares_is_active ON album_shares(is_active);
 
@@ -203,6 +265,7 @@ CREATE TABLE permission_groups (
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     is_deleted BOOLEAN DEFAULT false,
+    legacy_custom_group_id INTEGER, -- custom_permission_groups id this group was migrated from (migration 014)
     UNIQUE(user_id, name)
 );
 
@@ -211,6 +274,9 @@ CREATE INDEX idx_permission_groups_user_id ON permission_groups(user_id);
 CREATE INDEX idx_permission_groups_name ON permission_groups(name);
 CREATE INDEX idx_permission_groups_is_deleted ON permission_groups(is_deleted);
 
+ALTER TABLE albums ADD CONSTRAINT albums_custom_group_id_fkey
+    FOREIGN KEY (custom_group_id) REFERENCES permission_groups(id) ON DELETE SET NULL;
+
 -- ===============================
 -- PERMISSION_GROUP_MEMBERS TABLE
 -- ===============================
@@ -239,11 +305,14 @@ CREATE TABLE device_sync (
     device_type VARCHAR(50), -- 'mobile', 'desktop', 'web'
     platform VARCHAR(50), -- 'ios', 'android', 'windows', 'macos', 'linux'
     app_version VARCHAR(50),
-    last_sync TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    last_sync TIMESTAMP WITH TIME ZONE,
     sync_enabled BOOLEAN DEFAULT true,
     auto_backup BOOLEAN DEFAULT false,
     wifi_only BOOLEAN DEFAULT true,
+    local_deletion_policy VARCHAR(10) NOT NULL DEFAULT 'ignore' CHECK (local_deletion_policy IN ('mirror', 'ignore')),
+    total_photos_synced INTEGER NOT NULL DEFAULT 0,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     is_active BOOLEAN DEFAULT true,
     UNIQUE(user_id, device_id)
 );
@@ -254,6 +323,9 @@ CREATE INDEX idx_device_sync_device_id ON device_sync(device_id);
 CREATE INDEX idx_device_sync_last_sync ON device_sync(last_sync);
 CREATE INDEX idx_device_sync_is_active ON device_sync(is_active);
 
+ALTER TABLE photos ADD CONSTRAINT photos_source_device_id_fkey
+    FOREIGN KEY (source_device_id) REFERENCES device_sync(id) ON DELETE SET NULL;
+
 -- ===============================
 -- SYNC_SESSIONS TABLE
 -- ===============================
@@ -270,14 +342,17 @@ CREATE TABLE sync_sessions (
     bytes_total BIGINT DEFAULT 0,
     bytes_uploaded BIGINT DEFAULT 0,
     error_message TEXT,
+    last_activity_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
 -- Create indexes for sync_sessions
 CREATE INDEX idx_sync_sessions_device_id ON sync_sessions(device_id);
 CREATE INDEX idx_sync_sessions_session_token ON sync_sessions(session_token);
+CREATE UNIQUE INDEX idx_sync_sessions_session_token_unique ON sync_sessions(session_token);
 CREATE INDEX idx_sync_sessions_status ON sync_sessions(status);
 CREATE INDEX idx_sync_sessions_started_at ON sync_sessions(started_at);
+CREATE INDEX idx_sync_sessions_active ON sync_sessions(device_id, last_activity_at) WHERE status = 'active';
 
 -- ===============================
 -- SYNC_FILE_MAPPINGS TABLE
@@ -307,6 +382,59 @@ CREATE INDEX idx_sync_file_mappings_photo_id ON sync_file_mappings(photo_id);
 CREATE INDEX idx_sync_file_mappings_sync_status ON sync_file_mappings(sync_status);
 CREATE INDEX idx_sync_file_mappings_created_at ON sync_file_mappings(created_at);
 
+-- ===============================
+-- UPLOAD_SESSIONS TABLE
+-- ===============================
+CREATE TABLE upload_sessions (
+    id SERIAL PRIMARY KEY,
+    upload_token UUID NOT NULL DEFAULT uuid_generate_v4(),
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    device_id INTEGER NOT NULL REFERENCES device_sync(id) ON DELETE CASCADE,
+    sync_session_id INTEGER NOT NULL REFERENCES sync_sessions(id) ON DELETE CASCADE,
+    local_path VARCHAR(1000) NOT NULL,
+    file_name VARCHAR(500) NOT NULL,
+    mime_type VARCHAR(100) NOT NULL,
+    file_size BIGINT NOT NULL CHECK (file_size > 0),
+    expected_md5 VARCHAR(32) NOT NULL,
+    local_modified TIMESTAMP WITH TIME ZONE,
+    caption TEXT,
+    permission_type VARCHAR(20) NOT NULL CHECK (permission_type IN ('public', 'friends', 'close_friends', 'custom')),
+    custom_group_id INTEGER REFERENCES permission_groups(id) ON DELETE SET NULL,
+    received_ranges JSONB NOT NULL DEFAULT '[]', -- Merged [start, end) byte ranges
+    bytes_received BIGINT NOT NULL DEFAULT 0,
+    status VARCHAR(20) NOT NULL DEFAULT 'uploading' CHECK (status IN ('uploading', 'finalizing', 'completed', 'failed', 'cancelled', 'expired')),
+    photo_id INTEGER REFERENCES photos(id) ON DELETE SET NULL,
+    error_message TEXT,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for upload_sessions
+CREATE UNIQUE INDEX idx_upload_sessions_upload_token ON upload_sessions(upload_token);
+CREATE INDEX idx_upload_sessions_sync_session_id ON upload_sessions(sync_session_id);
+CREATE INDEX idx_upload_sessions_resume ON upload_sessions(user_id, device_id, local_path, expected_md5) WHERE status = 'uploading';
+CREATE INDEX idx_upload_sessions_expires_at ON upload_sessions(expires_at) WHERE status = 'uploading';
+
+-- ===============================
+-- PHOTO_CHANGES TABLE
+-- ===============================
+CREATE TABLE photo_changes (
+    id BIGSERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    photo_id INTEGER NOT NULL, -- No foreign key: deleted photos keep their change history
+    change_type VARCHAR(20) NOT NULL CHECK (change_type IN ('created', 'updated', 'deleted')),
+    changed_fields TEXT[],
+    hash_md5 VARCHAR(32),
+    source_device_id INTEGER REFERENCES device_sync(id) ON DELETE SET NULL,
+    changed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for photo_changes
+CREATE INDEX idx_photo_changes_user_id_id ON photo_changes(user_id, id);
+CREATE INDEX idx_photo_changes_photo_id ON photo_changes(photo_id);
+
 -- ===============================
 -- PHOTO_LIKES TABLE
 -- ===============================
@@ -408,7 +536,9 @@ CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users FOR EACH ROW EXECU
 CREATE TRIGGER update_friendships_updated_at BEFORE UPDATE ON friendships FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_albums_updated_at BEFORE UPDATE ON albums FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_permission_groups_updated_at BEFORE UPDATE ON permission_groups FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_device_sync_updated_at BEFORE UPDATE ON device_sync FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_sync_file_mappings_updated_at BEFORE UPDATE ON sync_file_mappings FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_upload_sessions_updated_at BEFORE UPDATE ON upload_sessions FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_photo_comments_updated_at BEFORE UPDATE ON photo_comments FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
 -- Function to update photo counts
@@ -422,10 +552,19 @@ BEGIN
             UPDATE photos SET comment_count = comment_count + 1 WHERE id = NEW.photo_id;
         END IF;
         RETURN NEW;
+    ELSIF TG_OP = 'UPDATE' THEN
+        IF TG_TABLE_NAME = 'photo_comments' AND OLD.is_deleted IS DISTINCT FROM NEW.is_deleted THEN
+            IF NEW.is_deleted THEN
+                UPDATE photos SET comment_count = GREATEST(comment_count - 1, 0) WHERE id = NEW.photo_id;
+            ELSE
+                UPDATE photos SET comment_count = comment_count + 1 WHERE id = NEW.photo_id;
+            END IF;
+        END IF;
+        RETURN NEW;
     ELSIF TG_OP = 'DELETE' THEN
         IF TG_TABLE_NAME = 'photo_likes' THEN
             UPDATE photos SET like_count = like_count - 1 WHERE id = OLD.photo_id;
-        ELSIF TG_TABLE_NAME = 'photo_comments' THEN
+        ELSIF TG_TABLE_NAME = 'photo_comments' AND NOT OLD.is_deleted THEN
             UPDATE photos SET comment_count = comment_count - 1 WHERE id = OLD.photo_id;
         END IF;
         RETURN OLD;
@@ -436,7 +575,7 @@ $$ language 'plpgsql';
 
 -- Create triggers for photo counts
 CREATE TRIGGER trigger_update_photo_like_count AFTER INSERT OR DELETE ON photo_likes FOR EACH ROW EXECUTE FUNCTION update_photo_counts();
-CREATE TRIGGER trigger_update_photo_comment_count AFTER INSERT OR DELETE ON photo_comments FOR EACH ROW EXECUTE FUNCTION update_photo_counts();
+CREATE TRIGGER trigger_update_photo_comment_count AFTER INSERT OR UPDATE OF is_deleted OR DELETE ON photo_comments FOR EACH ROW EXECUTE FUNCTION update_photo_counts();
 
 -- ===============================
 -- VIEWS FOR COMMON QUERIES
@@ -493,6 +632,7 @@ ORDER BY p.uploaded_at DESC;
 
 COMMENT ON TABLE users IS 'User accounts and profiles';
 COMMENT ON TABLE friendships IS 'Friend relationships between users';
+COMMENT ON TABLE user_blocks IS 'Users blocked by other users';
 COMMENT ON TABLE photos IS 'Photo uploads with metadata and permissions';
 COMMENT ON TABLE albums IS 'Photo albums/collections';
 COMMENT ON TABLE album_photos IS 'Photos within albums (many-to-many)';
@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+require('dotenv').config();
+
+const { pool } = require('../src/config/database.config');
+const PhotoModel = require('../src/models/photo.model');
+const ImageUtils = require('../src/utils/image.utils');
+const { readFile } = require('../src/storage');
+
+const USAGE = `
+Usage: npm run renditions:backfill -- [options]
+
+Generates small/medium/large JPEG and WebP renditions for photos that don't have them yet.
+
+Options:
+  --force            Regenerate renditions for every photo, not only missing ones
+  --dry-run          List the photos that would be processed without writing anything
+  --limit <n>        Process at most n photos
+  --batch-size <n>   Photos loaded per query (default 50)
+`;
+
+/**
+ * Rendition Backfill - Generates renditions for photos uploaded before they existed
+ */
+class RenditionBackfill {
+  /**
+   * Process photos in ID order until none are left or the limit is reached
+   */
+  static async backfill({ force = false, dryRun = false, limit = null, batchSize = 50 } = {}) {
+    const stats = { processed: 0, generated: 0, failed: 0 };
+    let afterId = 0;
+
+    if (!force) {
+      const missing = await PhotoModel.countMissingRenditions();
+      console.log(`${missing} photo(s) without renditions`);
+    }
+
+    while (limit === null || stats.processed < limit) {
+      const remaining = limit === null ? batchSize : Math.min(batchSize, limit - stats.processed);
+      const photos = await PhotoModel.findForRenditionBackfill({ afterId, limit: remaining, includeExisting: force });
+
+      if (photos.length === 0) {
+        break;
+      }
+
+      for (const photo of photos) {
+        afterId = photo.id;
+        stats.processed++;
+
+        if (dryRun) {
+          console.log(`  would process photo ${photo.id} (${photo.file_path})`);
+          continue;
+        }
+
+        try {
+          const buffer = await readFile(photo.file_path);
+          const renditions = await ImageUtils.generateRenditions(buffer, photo.file_path);
+          await PhotoModel.updateRenditions(photo.id, renditions);
+          stats.generated++;
+        } catch (error) {
+          // Unsupported formats and missing originals are skipped, not fatal
+          console.error(`⚠️  Photo ${photo.id}: ${error.message}`);
+          stats.failed++;
+        }
+      }
+
+      if (!dryRun) {
+        console.log(`Processed ${stats.processed} photo(s) so far`);
+      }
+    }
+
+    console.log(dryRun
+      ? `Would process ${stats.processed} photo(s)`
+      : `✅ Generated renditions for ${stats.generated} photo(s), ${stats.failed} failed`);
+    return stats;
+  }
+
+  /**
+   * Parse command line arguments
+   */
+  static parseArgs(argv) {
+    const options = { force: false, dryRun: false, limit: null, batchSize: 50, help: false };
+
+    for (let i = 0; i < argv.length; i++) {
+      const arg = argv[i];
+
+      if (arg === '--force') {
+        options.force = true;
+      } else if (arg === '--dry-run') {
+        options.dryRun = true;
+      } else if (arg === '--limit') {
+        options.limit = parseInt(argv[++i]);
+      } else if (arg === '--batch-size') {
+        options.batchSize = parseInt(argv[++i]);
+      } else if (arg === '--help' || arg === '-h') {
+        options.help = true;
+      } else {
+        throw new Error(`Unknown option: ${arg}`);
+      }
+    }
+
+    if ((options.limit !== null && !(options.limit > 0)) || !(options.batchSize > 0)) {
+      throw new Error('--limit and --batch-size expect a positive number');
+    }
+
+    return options;
+  }
+
+  /**
+   * CLI entry point
+   */
+  static async run(argv) {
+    const options = this.parseArgs(argv);
+
+    if (options.help) {
+      console.log(USAGE);
+      return;
+    }
+
+    await this.backfill(options);
+  }
+}
+
+if (require.main === module) {
+  RenditionBackfill.run(process.argv.slice(2))
+    .then(() => pool.end())
+    .catch(async (error) => {
+      console.error(`❌ ${error.message}`);
+      await pool.end();
+      process.exit(1);
+    });
+}
+
+module.exports = RenditionBackfill;
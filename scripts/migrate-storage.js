@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+require('dotenv').config();
+
+const { pool } = require('../src/config/database.config');
+const PhotoModel = require('../src/models/photo.model');
+const { createStorage } = require('../src/storage');
+
+const USAGE = `
+Usage: npm run storage:migrate -- --from <provider> --to <provider> [options]
+
+Copies photo originals and renditions between storage backends (local, aws).
+Files already present in the target with the same size are skipped, so the
+command can be re-run after an interruption.
+
+Options:
+  --from <provider>   Backend to copy from
+  --to <provider>     Backend to copy to
+  --delete-source     Delete each file from the source once it is in the target
+  --dry-run           List the files that would be copied without writing anything
+  --limit <n>         Process at most n photos
+  --batch-size <n>    Photos loaded per query (default 50)
+`;
+
+/**
+ * Storage Migration - Moves stored files from one storage backend to another
+ */
+class StorageMigration {
+  /**
+   * Copy every file of every photo in ID order until none are left or the limit is reached
+   */
+  static async migrate({ from, to, deleteSource = false, dryRun = false, limit = null, batchSize = 50 }) {
+    const source = createStorage(from);
+    const target = createStorage(to);
+    const stats = { photos: 0, copied: 0, skipped: 0, missing: 0, failed: 0 };
+    let afterId = 0;
+
+    while (limit === null || stats.photos < limit) {
+      const remaining = limit === null ? batchSize : Math.min(batchSize, limit - stats.photos);
+      const photos = await PhotoModel.findForStorageMigration({ afterId, limit: remaining });
+
+      if (photos.length === 0) {
+        break;
+      }
+
+      for (const photo of photos) {
+        afterId = photo.id;
+        stats.photos++;
+
+        for (const key of this.getPhotoKeys(photo)) {
+          try {
+            const result = await this.migrateFile(source, target, key, { deleteSource, dryRun });
+            stats[result]++;
+          } catch (error) {
+            console.error(`⚠️  Photo ${photo.id} (${key}): ${error.message}`);
+            stats.failed++;
+          }
+        }
+      }
+
+      console.log(`Processed ${stats.photos} photo(s) so far`);
+    }
+
+    console.log(`${dryRun ? 'Would copy' : '✅ Copied'} ${stats.copied} file(s), ` +
+      `${stats.skipped} already in target, ${stats.missing} missing in source, ${stats.failed} failed`);
+    return stats;
+  }
+
+  /**
+   * Storage keys of a photo's original and renditions
+   */
+  static getPhotoKeys(photo) {
+    const renditionKeys = Object.values(photo.renditions || {})
+      .flatMap(rendition => [rendition.path, rendition.webpPath])
+      .filter(Boolean);
+
+    return [photo.file_path, ...renditionKeys];
+  }
+
+  /**
+   * Copy one file; returns copied, skipped or missing
+   */
+  static async migrateFile(source, target, key, { deleteSource, dryRun }) {
+    const sourceStats = await source.stat(key);
+    if (!sourceStats) {
+      return 'missing';
+    }
+
+    const targetStats = await target.stat(key);
+    if (targetStats && targetStats.size === sourceStats.size) {
+      if (deleteSource && !dryRun) {
+        await source.delete(key);
+      }
+      return 'skipped';
+    }
+
+    if (dryRun) {
+      console.log(`  would copy ${key}`);
+      return 'copied';
+    }
+
+    const stream = await source.getStream(key);
+    await target.put(key, stream, { contentType: sourceStats.contentType });
+
+    // Only remove the source once the target copy is complete
+    if (deleteSource) {
+      const copiedStats = await target.stat(key);
+      if (!copiedStats || copiedStats.size !== sourceStats.size) {
+        throw new Error('Copy in target does not match the source size; source kept');
+      }
+      await source.delete(key);
+    }
+
+    return 'copied';
+  }
+
+  /**
+   * Parse command line arguments
+   */
+  static parseArgs(argv) {
+    const options = { from: null, to: null, deleteSource: false, dryRun: false, limit: null, batchSize: 50, help: false };
+
+    for (let i = 0; i < argv.length; i++) {
+      const arg = argv[i];
+
+      if (arg === '--from') {
+        options.from = argv[++i];
+      } else if (arg === '--to') {
+        options.to = argv[++i];
+      } else if (arg === '--delete-source') {
+        options.deleteSource = true;
+      } else if (arg === '--dry-run') {
+        options.dryRun = true;
+      } else if (arg === '--limit') {
+        options.limit = parseInt(argv[++i]);
+      } else if (arg === '--batch-size') {
+        options.batchSize = parseInt(argv[++i]);
+      } else if (arg === '--help' || arg === '-h') {
+        options.help = true;
+      } else {
+        throw new Error(`Unknown option: ${arg}`);
+      }
+    }
+
+    if (options.help) {
+      return options;
+    }
+
+    if (!options.from || !options.to) {
+      throw new Error('--from and --to are required');
+    }
+
+    if (options.from === options.to) {
+      throw new Error('--from and --to must be different backends');
+    }
+
+    if ((options.limit !== null && !(options.limit > 0)) || !(options.batchSize > 0)) {
+      throw new Error('--limit and --batch-size expect a positive number');
+    }
+
+    return options;
+  }
+
+  /**
+   * CLI entry point
+   */
+  static async run(argv) {
+    const options = this.parseArgs(argv);
+
+    if (options.help) {
+      console.log(USAGE);
+      return;
+    }
+
+    await this.migrate(options);
+  }
+}
+
+if (require.main === module) {
+  StorageMigration.run(process.argv.slice(2))
+    .then(() => pool.end())
+    .catch(async (error) => {
+      console.error(`❌ ${error.message}`);
+      await pool.end();
+      process.exit(1);
+    });
+}
+
+module.exports = StorageMigration;
@@ -0,0 +1,372 @@
+#!/usr/bin/env node
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const { pool, query, transaction } = require('../src/config/database.config');
+const CryptoUtils = require('../src/utils/crypto.utils');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'database', 'migrations');
+
+// Arbitrary key shared by every runner so two deploys never migrate at the same time
+const MIGRATION_LOCK_KEY = 727001;
+
+const USAGE = `
+Usage: npm run migrate -- <command> [options]
+
+Commands:
+  up                 Apply all pending migrations (default)
+  down               Revert the latest applied migration using its .down.sql script
+  status             Show applied, pending and modified migrations
+  baseline           Record migrations as applied without running them
+                     (for databases created from database/schema.sql)
+
+Options:
+  --dry-run          Print what would run without touching the database schema
+  --to <version>     up/baseline: stop at this version; down: revert down to (not including) it
+  --steps <n>        down: number of migrations to revert (default 1)
+`;
+
+/**
+ * Migration Runner - Applies database/migrations/*.sql and tracks them in schema_migrations
+ *
+ * Files are named NNN_description.sql; an optional NNN_description.down.sql reverts it.
+ * Each migration runs in its own transaction together with its schema_migrations row.
+ */
+class MigrationRunner {
+  /**
+   * Create the tracking table if it does not exist
+   */
+  static async ensureMigrationsTable() {
+    await query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        checksum VARCHAR(64) NOT NULL,
+        applied_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        execution_time_ms INTEGER
+      )
+    `);
+  }
+
+  /**
+   * Read migration files from disk, ordered by version
+   */
+  static loadMigrationFiles() {
+    const files = fs.readdirSync(MIGRATIONS_DIR);
+    const migrations = [];
+
+    for (const file of files) {
+      const match = file.match(/^(\d+)_(.+)\.sql$/);
+      if (!match || file.endsWith('.down.sql')) {
+        continue;
+      }
+
+      const version = parseInt(match[1]);
+      const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+      const downFile = file.replace(/\.sql$/, '.down.sql');
+      const downPath = path.join(MIGRATIONS_DIR, downFile);
+
+      if (migrations.some(migration => migration.version === version)) {
+        throw new Error(`Duplicate migration version ${version}: ${file}`);
+      }
+
+      migrations.push({
+        version,
+        name: match[2],
+        file,
+        sql,
+        checksum: CryptoUtils.hashSHA256(sql),
+        downFile: fs.existsSync(downPath) ? downFile : null
+      });
+    }
+
+    return migrations.sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * Get applied migrations keyed by version
+   */
+  static async getAppliedMigrations() {
+    // status and dry runs work before the tracking table exists
+    const exists = await query("SELECT to_regclass('schema_migrations') IS NOT NULL as exists");
+    if (!exists.rows[0].exists) {
+      return new Map();
+    }
+
+    const result = await query('SELECT version, name, checksum, applied_at, execution_time_ms FROM schema_migrations ORDER BY version');
+    return new Map(result.rows.map(row => [row.version, row]));
+  }
+
+  /**
+   * Compare files on disk with schema_migrations
+   */
+  static async getStatus() {
+    const migrations = this.loadMigrationFiles();
+    const applied = await this.getAppliedMigrations();
+
+    const entries = migrations.map(migration => {
+      const record = applied.get(migration.version);
+      let state = 'pending';
+
+      if (record) {
+        state = record.checksum === migration.checksum ? 'applied' : 'modified';
+      }
+
+      return { ...migration, state, appliedAt: record ? record.applied_at : null };
+    });
+
+    // Applied versions whose file has since been removed
+    for (const [version, record] of applied) {
+      if (!migrations.some(migration => migration.version === version)) {
+        entries.push({ version, name: record.name, file: null, state: 'missing', appliedAt: record.applied_at });
+      }
+    }
+
+    return entries.sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * Refuse to continue when applied migrations were edited or deleted
+   */
+  static assertUnmodified(entries) {
+    const drifted = entries.filter(entry => entry.state === 'modified' || entry.state === 'missing');
+
+    if (drifted.length > 0) {
+      const list = drifted.map(entry => `  ${this.label(entry)} (${entry.state})`).join('\n');
+      throw new Error(`Applied migrations differ from the files on disk:\n${list}\nRestore the original files or add a new migration instead of editing old ones.`);
+    }
+  }
+
+  /**
+   * Apply pending migrations
+   */
+  static async up({ dryRun = false, to = null } = {}) {
+    const entries = await this.getStatus();
+    this.assertUnmodified(entries);
+
+    const pending = entries.filter(entry =>
+      entry.state === 'pending' && (to === null || entry.version <= to)
+    );
+
+    if (pending.length === 0) {
+      console.log('✅ Database is up to date');
+      return [];
+    }
+
+    if (dryRun) {
+      console.log(`Would apply ${pending.length} migration(s):`);
+      pending.forEach(entry => console.log(`  ${this.label(entry)}  sha256:${entry.checksum.slice(0, 12)}`));
+      return pending;
+    }
+
+    for (const migration of pending) {
+      const start = Date.now();
+
+      const applied = await transaction(async (client) => {
+        await client.query('SELECT pg_advisory_xact_lock($1)', [MIGRATION_LOCK_KEY]);
+
+        // Another runner may have applied it while we waited for the lock
+        const existing = await client.query('SELECT 1 FROM schema_migrations WHERE version = $1', [migration.version]);
+        if (existing.rows.length > 0) {
+          return false;
+        }
+
+        await client.query(migration.sql);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name, checksum, execution_time_ms) VALUES ($1, $2, $3, $4)',
+          [migration.version, migration.name, migration.checksum, Date.now() - start]
+        );
+        return true;
+      }).catch(error => {
+        throw new Error(`Migration ${migration.file} failed: ${error.message}`);
+      });
+
+      console.log(applied
+        ? `✅ Applied ${this.label(migration)} (${Date.now() - start}ms)`
+        : `⏭️  Skipped ${this.label(migration)} (applied by another runner)`);
+    }
+
+    return pending;
+  }
+
+  /**
+   * Revert applied migrations, newest first
+   */
+  static async down({ dryRun = false, steps = 1, to = null } = {}) {
+    const entries = await this.getStatus();
+    this.assertUnmodified(entries);
+
+    let targets = entries.filter(entry => entry.state === 'applied').reverse();
+    targets = to !== null
+      ? targets.filter(entry => entry.version > to)
+      : targets.slice(0, steps);
+
+    if (targets.length === 0) {
+      console.log('Nothing to revert');
+      return [];
+    }
+
+    const irreversible = targets.filter(entry => !entry.downFile);
+    if (irreversible.length > 0) {
+      throw new Error(`No down script for: ${irreversible.map(entry => entry.file).join(', ')}`);
+    }
+
+    if (dryRun) {
+      console.log(`Would revert ${targets.length} migration(s):`);
+      targets.forEach(entry => console.log(`  ${this.label(entry)}  via ${entry.downFile}`));
+      return targets;
+    }
+
+    for (const migration of targets) {
+      const downSql = fs.readFileSync(path.join(MIGRATIONS_DIR, migration.downFile), 'utf8');
+
+      await transaction(async (client) => {
+        await client.query('SELECT pg_advisory_xact_lock($1)', [MIGRATION_LOCK_KEY]);
+        await client.query(downSql);
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+      }).catch(error => {
+        throw new Error(`Reverting ${migration.file} failed: ${error.message}`);
+      });
+
+      console.log(`↩️  Reverted ${this.label(migration)}`);
+    }
+
+    return targets;
+  }
+
+  /**
+   * Mark migrations as applied without running them
+   */
+  static async baseline({ dryRun = false, to = null } = {}) {
+    const entries = await this.getStatus();
+    const targets = entries.filter(entry =>
+      entry.state === 'pending' && (to === null || entry.version <= to)
+    );
+
+    if (dryRun) {
+      console.log(`Would record ${targets.length} migration(s) as applied:`);
+      targets.forEach(entry => console.log(`  ${this.label(entry)}`));
+      return targets;
+    }
+
+    await transaction(async (client) => {
+      await client.query('SELECT pg_advisory_xact_lock($1)', [MIGRATION_LOCK_KEY]);
+
+      for (const migration of targets) {
+        await client.query(
+          `INSERT INTO schema_migrations (version, name, checksum, execution_time_ms)
+           VALUES ($1, $2, $3, 0)
+           ON CONFLICT (version) DO NOTHING`,
+          [migration.version, migration.name, migration.checksum]
+        );
+      }
+    });
+
+    console.log(`✅ Recorded ${targets.length} migration(s) as applied`);
+    return targets;
+  }
+
+  /**
+   * Print migration status table
+   */
+  static async printStatus() {
+    const entries = await this.getStatus();
+    const icons = { applied: '✅', pending: '⏳', modified: '⚠️ ', missing: '❌' };
+
+    entries.forEach(entry => {
+      const appliedAt = entry.appliedAt ? new Date(entry.appliedAt).toISOString() : '';
+      const down = entry.downFile ? ' [down]' : '';
+      console.log(`${icons[entry.state]} ${entry.state.padEnd(8)} ${this.label(entry).padEnd(45)} ${appliedAt}${down}`);
+    });
+
+    const pendingCount = entries.filter(entry => entry.state === 'pending').length;
+    console.log(`\n${entries.length} migration(s), ${pendingCount} pending`);
+    return entries;
+  }
+
+  /**
+   * Human readable migration name
+   */
+  static label(migration) {
+    return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+  }
+
+  /**
+   * Parse command line arguments
+   */
+  static parseArgs(argv) {
+    const options = { command: 'up', dryRun: false, to: null, steps: 1 };
+
+    for (let i = 0; i < argv.length; i++) {
+      const arg = argv[i];
+
+      if (arg === '--dry-run') {
+        options.dryRun = true;
+      } else if (arg === '--to') {
+        options.to = parseInt(argv[++i]);
+      } else if (arg === '--steps') {
+        options.steps = parseInt(argv[++i]);
+      } else if (arg === '--help' || arg === '-h') {
+        options.command = 'help';
+      } else if (!arg.startsWith('--')) {
+        options.command = arg;
+      } else {
+        throw new Error(`Unknown option: ${arg}`);
+      }
+    }
+
+    if (Number.isNaN(options.to) || Number.isNaN(options.steps) || options.steps < 1) {
+      throw new Error('--to and --steps expect a positive number');
+    }
+
+    return options;
+  }
+
+  /**
+   * CLI entry point
+   */
+  static async run(argv) {
+    const options = this.parseArgs(argv);
+
+    if (options.command === 'help') {
+      console.log(USAGE);
+      return;
+    }
+
+    if (!['up', 'down', 'status', 'baseline'].includes(options.command)) {
+      throw new Error(`Unknown command: ${options.command}\n${USAGE}`);
+    }
+
+    if (options.command !== 'status' && !options.dryRun) {
+      await this.ensureMigrationsTable();
+    }
+
+    switch (options.command) {
+      case 'up':
+        await this.up(options);
+        break;
+      case 'down':
+        await this.down(options);
+        break;
+      case 'status':
+        await this.printStatus();
+        break;
+      case 'baseline':
+        await this.baseline(options);
+        break;
+    }
+  }
+}
+
+if (require.main === module) {
+  MigrationRunner.run(process.argv.slice(2))
+    .then(() => pool.end())
+    .catch(async (error) => {
+      console.error(`❌ ${error.message}`);
+      await pool.end();
+      process.exit(1);
+    });
+}
+
+module.exports = MigrationRunner;
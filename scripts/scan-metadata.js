@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+require('dotenv').config();
+
+const { pool } = require('../src/config/database.config');
+const PhotoModel = require('../src/models/photo.model');
+const ExifUtils = require('../src/utils/exif.utils');
+const { getStorage, readFile } = require('../src/storage');
+
+const USAGE = `
+Usage: npm run metadata:rescan -- [options]
+
+Extracts EXIF/XMP metadata (taken_at, width, height, location, exif_data) from stored photos.
+Photos of users with GPS stripping enabled have GPS removed from the stored file as well.
+
+Options:
+  --force            Re-scan every photo, not only those never scanned
+  --dry-run          List the photos that would be processed without writing anything
+  --limit <n>        Process at most n photos
+  --batch-size <n>   Photos loaded per query (default 50)
+`;
+
+/**
+ * Metadata Rescan - Fills photo metadata for files stored before extraction existed
+ */
+class MetadataRescan {
+  /**
+   * Process photos in ID order until none are left or the limit is reached
+   */
+  static async rescan({ force = false, dryRun = false, limit = null, batchSize = 50 } = {}) {
+    const stats = { processed: 0, scanned: 0, stripped: 0, failed: 0 };
+    let afterId = 0;
+
+    if (!force) {
+      const missing = await PhotoModel.countMissingMetadata();
+      console.log(`${missing} photo(s) without extracted metadata`);
+    }
+
+    while (limit === null || stats.processed < limit) {
+      const remaining = limit === null ? batchSize : Math.min(batchSize, limit - stats.processed);
+      const photos = await PhotoModel.findForMetadataScan({ afterId, limit: remaining, includeExisting: force });
+
+      if (photos.length === 0) {
+        break;
+      }
+
+      for (const photo of photos) {
+        afterId = photo.id;
+        stats.processed++;
+
+        if (dryRun) {
+          console.log(`  would process photo ${photo.id} (${photo.file_path})`);
+          continue;
+        }
+
+        try {
+          let buffer = await readFile(photo.file_path);
+
+          if (photo.strip_gps_on_upload) {
+            const stripped = ExifUtils.stripGps(buffer);
+            if (!stripped.equals(buffer)) {
+              await getStorage().put(photo.file_path, stripped, { contentType: photo.mime_type });
+              stats.stripped++;
+            }
+            buffer = stripped;
+          }
+
+          const metadata = await ExifUtils.extractMetadata(buffer);
+          await PhotoModel.updateMetadata(photo.id, metadata);
+          stats.scanned++;
+        } catch (error) {
+          // Missing originals are skipped, not fatal
+          console.error(`⚠️  Photo ${photo.id}: ${error.message}`);
+          stats.failed++;
+        }
+      }
+
+      if (!dryRun) {
+        console.log(`Processed ${stats.processed} photo(s) so far`);
+      }
+    }
+
+    console.log(dryRun
+      ? `Would process ${stats.processed} photo(s)`
+      : `✅ Scanned ${stats.scanned} photo(s), stripped GPS from ${stats.stripped}, ${stats.failed} failed`);
+    return stats;
+  }
+
+  /**
+   * Parse command line arguments
+   */
+  static parseArgs(argv) {
+    const options = { force: false, dryRun: false, limit: null, batchSize: 50, help: false };
+
+    for (let i = 0; i < argv.length; i++) {
+      const arg = argv[i];
+
+      if (arg === '--force') {
+        options.force = true;
+      } else if (arg === '--dry-run') {
+        options.dryRun = true;
+      } else if (arg === '--limit') {
+        options.limit = parseInt(argv[++i]);
+      } else if (arg === '--batch-size') {
+        options.batchSize = parseInt(argv[++i]);
+      } else if (arg === '--help' || arg === '-h') {
+        options.help = true;
+      } else {
+        throw new Error(`Unknown option: ${arg}`);
+      }
+    }
+
+    if ((options.limit !== null && !(options.limit > 0)) || !(options.batchSize > 0)) {
+      throw new Error('--limit and --batch-size expect a positive number');
+    }
+
+    return options;
+  }
+
+  /**
+   * CLI entry point
+   */
+  static async run(argv) {
+    const options = this.parseArgs(argv);
+
+    if (options.help) {
+      console.log(USAGE);
+      return;
+    }
+
+    await this.rescan(options);
+  }
+}
+
+if (require.main === module) {
+  MetadataRescan.run(process.argv.slice(2))
+    .then(() => pool.end())
+    .catch(async (error) => {
+      console.error(`❌ ${error.message}`);
+      await pool.end();
+      process.exit(1);
+    });
+}
+
+module.exports = MetadataRescan;
@@ -1,6 +1,5 @@
 const express = require('express');
 const cors = require('cors');
-const path = require('path');
 const swaggerUi = require('swagger-ui-express');
 const swaggerSpec = require('./src/config/swagger.config');
 const { appConfig } = require('./src/config/app.config');
@@ -12,11 +11,17 @@ const v2Router = require('./src/routes/index');
 // Import individual refactored routes
 const newAuthRoutes = require('./src/routes/auth.routes');
 const newPhotoRoutes = require('./src/routes/photo.routes');
+const newMediaRoutes = require('./src/routes/media.routes');
 const newFriendRoutes = require('./src/routes/friend.routes');
 const newSharingRoutes = require('./src/routes/sharing.routes');
+const newSmartAlbumRoutes = require('./src/routes/smart-album.routes');
 const newUserRoutes = require('./src/routes/user.routes');
 const newDeviceSyncRoutes = require('./src/routes/device-sync.routes');
 const newPermissionRoutes = require('./src/routes/permission.routes');
+const newNotificationRoutes = require('./src/routes/notification.routes');
+const NotificationService = require('./src/services/notification.service');
+const UploadSessionService = require('./src/services/upload-session.service');
+const PhotoService = require('./src/services/photo.service');
 
 const app = express();
 
@@ -25,9 +30,6 @@ app.use(cors());
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
-// Serve static files from uploads directory
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
-
 // Request logging middleware
 app.use((req, res, next) => {
   console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
@@ -110,11 +112,14 @@ app.use('/api/v2', v2Router);
 // API Routes - Individual v2 Routes (for specific access)
 app.use('/api/v2/auth', newAuthRoutes);
 app.use('/api/v2/photos', newPhotoRoutes);
+app.use('/api/v2/media', newMediaRoutes);
 app.use('/api/v2/friends', newFriendRoutes);
 app.use('/api/v2/sharing', newSharingRoutes);
+app.use('/api/v2/smart-albums', newSmartAlbumRoutes);
 app.use('/api/v2/users', newUserRoutes);
 app.use('/api/v2/device-sync', newDeviceSyncRoutes);
 app.use('/api/v2/permissions', newPermissionRoutes);
+app.use('/api/v2/notifications', newNotificationRoutes);
 
 // Legacy API redirect (v1 -> v2)
 app.use('/api/auth/*', (req, res) => {
@@ -150,7 +155,8 @@ app.get('/docs', (req, res) => {
         sharing: '/api/v2/sharing',
         users: '/api/v2/users',
         deviceSync: '/api/v2/device-sync',
-        permissions: '/api/v2/permissions'
+        permissions: '/api/v2/permissions',
+        notifications: '/api/v2/notifications'
       }
     },
     documentation: {
@@ -167,7 +173,7 @@ app.use('*', (req, res) => {
     success: false,
     message: 'Endpoint not found',
     availableEndpoints: {
-      v2: ['/api/v2/auth', '/api/v2/photos', '/api/v2/friends', '/api/v2/sharing', '/api/v2/users', '/api/v2/device-sync', '/api/v2/permissions'],
+      v2: ['/api/v2/auth', '/api/v2/photos', '/api/v2/friends', '/api/v2/sharing', '/api/v2/users', '/api/v2/device-sync', '/api/v2/permissions', '/api/v2/notifications'],
       health: '/health',
       docs: '/docs'
     },
@@ -199,13 +205,18 @@ const startServer = async () => {
   try {
     await testDatabaseConnection();
     
+    // Start background cleanup of expired notifications, abandoned uploads and expired trash
+    NotificationService.startCleanupJob();
+    UploadSessionService.startCleanupJob();
+    PhotoService.startTrashPurgeJob();
+    
     app.listen(appConfig.server.port, () => {
       console.log(`🚀 Server is running on port ${appConfig.server.port}`);
       console.log(`🌍 Environment: ${appConfig.server.environment}`);
       console.log(`📍 Health check: http://localhost:${appConfig.server.port}/health`);
       console.log(`📚 API documentation: http://localhost:${appConfig.server.port}/docs`);
       console.log(`🔧 Database admin: http://localhost:8081 (if using Docker)`);
-      console.log(`📁 Photo uploads: http://localhost:${appConfig.server.port}/uploads`);
+      console.log(`📁 Photo files: http://localhost:${appConfig.server.port}/api/v2/media`);
       console.log('');
       console.log('🎉 Photo Sharing Backend is ready!');
       console.log('   Use /api/v2/* endpoints for the latest API version');
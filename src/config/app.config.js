@@ -19,7 +19,7 @@ const appConfig = {
     credentials: process.env.CORS_CREDENTIALS === 'true',
     optionsSuccessStatus: 200,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin', 'X-API-Key']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin', 'X-API-Key', 'X-Share-Password']
   },
 
   // Request limits
@@ -80,10 +80,17 @@ const appConfig = {
     enableFriends: process.env.ENABLE_FRIENDS !== 'false',
     enableDeviceSync: process.env.ENABLE_DEVICE_SYNC !== 'false',
     enablePermissions: process.env.ENABLE_PERMISSIONS !== 'false',
+    enableNotifications: process.env.ENABLE_NOTIFICATIONS !== 'false',
     enableRealtime: process.env.ENABLE_REALTIME === 'true',
     enableAnalytics: process.env.ENABLE_ANALYTICS === 'true'
   },
 
+  // Notification settings
+  notifications: {
+    retentionDays: parseInt(process.env.NOTIFICATION_RETENTION_DAYS) || 30,
+    cleanupIntervalMs: parseInt(process.env.NOTIFICATION_CLEANUP_INTERVAL) || 3600000 // 1 hour
+  },
+
   // Performance settings
   performance: {
     enableCompression: process.env.ENABLE_COMPRESSION !== 'false',
@@ -49,15 +49,17 @@ const storageConfig = {
     ]
   },
 
-  // Cloud storage settings (for future implementation)
+  // Storage backend for photos and renditions; gcp and azure have no driver yet
   cloud: {
-    provider: process.env.CLOUD_PROVIDER || 'aws', // aws, gcp, azure
+    provider: process.env.CLOUD_PROVIDER || 'local', // local, aws
     aws: {
       region: process.env.AWS_REGION || 'us-east-1',
       bucket: process.env.AWS_S3_BUCKET || 'photo-sharing-bucket',
       accessKeyId: process.env.AWS_ACCESS_KEY_ID,
       secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-      endpoint: process.env.AWS_ENDPOINT // for S3-compatible services
+      endpoint: process.env.AWS_ENDPOINT, // for S3-compatible services
+      forcePathStyle: process.env.AWS_S3_FORCE_PATH_STYLE === 'true', // required by MinIO
+      signedUrlExpiresIn: parseInt(process.env.AWS_S3_URL_EXPIRES_IN) || 3600 // seconds
     },
     gcp: {
       projectId: process.env.GCP_PROJECT_ID,
@@ -70,6 +72,45 @@ const storageConfig = {
     }
   },
 
+  // Chunked, resumable uploads from synced devices
+  resumableUploads: {
+    chunkSize: parseInt(process.env.UPLOAD_CHUNK_SIZE) || 5 * 1024 * 1024, // Suggested to clients
+    maxChunkSize: parseInt(process.env.UPLOAD_MAX_CHUNK_SIZE) || 16 * 1024 * 1024,
+    maxFileSize: parseInt(process.env.DEVICE_SYNC_MAX_FILE_SIZE) || 200 * 1024 * 1024,
+    tempDir: 'resumable', // Under local.uploadsDir/local.tempDir
+    sessionTtlHours: parseInt(process.env.UPLOAD_SESSION_TTL_HOURS) || 24,
+    // Active sync sessions without any progress for this long are marked failed
+    syncSessionTimeoutHours: parseInt(process.env.SYNC_SESSION_TIMEOUT_HOURS) || 24,
+    cleanupIntervalMs: parseInt(process.env.UPLOAD_CLEANUP_INTERVAL_MS) || 60 * 60 * 1000
+  },
+
+  // Deleted photos stay in trash this long before their rows and files are purged
+  trash: {
+    retentionDays: parseInt(process.env.TRASH_RETENTION_DAYS) || 30,
+    purgeIntervalMs: parseInt(process.env.TRASH_PURGE_INTERVAL_MS) || 60 * 60 * 1000,
+    purgeBatchSize: parseInt(process.env.TRASH_PURGE_BATCH_SIZE) || 100
+  },
+
+  // Resized copies generated on upload, stored next to the original
+  renditions: {
+    enabled: process.env.RENDITIONS_ENABLED !== 'false',
+    // Longest edge in pixels; images are never upscaled
+    sizes: {
+      small: parseInt(process.env.RENDITION_SMALL_SIZE) || 320,
+      medium: parseInt(process.env.RENDITION_MEDIUM_SIZE) || 1024,
+      large: parseInt(process.env.RENDITION_LARGE_SIZE) || 2048
+    },
+    jpegQuality: parseInt(process.env.RENDITION_JPEG_QUALITY) || 80,
+    webpQuality: parseInt(process.env.RENDITION_WEBP_QUALITY) || 75
+  },
+
+  // Media delivery through the permission-checked media route
+  media: {
+    urlSecret: process.env.MEDIA_URL_SECRET, // Falls back to the JWT secret
+    signedUrlExpiresIn: parseInt(process.env.MEDIA_URL_EXPIRES_IN) || 15 * 60, // seconds
+    cacheMaxAge: parseInt(process.env.MEDIA_CACHE_MAX_AGE) || 5 * 60 // seconds, for unsigned requests
+  },
+
   // CDN settings
   cdn: {
     enabled: process.env.CDN_ENABLED === 'true',
@@ -238,23 +279,6 @@ const isValidFileType = (mimetype, category = 'photos') => {
   return allowedTypes.includes(mimetype);
 };
 
-/**
- * Get file URL
- */
-const getFileUrl = (filePath, category = 'photos') => {
-  const { cdn, local } = storageConfig;
-  
-  if (cdn.enabled && cdn.baseUrl) {
-    // Return CDN URL
-    const relativePath = path.relative(local.uploadsDir, filePath);
-    return `${cdn.baseUrl}/${relativePath.replace(/\\/g, '/')}`;
-  } else {
-    // Return local URL
-    const relativePath = path.relative(local.uploadsDir, filePath);
-    return `/uploads/${relativePath.replace(/\\/g, '/')}`;
-  }
-};
-
 module.exports = {
   storageConfig,
   initializeStorage,
@@ -263,6 +287,5 @@ module.exports = {
   getStorageStats,
   formatBytes,
   cleanupTempFiles,
-  isValidFileType,
-  getFileUrl
+  isValidFileType
 }; 
\ No newline at end of file
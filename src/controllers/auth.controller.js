@@ -154,9 +154,10 @@ class AuthController {
         });
       }
 
-      await AuthService.changePassword(userId, currentPassword, newPassword);
+      const result = await AuthService.changePassword(userId, currentPassword, newPassword);
 
-      return ResponseUtils.success(res, 'Password changed successfully');
+      // Other sessions are signed out; the returned token keeps this client logged in
+      return ResponseUtils.success(res, 'Password changed successfully', result);
     } catch (error) {
       console.error('Change password error:', error);
 
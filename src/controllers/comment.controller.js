@@ -0,0 +1,196 @@
+const CommentService = require('../services/comment.service');
+const { validationResult } = require('express-validator');
+const ResponseUtils = require('../utils/response.utils');
+
+/**
+ * Comment Controller - Handles HTTP requests for photo comments
+ */
+class CommentController {
+  /**
+   * Get comment threads of a photo
+   */
+  static async getPhotoComments(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return ResponseUtils.validationError(res, errors.array());
+      }
+
+      const { photoId } = req.params;
+      const currentUserId = req.user.id;
+      const { page = 1, limit = 20 } = req.query;
+
+      const result = await CommentService.getPhotoComments(
+        parseInt(photoId),
+        currentUserId,
+        {
+          page: parseInt(page),
+          limit: parseInt(limit)
+        }
+      );
+
+      return ResponseUtils.success(res, 'Comments retrieved successfully', result);
+    } catch (error) {
+      console.error('Get photo comments error:', error);
+      
+      if (error.message === 'Photo not found') {
+        return ResponseUtils.error(res, error.message, 404);
+      }
+      
+      if (error.message.startsWith('Access denied')) {
+        return ResponseUtils.error(res, error.message, 403);
+      }
+      
+      return ResponseUtils.serverError(res, error.message);
+    }
+  }
+
+  /**
+   * Get replies of a comment
+   */
+  static async getCommentReplies(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return ResponseUtils.validationError(res, errors.array());
+      }
+
+      const { commentId } = req.params;
+      const currentUserId = req.user.id;
+      const { page = 1, limit = 20 } = req.query;
+
+      const result = await CommentService.getCommentReplies(
+        parseInt(commentId),
+        currentUserId,
+        {
+          page: parseInt(page),
+          limit: parseInt(limit)
+        }
+      );
+
+      return ResponseUtils.success(res, 'Replies retrieved successfully', result);
+    } catch (error) {
+      console.error('Get comment replies error:', error);
+      
+      if (error.message === 'Photo not found' || error.message === 'Comment not found') {
+        return ResponseUtils.error(res, error.message, 404);
+      }
+      
+      if (error.message.startsWith('Access denied')) {
+        return ResponseUtils.error(res, error.message, 403);
+      }
+      
+      return ResponseUtils.serverError(res, error.message);
+    }
+  }
+
+  /**
+   * Add a comment or reply to a photo
+   */
+  static async addComment(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return ResponseUtils.validationError(res, errors.array());
+      }
+
+      const { photoId } = req.params;
+      const { comment, parentCommentId } = req.body;
+      const userId = req.user.id;
+
+      const created = await CommentService.addComment(parseInt(photoId), userId, {
+        comment,
+        parentCommentId: parentCommentId ? parseInt(parentCommentId) : null
+      });
+
+      return ResponseUtils.created(res, 'Comment added successfully', {
+        comment: created
+      });
+    } catch (error) {
+      console.error('Add comment error:', error);
+      
+      if (error.message === 'Photo not found' || error.message === 'Parent comment not found') {
+        return ResponseUtils.error(res, error.message, 404);
+      }
+      
+      if (error.message.startsWith('Access denied')) {
+        return ResponseUtils.error(res, error.message, 403);
+      }
+      
+      if (error.message === 'Cannot reply to a deleted comment') {
+        return ResponseUtils.error(res, error.message, 400);
+      }
+      
+      return ResponseUtils.serverError(res, error.message);
+    }
+  }
+
+  /**
+   * Edit own comment
+   */
+  static async updateComment(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return ResponseUtils.validationError(res, errors.array());
+      }
+
+      const { commentId } = req.params;
+      const { comment } = req.body;
+      const userId = req.user.id;
+
+      const updated = await CommentService.updateComment(parseInt(commentId), userId, comment);
+
+      return ResponseUtils.success(res, 'Comment updated successfully', {
+        comment: updated
+      });
+    } catch (error) {
+      console.error('Update comment error:', error);
+      
+      if (error.message === 'Photo not found' || error.message === 'Comment not found') {
+        return ResponseUtils.error(res, error.message, 404);
+      }
+      
+      if (error.message.startsWith('Access denied')) {
+        return ResponseUtils.error(res, error.message, 403);
+      }
+      
+      return ResponseUtils.serverError(res, error.message);
+    }
+  }
+
+  /**
+   * Delete a comment
+   */
+  static async deleteComment(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return ResponseUtils.validationError(res, errors.array());
+      }
+
+      const { commentId } = req.params;
+      const userId = req.user.id;
+
+      const deletedComment = await CommentService.deleteComment(parseInt(commentId), userId);
+
+      return ResponseUtils.success(res, 'Comment deleted successfully', {
+        deletedComment
+      });
+    } catch (error) {
+      console.error('Delete comment error:', error);
+      
+      if (error.message === 'Photo not found' || error.message === 'Comment not found') {
+        return ResponseUtils.error(res, error.message, 404);
+      }
+      
+      if (error.message.startsWith('Access denied')) {
+        return ResponseUtils.error(res, error.message, 403);
+      }
+      
+      return ResponseUtils.serverError(res, error.message);
+    }
+  }
+}
+
+module.exports = CommentController;
@@ -1,5 +1,6 @@
 const { validationResult } = require('express-validator');
 const DeviceSyncService = require('../services/device-sync.service');
+const UploadSessionService = require('../services/upload-session.service');
 
 /**
  * Device Sync Controller
@@ -121,10 +122,10 @@ class DeviceSyncController {
   }
 
   /**
-   * Process bulk photo upload from device
-   * POST /api/v2/device-sync/bulk-upload
+   * Compare a device manifest with stored files
+   * POST /api/v2/device-sync/manifest
    */
-  static async processBulkUpload(req, res) {
+  static async diffManifest(req, res) {
     try {
       // Check validation errors
       const errors = validationResult(req);
@@ -137,21 +138,418 @@ class DeviceSyncController {
       }
 
       const userId = req.user.id;
-      const files = req.files;
-      const uploadData = req.body;
+      const { deviceId, files } = req.body;
+      
+      const result = await DeviceSyncService.diffManifest(userId, deviceId, files);
+      
+      return res.status(result.success ? 200 : result.statusCode || 500).json(result);
+    } catch (error) {
+      console.error('Diff manifest error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Get photo changes since a cursor
+   */
+  static async getChanges(req, res) {
+    try {
+      // Check validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const userId = req.user.id;
+      const { deviceId, cursor, limit = 100 } = req.query;
+      
+      const result = await DeviceSyncService.getChanges(userId, deviceId, cursor, parseInt(limit));
+      
+      return res.status(result.success ? 200 : result.statusCode || 500).json(result);
+    } catch (error) {
+      console.error('Get changes error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Report files deleted on the device
+   */
+  static async reportDeletions(req, res) {
+    try {
+      // Check validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const userId = req.user.id;
+      const { deviceId, localPaths } = req.body;
+      
+      const result = await DeviceSyncService.reportDeletions(userId, deviceId, localPaths);
+      
+      return res.status(result.success ? 200 : result.statusCode || 500).json(result);
+    } catch (error) {
+      console.error('Report deletions error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Start a sync session
+   * POST /api/v2/device-sync/sessions
+   */
+  static async startSyncSession(req, res) {
+    try {
+      // Check validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const userId = req.user.id;
+      const { deviceId, filesTotal, bytesTotal } = req.body;
+      
+      const result = await DeviceSyncService.startSyncSession(userId, deviceId, { filesTotal, bytesTotal });
+      
+      return res.status(result.success ? 200 : result.statusCode || 500).json(result);
+    } catch (error) {
+      console.error('Start sync session error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Get sync session progress
+   * GET /api/v2/device-sync/sessions/:sessionToken
+   */
+  static async getSyncSession(req, res) {
+    try {
+      // Check validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const userId = req.user.id;
+      const { sessionToken } = req.params;
+      
+      const result = await DeviceSyncService.getSyncSession(userId, sessionToken);
+      
+      return res.status(result.success ? 200 : result.statusCode || 500).json(result);
+    } catch (error) {
+      console.error('Get sync session error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Update declared totals of a sync session
+   * PATCH /api/v2/device-sync/sessions/:sessionToken
+   */
+  static async updateSyncSession(req, res) {
+    try {
+      // Check validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const userId = req.user.id;
+      const { sessionToken } = req.params;
+      const { filesTotal, bytesTotal } = req.body;
+      
+      const result = await DeviceSyncService.updateSyncSession(userId, sessionToken, { filesTotal, bytesTotal });
+      
+      return res.status(result.success ? 200 : result.statusCode || 500).json(result);
+    } catch (error) {
+      console.error('Update sync session error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Complete a sync session
+   * POST /api/v2/device-sync/sessions/:sessionToken/complete
+   */
+  static async completeSyncSession(req, res) {
+    try {
+      // Check validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const userId = req.user.id;
+      const { sessionToken } = req.params;
+      
+      const result = await DeviceSyncService.completeSyncSession(userId, sessionToken);
+      
+      return res.status(result.success ? 200 : result.statusCode || 500).json(result);
+    } catch (error) {
+      console.error('Complete sync session error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
 
-      if (!files || files.length === 0) {
+  /**
+   * Cancel a sync session
+   * POST /api/v2/device-sync/sessions/:sessionToken/cancel
+   */
+  static async cancelSyncSession(req, res) {
+    try {
+      // Check validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const userId = req.user.id;
+      const { sessionToken } = req.params;
+      
+      const result = await DeviceSyncService.cancelSyncSession(userId, sessionToken);
+      
+      return res.status(result.success ? 200 : result.statusCode || 500).json(result);
+    } catch (error) {
+      console.error('Cancel sync session error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Mark a sync session as failed
+   * POST /api/v2/device-sync/sessions/:sessionToken/fail
+   */
+  static async failSyncSession(req, res) {
+    try {
+      // Check validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const userId = req.user.id;
+      const { sessionToken } = req.params;
+      const { errorMessage } = req.body;
+      
+      const result = await DeviceSyncService.failSyncSession(userId, sessionToken, errorMessage);
+      
+      return res.status(result.success ? 200 : result.statusCode || 500).json(result);
+    } catch (error) {
+      console.error('Fail sync session error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Create or resume a resumable upload
+   * POST /api/v2/device-sync/sessions/:sessionToken/uploads
+   */
+  static async createUpload(req, res) {
+    try {
+      // Check validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const userId = req.user.id;
+      const { sessionToken } = req.params;
+      
+      const result = await UploadSessionService.createUpload(userId, sessionToken, req.body);
+      
+      return res.status(result.success ? 200 : result.statusCode || 500).json(result);
+    } catch (error) {
+      console.error('Create upload error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Upload a chunk at a byte offset
+   * PUT /api/v2/device-sync/uploads/:uploadId/chunks?offset=N
+   */
+  static async uploadChunk(req, res) {
+    try {
+      // Check validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const userId = req.user.id;
+      const { uploadId } = req.params;
+      const offset = parseInt(req.query.offset);
+      const chunk = Buffer.isBuffer(req.body) ? req.body : null;
+      
+      const result = await UploadSessionService.uploadChunk(userId, uploadId, offset, chunk);
+      
+      return res.status(result.success ? 200 : result.statusCode || 500).json(result);
+    } catch (error) {
+      console.error('Upload chunk error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Get received and missing ranges of an upload
+   * GET /api/v2/device-sync/uploads/:uploadId
+   */
+  static async getUploadStatus(req, res) {
+    try {
+      // Check validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const userId = req.user.id;
+      const { uploadId } = req.params;
+      
+      const result = await UploadSessionService.getUploadStatus(userId, uploadId);
+      
+      return res.status(result.success ? 200 : result.statusCode || 500).json(result);
+    } catch (error) {
+      console.error('Get upload status error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Verify and finalize an upload
+   * POST /api/v2/device-sync/uploads/:uploadId/complete
+   */
+  static async completeUpload(req, res) {
+    try {
+      // Check validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const userId = req.user.id;
+      const { uploadId } = req.params;
+      
+      const result = await UploadSessionService.completeUpload(userId, uploadId);
+      
+      return res.status(result.success ? 200 : result.statusCode || 500).json(result);
+    } catch (error) {
+      console.error('Complete upload error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Cancel an upload
+   * DELETE /api/v2/device-sync/uploads/:uploadId
+   */
+  static async cancelUpload(req, res) {
+    try {
+      // Check validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
         return res.status(400).json({
           success: false,
-          message: 'No files provided for upload'
+          message: 'Validation failed',
+          errors: errors.array()
         });
       }
+
+      const userId = req.user.id;
+      const { uploadId } = req.params;
       
-      const result = await DeviceSyncService.processBulkUpload(userId, files, uploadData);
+      const result = await UploadSessionService.cancelUpload(userId, uploadId);
       
       return res.status(result.success ? 200 : result.statusCode || 500).json(result);
     } catch (error) {
-      console.error('Process bulk upload error:', error);
+      console.error('Cancel upload error:', error);
       return res.status(500).json({
         success: false,
         message: 'Internal server error'
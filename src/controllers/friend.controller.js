@@ -28,7 +28,8 @@ class FriendController {
       if (error.message.includes('Cannot send friend request to yourself') ||
           error.message.includes('already sent') ||
           error.message.includes('already friends') ||
-          error.message.includes('previously declined')) {
+          error.message.includes('previously declined') ||
+          error.message.includes('Unblock this user')) {
         return ResponseUtils.error(res, error.message, 400);
       }
       
@@ -158,6 +159,76 @@ class FriendController {
     }
   }
 
+  /**
+   * Get close-friends list
+   */
+  static async getCloseFriends(req, res) {
+    try {
+      const userId = req.user.id;
+
+      const result = await FriendService.getCloseFriends(userId);
+
+      return ResponseUtils.success(res, 'Close friends list retrieved successfully', result);
+    } catch (error) {
+      console.error('Get close friends error:', error);
+      return ResponseUtils.error(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Add a friend to close-friends list
+   */
+  static async addCloseFriend(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return ResponseUtils.validationError(res, errors.array());
+      }
+
+      const { friendId } = req.params;
+      const userId = req.user.id;
+
+      const result = await FriendService.setCloseFriend(userId, parseInt(friendId), true);
+
+      return ResponseUtils.success(res, 'Friend added to close friends', result);
+    } catch (error) {
+      console.error('Add close friend error:', error);
+      
+      if (error.message === 'Friendship not found') {
+        return ResponseUtils.error(res, 'Friendship not found', 404);
+      }
+      
+      return ResponseUtils.error(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Remove a friend from close-friends list
+   */
+  static async removeCloseFriend(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return ResponseUtils.validationError(res, errors.array());
+      }
+
+      const { friendId } = req.params;
+      const userId = req.user.id;
+
+      const result = await FriendService.setCloseFriend(userId, parseInt(friendId), false);
+
+      return ResponseUtils.success(res, 'Friend removed from close friends', result);
+    } catch (error) {
+      console.error('Remove close friend error:', error);
+      
+      if (error.message === 'Friendship not found') {
+        return ResponseUtils.error(res, 'Friendship not found', 404);
+      }
+      
+      return ResponseUtils.error(res, error.message, 500);
+    }
+  }
+
   /**
    * Accept friend request by friend ID
    */
@@ -213,7 +284,7 @@ class FriendController {
   }
 
   /**
-   * Block a friend
+   * Block a user
    */
   static async blockFriend(req, res) {
     try {
@@ -227,10 +298,14 @@ class FriendController {
 
       const result = await FriendService.blockFriend(userId, parseInt(friendId));
 
-      return ResponseUtils.success(res, 'Friend blocked successfully', result);
+      return ResponseUtils.success(res, 'User blocked successfully', result);
     } catch (error) {
       console.error('Block friend error:', error);
       
+      if (error.message === 'Cannot block yourself') {
+        return ResponseUtils.error(res, error.message, 400);
+      }
+      
       if (error.message === 'User not found') {
         return ResponseUtils.error(res, 'User not found', 404);
       }
@@ -239,6 +314,58 @@ class FriendController {
     }
   }
 
+  /**
+   * Unblock a user
+   */
+  static async unblockUser(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return ResponseUtils.validationError(res, errors.array());
+      }
+
+      const { friendId } = req.params;
+      const userId = req.user.id;
+
+      const result = await FriendService.unblockUser(userId, parseInt(friendId));
+
+      return ResponseUtils.success(res, 'User unblocked successfully', result);
+    } catch (error) {
+      console.error('Unblock user error:', error);
+      
+      if (error.message === 'Blocked user not found') {
+        return ResponseUtils.error(res, error.message, 404);
+      }
+      
+      return ResponseUtils.error(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Get blocked users list
+   */
+  static async getBlockedUsers(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return ResponseUtils.validationError(res, errors.array());
+      }
+
+      const { limit = 50, offset = 0 } = req.query;
+      const userId = req.user.id;
+
+      const result = await FriendService.getBlockedUsers(userId, {
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      });
+
+      return ResponseUtils.success(res, 'Blocked users retrieved successfully', result);
+    } catch (error) {
+      console.error('Get blocked users error:', error);
+      return ResponseUtils.error(res, error.message, 500);
+    }
+  }
+
   /**
    * Get friendship status between current user and another user
    */
@@ -285,6 +412,11 @@ class FriendController {
       return ResponseUtils.success(res, 'Mutual friends retrieved successfully', result);
     } catch (error) {
       console.error('Get mutual friends error:', error);
+      
+      if (error.message === 'User not found') {
+        return ResponseUtils.error(res, 'User not found', 404);
+      }
+      
       return ResponseUtils.error(res, error.message, 500);
     }
   }
@@ -0,0 +1,155 @@
+const MediaService = require('../services/media.service');
+const { validationResult } = require('express-validator');
+const ResponseUtils = require('../utils/response.utils');
+const MediaUtils = require('../utils/media.utils');
+const { storageConfig } = require('../config/storage.config');
+const { getStorage } = require('../storage');
+
+/**
+ * Media Controller - Streams stored photo files to authorized viewers
+ */
+class MediaController {
+  /**
+   * Stream a file through a signed URL
+   */
+  static async streamSignedFile(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return ResponseUtils.validationError(res, errors.array());
+      }
+
+      const key = req.params[0];
+      const expires = parseInt(req.query.expires);
+
+      if (!MediaUtils.verifySignature(key, expires, req.query.signature)) {
+        return ResponseUtils.forbidden(res, 'Invalid or expired media URL');
+      }
+
+      // Browsers may keep the file until the URL itself expires
+      const maxAge = Math.max(expires - Math.floor(Date.now() / 1000), 0);
+      return await MediaController.sendStoredFile(req, res, key, `private, max-age=${maxAge}`);
+    } catch (error) {
+      console.error('Stream signed file error:', error);
+      return MediaController.handleStreamError(res, error);
+    }
+  }
+
+  /**
+   * Stream a photo to its owner, permitted viewers, share recipients or share link holders
+   */
+  static async streamPhoto(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return ResponseUtils.validationError(res, errors.array());
+      }
+
+      const { photoId } = req.params;
+      const { variant = 'original', format = 'jpeg', shareToken } = req.query;
+
+      const key = await MediaService.getPhotoFile(parseInt(photoId), {
+        viewerId: req.user ? req.user.id : null,
+        shareToken: shareToken || null,
+        password: req.headers['x-share-password'] || null,
+        variant,
+        format
+      });
+
+      // Access can be revoked, so viewers must revalidate soon
+      res.set('Vary', 'Authorization');
+      return await MediaController.sendStoredFile(req, res, key, `private, max-age=${storageConfig.media.cacheMaxAge}`);
+    } catch (error) {
+      console.error('Stream photo error:', error);
+
+      if (error.message === 'Photo not found' || error.message === 'Share link not found') {
+        return ResponseUtils.notFound(res, error.message === 'Photo not found' ? 'Photo' : 'Share link');
+      }
+
+      if (error.message === 'Share link has expired') {
+        return ResponseUtils.error(res, error.message, 410);
+      }
+
+      if (error.message === 'Authentication required' || error.message === 'Password required') {
+        return ResponseUtils.unauthorized(res, error.message);
+      }
+
+      if (error.message === 'Invalid password' || error.message.includes('Access denied')) {
+        return ResponseUtils.forbidden(res, error.message);
+      }
+
+      return MediaController.handleStreamError(res, error);
+    }
+  }
+
+  /**
+   * Send a stored file with ETag, Last-Modified and single Range support
+   */
+  static async sendStoredFile(req, res, key, cacheControl) {
+    const storage = getStorage();
+    const stats = await storage.stat(key);
+
+    if (!stats) {
+      return ResponseUtils.notFound(res, 'File');
+    }
+
+    res.set({
+      'Accept-Ranges': 'bytes',
+      'Cache-Control': cacheControl,
+      'Content-Type': stats.contentType || 'application/octet-stream',
+      'ETag': stats.etag,
+      'Last-Modified': new Date(stats.lastModified).toUTCString(),
+      'X-Content-Type-Options': 'nosniff'
+    });
+
+    // Answers If-None-Match / If-Modified-Since against the headers set above
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    // A stale If-Range means the client's partial copy is outdated; send the whole file
+    const ifRange = req.headers['if-range'];
+    const range = !ifRange || ifRange === stats.etag ? MediaUtils.parseRange(req.headers.range, stats.size) : null;
+
+    if (range === -1) {
+      res.set('Content-Range', `bytes */${stats.size}`);
+      return ResponseUtils.error(res, 'Requested range not satisfiable', 416);
+    }
+
+    if (range) {
+      res.status(206);
+      res.set('Content-Range', `bytes ${range.start}-${range.end}/${stats.size}`);
+      res.set('Content-Length', String(range.end - range.start + 1));
+    } else {
+      res.set('Content-Length', String(stats.size));
+    }
+
+    if (req.method === 'HEAD') {
+      return res.end();
+    }
+
+    const stream = await storage.getStream(key, range || {});
+    stream.on('error', (error) => {
+      console.error('Media stream error:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  }
+
+  /**
+   * Answer storage errors that happen before streaming started
+   */
+  static handleStreamError(res, error) {
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    if (error.code === 'ENOENT') {
+      return ResponseUtils.notFound(res, 'File');
+    }
+
+    return ResponseUtils.serverError(res, error.message);
+  }
+}
+
+module.exports = MediaController;
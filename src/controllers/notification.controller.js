@@ -0,0 +1,126 @@
+const NotificationService = require('../services/notification.service');
+const { validationResult } = require('express-validator');
+const ResponseUtils = require('../utils/response.utils');
+
+/**
+ * Notification Controller - Handles HTTP requests for in-app notifications
+ */
+class NotificationController {
+  /**
+   * Get current user's notifications
+   */
+  static async getNotifications(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return ResponseUtils.validationError(res, errors.array());
+      }
+
+      const userId = req.user.id;
+      const { page = 1, limit = 20, unreadOnly = 'false' } = req.query;
+
+      const result = await NotificationService.getNotifications(userId, {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        unreadOnly: unreadOnly === 'true' || unreadOnly === true
+      });
+
+      return ResponseUtils.success(res, 'Notifications retrieved successfully', result);
+    } catch (error) {
+      console.error('Get notifications error:', error);
+      return ResponseUtils.serverError(res, error.message);
+    }
+  }
+
+  /**
+   * Get unread notification count
+   */
+  static async getUnreadCount(req, res) {
+    try {
+      const userId = req.user.id;
+
+      const result = await NotificationService.getUnreadCount(userId);
+
+      return ResponseUtils.success(res, 'Unread count retrieved successfully', result);
+    } catch (error) {
+      console.error('Get unread count error:', error);
+      return ResponseUtils.serverError(res, error.message);
+    }
+  }
+
+  /**
+   * Mark a notification as read
+   */
+  static async markAsRead(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return ResponseUtils.validationError(res, errors.array());
+      }
+
+      const { notificationId } = req.params;
+      const userId = req.user.id;
+
+      const notification = await NotificationService.markAsRead(parseInt(notificationId), userId);
+
+      return ResponseUtils.success(res, 'Notification marked as read', {
+        notification
+      });
+    } catch (error) {
+      console.error('Mark notification read error:', error);
+      
+      if (error.message === 'Notification not found') {
+        return ResponseUtils.error(res, error.message, 404);
+      }
+      
+      return ResponseUtils.serverError(res, error.message);
+    }
+  }
+
+  /**
+   * Mark all notifications as read
+   */
+  static async markAllAsRead(req, res) {
+    try {
+      const userId = req.user.id;
+
+      const result = await NotificationService.markAllAsRead(userId);
+
+      return ResponseUtils.success(res, 'All notifications marked as read', result);
+    } catch (error) {
+      console.error('Mark all notifications read error:', error);
+      return ResponseUtils.serverError(res, error.message);
+    }
+  }
+
+  /**
+   * Delete a notification
+   */
+  static async deleteNotification(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return ResponseUtils.validationError(res, errors.array());
+      }
+
+      const { notificationId } = req.params;
+      const userId = req.user.id;
+
+      const deletedNotification = await NotificationService.deleteNotification(parseInt(notificationId), userId);
+
+      return ResponseUtils.success(res, 'Notification deleted successfully', {
+        deletedNotification
+      });
+    } catch (error) {
+      console.error('Delete notification error:', error);
+      
+      if (error.message === 'Notification not found') {
+        return ResponseUtils.error(res, error.message, 404);
+      }
+      
+      return ResponseUtils.serverError(res, error.message);
+    }
+  }
+}
+
+module.exports = NotificationController;
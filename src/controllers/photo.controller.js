@@ -21,13 +21,14 @@ class PhotoController {
         return ResponseUtils.error(res, 'No file uploaded', 400);
       }
 
-      const { caption, permissionType, customGroupId } = req.body;
+      const { caption, permissionType, customGroupId, tags } = req.body;
       const userId = req.user.id;
 
       const result = await PhotoService.uploadPhoto(userId, req.file, {
         caption,
         permissionType,
-        customGroupId
+        customGroupId,
+        tags
       });
 
       return ResponseUtils.created(res, 'Photo uploaded successfully', {
@@ -122,7 +123,7 @@ class PhotoController {
       console.log('Update photo request body:', req.body); // Debug log
 
       const { photoId } = req.params;
-      const { caption, permissionType, customGroupId } = req.body;
+      const { caption, permissionType, customGroupId, tags } = req.body;
       const userId = req.user.id;
 
       // Build update data object
@@ -130,6 +131,7 @@ class PhotoController {
       if (caption !== undefined) updateData.caption = caption;
       if (permissionType !== undefined) updateData.permissionType = permissionType;
       if (customGroupId !== undefined) updateData.customGroupId = customGroupId;
+      if (tags !== undefined) updateData.tags = tags;
 
       console.log('Update data object:', updateData); // Debug log
 
@@ -172,7 +174,7 @@ class PhotoController {
 
       const deletedPhoto = await PhotoService.deletePhoto(parseInt(photoId), userId);
 
-      return ResponseUtils.success(res, 'Photo deleted successfully', {
+      return ResponseUtils.success(res, 'Photo moved to trash', {
         deletedPhoto
       });
     } catch (error) {
@@ -190,6 +192,97 @@ class PhotoController {
     }
   }
 
+  /**
+   * Get photos in trash
+   */
+  static async getTrash(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return ResponseUtils.validationError(res, errors.array());
+      }
+
+      const userId = req.user.id;
+      const { page = 1, limit = 20 } = req.query;
+
+      const result = await PhotoService.getTrash(userId, {
+        page: parseInt(page),
+        limit: parseInt(limit)
+      });
+
+      return ResponseUtils.success(res, 'Trash retrieved successfully', result);
+    } catch (error) {
+      console.error('Get trash error:', error);
+      return ResponseUtils.serverError(res, error.message);
+    }
+  }
+
+  /**
+   * Restore a photo from trash
+   */
+  static async restorePhoto(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return ResponseUtils.validationError(res, errors.array());
+      }
+
+      const { photoId } = req.params;
+      const userId = req.user.id;
+
+      const result = await PhotoService.restorePhotos(userId, [parseInt(photoId)]);
+
+      if (result.restored.length === 0) {
+        return ResponseUtils.error(res, 'Photo not found in trash', 404);
+      }
+
+      return ResponseUtils.success(res, 'Photo restored successfully', {
+        photoId: result.restored[0]
+      });
+    } catch (error) {
+      console.error('Restore photo error:', error);
+      return ResponseUtils.serverError(res, error.message);
+    }
+  }
+
+  /**
+   * Restore photos from trash
+   */
+  static async restorePhotos(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return ResponseUtils.validationError(res, errors.array());
+      }
+
+      const { photoIds } = req.body;
+      const userId = req.user.id;
+
+      const result = await PhotoService.restorePhotos(userId, photoIds);
+
+      return ResponseUtils.success(res, 'Photos restored successfully', result);
+    } catch (error) {
+      console.error('Restore photos error:', error);
+      return ResponseUtils.serverError(res, error.message);
+    }
+  }
+
+  /**
+   * Empty trash
+   */
+  static async emptyTrash(req, res) {
+    try {
+      const userId = req.user.id;
+
+      const result = await PhotoService.emptyTrash(userId);
+
+      return ResponseUtils.success(res, 'Trash emptied successfully', result);
+    } catch (error) {
+      console.error('Empty trash error:', error);
+      return ResponseUtils.serverError(res, error.message);
+    }
+  }
+
   /**
    * Discover photos from friends
    */
@@ -275,6 +368,176 @@ class PhotoController {
     }
   }
 
+  /**
+   * Get capture-date bucket counts of a user's photos
+   */
+  static async getCaptureTimelineBuckets(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return ResponseUtils.validationError(res, errors.array());
+      }
+
+      const { userId } = req.params;
+      const { granularity = 'month', bucket = null } = req.query;
+
+      const result = await PhotoService.getCaptureTimelineBuckets(parseInt(userId), req.user.id, {
+        granularity,
+        bucket
+      });
+
+      return ResponseUtils.success(res, 'Timeline buckets retrieved successfully', result);
+    } catch (error) {
+      console.error('Get timeline buckets error:', error);
+
+      if (error.message === 'User not found') {
+        return ResponseUtils.notFound(res, 'User');
+      }
+
+      if (error.message === 'Invalid timeline bucket') {
+        return ResponseUtils.error(res, error.message, 400);
+      }
+
+      return ResponseUtils.serverError(res, error.message);
+    }
+  }
+
+  /**
+   * Get a user's photos ordered by capture date
+   */
+  static async getCaptureTimeline(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return ResponseUtils.validationError(res, errors.array());
+      }
+
+      const { userId } = req.params;
+      const { bucket = null, cursor = null, limit = 30 } = req.query;
+
+      const result = await PhotoService.getCaptureTimeline(parseInt(userId), req.user.id, {
+        bucket,
+        cursor,
+        limit: parseInt(limit)
+      });
+
+      return ResponseUtils.success(res, 'Timeline photos retrieved successfully', result);
+    } catch (error) {
+      console.error('Get capture timeline error:', error);
+
+      if (error.message === 'User not found') {
+        return ResponseUtils.notFound(res, 'User');
+      }
+
+      if (error.message === 'Invalid timeline bucket' || error.message === 'Invalid timeline cursor') {
+        return ResponseUtils.error(res, error.message, 400);
+      }
+
+      return ResponseUtils.serverError(res, error.message);
+    }
+  }
+
+  /**
+   * Like a photo
+   */
+  static async likePhoto(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return ResponseUtils.validationError(res, errors.array());
+      }
+
+      const { photoId } = req.params;
+      const userId = req.user.id;
+
+      const result = await PhotoService.likePhoto(parseInt(photoId), userId);
+
+      return ResponseUtils.success(res, 'Photo liked successfully', result);
+    } catch (error) {
+      console.error('Like photo error:', error);
+      
+      if (error.message === 'Photo not found') {
+        return ResponseUtils.error(res, 'Photo not found', 404);
+      }
+      
+      if (error.message.startsWith('Access denied')) {
+        return ResponseUtils.error(res, error.message, 403);
+      }
+      
+      return ResponseUtils.serverError(res, error.message);
+    }
+  }
+
+  /**
+   * Unlike a photo
+   */
+  static async unlikePhoto(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return ResponseUtils.validationError(res, errors.array());
+      }
+
+      const { photoId } = req.params;
+      const userId = req.user.id;
+
+      const result = await PhotoService.unlikePhoto(parseInt(photoId), userId);
+
+      return ResponseUtils.success(res, 'Photo unliked successfully', result);
+    } catch (error) {
+      console.error('Unlike photo error:', error);
+      
+      if (error.message === 'Photo not found' || error.message === 'Like not found') {
+        return ResponseUtils.error(res, error.message, 404);
+      }
+      
+      if (error.message.startsWith('Access denied')) {
+        return ResponseUtils.error(res, error.message, 403);
+      }
+      
+      return ResponseUtils.serverError(res, error.message);
+    }
+  }
+
+  /**
+   * Get users who liked a photo
+   */
+  static async getPhotoLikes(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return ResponseUtils.validationError(res, errors.array());
+      }
+
+      const { photoId } = req.params;
+      const currentUserId = req.user.id;
+      const { page = 1, limit = 20 } = req.query;
+
+      const result = await PhotoService.getPhotoLikes(
+        parseInt(photoId), 
+        currentUserId, 
+        { 
+          page: parseInt(page), 
+          limit: parseInt(limit) 
+        }
+      );
+
+      return ResponseUtils.success(res, 'Photo likes retrieved successfully', result);
+    } catch (error) {
+      console.error('Get photo likes error:', error);
+      
+      if (error.message === 'Photo not found') {
+        return ResponseUtils.error(res, 'Photo not found', 404);
+      }
+      
+      if (error.message.startsWith('Access denied')) {
+        return ResponseUtils.error(res, error.message, 403);
+      }
+      
+      return ResponseUtils.serverError(res, error.message);
+    }
+  }
+
   /**
    * Get storage statistics
    */
@@ -18,18 +18,30 @@ class SharingController {
         return ResponseUtils.validationError(res, errors.array());
       }
 
-      const { name, description, isPublic } = req.body;
+      const { name, description, privacyType, customGroupId, sortMode, isPublic } = req.body;
       const userId = req.user.id;
 
       const album = await SharingService.createAlbum(userId, {
         name,
         description,
+        privacyType,
+        customGroupId,
+        sortMode,
         isPublic
       });
 
       return ResponseUtils.created(res, 'Album created successfully', { album });
     } catch (error) {
       console.error('Create album error:', error);
+      
+      if (error.message.includes('Custom group ID is required')) {
+        return ResponseUtils.error(res, error.message, 400);
+      }
+      
+      if (error.message.includes('Custom permission group not found')) {
+        return ResponseUtils.error(res, error.message, 403);
+      }
+      
       return ResponseUtils.serverError(res, error.message);
     }
   }
@@ -60,6 +72,32 @@ class SharingController {
     }
   }
 
+  /**
+   * Get albums of other users visible to the current user
+   */
+  static async getAlbumFeed(req, res) {
+    try {
+      // Check validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return ResponseUtils.validationError(res, errors.array());
+      }
+
+      const userId = req.user.id;
+      const { page = 1, limit = 20 } = req.query;
+
+      const result = await SharingService.getAlbumFeed(userId, {
+        page: parseInt(page),
+        limit: parseInt(limit)
+      });
+
+      return ResponseUtils.success(res, 'Album feed retrieved successfully', result);
+    } catch (error) {
+      console.error('Get album feed error:', error);
+      return ResponseUtils.serverError(res, error.message);
+    }
+  }
+
   /**
    * Get album details with photos
    */
@@ -72,9 +110,10 @@ class SharingController {
       }
 
       const { albumId } = req.params;
+      const { sort } = req.query;
       const currentUserId = req.user.id;
 
-      const result = await SharingService.getAlbumDetails(parseInt(albumId), currentUserId);
+      const result = await SharingService.getAlbumDetails(parseInt(albumId), currentUserId, { sortMode: sort });
 
       return ResponseUtils.success(res, 'Album details retrieved successfully', result);
     } catch (error) {
@@ -113,6 +152,18 @@ class SharingController {
     } catch (error) {
       console.error('Update album error:', error);
       
+      if (error.message.includes('Custom group ID is required')) {
+        return ResponseUtils.error(res, error.message, 400);
+      }
+      
+      if (error.message.includes('Custom permission group not found')) {
+        return ResponseUtils.error(res, error.message, 403);
+      }
+      
+      if (error.message === 'Cover photo must be a photo in the album') {
+        return ResponseUtils.error(res, error.message, 400);
+      }
+      
       if (error.message.includes('not found') || error.message.includes('access denied')) {
         return ResponseUtils.notFound(res, error.message);
       }
@@ -161,6 +212,84 @@ class SharingController {
     }
   }
 
+  /**
+   * Get albums in trash
+   */
+  static async getAlbumTrash(req, res) {
+    try {
+      // Check validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return ResponseUtils.validationError(res, errors.array());
+      }
+
+      const userId = req.user.id;
+      const { page = 1, limit = 20 } = req.query;
+
+      const result = await SharingService.getAlbumTrash(userId, {
+        page: parseInt(page),
+        limit: parseInt(limit)
+      });
+
+      return ResponseUtils.success(res, 'Album trash retrieved successfully', result);
+    } catch (error) {
+      console.error('Get album trash error:', error);
+      return ResponseUtils.serverError(res, error.message);
+    }
+  }
+
+  /**
+   * Restore an album from trash
+   */
+  static async restoreAlbum(req, res) {
+    try {
+      // Check validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return ResponseUtils.validationError(res, errors.array());
+      }
+
+      const { albumId } = req.params;
+      const userId = req.user.id;
+
+      const result = await SharingService.restoreAlbums(userId, [parseInt(albumId)]);
+
+      if (result.restored.length === 0) {
+        return ResponseUtils.error(res, 'Album not found in trash', 404);
+      }
+
+      return ResponseUtils.success(res, 'Album restored successfully', {
+        albumId: result.restored[0]
+      });
+    } catch (error) {
+      console.error('Restore album error:', error);
+      return ResponseUtils.serverError(res, error.message);
+    }
+  }
+
+  /**
+   * Restore albums from trash
+   */
+  static async restoreAlbums(req, res) {
+    try {
+      // Check validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return ResponseUtils.validationError(res, errors.array());
+      }
+
+      const { albumIds } = req.body;
+      const userId = req.user.id;
+
+      const result = await SharingService.restoreAlbums(userId, albumIds);
+
+      return ResponseUtils.success(res, 'Albums restored successfully', result);
+    } catch (error) {
+      console.error('Restore albums error:', error);
+      return ResponseUtils.serverError(res, error.message);
+    }
+  }
+
   /**
    * Add photos to an album
    */
@@ -233,6 +362,75 @@ class SharingController {
     }
   }
 
+  /**
+   * Reorder album photos
+   */
+  static async reorderAlbumPhotos(req, res) {
+    try {
+      // Check validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return ResponseUtils.validationError(res, errors.array());
+      }
+
+      const { albumId } = req.params;
+      const { photoIds } = req.body;
+      const userId = req.user.id;
+
+      const result = await SharingService.reorderAlbumPhotos(parseInt(albumId), userId, photoIds);
+
+      return ResponseUtils.success(res, 'Album photos reordered successfully', result);
+    } catch (error) {
+      console.error('Reorder album photos error:', error);
+      
+      if (error.message.includes('Photos not found in album') || error.message.includes('duplicates')) {
+        return ResponseUtils.error(res, error.message, 400);
+      }
+      
+      if (error.message.includes('not found') || error.message.includes('access denied')) {
+        return ResponseUtils.notFound(res, error.message);
+      }
+      
+      return ResponseUtils.serverError(res, error.message);
+    }
+  }
+
+  /**
+   * Move an album photo before or after another one
+   */
+  static async moveAlbumPhoto(req, res) {
+    try {
+      // Check validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return ResponseUtils.validationError(res, errors.array());
+      }
+
+      const { albumId, photoId } = req.params;
+      const { beforePhotoId, afterPhotoId } = req.body;
+      const userId = req.user.id;
+
+      const result = await SharingService.moveAlbumPhoto(parseInt(albumId), userId, parseInt(photoId), {
+        beforePhotoId,
+        afterPhotoId
+      });
+
+      return ResponseUtils.success(res, 'Album photo moved successfully', result);
+    } catch (error) {
+      console.error('Move album photo error:', error);
+      
+      if (error.message.includes('Photos not found in album') || error.message.includes('relative to itself')) {
+        return ResponseUtils.error(res, error.message, 400);
+      }
+      
+      if (error.message.includes('not found') || error.message.includes('access denied')) {
+        return ResponseUtils.notFound(res, error.message);
+      }
+      
+      return ResponseUtils.serverError(res, error.message);
+    }
+  }
+
   /**
    * Create a new share
    */
@@ -261,7 +459,7 @@ class SharingController {
         return ResponseUtils.notFound(res, error.message);
       }
       
-      if (error.message.includes('Invalid share type')) {
+      if (error.message.includes('Invalid share type') || error.message.includes('Contribute permission')) {
         return ResponseUtils.error(res, error.message, 400);
       }
       
@@ -430,6 +628,164 @@ class SharingController {
     }
   }
 
+  /**
+   * Create a public share link
+   */
+  static async createShareLink(req, res) {
+    try {
+      // Check validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return ResponseUtils.validationError(res, errors.array());
+      }
+
+      const userId = req.user.id;
+
+      const link = await SharingService.createShareLink(userId, req.body);
+
+      return ResponseUtils.created(res, 'Share link created successfully', { link });
+    } catch (error) {
+      console.error('Create share link error:', error);
+      
+      if (error.message.includes('not found') || error.message.includes('access denied')) {
+        return ResponseUtils.error(res, error.message, 404);
+      }
+      
+      if (error.message.includes('Share links support only')) {
+        return ResponseUtils.error(res, error.message, 400);
+      }
+      
+      return ResponseUtils.serverError(res, error.message);
+    }
+  }
+
+  /**
+   * Get share links created by the current user
+   */
+  static async getShareLinks(req, res) {
+    try {
+      // Check validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return ResponseUtils.validationError(res, errors.array());
+      }
+
+      const userId = req.user.id;
+      const { page = 1, limit = 20 } = req.query;
+
+      const result = await SharingService.getShareLinks(userId, {
+        page: parseInt(page),
+        limit: parseInt(limit)
+      });
+
+      return ResponseUtils.success(res, 'Share links retrieved successfully', result);
+    } catch (error) {
+      console.error('Get share links error:', error);
+      return ResponseUtils.serverError(res, error.message);
+    }
+  }
+
+  /**
+   * Open a share link and get its content
+   */
+  static async accessShareLink(req, res) {
+    try {
+      // Check validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return ResponseUtils.validationError(res, errors.array());
+      }
+
+      const { token } = req.params;
+      const { page = 1, limit = 50 } = req.query;
+
+      const result = await SharingService.accessShareLink(token, {
+        viewerId: req.user ? req.user.id : null,
+        password: req.headers['x-share-password'] || null,
+        page: parseInt(page),
+        limit: parseInt(limit)
+      });
+
+      return ResponseUtils.success(res, 'Shared content retrieved successfully', result);
+    } catch (error) {
+      console.error('Access share link error:', error);
+      
+      if (error.message === 'Share link not found') {
+        return ResponseUtils.notFound(res, 'Share link');
+      }
+      
+      if (error.message === 'Share link has expired' || error.message === 'Share link access limit reached') {
+        return ResponseUtils.error(res, error.message, 410);
+      }
+      
+      if (error.message === 'Authentication required' || error.message === 'Password required') {
+        return ResponseUtils.unauthorized(res, error.message);
+      }
+      
+      if (error.message === 'Invalid password') {
+        return ResponseUtils.forbidden(res, error.message);
+      }
+      
+      return ResponseUtils.serverError(res, error.message);
+    }
+  }
+
+  /**
+   * Rotate the token of a share link
+   */
+  static async rotateShareLink(req, res) {
+    try {
+      // Check validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return ResponseUtils.validationError(res, errors.array());
+      }
+
+      const { token } = req.params;
+      const userId = req.user.id;
+
+      const link = await SharingService.rotateShareLink(token, userId);
+
+      return ResponseUtils.success(res, 'Share link token rotated successfully', { link });
+    } catch (error) {
+      console.error('Rotate share link error:', error);
+      
+      if (error.message === 'Share link not found') {
+        return ResponseUtils.notFound(res, 'Share link');
+      }
+      
+      return ResponseUtils.serverError(res, error.message);
+    }
+  }
+
+  /**
+   * Revoke a share link
+   */
+  static async revokeShareLink(req, res) {
+    try {
+      // Check validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return ResponseUtils.validationError(res, errors.array());
+      }
+
+      const { token } = req.params;
+      const userId = req.user.id;
+
+      const link = await SharingService.revokeShareLink(token, userId);
+
+      return ResponseUtils.success(res, 'Share link revoked successfully', { link });
+    } catch (error) {
+      console.error('Revoke share link error:', error);
+      
+      if (error.message === 'Share link not found') {
+        return ResponseUtils.notFound(res, 'Share link');
+      }
+      
+      return ResponseUtils.serverError(res, error.message);
+    }
+  }
+
   /**
    * Get content shared with the current user
    */
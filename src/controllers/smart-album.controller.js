@@ -0,0 +1,178 @@
+const SmartAlbumService = require('../services/smart-album.service');
+const { validationResult } = require('express-validator');
+const ResponseUtils = require('../utils/response.utils');
+
+/**
+ * Smart Album Controller - Handles HTTP requests for smart album operations
+ */
+
+class SmartAlbumController {
+  /**
+   * Create a new smart album
+   */
+  static async createSmartAlbum(req, res) {
+    try {
+      // Check validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return ResponseUtils.validationError(res, errors.array());
+      }
+
+      const { name, description, filters } = req.body;
+      const userId = req.user.id;
+
+      const smartAlbum = await SmartAlbumService.createSmartAlbum(userId, {
+        name,
+        description,
+        filters
+      });
+
+      return ResponseUtils.created(res, 'Smart album created successfully', { smartAlbum });
+    } catch (error) {
+      console.error('Create smart album error:', error);
+
+      if (SmartAlbumController.isFilterError(error)) {
+        return ResponseUtils.error(res, error.message, 400);
+      }
+
+      return ResponseUtils.serverError(res, error.message);
+    }
+  }
+
+  /**
+   * Get smart albums for the current user
+   */
+  static async getUserSmartAlbums(req, res) {
+    try {
+      // Check validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return ResponseUtils.validationError(res, errors.array());
+      }
+
+      const userId = req.user.id;
+      const { page = 1, limit = 20 } = req.query;
+
+      const result = await SmartAlbumService.getUserSmartAlbums(userId, {
+        page: parseInt(page),
+        limit: parseInt(limit)
+      });
+
+      return ResponseUtils.success(res, 'Smart albums retrieved successfully', result);
+    } catch (error) {
+      console.error('Get user smart albums error:', error);
+      return ResponseUtils.serverError(res, error.message);
+    }
+  }
+
+  /**
+   * Get smart album details with a page of matching photos
+   */
+  static async getSmartAlbumDetails(req, res) {
+    try {
+      // Check validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return ResponseUtils.validationError(res, errors.array());
+      }
+
+      const { smartAlbumId } = req.params;
+      const { page = 1, limit = 20 } = req.query;
+      const userId = req.user.id;
+
+      const result = await SmartAlbumService.getSmartAlbumDetails(parseInt(smartAlbumId), userId, {
+        page: parseInt(page),
+        limit: parseInt(limit)
+      });
+
+      return ResponseUtils.success(res, 'Smart album details retrieved successfully', result);
+    } catch (error) {
+      console.error('Get smart album details error:', error);
+
+      if (error.message.includes('not found')) {
+        return ResponseUtils.notFound(res, error.message);
+      }
+
+      if (error.message.includes('Access denied')) {
+        return ResponseUtils.forbidden(res, error.message);
+      }
+
+      return ResponseUtils.serverError(res, error.message);
+    }
+  }
+
+  /**
+   * Update a smart album
+   */
+  static async updateSmartAlbum(req, res) {
+    try {
+      // Check validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return ResponseUtils.validationError(res, errors.array());
+      }
+
+      const { smartAlbumId } = req.params;
+      const { name, description, filters } = req.body;
+      const userId = req.user.id;
+
+      const smartAlbum = await SmartAlbumService.updateSmartAlbum(parseInt(smartAlbumId), userId, {
+        name,
+        description,
+        filters
+      });
+
+      return ResponseUtils.success(res, 'Smart album updated successfully', { smartAlbum });
+    } catch (error) {
+      console.error('Update smart album error:', error);
+
+      if (error.message.includes('not found') || error.message.includes('access denied')) {
+        return ResponseUtils.notFound(res, error.message);
+      }
+
+      if (SmartAlbumController.isFilterError(error) || error.message.includes('No fields to update')) {
+        return ResponseUtils.error(res, error.message, 400);
+      }
+
+      return ResponseUtils.serverError(res, error.message);
+    }
+  }
+
+  /**
+   * Delete a smart album
+   */
+  static async deleteSmartAlbum(req, res) {
+    try {
+      // Check validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return ResponseUtils.validationError(res, errors.array());
+      }
+
+      const { smartAlbumId } = req.params;
+      const userId = req.user.id;
+
+      const result = await SmartAlbumService.deleteSmartAlbum(parseInt(smartAlbumId), userId);
+
+      return ResponseUtils.success(res, 'Smart album deleted successfully', { deletedSmartAlbum: result });
+    } catch (error) {
+      console.error('Delete smart album error:', error);
+
+      if (error.message.includes('not found') || error.message.includes('access denied')) {
+        return ResponseUtils.notFound(res, error.message);
+      }
+
+      return ResponseUtils.serverError(res, error.message);
+    }
+  }
+
+  /**
+   * Whether an error comes from rejecting the saved filter
+   */
+  static isFilterError(error) {
+    return error.message.includes('At least one filter is required') ||
+      error.message.includes('takenFrom must be before takenTo');
+  }
+}
+
+module.exports = SmartAlbumController;
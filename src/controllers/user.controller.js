@@ -34,7 +34,7 @@ class UserController {
   static async getUserProfileById(req, res) {
     try {
       const { userId } = req.params;
-      const result = await UserService.getUserProfile(parseInt(userId));
+      const result = await UserService.getUserProfile(parseInt(userId), req.user.id);
       
       return ResponseUtils.success(res, 'User profile retrieved successfully', result);
     } catch (error) {
@@ -126,18 +126,30 @@ class UserController {
    */
   static async getUserActivity(req, res) {
     try {
+      // Check validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return ResponseUtils.validationError(res, errors.array());
+      }
+
       const userId = req.user.id;
-      const { days = 30 } = req.query;
+      const { days = 30, page = 1, limit = 20, action, resourceType } = req.query;
       
-      const result = await UserService.getUserActivity(userId, parseInt(days));
+      const result = await UserService.getUserActivity(userId, {
+        days: parseInt(days),
+        page: parseInt(page),
+        limit: parseInt(limit),
+        action: action || null,
+        resourceType: resourceType || null
+      });
       
-      return res.status(result.success ? 200 : result.statusCode || 500).json(result);
+      return ResponseUtils.success(res, 'User activity retrieved successfully', result);
     } catch (error) {
       console.error('Get user activity error:', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Internal server error'
-      });
+      if (error.message === 'User not found') {
+        return ResponseUtils.notFound(res, 'User not found');
+      }
+      return ResponseUtils.serverError(res, 'Failed to retrieve user activity');
     }
   }
 
@@ -209,6 +221,50 @@ class UserController {
       return ResponseUtils.serverError(res, 'Không thể lấy cài đặt đồng bộ');
     }
   }
+
+  /**
+   * Get user privacy settings
+   * GET /api/v2/users/privacy-settings
+   */
+  static async getPrivacySettings(req, res) {
+    try {
+      const result = await UserService.getPrivacySettings(req.user.id);
+
+      return ResponseUtils.success(res, 'Privacy settings retrieved successfully', result);
+    } catch (error) {
+      console.error('Get privacy settings error:', error);
+      if (error.message === 'User not found') {
+        return ResponseUtils.notFound(res, 'User');
+      }
+      return ResponseUtils.serverError(res, 'Failed to retrieve privacy settings');
+    }
+  }
+
+  /**
+   * Update user privacy settings
+   * PUT /api/v2/users/privacy-settings
+   */
+  static async updatePrivacySettings(req, res) {
+    try {
+      // Check validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return ResponseUtils.validationError(res, errors.array());
+      }
+
+      const result = await UserService.updatePrivacySettings(req.user.id, {
+        stripGpsOnUpload: req.body.stripGpsOnUpload
+      });
+
+      return ResponseUtils.success(res, 'Privacy settings updated successfully', result);
+    } catch (error) {
+      console.error('Update privacy settings error:', error);
+      if (error.message === 'User not found') {
+        return ResponseUtils.notFound(res, 'User');
+      }
+      return ResponseUtils.serverError(res, 'Failed to update privacy settings');
+    }
+  }
 }
 
 module.exports = UserController; 
\ No newline at end of file
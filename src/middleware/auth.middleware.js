@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
 const { authConfig } = require('../config/auth.config');
 const UserModel = require('../models/user.model');
+const ActivityLogModel = require('../models/activity-log.model');
 
 /**
  * Auth Middleware
@@ -48,7 +49,7 @@ class AuthMiddleware {
 
       try {
         // Verify user still exists and is active
-        const user = await UserModel.findById(decoded.userId);
+        const user = await UserModel.findAuthById(decoded.userId);
         if (!user) {
           return res.status(401).json({
             success: false,
@@ -57,6 +58,15 @@ class AuthMiddleware {
           });
         }
 
+        // Tokens issued before the last password change/reset are revoked
+        if ((decoded.tokenVersion || 0) !== user.token_version) {
+          return res.status(401).json({
+            success: false,
+            message: 'Access token has been revoked',
+            errorCode: 'TOKEN_REVOKED'
+          });
+        }
+
         // Add user info to request
         req.user = {
           id: user.id,
@@ -96,8 +106,8 @@ class AuthMiddleware {
       }
 
       try {
-        const user = await UserModel.findById(decoded.userId);
-        if (user) {
+        const user = await UserModel.findAuthById(decoded.userId);
+        if (user && (decoded.tokenVersion || 0) === user.token_version) {
           req.user = {
             id: user.id,
             username: user.username,
@@ -212,15 +222,68 @@ class AuthMiddleware {
   }
 
   /**
-   * Log user activity
+   * Log user activity to activity_logs once the request succeeds
+   * @param {string} action - Action name (e.g. 'photo_upload')
+   * @param {Object} options - Resource info
+   * @param {string} options.resourceType - Resource type (e.g. 'photo', 'album', 'friend')
+   * @param {string|Function} options.resourceId - Route param name, or (req, data) => id
+   * @param {Function} options.metadata - Optional (req, data) => extra metadata
    */
-  static logActivity(action) {
+  static logActivity(action, { resourceType = null, resourceId = null, metadata = null } = {}) {
     return (req, res, next) => {
-      if (req.user) {
-        // Log user activity for analytics/security
-        console.log(`User ${req.user.id} performed action: ${action} at ${new Date().toISOString()}`);
-        // In a real app, this would write to a logging service or database
+      if (!req.user) {
+        return next();
       }
+
+      // Capture response body so created resource IDs can be recorded
+      let responseBody = null;
+      const originalJson = res.json.bind(res);
+      res.json = (body) => {
+        responseBody = body;
+        return originalJson(body);
+      };
+
+      res.on('finish', () => {
+        if (res.statusCode >= 400) {
+          return;
+        }
+
+        const data = responseBody && responseBody.data;
+        let id = null;
+        let extraMetadata = {};
+        try {
+          if (typeof resourceId === 'function') {
+            id = resourceId(req, data) || null;
+          } else if (resourceId) {
+            id = req.params[resourceId] || null;
+          }
+          if (metadata) {
+            extraMetadata = metadata(req, data) || {};
+          }
+        } catch (error) {
+          id = null;
+        }
+
+        const parsedId = id !== null ? parseInt(id) : null;
+
+        ActivityLogModel.create({
+          userId: req.user.id,
+          action,
+          resourceType,
+          resourceId: Number.isInteger(parsedId) ? parsedId : null,
+          metadata: {
+            method: req.method,
+            path: req.originalUrl,
+            statusCode: res.statusCode,
+            ...extraMetadata
+          },
+          ipAddress: req.ip || null,
+          userAgent: req.get('user-agent') || null
+        }).catch(error => {
+          console.error('Log activity error:', error);
+        });
+      });
+
       next();
     };
   }
@@ -1,91 +1,42 @@
-const multer = require('multer');
+const express = require('express');
+const { storageConfig } = require('../config/storage.config');
 
 /**
  * Device Sync Upload Middleware
- * Configures multer for bulk photo uploads from devices
+ * Reads raw chunk bodies for resumable device uploads
  */
 
-// Configure multer for device sync uploads
-const storage = multer.memoryStorage();
+const { maxChunkSize } = storageConfig.resumableUploads;
 
-const deviceSyncUpload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 50 * 1024 * 1024, // 50MB per file for high-res photos
-    files: 100 // Maximum 100 files at once for device sync
-  },
-  fileFilter: (req, file, cb) => {
-    // Extended file types for device sync including RAW formats
-    const allowedTypes = [
-      'image/jpeg',
-      'image/jpg', 
-      'image/png',
-      'image/gif',
-      'image/webp',
-      'image/heic',
-      'image/heif',
-      'image/tiff',
-      'image/bmp',
-      // RAW formats
-      'image/x-canon-cr2',
-      'image/x-canon-crw',
-      'image/x-nikon-nef',
-      'image/x-sony-arw',
-      'image/x-adobe-dng',
-      'image/x-panasonic-raw',
-      'image/x-olympus-orf',
-      'image/x-fuji-raf',
-      'image/x-kodak-dcr',
-      'image/x-sigma-x3f'
-    ];
-
-    if (allowedTypes.includes(file.mimetype)) {
-      cb(null, true);
-    } else {
-      cb(new Error(`Invalid file type: ${file.mimetype}. Only image files are allowed for device sync.`), false);
-    }
-  }
+// Chunks are sent as the raw request body, whatever the content type
+const chunkUpload = express.raw({
+  type: () => true,
+  limit: maxChunkSize
 });
 
-// Middleware for handling multiple file uploads for device sync
-const deviceSyncMultipleUpload = deviceSyncUpload.array('photos', 100);
+// Error handling middleware for chunk uploads
+const handleChunkUploadErrors = (error, req, res, next) => {
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({
+      success: false,
+      message: `Chunk too large. Maximum size is ${Math.round(maxChunkSize / (1024 * 1024))}MB per chunk.`,
+      errorCode: 'CHUNK_TOO_LARGE'
+    });
+  }
 
-// Enhanced error handling middleware for device sync uploads
-const handleDeviceSyncUploadErrors = (error, req, res, next) => {
-  if (error instanceof multer.MulterError) {
-    switch (error.code) {
-      case 'LIMIT_FILE_SIZE':
-        return res.status(400).json({
-          success: false,
-          message: 'File too large. Maximum size is 50MB per file.',
-          errorCode: 'FILE_TOO_LARGE'
-        });
-      case 'LIMIT_FILE_COUNT':
-        return res.status(400).json({
-          success: false,
-          message: 'Too many files. Maximum is 100 files per upload.',
-          errorCode: 'TOO_MANY_FILES'
-        });
-      case 'LIMIT_UNEXPECTED_FILE':
-        return res.status(400).json({
-          success: false,
-          message: 'Unexpected file field. Use "photos" field for file uploads.',
-          errorCode: 'UNEXPECTED_FILE'
-        });
-      default:
-        return res.status(400).json({
-          success: false,
-          message: 'File upload error: ' + error.message,
-          errorCode: 'UPLOAD_ERROR'
-        });
-    }
+  if (error.type === 'request.aborted') {
+    return res.status(400).json({
+      success: false,
+      message: 'Chunk upload was interrupted. Query the upload and resend the missing ranges.',
+      errorCode: 'UPLOAD_ABORTED'
+    });
   }
 
-  if (error.message && error.message.includes('Invalid file type')) {
+  if (error.type === 'request.size.invalid') {
     return res.status(400).json({
       success: false,
-      message: error.message,
-      errorCode: 'INVALID_FILE_TYPE'
+      message: 'Chunk size does not match Content-Length.',
+      errorCode: 'UPLOAD_ERROR'
     });
   }
 
@@ -93,6 +44,6 @@ const handleDeviceSyncUploadErrors = (error, req, res, next) => {
 };
 
 module.exports = {
-  deviceSyncMultipleUpload,
-  handleDeviceSyncUploadErrors
-}; 
\ No newline at end of file
+  chunkUpload,
+  handleChunkUploadErrors
+};
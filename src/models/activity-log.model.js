@@ -0,0 +1,119 @@
+const { pool } = require('../config/database.config');
+
+/**
+ * Activity Log Model - Handles the user activity audit trail
+ */
+class ActivityLogModel {
+  /**
+   * Record an activity
+   */
+  static async create({ userId, action, resourceType = null, resourceId = null, metadata = null, ipAddress = null, userAgent = null }) {
+    const query = `
+      INSERT INTO activity_logs (user_id, action, resource_type, resource_id, metadata, ip_address, user_agent)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `;
+
+    const values = [
+      userId,
+      action,
+      resourceType,
+      resourceId,
+      metadata ? JSON.stringify(metadata) : null,
+      ipAddress,
+      userAgent
+    ];
+
+    const result = await pool.query(query, values);
+    return result.rows[0];
+  }
+
+  /**
+   * Build WHERE clause shared by activity listing queries
+   */
+  static buildFilters(userId, { days = 30, action = null, resourceType = null } = {}) {
+    const conditions = ['user_id = $1', "created_at >= NOW() - ($2 || ' days')::INTERVAL"];
+    const values = [userId, String(days)];
+
+    if (action) {
+      values.push(action);
+      conditions.push(`action = $${values.length}`);
+    }
+
+    if (resourceType) {
+      values.push(resourceType);
+      conditions.push(`resource_type = $${values.length}`);
+    }
+
+    return { where: conditions.join(' AND '), values };
+  }
+
+  /**
+   * Get activities of a user with pagination
+   */
+  static async findByUserId(userId, { page = 1, limit = 20, days = 30, action = null, resourceType = null } = {}) {
+    const offset = (page - 1) * limit;
+    const { where, values } = this.buildFilters(userId, { days, action, resourceType });
+
+    const query = `
+      SELECT *
+      FROM activity_logs
+      WHERE ${where}
+      ORDER BY created_at DESC
+      LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+    `;
+
+    const result = await pool.query(query, [...values, limit, offset]);
+    return result.rows;
+  }
+
+  /**
+   * Count activities of a user
+   */
+  static async countByUserId(userId, { days = 30, action = null, resourceType = null } = {}) {
+    const { where, values } = this.buildFilters(userId, { days, action, resourceType });
+
+    const query = `SELECT COUNT(*) as count FROM activity_logs WHERE ${where}`;
+    const result = await pool.query(query, values);
+    return parseInt(result.rows[0].count);
+  }
+
+  /**
+   * Get per-action counts of a user over a period
+   */
+  static async getActionSummary(userId, days = 30) {
+    const query = `
+      SELECT action, COUNT(*) as count, MAX(created_at) as last_at
+      FROM activity_logs
+      WHERE user_id = $1
+        AND created_at >= NOW() - ($2 || ' days')::INTERVAL
+      GROUP BY action
+      ORDER BY count DESC
+    `;
+
+    const result = await pool.query(query, [userId, String(days)]);
+    return result.rows.map(row => ({
+      action: row.action,
+      count: parseInt(row.count),
+      lastAt: row.last_at
+    }));
+  }
+
+  /**
+   * Format activity for API response
+   */
+  static formatActivity(activity) {
+    return {
+      id: activity.id,
+      action: activity.action,
+      resourceType: activity.resource_type,
+      resourceId: activity.resource_id,
+      metadata: activity.metadata || {},
+      ipAddress: activity.ip_address,
+      userAgent: activity.user_agent,
+      createdAt: activity.created_at
+    };
+  }
+}
+
+module.exports = ActivityLogModel;
@@ -0,0 +1,122 @@
+const { pool } = require('../config/database.config');
+
+/**
+ * Block Model - Handles the user block list
+ */
+class BlockModel {
+  /**
+   * Block a user (inside a transaction)
+   */
+  static async create(client, blockerId, blockedId) {
+    const query = `
+      INSERT INTO user_blocks (blocker_id, blocked_id)
+      VALUES ($1, $2)
+      ON CONFLICT (blocker_id, blocked_id) DO NOTHING
+      RETURNING id, blocker_id, blocked_id, created_at
+    `;
+    const result = await client.query(query, [blockerId, blockedId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Remove a block
+   */
+  static async delete(blockerId, blockedId) {
+    const query = 'DELETE FROM user_blocks WHERE blocker_id = $1 AND blocked_id = $2 RETURNING id';
+    const result = await pool.query(query, [blockerId, blockedId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get the block between two users, whichever of them blocked the other
+   */
+  static async findBetween(userId1, userId2) {
+    const query = `
+      SELECT id, blocker_id, blocked_id, created_at
+      FROM user_blocks
+      WHERE (blocker_id = $1 AND blocked_id = $2)
+      OR (blocker_id = $2 AND blocked_id = $1)
+      ORDER BY blocker_id = $1 DESC
+      LIMIT 1
+    `;
+    const result = await pool.query(query, [userId1, userId2]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Check if either of two users blocked the other
+   */
+  static async isBlockedBetween(userId1, userId2) {
+    if (!userId1 || !userId2) {
+      return false;
+    }
+
+    return (await this.findBetween(userId1, userId2)) !== null;
+  }
+
+  /**
+   * Get users blocked by a user with pagination
+   */
+  static async getBlockedUsers(blockerId, { limit = 50, offset = 0 } = {}) {
+    const query = `
+      SELECT ub.blocked_id, ub.created_at as blocked_at,
+             u.username, u.display_name, u.avatar_url
+      FROM user_blocks ub
+      JOIN users u ON ub.blocked_id = u.id
+      WHERE ub.blocker_id = $1
+      ORDER BY ub.created_at DESC
+      LIMIT $2 OFFSET $3
+    `;
+    const result = await pool.query(query, [blockerId, limit, offset]);
+    return result.rows;
+  }
+
+  /**
+   * Get count of users blocked by a user
+   */
+  static async getBlockedCount(blockerId) {
+    const query = 'SELECT COUNT(*) as total FROM user_blocks WHERE blocker_id = $1';
+    const result = await pool.query(query, [blockerId]);
+    return parseInt(result.rows[0].total);
+  }
+
+  /**
+   * Get IDs of users hidden from a user: those they blocked and those who blocked them
+   */
+  static async getHiddenUserIds(userId) {
+    const query = `
+      SELECT blocked_id as user_id FROM user_blocks WHERE blocker_id = $1
+      UNION
+      SELECT blocker_id as user_id FROM user_blocks WHERE blocked_id = $1
+    `;
+    const result = await pool.query(query, [userId]);
+    return result.rows.map(row => row.user_id);
+  }
+
+  /**
+   * SQL condition that is true when neither the viewer bound to the given parameter nor the
+   * user in the given column blocked the other; an anonymous viewer (NULL) blocks nobody
+   */
+  static buildNotBlockedCondition(viewerParam, userColumn) {
+    return `NOT EXISTS (
+        SELECT 1 FROM user_blocks ub
+        WHERE (ub.blocker_id = ${viewerParam} AND ub.blocked_id = ${userColumn})
+        OR (ub.blocker_id = ${userColumn} AND ub.blocked_id = ${viewerParam})
+      )`;
+  }
+
+  /**
+   * Format blocked user for API response
+   */
+  static formatBlockedUser(blockedUser) {
+    return {
+      id: blockedUser.blocked_id,
+      username: blockedUser.username,
+      displayName: blockedUser.display_name,
+      avatarUrl: blockedUser.avatar_url,
+      blockedAt: blockedUser.blocked_at
+    };
+  }
+}
+
+module.exports = BlockModel;
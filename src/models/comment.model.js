@@ -0,0 +1,185 @@
+const { pool } = require('../config/database.config');
+const BlockModel = require('./block.model');
+
+/**
+ * Comment Model - Handles all photo comment database operations
+ */
+class CommentModel {
+  /**
+   * Create a new comment or reply
+   */
+  static async create({ photoId, userId, comment, parentCommentId = null }) {
+    const query = `
+      INSERT INTO photo_comments (photo_id, user_id, comment, parent_comment_id)
+      VALUES ($1, $2, $3, $4)
+      RETURNING id
+    `;
+
+    const result = await pool.query(query, [photoId, userId, comment, parentCommentId]);
+    return this.findById(result.rows[0].id);
+  }
+
+  /**
+   * Find comment by ID with author info
+   */
+  static async findById(commentId) {
+    const query = `
+      SELECT c.*, u.username, u.display_name, u.avatar_url,
+             (SELECT COUNT(*) FROM photo_comments r
+              WHERE r.parent_comment_id = c.id AND r.is_deleted = false) as reply_count
+      FROM photo_comments c
+      JOIN users u ON c.user_id = u.id
+      WHERE c.id = $1
+    `;
+
+    const result = await pool.query(query, [commentId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get top-level comments of a photo with pagination.
+   * Deleted comments are kept as placeholders while they still have replies.
+   * Comments by users blocked either way by the viewer are left out.
+   */
+  static async findByPhotoId(photoId, { page = 1, limit = 20, viewerId = null } = {}) {
+    const offset = (page - 1) * limit;
+
+    const query = `
+      SELECT * FROM (
+        SELECT c.*, u.username, u.display_name, u.avatar_url,
+               (SELECT COUNT(*) FROM photo_comments r
+                WHERE r.parent_comment_id = c.id AND r.is_deleted = false
+                AND ${BlockModel.buildNotBlockedCondition('$4::integer', 'r.user_id')}) as reply_count
+        FROM photo_comments c
+        JOIN users u ON c.user_id = u.id
+        WHERE c.photo_id = $1 AND c.parent_comment_id IS NULL
+        AND ${BlockModel.buildNotBlockedCondition('$4::integer', 'c.user_id')}
+      ) thread
+      WHERE thread.is_deleted = false OR thread.reply_count > 0
+      ORDER BY thread.created_at DESC
+      LIMIT $2 OFFSET $3
+    `;
+
+    const result = await pool.query(query, [photoId, limit, offset, viewerId]);
+    return result.rows;
+  }
+
+  /**
+   * Count top-level comments of a photo (same visibility as findByPhotoId)
+   */
+  static async countByPhotoId(photoId, viewerId = null) {
+    const query = `
+      SELECT COUNT(*) as count
+      FROM photo_comments c
+      WHERE c.photo_id = $1 AND c.parent_comment_id IS NULL
+        AND ${BlockModel.buildNotBlockedCondition('$2::integer', 'c.user_id')}
+        AND (c.is_deleted = false OR EXISTS (
+          SELECT 1 FROM photo_comments r
+          WHERE r.parent_comment_id = c.id AND r.is_deleted = false
+          AND ${BlockModel.buildNotBlockedCondition('$2::integer', 'r.user_id')}
+        ))
+    `;
+
+    const result = await pool.query(query, [photoId, viewerId]);
+    return parseInt(result.rows[0].count);
+  }
+
+  /**
+   * Get replies of a comment with pagination (oldest first)
+   */
+  static async findReplies(parentCommentId, { page = 1, limit = 20, viewerId = null } = {}) {
+    const offset = (page - 1) * limit;
+
+    const query = `
+      SELECT c.*, u.username, u.display_name, u.avatar_url, 0 as reply_count
+      FROM photo_comments c
+      JOIN users u ON c.user_id = u.id
+      WHERE c.parent_comment_id = $1 AND c.is_deleted = false
+      AND ${BlockModel.buildNotBlockedCondition('$4::integer', 'c.user_id')}
+      ORDER BY c.created_at ASC
+      LIMIT $2 OFFSET $3
+    `;
+
+    const result = await pool.query(query, [parentCommentId, limit, offset, viewerId]);
+    return result.rows;
+  }
+
+  /**
+   * Count replies of a comment
+   */
+  static async countReplies(parentCommentId, viewerId = null) {
+    const query = `
+      SELECT COUNT(*) as count
+      FROM photo_comments c
+      WHERE c.parent_comment_id = $1 AND c.is_deleted = false
+      AND ${BlockModel.buildNotBlockedCondition('$2::integer', 'c.user_id')}
+    `;
+
+    const result = await pool.query(query, [parentCommentId, viewerId]);
+    return parseInt(result.rows[0].count);
+  }
+
+  /**
+   * Update comment text
+   */
+  static async update(commentId, comment) {
+    const query = `
+      UPDATE photo_comments
+      SET comment = $1
+      WHERE id = $2 AND is_deleted = false
+      RETURNING id
+    `;
+
+    const result = await pool.query(query, [comment, commentId]);
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return this.findById(commentId);
+  }
+
+  /**
+   * Soft delete a comment
+   */
+  static async softDelete(commentId) {
+    const query = `
+      UPDATE photo_comments
+      SET is_deleted = true, deleted_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND is_deleted = false
+      RETURNING id, photo_id, parent_comment_id, deleted_at
+    `;
+
+    const result = await pool.query(query, [commentId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Format comment for API response
+   */
+  static formatComment(comment, currentUserId = null, photoOwnerId = null) {
+    const isDeleted = comment.is_deleted === true;
+    const isAuthor = currentUserId !== null && comment.user_id === currentUserId;
+
+    return {
+      id: comment.id,
+      photoId: comment.photo_id,
+      parentCommentId: comment.parent_comment_id,
+      comment: isDeleted ? null : comment.comment,
+      user: isDeleted ? null : {
+        id: comment.user_id,
+        username: comment.username,
+        displayName: comment.display_name,
+        avatarUrl: comment.avatar_url
+      },
+      replyCount: parseInt(comment.reply_count) || 0,
+      isDeleted: isDeleted,
+      isEdited: !isDeleted && new Date(comment.updated_at) > new Date(comment.created_at),
+      canEdit: !isDeleted && isAuthor,
+      canDelete: !isDeleted && (isAuthor || (photoOwnerId !== null && photoOwnerId === currentUserId)),
+      createdAt: comment.created_at,
+      updatedAt: comment.updated_at
+    };
+  }
+}
+
+module.exports = CommentModel;
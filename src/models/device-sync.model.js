@@ -3,6 +3,10 @@ const { pool } = require('../config/database.config');
 /**
  * Device Sync Model
  * Handles database operations for device synchronization
+ *
+ * Devices live in device_sync; sync_sessions and sync_file_mappings reference device_sync.id.
+ * Public methods take the client's device identifier (device_sync.device_id) unless the
+ * parameter is named syncDeviceId.
  */
 
 class DeviceSyncModel {
@@ -10,53 +14,58 @@ class DeviceSyncModel {
    * Register or update a device for sync
    */
   static async registerDevice(userId, deviceData) {
-    const { deviceId, deviceName, deviceType } = deviceData;
+    const { deviceId, deviceName, deviceType, platform, appVersion } = deviceData;
 
-    // Check if device already exists
-    const existingQuery = `
-      SELECT id, device_name, device_type, sync_enabled, total_photos_synced, last_sync_at
-      FROM device_sync_status
+    const query = `
+      INSERT INTO device_sync
+      (user_id, device_id, device_name, device_type, platform, app_version)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (user_id, device_id)
+      DO UPDATE SET
+        device_name = COALESCE(EXCLUDED.device_name, device_sync.device_name),
+        device_type = EXCLUDED.device_type,
+        platform = COALESCE(EXCLUDED.platform, device_sync.platform),
+        app_version = COALESCE(EXCLUDED.app_version, device_sync.app_version),
+        is_active = true
+      RETURNING *, (xmax = 0) as is_new
+    `;
+
+    const result = await pool.query(query, [
+      userId, deviceId, deviceName || null, deviceType, platform || null, appVersion || null
+    ]);
+    const device = result.rows[0];
+
+    return { isNew: device.is_new, device };
+  }
+
+  /**
+   * Find a device of a user by its client identifier
+   */
+  static async findDevice(userId, deviceId) {
+    const query = `
+      SELECT * FROM device_sync
       WHERE user_id = $1 AND device_id = $2
     `;
-    
-    const existingResult = await pool.query(existingQuery, [userId, deviceId]);
-
-    if (existingResult.rows.length > 0) {
-      // Update existing device
-      const updateQuery = `
-        UPDATE device_sync_status
-        SET device_name = COALESCE($3, device_name),
-            device_type = $4,
-            updated_at = CURRENT_TIMESTAMP
-        WHERE user_id = $1 AND device_id = $2
-        RETURNING *
-      `;
-      
-      const result = await pool.query(updateQuery, [userId, deviceId, deviceName, deviceType]);
-      return { isNew: false, device: result.rows[0] };
-    } else {
-      // Create new device
-      const insertQuery = `
-        INSERT INTO device_sync_status 
-        (user_id, device_id, device_name, device_type, sync_enabled, total_photos_synced)
-        VALUES ($1, $2, $3, $4, true, 0)
-        RETURNING *
-      `;
-      
-      const result = await pool.query(insertQuery, [userId, deviceId, deviceName, deviceType]);
-      return { isNew: true, device: result.rows[0] };
-    }
+
+    const result = await pool.query(query, [userId, deviceId]);
+    return result.rows[0] || null;
   }
 
   /**
-   * Get device sync status
+   * Get device sync status with file mapping counts
    */
   static async getDeviceStatus(userId, deviceId) {
     const query = `
-      SELECT * FROM device_sync_status
-      WHERE user_id = $1 AND device_id = $2
+      SELECT ds.*,
+             COUNT(sfm.id) FILTER (WHERE sfm.sync_status = 'completed') as files_synced,
+             COUNT(sfm.id) FILTER (WHERE sfm.sync_status = 'pending') as files_pending,
+             COUNT(sfm.id) FILTER (WHERE sfm.sync_status = 'failed') as files_failed
+      FROM device_sync ds
+      LEFT JOIN sync_file_mappings sfm ON sfm.device_id = ds.id
+      WHERE ds.user_id = $1 AND ds.device_id = $2
+      GROUP BY ds.id
     `;
-    
+
     const result = await pool.query(query, [userId, deviceId]);
     return result.rows[0] || null;
   }
@@ -66,13 +75,11 @@ class DeviceSyncModel {
    */
   static async getUserDevices(userId) {
     const query = `
-      SELECT device_id, device_name, device_type, sync_enabled, 
-             total_photos_synced, last_sync_at, created_at, updated_at
-      FROM device_sync_status
+      SELECT * FROM device_sync
       WHERE user_id = $1
-      ORDER BY last_sync_at DESC, created_at DESC
+      ORDER BY last_sync DESC NULLS LAST, created_at DESC
     `;
-    
+
     const result = await pool.query(query, [userId]);
     return result.rows;
   }
@@ -81,174 +88,494 @@ class DeviceSyncModel {
    * Update device sync settings
    */
   static async updateSyncSettings(userId, deviceId, settings) {
-    const { syncEnabled } = settings;
-    
+    const { syncEnabled, autoBackup, wifiOnly, deletionPolicy } = settings;
+
     const query = `
-      UPDATE device_sync_status
-      SET sync_enabled = $3,
-          updated_at = CURRENT_TIMESTAMP
+      UPDATE device_sync
+      SET sync_enabled = COALESCE($3, sync_enabled),
+          auto_backup = COALESCE($4, auto_backup),
+          wifi_only = COALESCE($5, wifi_only),
+          local_deletion_policy = COALESCE($6, local_deletion_policy)
       WHERE user_id = $1 AND device_id = $2
       RETURNING *
     `;
-    
-    const result = await pool.query(query, [userId, deviceId, syncEnabled]);
+
+    const result = await pool.query(query, [
+      userId,
+      deviceId,
+      syncEnabled === undefined ? null : syncEnabled,
+      autoBackup === undefined ? null : autoBackup,
+      wifiOnly === undefined ? null : wifiOnly,
+      deletionPolicy || null
+    ]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Count uploaded photos and record the last sync of a device
+   */
+  static async updateDeviceStats(syncDeviceId, photosUploaded) {
+    const query = `
+      UPDATE device_sync
+      SET total_photos_synced = total_photos_synced + $2,
+          last_sync = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const result = await pool.query(query, [syncDeviceId, photosUploaded]);
     return result.rows[0] || null;
   }
 
   /**
-   * Log sync session
+   * Check if file hash already exists for user
    */
-  static async logSyncSession(userId, deviceId, sessionData) {
-    const { 
-      sessionType = 'manual_sync', 
-      photosProcessed = 0, 
-      photosUploaded = 0, 
-      photosFailed = 0,
-      status = 'completed'
-    } = sessionData;
+  static async findPhotoByHash(userId, fileHash) {
+    const query = `
+      SELECT id, filename, file_path, caption, permission_type
+      FROM photos
+      WHERE user_id = $1 AND hash_md5 = $2 AND is_deleted = false
+      ORDER BY uploaded_at
+      LIMIT 1
+    `;
 
+    const result = await pool.query(query, [userId, fileHash]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get stored photos of a user matching any of the given MD5 hashes
+   */
+  static async findPhotosByHashes(userId, hashes) {
     const query = `
-      INSERT INTO sync_sessions 
-      (user_id, device_id, session_type, photos_processed, photos_uploaded, photos_failed, status)
-      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      SELECT DISTINCT ON (hash_md5) id, hash_md5, file_path, uploaded_at
+      FROM photos
+      WHERE user_id = $1 AND hash_md5 = ANY($2::text[]) AND is_deleted = false
+      ORDER BY hash_md5, uploaded_at
+    `;
+
+    const result = await pool.query(query, [userId, hashes]);
+    return result.rows;
+  }
+
+  /**
+   * Get device file mappings
+   */
+  static async getDeviceFileMappings(userId, deviceId, limit = 100, offset = 0) {
+    const query = `
+      SELECT sfm.*, p.filename, p.file_path, p.caption
+      FROM sync_file_mappings sfm
+      JOIN device_sync ds ON sfm.device_id = ds.id
+      LEFT JOIN photos p ON sfm.photo_id = p.id AND p.is_deleted = false
+      WHERE ds.user_id = $1 AND ds.device_id = $2
+      ORDER BY sfm.created_at DESC
+      LIMIT $3 OFFSET $4
+    `;
+
+    const result = await pool.query(query, [userId, deviceId, limit, offset]);
+    return result.rows;
+  }
+
+  /**
+   * Get file mappings of a device for the given local paths
+   */
+  static async findFileMappingsByPaths(syncDeviceId, localPaths) {
+    const query = `
+      SELECT *
+      FROM sync_file_mappings
+      WHERE device_id = $1 AND local_path = ANY($2::text[])
+    `;
+
+    const result = await pool.query(query, [syncDeviceId, localPaths]);
+    return result.rows;
+  }
+
+  /**
+   * Remove file mappings of a device
+   */
+  static async deleteFileMappings(syncDeviceId, localPaths) {
+    const query = `
+      DELETE FROM sync_file_mappings
+      WHERE device_id = $1 AND local_path = ANY($2::text[])
       RETURNING *
     `;
-    
+
+    const result = await pool.query(query, [syncDeviceId, localPaths]);
+    return result.rows;
+  }
+
+  /**
+   * Create or update the mapping between a device file and a photo
+   */
+  static async upsertFileMapping(data) {
+    const {
+      syncDeviceId,
+      localPath,
+      localFilename,
+      localHash,
+      localSize,
+      localModified = null,
+      photoId = null,
+      syncStatus = 'completed',
+      errorMessage = null
+    } = data;
+
+    const query = `
+      INSERT INTO sync_file_mappings
+      (device_id, local_path, local_filename, local_hash, local_size, local_modified, photo_id,
+       sync_status, sync_attempts, last_sync_attempt, error_message)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 1, CURRENT_TIMESTAMP, $9)
+      ON CONFLICT (device_id, local_path)
+      DO UPDATE SET
+        local_filename = EXCLUDED.local_filename,
+        local_hash = EXCLUDED.local_hash,
+        local_size = EXCLUDED.local_size,
+        local_modified = EXCLUDED.local_modified,
+        photo_id = COALESCE(EXCLUDED.photo_id, sync_file_mappings.photo_id),
+        sync_status = EXCLUDED.sync_status,
+        sync_attempts = sync_file_mappings.sync_attempts + 1,
+        last_sync_attempt = CURRENT_TIMESTAMP,
+        error_message = EXCLUDED.error_message
+      RETURNING *
+    `;
+
     const result = await pool.query(query, [
-      userId, deviceId, sessionType, photosProcessed, photosUploaded, photosFailed, status
+      syncDeviceId, localPath, localFilename, localHash, localSize, localModified, photoId, syncStatus, errorMessage
     ]);
+    return result.rows[0];
+  }
 
-    // Update device sync status
-    if (photosUploaded > 0) {
-      await this.updateDeviceStats(userId, deviceId, photosUploaded);
+  /**
+   * Record the outcome of a manifest check for many files at once
+   * Doesn't count as a sync attempt; uploads do that
+   */
+  static async upsertManifestMappings(syncDeviceId, entries) {
+    if (entries.length === 0) {
+      return [];
     }
 
-    return result.rows[0];
+    const query = `
+      INSERT INTO sync_file_mappings
+      (device_id, local_path, local_filename, local_hash, local_size, local_modified, photo_id, sync_status)
+      SELECT $1, entry.local_path, entry.local_filename, entry.local_hash, entry.local_size,
+             entry.local_modified, entry.photo_id, entry.sync_status
+      FROM unnest($2::text[], $3::text[], $4::text[], $5::bigint[], $6::timestamptz[], $7::int[], $8::text[])
+        AS entry(local_path, local_filename, local_hash, local_size, local_modified, photo_id, sync_status)
+      ON CONFLICT (device_id, local_path)
+      DO UPDATE SET
+        local_filename = EXCLUDED.local_filename,
+        local_hash = EXCLUDED.local_hash,
+        local_size = EXCLUDED.local_size,
+        local_modified = EXCLUDED.local_modified,
+        photo_id = EXCLUDED.photo_id,
+        sync_status = EXCLUDED.sync_status,
+        error_message = NULL
+      RETURNING *
+    `;
+
+    const result = await pool.query(query, [
+      syncDeviceId,
+      entries.map(entry => entry.localPath),
+      entries.map(entry => entry.localFilename),
+      entries.map(entry => entry.localHash),
+      entries.map(entry => entry.localSize),
+      entries.map(entry => entry.localModified || null),
+      entries.map(entry => entry.photoId || null),
+      entries.map(entry => entry.syncStatus)
+    ]);
+    return result.rows;
+  }
+
+  /**
+   * Start a sync session for a device
+   * Sessions the device left active are closed; their unfinished uploads can still be resumed
+   */
+  static async createSyncSession(syncDeviceId, { filesTotal = 0, bytesTotal = 0 } = {}) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      await client.query(`
+        UPDATE sync_sessions
+        SET status = 'cancelled',
+            completed_at = CURRENT_TIMESTAMP,
+            error_message = 'Superseded by a new sync session'
+        WHERE device_id = $1 AND status = 'active'
+      `, [syncDeviceId]);
+
+      const result = await client.query(`
+        INSERT INTO sync_sessions (device_id, files_total, bytes_total)
+        VALUES ($1, $2, $3)
+        RETURNING *
+      `, [syncDeviceId, filesTotal, bytesTotal]);
+
+      await client.query('COMMIT');
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
   }
 
   /**
-   * Update device statistics
+   * Find a sync session of a user by token
    */
-  static async updateDeviceStats(userId, deviceId, photosUploaded) {
+  static async findSyncSessionByToken(userId, sessionToken) {
     const query = `
-      UPDATE device_sync_status
-      SET total_photos_synced = total_photos_synced + $3,
-          last_sync_at = CURRENT_TIMESTAMP,
-          updated_at = CURRENT_TIMESTAMP
-      WHERE user_id = $1 AND device_id = $2
-      RETURNING *
+      SELECT ss.*, ds.user_id, ds.device_id as device_key, ds.device_name
+      FROM sync_sessions ss
+      JOIN device_sync ds ON ss.device_id = ds.id
+      WHERE ss.session_token = $1 AND ds.user_id = $2
     `;
-    
-    const result = await pool.query(query, [userId, deviceId, photosUploaded]);
+
+    const result = await pool.query(query, [sessionToken, userId]);
     return result.rows[0] || null;
   }
 
   /**
-   * Check if file hash already exists for user
+   * Get in-progress sync sessions across all devices of a user
    */
-  static async findPhotoByHash(userId, fileHash) {
+  static async getActiveSyncSessions(userId) {
     const query = `
-      SELECT id, filename, file_url, caption, permission_type
-      FROM photos
-      WHERE user_id = $1 AND file_hash = $2
+      SELECT ss.*, ds.device_id as device_key, ds.device_name
+      FROM sync_sessions ss
+      JOIN device_sync ds ON ss.device_id = ds.id
+      WHERE ds.user_id = $1 AND ss.status = 'active'
+      ORDER BY ss.started_at DESC
     `;
-    
-    const result = await pool.query(query, [userId, fileHash]);
+
+    const result = await pool.query(query, [userId]);
+    return result.rows;
+  }
+
+  /**
+   * Update the totals a device declared for an active session
+   */
+  static async updateSessionTotals(sessionId, { filesTotal, bytesTotal }) {
+    const query = `
+      UPDATE sync_sessions
+      SET files_total = COALESCE($2, files_total),
+          bytes_total = COALESCE($3, bytes_total),
+          last_activity_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status = 'active'
+      RETURNING *
+    `;
+
+    const result = await pool.query(query, [
+      sessionId,
+      filesTotal === undefined ? null : filesTotal,
+      bytesTotal === undefined ? null : bytesTotal
+    ]);
     return result.rows[0] || null;
   }
 
   /**
-   * Store device file mapping
+   * Record activity on a session without changing its counters
    */
-  static async storeDeviceFileMapping(data) {
-    const { userId, deviceId, deviceFilePath, photoId, fileHash } = data;
-    
+  static async touchSyncSession(sessionId) {
     const query = `
-      INSERT INTO device_file_mappings 
-      (user_id, device_id, device_file_path, photo_id, file_hash)
-      VALUES ($1, $2, $3, $4, $5)
-      ON CONFLICT (user_id, device_id, device_file_path) 
-      DO UPDATE SET 
-        photo_id = EXCLUDED.photo_id,
-        file_hash = EXCLUDED.file_hash,
-        updated_at = CURRENT_TIMESTAMP
+      UPDATE sync_sessions
+      SET last_activity_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status = 'active'
+    `;
+
+    await pool.query(query, [sessionId]);
+  }
+
+  /**
+   * Move an active session to completed, cancelled or failed
+   */
+  static async finishSyncSession(sessionId, status, errorMessage = null) {
+    const query = `
+      UPDATE sync_sessions
+      SET status = $2,
+          error_message = $3,
+          completed_at = CURRENT_TIMESTAMP,
+          last_activity_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status = 'active'
       RETURNING *
     `;
-    
-    const result = await pool.query(query, [userId, deviceId, deviceFilePath, photoId, fileHash]);
-    return result.rows[0];
+
+    const result = await pool.query(query, [sessionId, status, errorMessage]);
+    return result.rows[0] || null;
   }
 
   /**
-   * Get device file mappings
+   * Fail active sessions without activity for the given number of hours
    */
-  static async getDeviceFileMappings(userId, deviceId, limit = 100, offset = 0) {
+  static async failInactiveSessions(hours) {
     const query = `
-      SELECT dfm.*, p.filename, p.file_url, p.caption
-      FROM device_file_mappings dfm
-      LEFT JOIN photos p ON dfm.photo_id = p.id
-      WHERE dfm.user_id = $1 AND dfm.device_id = $2
-      ORDER BY dfm.created_at DESC
-      LIMIT $3 OFFSET $4
+      UPDATE sync_sessions
+      SET status = 'failed',
+          error_message = 'Sync session timed out',
+          completed_at = CURRENT_TIMESTAMP
+      WHERE status = 'active'
+        AND last_activity_at < CURRENT_TIMESTAMP - make_interval(hours => $1)
+      RETURNING id
     `;
-    
-    const result = await pool.query(query, [userId, deviceId, limit, offset]);
+
+    const result = await pool.query(query, [hours]);
     return result.rows;
   }
 
+  /**
+   * Count a finished file upload in its sync session
+   */
+  static async recordSessionUpload(sessionId, bytes) {
+    const query = `
+      UPDATE sync_sessions
+      SET files_uploaded = files_uploaded + 1,
+          bytes_uploaded = bytes_uploaded + $2,
+          last_activity_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const result = await pool.query(query, [sessionId, bytes]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Count a failed file upload in its sync session
+   */
+  static async recordSessionFailure(sessionId) {
+    const query = `
+      UPDATE sync_sessions
+      SET files_failed = files_failed + 1,
+          last_activity_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const result = await pool.query(query, [sessionId]);
+    return result.rows[0] || null;
+  }
+
   /**
    * Get sync history for device
    */
   static async getSyncHistory(userId, deviceId, limit = 20, offset = 0) {
     const query = `
-      SELECT session_type, photos_processed, photos_uploaded, photos_failed, 
-             status, started_at, completed_at, created_at
-      FROM sync_sessions
-      WHERE user_id = $1 AND device_id = $2
-      ORDER BY created_at DESC
+      SELECT ss.session_token, ss.status, ss.files_total, ss.files_uploaded, ss.files_failed,
+             ss.bytes_total, ss.bytes_uploaded, ss.error_message, ss.started_at, ss.last_activity_at,
+             ss.completed_at, ss.created_at
+      FROM sync_sessions ss
+      JOIN device_sync ds ON ss.device_id = ds.id
+      WHERE ds.user_id = $1 AND ds.device_id = $2
+      ORDER BY ss.started_at DESC
       LIMIT $3 OFFSET $4
     `;
-    
+
     const result = await pool.query(query, [userId, deviceId, limit, offset]);
     return result.rows;
   }
 
   /**
    * Delete device and related data
+   * Sessions, file mappings and uploads are removed by their ON DELETE CASCADE
    */
   static async deleteDevice(userId, deviceId) {
-    const client = await pool.connect();
-    
-    try {
-      await client.query('BEGIN');
+    const query = `
+      DELETE FROM device_sync
+      WHERE user_id = $1 AND device_id = $2
+      RETURNING *
+    `;
+
+    const result = await pool.query(query, [userId, deviceId]);
+    return result.rows[0] || null;
+  }
 
-      // Delete sync sessions
-      await client.query(
-        'DELETE FROM sync_sessions WHERE user_id = $1 AND device_id = $2',
-        [userId, deviceId]
-      );
+  /**
+   * Format device for API response
+   */
+  static formatDevice(device) {
+    return {
+      deviceId: device.device_id,
+      deviceName: device.device_name,
+      deviceType: device.device_type,
+      platform: device.platform,
+      appVersion: device.app_version,
+      syncEnabled: device.sync_enabled,
+      autoBackup: device.auto_backup,
+      wifiOnly: device.wifi_only,
+      deletionPolicy: device.local_deletion_policy,
+      isActive: device.is_active,
+      totalPhotosSynced: device.total_photos_synced,
+      lastSyncAt: device.last_sync,
+      createdAt: device.created_at,
+      updatedAt: device.updated_at,
+      ...(device.files_synced !== undefined && {
+        files: {
+          synced: parseInt(device.files_synced),
+          pending: parseInt(device.files_pending),
+          failed: parseInt(device.files_failed)
+        }
+      })
+    };
+  }
 
-      // Delete file mappings
-      await client.query(
-        'DELETE FROM device_file_mappings WHERE user_id = $1 AND device_id = $2',
-        [userId, deviceId]
-      );
+  /**
+   * Format file mapping for API response
+   */
+  static formatFileMapping(mapping) {
+    return {
+      localPath: mapping.local_path,
+      localFilename: mapping.local_filename,
+      localHash: mapping.local_hash,
+      localSize: mapping.local_size !== null ? parseInt(mapping.local_size) : null,
+      localModified: mapping.local_modified,
+      photoId: mapping.photo_id,
+      photoFilePath: mapping.file_path || null,
+      syncStatus: mapping.sync_status,
+      syncAttempts: mapping.sync_attempts,
+      lastSyncAttempt: mapping.last_sync_attempt,
+      errorMessage: mapping.error_message,
+      createdAt: mapping.created_at,
+      updatedAt: mapping.updated_at
+    };
+  }
 
-      // Delete device sync status
-      const deleteResult = await client.query(
-        'DELETE FROM device_sync_status WHERE user_id = $1 AND device_id = $2 RETURNING *',
-        [userId, deviceId]
-      );
+  /**
+   * Format sync session for API response
+   */
+  static formatSyncSession(session) {
+    const filesTotal = session.files_total || 0;
+    const bytesTotal = parseInt(session.bytes_total) || 0;
+    const filesDone = (session.files_uploaded || 0) + (session.files_failed || 0);
+    const bytesUploaded = parseInt(session.bytes_uploaded) || 0;
 
-      await client.query('COMMIT');
-      return deleteResult.rows[0] || null;
-    } catch (error) {
-      await client.query('ROLLBACK');
-      throw error;
-    } finally {
-      client.release();
+    // Bytes give a smoother percentage when the device declared them
+    let percent = null;
+    if (bytesTotal > 0) {
+      percent = Math.min(100, Math.round((bytesUploaded / bytesTotal) * 100));
+    } else if (filesTotal > 0) {
+      percent = Math.min(100, Math.round((filesDone / filesTotal) * 100));
     }
+
+    return {
+      sessionToken: session.session_token,
+      ...(session.device_key !== undefined && {
+        device: {
+          deviceId: session.device_key,
+          deviceName: session.device_name
+        }
+      }),
+      status: session.status,
+      filesTotal,
+      filesUploaded: session.files_uploaded,
+      filesFailed: session.files_failed,
+      bytesTotal,
+      bytesUploaded,
+      percent,
+      errorMessage: session.error_message,
+      startedAt: session.started_at,
+      lastActivityAt: session.last_activity_at,
+      completedAt: session.completed_at
+    };
   }
 }
 
-module.exports = DeviceSyncModel; 
\ No newline at end of file
+module.exports = DeviceSyncModel;
@@ -124,6 +124,10 @@ class FriendModel {
           ELSE f.requester_id
         END as friend_id,
         u.username, u.display_name, u.avatar_url, u.bio,
+        CASE 
+          WHEN f.requester_id = $1 THEN f.requester_marked_close
+          ELSE f.addressee_marked_close
+        END as is_close_friend,
         f.updated_at as friendship_date
       FROM friendships f
       JOIN users u ON (
@@ -178,6 +182,51 @@ class FriendModel {
     return result.rows[0] || null;
   }
 
+  /**
+   * Add or remove a friend from the user's close-friends list
+   */
+  static async setCloseFriend(userId, friendId, isClose) {
+    const query = `
+      UPDATE friendships
+      SET requester_marked_close = CASE WHEN requester_id = $1 THEN $3 ELSE requester_marked_close END,
+          addressee_marked_close = CASE WHEN addressee_id = $1 THEN $3 ELSE addressee_marked_close END,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE ((requester_id = $1 AND addressee_id = $2) OR (requester_id = $2 AND addressee_id = $1))
+      AND status = 'accepted'
+      RETURNING id, requester_id, addressee_id, status, updated_at
+    `;
+    const result = await pool.query(query, [userId, friendId, isClose]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get the user's close-friends list
+   */
+  static async getCloseFriends(userId) {
+    const query = `
+      SELECT 
+        u.id as friend_id,
+        u.username, u.display_name, u.avatar_url, u.bio,
+        true as is_close_friend,
+        f.updated_at as friendship_date
+      FROM friendships f
+      JOIN users u ON (
+        CASE 
+          WHEN f.requester_id = $1 THEN f.addressee_id
+          ELSE f.requester_id
+        END = u.id
+      )
+      WHERE f.status = 'accepted'
+      AND (
+        (f.requester_id = $1 AND f.requester_marked_close = true)
+        OR (f.addressee_id = $1 AND f.addressee_marked_close = true)
+      )
+      ORDER BY u.username ASC
+    `;
+    const result = await pool.query(query, [userId]);
+    return result.rows;
+  }
+
   /**
    * Delete friendship
    */
@@ -187,6 +236,20 @@ class FriendModel {
     return result.rows[0];
   }
 
+  /**
+   * Delete any friendship or pending request between two users (inside a transaction)
+   */
+  static async deleteFriendshipsBetween(client, userId1, userId2) {
+    const query = `
+      DELETE FROM friendships
+      WHERE (requester_id = $1 AND addressee_id = $2)
+      OR (requester_id = $2 AND addressee_id = $1)
+      RETURNING id, status
+    `;
+    const result = await client.query(query, [userId1, userId2]);
+    return result.rows;
+  }
+
   /**
    * Get user basic info
    */
@@ -221,6 +284,7 @@ class FriendModel {
       displayName: friend.display_name,
       avatarUrl: friend.avatar_url,
       bio: friend.bio,
+      isCloseFriend: friend.is_close_friend === true,
       friendshipDate: friend.friendship_date
     };
   }
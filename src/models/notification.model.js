@@ -0,0 +1,127 @@
+const { pool } = require('../config/database.config');
+
+/**
+ * Notification Model - Handles all notification database operations
+ */
+class NotificationModel {
+  /**
+   * Create a new notification
+   */
+  static async create({ userId, type, title, message = null, data = null, expiresAt = null }) {
+    const query = `
+      INSERT INTO notifications (user_id, type, title, message, data, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `;
+
+    const values = [userId, type, title, message, data ? JSON.stringify(data) : null, expiresAt];
+    const result = await pool.query(query, values);
+    return result.rows[0];
+  }
+
+  /**
+   * Get notifications of a user with pagination (expired ones excluded)
+   */
+  static async findByUserId(userId, { page = 1, limit = 20, unreadOnly = false } = {}) {
+    const offset = (page - 1) * limit;
+
+    const query = `
+      SELECT *
+      FROM notifications
+      WHERE user_id = $1
+        AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+        ${unreadOnly ? 'AND is_read = false' : ''}
+      ORDER BY created_at DESC
+      LIMIT $2 OFFSET $3
+    `;
+
+    const result = await pool.query(query, [userId, limit, offset]);
+    return result.rows;
+  }
+
+  /**
+   * Count notifications of a user
+   */
+  static async countByUserId(userId, { unreadOnly = false } = {}) {
+    const query = `
+      SELECT COUNT(*) as count
+      FROM notifications
+      WHERE user_id = $1
+        AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+        ${unreadOnly ? 'AND is_read = false' : ''}
+    `;
+
+    const result = await pool.query(query, [userId]);
+    return parseInt(result.rows[0].count);
+  }
+
+  /**
+   * Mark a notification as read
+   */
+  static async markAsRead(notificationId, userId) {
+    const query = `
+      UPDATE notifications
+      SET is_read = true, read_at = COALESCE(read_at, CURRENT_TIMESTAMP)
+      WHERE id = $1 AND user_id = $2
+      RETURNING *
+    `;
+
+    const result = await pool.query(query, [notificationId, userId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Mark all notifications of a user as read
+   */
+  static async markAllAsRead(userId) {
+    const query = `
+      UPDATE notifications
+      SET is_read = true, read_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1 AND is_read = false
+    `;
+
+    const result = await pool.query(query, [userId]);
+    return result.rowCount;
+  }
+
+  /**
+   * Delete a notification
+   */
+  static async delete(notificationId, userId) {
+    const query = 'DELETE FROM notifications WHERE id = $1 AND user_id = $2 RETURNING id';
+    const result = await pool.query(query, [notificationId, userId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Delete all expired notifications
+   */
+  static async deleteExpired() {
+    const query = `
+      DELETE FROM notifications
+      WHERE expires_at IS NOT NULL AND expires_at <= CURRENT_TIMESTAMP
+    `;
+
+    const result = await pool.query(query);
+    return result.rowCount;
+  }
+
+  /**
+   * Format notification for API response
+   */
+  static formatNotification(notification) {
+    return {
+      id: notification.id,
+      type: notification.type,
+      title: notification.title,
+      message: notification.message,
+      data: notification.data || {},
+      isRead: notification.is_read,
+      readAt: notification.read_at,
+      expiresAt: notification.expires_at,
+      createdAt: notification.created_at
+    };
+  }
+}
+
+module.exports = NotificationModel;
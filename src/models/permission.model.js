@@ -19,8 +19,8 @@ class PermissionModel {
 
       // Create the permission group
       const groupQuery = `
-        INSERT INTO permission_groups (owner_id, name, description, is_active)
-        VALUES ($1, $2, $3, true)
+        INSERT INTO permission_groups (user_id, name, description)
+        VALUES ($1, $2, $3)
         RETURNING *
       `;
       
@@ -29,22 +29,7 @@ class PermissionModel {
 
       // Add users to the group if provided
       if (userIds && userIds.length > 0) {
-        const memberValues = userIds.map((userId, index) => {
-          const offset = index * 2;
-          return `($${offset + 1}, $${offset + 2})`;
-        }).join(',');
-
-        const memberQuery = `
-          INSERT INTO permission_group_members (group_id, user_id)
-          VALUES ${memberValues}
-        `;
-        
-        const memberParams = [];
-        userIds.forEach(userId => {
-          memberParams.push(group.id, userId);
-        });
-
-        await client.query(memberQuery, memberParams);
+        await this.insertGroupMembers(client, group.id, userId, userIds);
       }
 
       await client.query('COMMIT');
@@ -66,14 +51,13 @@ class PermissionModel {
         pg.id,
         pg.name,
         pg.description,
-        pg.is_active,
         pg.created_at,
         pg.updated_at,
         COUNT(pgm.user_id) as member_count
       FROM permission_groups pg
       LEFT JOIN permission_group_members pgm ON pg.id = pgm.group_id
-      WHERE pg.owner_id = $1 AND pg.is_active = true
-      GROUP BY pg.id, pg.name, pg.description, pg.is_active, pg.created_at, pg.updated_at
+      WHERE pg.user_id = $1 AND pg.is_deleted = false
+      GROUP BY pg.id, pg.name, pg.description, pg.created_at, pg.updated_at
       ORDER BY pg.created_at DESC
     `;
     
@@ -87,7 +71,7 @@ class PermissionModel {
   static async getPermissionGroupById(groupId, ownerId) {
     const groupQuery = `
       SELECT * FROM permission_groups
-      WHERE id = $1 AND owner_id = $2 AND is_active = true
+      WHERE id = $1 AND user_id = $2 AND is_deleted = false
     `;
     
     const membersQuery = `
@@ -152,7 +136,7 @@ class PermissionModel {
         const updateQuery = `
           UPDATE permission_groups
           SET ${updateFields.join(', ')}
-          WHERE id = $${paramCounter} AND owner_id = $${paramCounter + 1} AND is_active = true
+          WHERE id = $${paramCounter} AND user_id = $${paramCounter + 1} AND is_deleted = false
           RETURNING *
         `;
         
@@ -173,22 +157,7 @@ class PermissionModel {
 
         // Add new members
         if (userIds.length > 0) {
-          const memberValues = userIds.map((userId, index) => {
-            const offset = index * 2;
-            return `($${offset + 1}, $${offset + 2})`;
-          }).join(',');
-
-          const memberQuery = `
-            INSERT INTO permission_group_members (group_id, user_id)
-            VALUES ${memberValues}
-          `;
-          
-          const memberParams = [];
-          userIds.forEach(userId => {
-            memberParams.push(groupId, userId);
-          });
-
-          await client.query(memberQuery, memberParams);
+          await this.insertGroupMembers(client, groupId, ownerId, userIds);
         }
       }
 
@@ -210,8 +179,8 @@ class PermissionModel {
   static async deletePermissionGroup(groupId, ownerId) {
     const query = `
       UPDATE permission_groups
-      SET is_active = false, updated_at = CURRENT_TIMESTAMP
-      WHERE id = $1 AND owner_id = $2 AND is_active = true
+      SET is_deleted = true, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND user_id = $2 AND is_deleted = false
       RETURNING *
     `;
     
@@ -230,7 +199,7 @@ class PermissionModel {
 
       // Verify group ownership
       const groupCheck = await client.query(
-        'SELECT 1 FROM permission_groups WHERE id = $1 AND owner_id = $2 AND is_active = true',
+        'SELECT 1 FROM permission_groups WHERE id = $1 AND user_id = $2 AND is_deleted = false',
         [groupId, ownerId]
       );
 
@@ -248,22 +217,7 @@ class PermissionModel {
       const newUserIds = userIds.filter(userId => !existingUserIds.includes(userId));
 
       if (newUserIds.length > 0) {
-        const memberValues = newUserIds.map((userId, index) => {
-          const offset = index * 2;
-          return `($${offset + 1}, $${offset + 2})`;
-        }).join(',');
-
-        const memberQuery = `
-          INSERT INTO permission_group_members (group_id, user_id)
-          VALUES ${memberValues}
-        `;
-        
-        const memberParams = [];
-        newUserIds.forEach(userId => {
-          memberParams.push(groupId, userId);
-        });
-
-        await client.query(memberQuery, memberParams);
+        await this.insertGroupMembers(client, groupId, ownerId, newUserIds);
       }
 
       await client.query('COMMIT');
@@ -287,7 +241,7 @@ class PermissionModel {
 
       // Verify group ownership
       const groupCheck = await client.query(
-        'SELECT 1 FROM permission_groups WHERE id = $1 AND owner_id = $2 AND is_active = true',
+        'SELECT 1 FROM permission_groups WHERE id = $1 AND user_id = $2 AND is_deleted = false',
         [groupId, ownerId]
       );
 
@@ -313,13 +267,35 @@ class PermissionModel {
     }
   }
 
+  /**
+   * Insert group members inside an open transaction
+   */
+  static async insertGroupMembers(client, groupId, addedBy, userIds) {
+    const memberValues = userIds.map((_, index) => {
+      const offset = index * 3;
+      return `($${offset + 1}, $${offset + 2}, $${offset + 3})`;
+    }).join(',');
+
+    const memberQuery = `
+      INSERT INTO permission_group_members (group_id, user_id, added_by)
+      VALUES ${memberValues}
+      ON CONFLICT (group_id, user_id) DO NOTHING
+    `;
+
+    const memberParams = [];
+    userIds.forEach(userId => {
+      memberParams.push(groupId, userId, addedBy);
+    });
+
+    await client.query(memberQuery, memberParams);
+  }
+
   /**
    * Get user's default permission settings
    */
   static async getUserDefaultPermissions(userId) {
     const query = `
       SELECT 
-        default_sharing_enabled,
         auto_sync_permission_type,
         auto_sync_custom_group_id
       FROM users
@@ -0,0 +1,87 @@
+const { pool } = require('../config/database.config');
+const PhotoModel = require('./photo.model');
+const { getFileUrl } = require('../storage');
+
+/**
+ * Photo Change Model
+ * Handles database operations for the photo change feed read by syncing devices
+ */
+
+class PhotoChangeModel {
+  /**
+   * Record a photo change
+   */
+  static async record({ userId, photoId, changeType, changedFields = null, hashMd5 = null, sourceDeviceId = null }) {
+    const query = `
+      INSERT INTO photo_changes (user_id, photo_id, change_type, changed_fields, hash_md5, source_device_id)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `;
+
+    const result = await pool.query(query, [userId, photoId, changeType, changedFields, hashMd5, sourceDeviceId]);
+    return result.rows[0];
+  }
+
+  /**
+   * Get changes of a user after a change ID, in order
+   * Each change carries the photo's current state (null once deleted) and the
+   * local paths the given device has for it
+   */
+  static async findSince(userId, syncDeviceId, { afterId = 0, limit = 100 } = {}) {
+    const query = `
+      SELECT pc.*,
+             p.id as current_id, p.file_path, p.filename, p.original_name, p.file_size, p.mime_type,
+             p.caption, p.permission_type, p.custom_group_id, p.uploaded_at, p.like_count, p.comment_count,
+             p.renditions, p.width, p.height, p.taken_at, p.location, p.exif_data, p.tags,
+             paths.local_paths
+      FROM photo_changes pc
+      LEFT JOIN photos p ON p.id = pc.photo_id AND p.is_deleted = false
+      LEFT JOIN LATERAL (
+        SELECT array_agg(sfm.local_path ORDER BY sfm.local_path) as local_paths
+        FROM sync_file_mappings sfm
+        WHERE sfm.device_id = $2
+          AND (sfm.photo_id = pc.photo_id
+               OR (sfm.photo_id IS NULL AND pc.hash_md5 IS NOT NULL AND sfm.local_hash = pc.hash_md5))
+      ) paths ON true
+      WHERE pc.user_id = $1 AND pc.id > $3
+      ORDER BY pc.id
+      LIMIT $4
+    `;
+
+    const result = await pool.query(query, [userId, syncDeviceId, afterId, limit]);
+    return result.rows;
+  }
+
+  /**
+   * Format change for API response
+   */
+  static formatChange(change) {
+    const photo = change.current_id
+      ? {
+        ...PhotoModel.formatPhoto({ ...change, id: change.current_id }),
+        fileUrl: getFileUrl(change.file_path)
+      }
+      : null;
+
+    return {
+      changeId: parseInt(change.id),
+      type: change.change_type,
+      photoId: change.photo_id,
+      changedFields: change.changed_fields || undefined,
+      changedAt: change.changed_at,
+      localPaths: change.local_paths || [],
+      photo
+    };
+  }
+
+  /**
+   * Get the latest change ID of a user (0 when there are none)
+   */
+  static async getLatestId(userId) {
+    const query = 'SELECT COALESCE(MAX(id), 0) as latest_id FROM photo_changes WHERE user_id = $1';
+    const result = await pool.query(query, [userId]);
+    return parseInt(result.rows[0].latest_id);
+  }
+}
+
+module.exports = PhotoChangeModel;
@@ -1,4 +1,17 @@
 const { pool } = require('../config/database.config');
+const { getFileUrl } = require('../storage');
+const BlockModel = require('./block.model');
+const { PermissionUtils } = require('../utils/permission.utils');
+
+// Capture time used by the timeline; photos without EXIF dates fall back to upload time
+const CAPTURED_AT = 'COALESCE(p.taken_at, p.uploaded_at)';
+
+// date_trunc unit and bucket key format per timeline granularity
+const TIMELINE_GRANULARITIES = {
+  year: { unit: 'year', format: 'YYYY' },
+  month: { unit: 'month', format: 'YYYY-MM' },
+  day: { unit: 'day', format: 'YYYY-MM-DD' }
+};
 
 /**
  * Photo Model - Handles all photo-related database operations
@@ -16,12 +29,21 @@ class PhotoModel {
     mimeType,
     caption,
     permissionType,
-    customGroupId
+    customGroupId,
+    renditions = null,
+    metadata = null,
+    hashMd5 = null,
+    sourceDeviceId = null,
+    tags = []
   }) {
     const query = `
-      INSERT INTO photos (user_id, file_path, filename, original_name, file_size, mime_type, caption, permission_type, custom_group_id)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-      RETURNING id, user_id, file_path, filename, original_name, file_size, mime_type, caption, permission_type, custom_group_id, uploaded_at
+      INSERT INTO photos (user_id, file_path, filename, original_name, file_size, mime_type, caption, permission_type, custom_group_id,
+                          renditions, renditions_generated_at,
+                          exif_data, taken_at, width, height, location, metadata_extracted_at, hash_md5, source_device_id, tags)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, CASE WHEN $10::jsonb IS NULL THEN NULL ELSE CURRENT_TIMESTAMP END,
+              $11, $12, $13, $14, $15, CASE WHEN $16 THEN CURRENT_TIMESTAMP ELSE NULL END, $17, $18, $19)
+      RETURNING id, user_id, file_path, filename, original_name, file_size, mime_type, caption, permission_type, custom_group_id, uploaded_at, like_count, comment_count, renditions,
+                width, height, taken_at, location, exif_data, tags, hash_md5
     `;
     
     const values = [
@@ -33,7 +55,17 @@ class PhotoModel {
       mimeType,
       caption || null,
       permissionType,
-      customGroupId || null
+      customGroupId || null,
+      renditions ? JSON.stringify(renditions) : null,
+      metadata && metadata.exifData ? JSON.stringify(metadata.exifData) : null,
+      metadata ? metadata.takenAt : null,
+      metadata ? metadata.width : null,
+      metadata ? metadata.height : null,
+      metadata ? metadata.location : null,
+      metadata !== null,
+      hashMd5,
+      sourceDeviceId,
+      tags || []
     ];
     
     const result = await pool.query(query, values);
@@ -47,6 +79,7 @@ class PhotoModel {
     const query = `
       SELECT p.id, p.user_id, p.file_path, p.filename, p.original_name, p.file_size, 
              p.mime_type, p.caption, p.permission_type, p.custom_group_id, p.uploaded_at,
+             p.like_count, p.comment_count, p.renditions, p.width, p.height, p.taken_at, p.location, p.exif_data, p.tags,
              u.username, u.display_name, u.avatar_url
       FROM photos p
       JOIN users u ON p.user_id = u.id
@@ -66,6 +99,7 @@ class PhotoModel {
     const query = `
       SELECT p.id, p.user_id, p.file_path, p.filename, p.original_name, p.file_size, 
              p.mime_type, p.caption, p.permission_type, p.custom_group_id, p.uploaded_at,
+             p.like_count, p.comment_count, p.renditions, p.width, p.height, p.taken_at, p.location, p.exif_data, p.tags,
              u.username, u.display_name, u.avatar_url
       FROM photos p
       JOIN users u ON p.user_id = u.id
@@ -82,7 +116,7 @@ class PhotoModel {
    * Get count of photos by user ID
    */
   static async countByUserId(userId) {
-    const query = 'SELECT COUNT(*) FROM photos WHERE user_id = $1';
+    const query = 'SELECT COUNT(*) FROM photos WHERE user_id = $1 AND is_deleted = false';
     const result = await pool.query(query, [userId]);
     return parseInt(result.rows[0].count);
   }
@@ -116,7 +150,8 @@ class PhotoModel {
       UPDATE photos 
       SET ${updateFields.join(', ')}
       WHERE id = $${paramIndex}
-      RETURNING id, user_id, file_path, filename, original_name, file_size, mime_type, caption, permission_type, custom_group_id, uploaded_at
+      RETURNING id, user_id, file_path, filename, original_name, file_size, mime_type, caption, permission_type, custom_group_id, uploaded_at, like_count, comment_count, renditions,
+                width, height, taken_at, location, exif_data, tags
     `;
     
     const result = await pool.query(query, updateValues);
@@ -124,12 +159,104 @@ class PhotoModel {
   }
 
   /**
-   * Delete photo
+   * Move photo to trash
    */
-  static async delete(photoId) {
-    const query = 'DELETE FROM photos WHERE id = $1 RETURNING id, user_id, file_path, filename';
+  static async moveToTrash(photoId) {
+    const query = `
+      UPDATE photos
+      SET is_deleted = true, deleted_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND is_deleted = false
+      RETURNING id, user_id, filename, hash_md5, deleted_at
+    `;
+
     const result = await pool.query(query, [photoId]);
-    return result.rows[0];
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get photos in a user's trash with pagination, most recently deleted first
+   */
+  static async findTrashByUserId(userId, { page = 1, limit = 20 } = {}) {
+    const offset = (page - 1) * limit;
+
+    const query = `
+      SELECT p.id, p.user_id, p.file_path, p.filename, p.original_name, p.file_size, 
+             p.mime_type, p.caption, p.permission_type, p.custom_group_id, p.uploaded_at,
+             p.like_count, p.comment_count, p.renditions, p.width, p.height, p.taken_at, p.location, p.exif_data, p.tags,
+             p.deleted_at
+      FROM photos p
+      WHERE p.user_id = $1 AND p.is_deleted = true
+      ORDER BY p.deleted_at DESC, p.id DESC
+      LIMIT $2 OFFSET $3
+    `;
+
+    const result = await pool.query(query, [userId, limit, offset]);
+    return result.rows;
+  }
+
+  /**
+   * Get count and total size of photos in a user's trash
+   */
+  static async getTrashStats(userId) {
+    const query = `
+      SELECT COUNT(*) as count, COALESCE(SUM(file_size), 0) as total_size
+      FROM photos
+      WHERE user_id = $1 AND is_deleted = true
+    `;
+
+    const result = await pool.query(query, [userId]);
+    return {
+      count: parseInt(result.rows[0].count),
+      totalSize: parseInt(result.rows[0].total_size)
+    };
+  }
+
+  /**
+   * Restore photos of a user from trash
+   */
+  static async restoreFromTrash(userId, photoIds) {
+    const query = `
+      UPDATE photos
+      SET is_deleted = false, deleted_at = NULL
+      WHERE user_id = $1 AND id = ANY($2::int[]) AND is_deleted = true
+      RETURNING id, hash_md5
+    `;
+
+    const result = await pool.query(query, [userId, photoIds]);
+    return result.rows;
+  }
+
+  /**
+   * Permanently delete all photos in a user's trash
+   */
+  static async deleteTrash(userId) {
+    const query = `
+      DELETE FROM photos
+      WHERE user_id = $1 AND is_deleted = true
+      RETURNING id, file_path, renditions
+    `;
+
+    const result = await pool.query(query, [userId]);
+    return result.rows;
+  }
+
+  /**
+   * Permanently delete a batch of photos that have been in trash longer than the retention period
+   */
+  static async deleteExpiredTrash(retentionDays, limit = 100) {
+    const query = `
+      DELETE FROM photos
+      WHERE id IN (
+        SELECT id FROM photos
+        WHERE is_deleted = true AND deleted_at <= CURRENT_TIMESTAMP - make_interval(days => $1)
+        ORDER BY deleted_at
+        LIMIT $2
+      )
+      RETURNING id, file_path, renditions
+    `;
+
+    const result = await pool.query(query, [retentionDays, limit]);
+    return result.rows;
   }
 
   /**
@@ -141,15 +268,26 @@ class PhotoModel {
     const query = `
       SELECT p.id, p.user_id, p.file_path, p.filename, p.original_name, p.file_size, 
              p.mime_type, p.caption, p.permission_type, p.custom_group_id, p.uploaded_at,
+             p.like_count, p.comment_count, p.renditions, p.width, p.height, p.taken_at, p.location, p.exif_data, p.tags,
              u.username, u.display_name, u.avatar_url
       FROM photos p
       JOIN users u ON p.user_id = u.id
       JOIN friendships f ON ((f.requester_id = $1 AND f.addressee_id = p.user_id) OR (f.requester_id = p.user_id AND f.addressee_id = $1))
       WHERE f.status = 'accepted' 
       AND p.user_id != $1
+      AND p.is_deleted = false
       AND (
         p.permission_type = 'friends' OR 
-        p.permission_type = 'close_friends' OR
+        (p.permission_type = 'close_friends' AND (
+          (f.requester_id = p.user_id AND f.requester_marked_close = true) OR
+          (f.addressee_id = p.user_id AND f.addressee_marked_close = true)
+        )) OR
+        (p.permission_type = 'custom' AND EXISTS (
+          SELECT 1 FROM permission_groups pg
+          JOIN permission_group_members pgm ON pgm.group_id = pg.id
+          WHERE pg.id = p.custom_group_id AND pg.user_id = p.user_id
+          AND pg.is_deleted = false AND pgm.user_id = $1
+        )) OR
         p.permission_type = 'public'
       )
       ORDER BY p.uploaded_at DESC
@@ -170,9 +308,19 @@ class PhotoModel {
       JOIN friendships f ON ((f.requester_id = $1 AND f.addressee_id = p.user_id) OR (f.requester_id = p.user_id AND f.addressee_id = $1))
       WHERE f.status = 'accepted' 
       AND p.user_id != $1
+      AND p.is_deleted = false
       AND (
         p.permission_type = 'friends' OR 
-        p.permission_type = 'close_friends' OR
+        (p.permission_type = 'close_friends' AND (
+          (f.requester_id = p.user_id AND f.requester_marked_close = true) OR
+          (f.addressee_id = p.user_id AND f.addressee_marked_close = true)
+        )) OR
+        (p.permission_type = 'custom' AND EXISTS (
+          SELECT 1 FROM permission_groups pg
+          JOIN permission_group_members pgm ON pgm.group_id = pg.id
+          WHERE pg.id = p.custom_group_id AND pg.user_id = p.user_id
+          AND pg.is_deleted = false AND pgm.user_id = $1
+        )) OR
         p.permission_type = 'public'
       )
     `;
@@ -190,14 +338,26 @@ class PhotoModel {
     const query = `
       SELECT p.id, p.user_id, p.file_path, p.filename, p.original_name, p.file_size, 
              p.mime_type, p.caption, p.permission_type, p.custom_group_id, p.uploaded_at,
+             p.like_count, p.comment_count, p.renditions, p.width, p.height, p.taken_at, p.location, p.exif_data, p.tags,
              u.username, u.display_name, u.avatar_url
       FROM photos p
       JOIN users u ON p.user_id = u.id
       LEFT JOIN friendships f ON ((f.requester_id = $1 AND f.addressee_id = p.user_id) OR (f.requester_id = p.user_id AND f.addressee_id = $1))
-      WHERE (
+      WHERE p.is_deleted = false
+      AND ${BlockModel.buildNotBlockedCondition('$1', 'p.user_id')}
+      AND (
         p.permission_type = 'public' OR
         (p.permission_type = 'friends' AND f.status = 'accepted') OR
-        (p.permission_type = 'close_friends' AND f.status = 'accepted') OR
+        (p.permission_type = 'close_friends' AND f.status = 'accepted' AND (
+          (f.requester_id = p.user_id AND f.requester_marked_close = true) OR
+          (f.addressee_id = p.user_id AND f.addressee_marked_close = true)
+        )) OR
+        (p.permission_type = 'custom' AND EXISTS (
+          SELECT 1 FROM permission_groups pg
+          JOIN permission_group_members pgm ON pgm.group_id = pg.id
+          WHERE pg.id = p.custom_group_id AND pg.user_id = p.user_id
+          AND pg.is_deleted = false AND pgm.user_id = $1
+        )) OR
         p.user_id = $1
       )
       ORDER BY p.uploaded_at DESC
@@ -208,6 +368,98 @@ class PhotoModel {
     return result.rows;
   }
 
+  /**
+   * SQL condition mirroring checkPhotoPermission for the viewer bound to the given parameter
+   */
+  static buildAccessCondition(viewerParam) {
+    return `(
+        p.user_id = ${viewerParam} OR
+        ${BlockModel.buildNotBlockedCondition(viewerParam, 'p.user_id')} AND ${PermissionUtils.buildAudienceCondition(viewerParam, {
+          ownerColumn: 'p.user_id',
+          typeColumn: 'p.permission_type',
+          groupColumn: 'p.custom_group_id'
+        })}
+      )`;
+  }
+
+  /**
+   * Build WHERE clause shared by capture-date timeline queries
+   */
+  static buildTimelineFilters(ownerId, viewerId, { from = null, to = null } = {}) {
+    const conditions = ['p.user_id = $1', 'p.is_deleted = false', this.buildAccessCondition('$2')];
+    const values = [ownerId, viewerId];
+
+    if (from) {
+      values.push(from);
+      conditions.push(`${CAPTURED_AT} >= $${values.length}`);
+    }
+
+    if (to) {
+      values.push(to);
+      conditions.push(`${CAPTURED_AT} < $${values.length}`);
+    }
+
+    return { where: conditions.join(' AND '), values };
+  }
+
+  /**
+   * Count a user's accessible photos per capture-date bucket (UTC)
+   */
+  static async getTimelineBuckets(ownerId, viewerId, { granularity = 'month', from = null, to = null } = {}) {
+    const { unit, format } = TIMELINE_GRANULARITIES[granularity];
+    const { where, values } = this.buildTimelineFilters(ownerId, viewerId, { from, to });
+
+    const query = `
+      SELECT to_char(date_trunc('${unit}', ${CAPTURED_AT} AT TIME ZONE 'UTC'), '${format}') as bucket,
+             COUNT(*) as count,
+             MIN(${CAPTURED_AT}) as first_captured_at,
+             MAX(${CAPTURED_AT}) as last_captured_at
+      FROM photos p
+      WHERE ${where}
+      GROUP BY bucket
+      ORDER BY bucket DESC
+    `;
+
+    const result = await pool.query(query, values);
+    return result.rows.map(row => ({
+      bucket: row.bucket,
+      count: parseInt(row.count),
+      firstCapturedAt: row.first_captured_at,
+      lastCapturedAt: row.last_captured_at
+    }));
+  }
+
+  /**
+   * Get a user's accessible photos newest capture first, keyset paginated by (captured_at, id)
+   */
+  static async findTimelinePhotos(ownerId, viewerId, { from = null, to = null, cursor = null, limit = 30 } = {}) {
+    const { where, values } = this.buildTimelineFilters(ownerId, viewerId, { from, to });
+    const conditions = [where];
+
+    if (cursor) {
+      values.push(cursor.capturedAt, cursor.id);
+      conditions.push(`(${CAPTURED_AT}, p.id) < ($${values.length - 1}::timestamptz, $${values.length})`);
+    }
+
+    values.push(limit);
+    const query = `
+      SELECT p.id, p.user_id, p.file_path, p.filename, p.original_name, p.file_size, 
+             p.mime_type, p.caption, p.permission_type, p.custom_group_id, p.uploaded_at,
+             p.like_count, p.comment_count, p.renditions, p.width, p.height, p.taken_at, p.location, p.exif_data, p.tags,
+             u.username, u.display_name, u.avatar_url,
+             ${CAPTURED_AT} as captured_at,
+             to_char(${CAPTURED_AT} AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US"Z"') as captured_key
+      FROM photos p
+      JOIN users u ON p.user_id = u.id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY ${CAPTURED_AT} DESC, p.id DESC
+      LIMIT $${values.length}
+    `;
+
+    const result = await pool.query(query, values);
+    return result.rows;
+  }
+
   /**
    * Get user storage statistics
    */
@@ -219,7 +471,7 @@ class PhotoModel {
         permission_type,
         COUNT(*) as count_by_permission
       FROM photos 
-      WHERE user_id = $1
+      WHERE user_id = $1 AND is_deleted = false
       GROUP BY permission_type
     `;
     
@@ -231,7 +483,7 @@ class PhotoModel {
    * Check if user owns photo
    */
   static async isOwner(photoId, userId) {
-    const query = 'SELECT user_id FROM photos WHERE id = $1';
+    const query = 'SELECT user_id FROM photos WHERE id = $1 AND is_deleted = false';
     const result = await pool.query(query, [photoId]);
     
     if (result.rows.length === 0) {
@@ -249,9 +501,9 @@ class PhotoModel {
    */
   static async getCustomGroup(groupId) {
     const query = `
-      SELECT id, group_name, description, allowed_user_ids, user_id
-      FROM access_permissions
-      WHERE id = $1
+      SELECT id, name, description, user_id
+      FROM permission_groups
+      WHERE id = $1 AND is_deleted = false
     `;
     
     const result = await pool.query(query, [groupId]);
@@ -262,11 +514,180 @@ class PhotoModel {
    * Check if custom group exists and belongs to user
    */
   static async isCustomGroupOwner(groupId, userId) {
-    const query = 'SELECT id FROM access_permissions WHERE id = $1 AND user_id = $2';
+    const query = 'SELECT id FROM permission_groups WHERE id = $1 AND user_id = $2 AND is_deleted = false';
     const result = await pool.query(query, [groupId, userId]);
     return result.rows.length > 0;
   }
 
+  /**
+   * Like a photo (no-op if already liked)
+   */
+  static async addLike(photoId, userId) {
+    const query = `
+      INSERT INTO photo_likes (photo_id, user_id)
+      VALUES ($1, $2)
+      ON CONFLICT (photo_id, user_id) DO NOTHING
+      RETURNING id, photo_id, user_id, created_at
+    `;
+    
+    const result = await pool.query(query, [photoId, userId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Remove a like from a photo
+   */
+  static async removeLike(photoId, userId) {
+    const query = 'DELETE FROM photo_likes WHERE photo_id = $1 AND user_id = $2 RETURNING id';
+    const result = await pool.query(query, [photoId, userId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get current like count of a photo (maintained by update_photo_counts trigger)
+   */
+  static async getLikeCount(photoId) {
+    const query = 'SELECT like_count FROM photos WHERE id = $1';
+    const result = await pool.query(query, [photoId]);
+    return result.rows.length > 0 ? parseInt(result.rows[0].like_count) || 0 : 0;
+  }
+
+  /**
+   * Get users who liked a photo with pagination, leaving out users blocked either way by the viewer
+   */
+  static async getLikes(photoId, { page = 1, limit = 20, viewerId = null } = {}) {
+    const offset = (page - 1) * limit;
+    
+    const query = `
+      SELECT pl.user_id, pl.created_at,
+             u.username, u.display_name, u.avatar_url
+      FROM photo_likes pl
+      JOIN users u ON pl.user_id = u.id
+      WHERE pl.photo_id = $1
+      AND ${BlockModel.buildNotBlockedCondition('$4::integer', 'pl.user_id')}
+      ORDER BY pl.created_at DESC
+      LIMIT $2 OFFSET $3
+    `;
+    
+    const result = await pool.query(query, [photoId, limit, offset, viewerId]);
+    return result.rows;
+  }
+
+  /**
+   * Get which of the given photos the user has liked
+   */
+  static async getLikedPhotoIds(userId, photoIds) {
+    if (!userId || photoIds.length === 0) {
+      return [];
+    }
+
+    const query = 'SELECT photo_id FROM photo_likes WHERE user_id = $1 AND photo_id = ANY($2)';
+    const result = await pool.query(query, [userId, photoIds]);
+    return result.rows.map(row => row.photo_id);
+  }
+
+  /**
+   * Store generated renditions of a photo
+   */
+  static async updateRenditions(photoId, renditions) {
+    const query = `
+      UPDATE photos
+      SET renditions = $2, renditions_generated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING id, renditions, renditions_generated_at
+    `;
+
+    const result = await pool.query(query, [photoId, renditions ? JSON.stringify(renditions) : null]);
+    return result.rows[0];
+  }
+
+  /**
+   * Find photos for rendition backfill, keyset paginated by ID
+   */
+  static async findForRenditionBackfill({ afterId = 0, limit = 50, includeExisting = false } = {}) {
+    const query = `
+      SELECT id, user_id, file_path, mime_type, renditions
+      FROM photos
+      WHERE id > $1 AND is_deleted = false
+        ${includeExisting ? '' : 'AND renditions IS NULL'}
+      ORDER BY id
+      LIMIT $2
+    `;
+
+    const result = await pool.query(query, [afterId, limit]);
+    return result.rows;
+  }
+
+  /**
+   * Find photos for moving files between storage backends, keyset paginated by ID
+   * Trashed photos are included since their files are still kept
+   */
+  static async findForStorageMigration({ afterId = 0, limit = 50 } = {}) {
+    const query = `
+      SELECT id, file_path, mime_type, renditions
+      FROM photos
+      WHERE id > $1
+      ORDER BY id
+      LIMIT $2
+    `;
+
+    const result = await pool.query(query, [afterId, limit]);
+    return result.rows;
+  }
+
+  /**
+   * Count photos without renditions
+   */
+  static async countMissingRenditions() {
+    const query = 'SELECT COUNT(*) FROM photos WHERE renditions IS NULL AND is_deleted = false';
+    const result = await pool.query(query);
+    return parseInt(result.rows[0].count);
+  }
+
+  /**
+   * Store metadata extracted from the photo file
+   */
+  static async updateMetadata(photoId, { exifData, takenAt, width, height, location }) {
+    const query = `
+      UPDATE photos
+      SET exif_data = $2, taken_at = $3, width = $4, height = $5, location = $6,
+          metadata_extracted_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING id, exif_data, taken_at, width, height, location, metadata_extracted_at
+    `;
+
+    const values = [photoId, exifData ? JSON.stringify(exifData) : null, takenAt, width, height, location];
+    const result = await pool.query(query, values);
+    return result.rows[0];
+  }
+
+  /**
+   * Find photos for metadata re-scan, keyset paginated by ID
+   */
+  static async findForMetadataScan({ afterId = 0, limit = 50, includeExisting = false } = {}) {
+    const query = `
+      SELECT p.id, p.user_id, p.file_path, p.mime_type, p.renditions, u.strip_gps_on_upload
+      FROM photos p
+      JOIN users u ON p.user_id = u.id
+      WHERE p.id > $1 AND p.is_deleted = false
+        ${includeExisting ? '' : 'AND p.metadata_extracted_at IS NULL'}
+      ORDER BY p.id
+      LIMIT $2
+    `;
+
+    const result = await pool.query(query, [afterId, limit]);
+    return result.rows;
+  }
+
+  /**
+   * Count photos whose metadata has not been extracted
+   */
+  static async countMissingMetadata() {
+    const query = 'SELECT COUNT(*) FROM photos WHERE metadata_extracted_at IS NULL AND is_deleted = false';
+    const result = await pool.query(query);
+    return parseInt(result.rows[0].count);
+  }
+
   /**
    * Map field names to database columns
    */
@@ -274,7 +695,8 @@ class PhotoModel {
     const fieldMap = {
       caption: 'caption',
       permissionType: 'permission_type',
-      customGroupId: 'custom_group_id'
+      customGroupId: 'custom_group_id',
+      tags: 'tags'
     };
     
     return fieldMap[field] || field;
@@ -294,6 +716,17 @@ class PhotoModel {
       caption: photo.caption,
       permissionType: photo.permission_type,
       customGroup: customGroup,
+      likeCount: parseInt(photo.like_count) || 0,
+      commentCount: parseInt(photo.comment_count) || 0,
+      likedByMe: photo.liked_by_me === true,
+      renditions: this.formatRenditions(photo.renditions),
+      width: photo.width || null,
+      height: photo.height || null,
+      takenAt: photo.taken_at || null,
+      capturedAt: photo.captured_at || undefined,
+      location: photo.location || null,
+      exif: photo.exif_data || null,
+      tags: photo.tags || [],
       createdAt: photo.uploaded_at,
       updatedAt: photo.uploaded_at,
       owner: photo.username ? {
@@ -304,6 +737,24 @@ class PhotoModel {
       } : undefined
     };
   }
+
+  /**
+   * Format renditions into per-size URLs
+   */
+  static formatRenditions(renditions) {
+    if (!renditions) {
+      return null;
+    }
+
+    return Object.fromEntries(
+      Object.entries(renditions).map(([sizeName, rendition]) => [sizeName, {
+        url: getFileUrl(rendition.path),
+        webpUrl: rendition.webpPath ? getFileUrl(rendition.webpPath) : null,
+        width: rendition.width,
+        height: rendition.height
+      }])
+    );
+  }
 }
 
 module.exports = PhotoModel; 
\ No newline at end of file
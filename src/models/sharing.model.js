@@ -1,4 +1,17 @@
 const { pool } = require('../config/database.config');
+const BlockModel = require('./block.model');
+const PhotoModel = require('./photo.model');
+const { PermissionUtils } = require('../utils/permission.utils');
+
+// Album photo order per sort mode; photos without EXIF dates fall back to upload time
+const ALBUM_PHOTO_ORDER = {
+  manual: 'ap.position ASC, ap.id ASC',
+  taken_at: 'COALESCE(p.taken_at, p.uploaded_at) DESC, p.id DESC',
+  uploaded_at: 'p.uploaded_at DESC, p.id DESC'
+};
+
+// album_shares rows point at either an album or a smart album
+const ALBUM_SHARE_TYPE = "CASE WHEN als.smart_album_id IS NOT NULL THEN 'smart_album' ELSE 'album' END";
 
 /**
  * Sharing Model - Handles all sharing and album-related database operations
@@ -11,17 +24,14 @@ class SharingModel {
   /**
    * Create a new album
    */
-  static async createAlbum({ userId, albumName, description, privacyType = 'private' }) {
-    // Convert privacyType to is_public boolean
-    const isPublic = privacyType === 'public';
-    
+  static async createAlbum({ userId, albumName, description, privacyType = 'private', customGroupId = null, sortMode = 'manual' }) {
     const query = `
-      INSERT INTO albums (user_id, name, description, is_public)
-      VALUES ($1, $2, $3, $4)
-      RETURNING id, user_id, name, description, is_public, created_at, updated_at
+      INSERT INTO albums (user_id, name, description, privacy_type, custom_group_id, sort_mode)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING id, user_id, name, description, cover_photo_id, privacy_type, custom_group_id, sort_mode, created_at, updated_at
     `;
     
-    const result = await pool.query(query, [userId, albumName, description, isPublic]);
+    const result = await pool.query(query, [userId, albumName, description, privacyType, customGroupId, sortMode]);
     return result.rows[0];
   }
 
@@ -32,15 +42,15 @@ class SharingModel {
     const offset = (page - 1) * limit;
     
     const query = `
-      SELECT a.id, a.name, a.description, a.cover_photo_id, a.is_public, 
+      SELECT a.id, a.name, a.description, a.cover_photo_id, a.privacy_type, a.custom_group_id, a.sort_mode,
              a.created_at, a.updated_at,
-             COUNT(ap.photo_id) as photo_count,
-             p.file_path as cover_photo_url
+             (SELECT COUNT(*) FROM album_photos ap
+              JOIN photos ph ON ap.photo_id = ph.id
+              WHERE ap.album_id = a.id AND ph.is_deleted = false) as photo_count,
+             cover.id as effective_cover_photo_id, cover.file_path as cover_photo_url
       FROM albums a
-      LEFT JOIN album_photos ap ON a.id = ap.album_id
-      LEFT JOIN photos p ON a.cover_photo_id = p.id
-      WHERE a.user_id = $1
-      GROUP BY a.id, p.file_path
+      ${this.buildCoverPhotoJoin()}
+      WHERE a.user_id = $1 AND a.is_deleted = false
       ORDER BY a.created_at DESC
       LIMIT $2 OFFSET $3
     `;
@@ -53,7 +63,7 @@ class SharingModel {
    * Get total album count for user
    */
   static async getUserAlbumsCount(userId) {
-    const query = 'SELECT COUNT(*) FROM albums WHERE user_id = $1';
+    const query = 'SELECT COUNT(*) FROM albums WHERE user_id = $1 AND is_deleted = false';
     const result = await pool.query(query, [userId]);
     return parseInt(result.rows[0].count);
   }
@@ -64,11 +74,11 @@ class SharingModel {
   static async getAlbumById(albumId, userId = null) {
     let query = `
       SELECT a.id, a.user_id, a.name, a.description, a.cover_photo_id, 
-             a.is_public, a.created_at, a.updated_at,
+             a.privacy_type, a.custom_group_id, a.sort_mode, a.created_at, a.updated_at,
              u.username, u.display_name
       FROM albums a
       JOIN users u ON a.user_id = u.id
-      WHERE a.id = $1
+      WHERE a.id = $1 AND a.is_deleted = false
     `;
     
     const values = [albumId];
@@ -94,7 +104,10 @@ class SharingModel {
     const fieldMapping = {
       name: 'name',
       description: 'description', 
-      isPublic: 'is_public'
+      privacyType: 'privacy_type',
+      customGroupId: 'custom_group_id',
+      coverPhotoId: 'cover_photo_id',
+      sortMode: 'sort_mode'
     };
 
     for (const [key, value] of Object.entries(updateData)) {
@@ -117,7 +130,7 @@ class SharingModel {
       UPDATE albums 
       SET ${updateFields.join(', ')}
       WHERE id = $${paramIndex}
-      RETURNING id, user_id, name, description, is_public, created_at, updated_at
+      RETURNING id, user_id, name, description, cover_photo_id, privacy_type, custom_group_id, sort_mode, created_at, updated_at
     `;
     
     const result = await pool.query(query, updateValues);
@@ -125,73 +138,332 @@ class SharingModel {
   }
 
   /**
-   * Delete album
+   * Move album to trash; its photos and shares are kept for a restore
    */
-  static async deleteAlbum(albumId) {
-    // Remove all photo associations first
-    await pool.query('DELETE FROM album_photos WHERE album_id = $1', [albumId]);
-    
-    // Delete the album
-    const query = 'DELETE FROM albums WHERE id = $1 RETURNING id, name';
+  static async moveAlbumToTrash(albumId) {
+    const query = `
+      UPDATE albums
+      SET is_deleted = true, deleted_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND is_deleted = false
+      RETURNING id, name, deleted_at
+    `;
+
     const result = await pool.query(query, [albumId]);
-    return result.rows[0];
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get albums in a user's trash with pagination, most recently deleted first
+   */
+  static async findTrashedAlbums(userId, { page = 1, limit = 20 } = {}) {
+    const offset = (page - 1) * limit;
+
+    const query = `
+      SELECT a.id, a.name, a.description, a.cover_photo_id, a.privacy_type, a.custom_group_id, a.sort_mode,
+             a.created_at, a.updated_at, a.deleted_at,
+             (SELECT COUNT(*) FROM album_photos ap
+              JOIN photos ph ON ap.photo_id = ph.id
+              WHERE ap.album_id = a.id AND ph.is_deleted = false) as photo_count,
+             cover.id as effective_cover_photo_id, cover.file_path as cover_photo_url
+      FROM albums a
+      ${this.buildCoverPhotoJoin()}
+      WHERE a.user_id = $1 AND a.is_deleted = true
+      ORDER BY a.deleted_at DESC, a.id DESC
+      LIMIT $2 OFFSET $3
+    `;
+
+    const result = await pool.query(query, [userId, limit, offset]);
+    return result.rows;
+  }
+
+  /**
+   * Get count of albums in a user's trash
+   */
+  static async getAlbumTrashCount(userId) {
+    const query = 'SELECT COUNT(*) FROM albums WHERE user_id = $1 AND is_deleted = true';
+    const result = await pool.query(query, [userId]);
+    return parseInt(result.rows[0].count);
+  }
+
+  /**
+   * Restore albums of a user from trash
+   */
+  static async restoreAlbumsFromTrash(userId, albumIds) {
+    const query = `
+      UPDATE albums
+      SET is_deleted = false, deleted_at = NULL
+      WHERE user_id = $1 AND id = ANY($2::int[]) AND is_deleted = true
+      RETURNING id
+    `;
+
+    const result = await pool.query(query, [userId, albumIds]);
+    return result.rows;
+  }
+
+  /**
+   * Permanently delete all albums in a user's trash
+   * Album photos and shares go with them (ON DELETE CASCADE)
+   */
+  static async deleteAlbumTrash(userId) {
+    const query = `
+      DELETE FROM albums
+      WHERE user_id = $1 AND is_deleted = true
+      RETURNING id
+    `;
+
+    const result = await pool.query(query, [userId]);
+    return result.rows;
+  }
+
+  /**
+   * Permanently delete a batch of albums that have been in trash longer than the retention period
+   */
+  static async deleteExpiredAlbumTrash(retentionDays, limit = 100) {
+    const query = `
+      DELETE FROM albums
+      WHERE id IN (
+        SELECT id FROM albums
+        WHERE is_deleted = true AND deleted_at <= CURRENT_TIMESTAMP - make_interval(days => $1)
+        ORDER BY deleted_at
+        LIMIT $2
+      )
+      RETURNING id
+    `;
+
+    const result = await pool.query(query, [retentionDays, limit]);
+    return result.rows;
   }
 
   /**
    * Get photos in album
+   * With a viewer, only photos they may see: their own, photos whose permission covers them,
+   * and with an album share every photo except close-friends ones (as for direct shares)
    */
-  static async getAlbumPhotos(albumId, { page = 1, limit = 20 } = {}) {
+  static async getAlbumPhotos(albumId, { page = 1, limit = 20, viewerId = null, sortMode = 'manual' } = {}) {
     const offset = (page - 1) * limit;
+    const values = [albumId, limit, offset];
+    let viewerCondition = '';
+
+    if (viewerId) {
+      values.push(viewerId);
+      viewerCondition = `AND ${this.buildAlbumPhotoAccessCondition('$4')}`;
+    }
     
     const query = `
-      SELECT p.id, p.owner_id, p.file_path, p.file_name, p.original_name, 
+      SELECT p.id, p.user_id as owner_id, p.file_path, p.filename as file_name, p.original_name, 
              p.file_size, p.mime_type, p.caption, p.permission_type, 
-             p.custom_group_id, p.created_at, p.updated_at,
+             p.custom_group_id, p.uploaded_at as created_at, p.taken_at, p.renditions, p.tags,
              u.username, u.display_name, u.avatar_url,
-             ap.added_at
+             ap.added_at, ap.position, ap.added_by, ab.username as added_by_username, ab.display_name as added_by_display_name
       FROM photos p
       JOIN album_photos ap ON p.id = ap.photo_id
-      JOIN users u ON p.owner_id = u.id
-      WHERE ap.album_id = $1
-      ORDER BY ap.added_at DESC
+      JOIN users u ON p.user_id = u.id
+      LEFT JOIN users ab ON ap.added_by = ab.id
+      WHERE ap.album_id = $1 AND p.is_deleted = false
+      ${viewerCondition}
+      ORDER BY ${ALBUM_PHOTO_ORDER[sortMode] || ALBUM_PHOTO_ORDER.manual}
       LIMIT $2 OFFSET $3
     `;
     
-    const result = await pool.query(query, [albumId, limit, offset]);
+    const result = await pool.query(query, values);
     return result.rows;
   }
 
   /**
-   * Get total photo count in album
+   * Get total photo count in album (same visibility as getAlbumPhotos)
    */
-  static async getAlbumPhotosCount(albumId) {
-    const query = 'SELECT COUNT(*) FROM album_photos WHERE album_id = $1';
-    const result = await pool.query(query, [albumId]);
+  static async getAlbumPhotosCount(albumId, { viewerId = null } = {}) {
+    const values = [albumId];
+    let viewerCondition = '';
+
+    if (viewerId) {
+      values.push(viewerId);
+      viewerCondition = `AND ${this.buildAlbumPhotoAccessCondition('$2')}`;
+    }
+
+    const query = `
+      SELECT COUNT(*) FROM album_photos ap
+      JOIN photos p ON ap.photo_id = p.id
+      WHERE ap.album_id = $1 AND p.is_deleted = false
+      ${viewerCondition}
+    `;
+    const result = await pool.query(query, values);
+    return parseInt(result.rows[0].count);
+  }
+
+  /**
+   * Lateral join exposing the cover (id, file_path) of albums (a): the chosen cover while it is
+   * still in the album, otherwise the first photo in manual order; with a viewer only photos they may see
+   */
+  static buildCoverPhotoJoin(viewerParam = null) {
+    const viewerCondition = viewerParam ? `AND ${this.buildAlbumPhotoAccessCondition(viewerParam)}` : '';
+
+    return `LEFT JOIN LATERAL (
+        SELECT p.id, p.file_path
+        FROM album_photos ap
+        JOIN photos p ON ap.photo_id = p.id
+        WHERE ap.album_id = a.id AND p.is_deleted = false
+        ${viewerCondition}
+        ORDER BY p.id = a.cover_photo_id DESC NULLS LAST, ${ALBUM_PHOTO_ORDER.manual}
+        LIMIT 1
+      ) cover ON true`;
+  }
+
+  /**
+   * SQL condition for photos (p) of an album (ap) the viewer bound to the given parameter may see
+   * Photos contributed by share recipients are visible to everyone who can view the album
+   */
+  static buildAlbumPhotoAccessCondition(viewerParam) {
+    return `(
+        ${PhotoModel.buildAccessCondition(viewerParam)} OR
+        (p.permission_type != 'close_friends' AND ${this.buildActiveAlbumShareCondition(viewerParam, 'ap.album_id')}) OR
+        (${this.buildContributionCondition()} AND ${BlockModel.buildNotBlockedCondition(viewerParam, 'p.user_id')})
+      )`;
+  }
+
+  /**
+   * SQL condition that is true when an album photo (ap, p) was contributed by someone other than the album owner
+   */
+  static buildContributionCondition() {
+    return `(
+        ap.added_by = p.user_id AND NOT EXISTS (
+          SELECT 1 FROM albums ca WHERE ca.id = ap.album_id AND ca.user_id = p.user_id
+        )
+      )`;
+  }
+
+  /**
+   * SQL condition that is true when the album in the given column is actively shared with the viewer
+   */
+  static buildActiveAlbumShareCondition(viewerParam, albumColumn) {
+    return `EXISTS (
+        SELECT 1 FROM album_shares als
+        WHERE als.album_id = ${albumColumn} AND als.shared_with = ${viewerParam} AND als.is_active = TRUE
+        AND (als.expires_at IS NULL OR als.expires_at > CURRENT_TIMESTAMP)
+      )`;
+  }
+
+  /**
+   * SQL condition mirroring checkAlbumPermission for albums (a) and the viewer bound to the given parameter
+   * Trashed albums are visible to no one
+   */
+  static buildAlbumAccessCondition(viewerParam) {
+    return `(
+        a.is_deleted = false AND (
+          a.user_id = ${viewerParam} OR
+          ${BlockModel.buildNotBlockedCondition(viewerParam, 'a.user_id')} AND (
+            ${this.buildActiveAlbumShareCondition(viewerParam, 'a.id')} OR
+            ${PermissionUtils.buildAudienceCondition(viewerParam, {
+              ownerColumn: 'a.user_id',
+              typeColumn: 'a.privacy_type',
+              groupColumn: 'a.custom_group_id'
+            })}
+          )
+        )
+      )`;
+  }
+
+  /**
+   * Get other users' albums visible to the viewer, newest first
+   * Photo counts and covers only include photos the viewer may see
+   */
+  static async getAlbumFeed(viewerId, { page = 1, limit = 20 } = {}) {
+    const offset = (page - 1) * limit;
+
+    const query = `
+      SELECT a.id, a.user_id, a.name, a.description, a.cover_photo_id, a.privacy_type, a.custom_group_id,
+             a.sort_mode, a.created_at, a.updated_at,
+             u.username, u.display_name, u.avatar_url,
+             (SELECT COUNT(*) FROM album_photos ap
+              JOIN photos p ON ap.photo_id = p.id
+              WHERE ap.album_id = a.id AND p.is_deleted = false
+              AND ${this.buildAlbumPhotoAccessCondition('$1')}) as photo_count,
+             cover.id as effective_cover_photo_id, cover.file_path as cover_photo_url
+      FROM albums a
+      JOIN users u ON a.user_id = u.id
+      ${this.buildCoverPhotoJoin('$1')}
+      WHERE a.user_id != $1
+      AND ${this.buildAlbumAccessCondition('$1')}
+      ORDER BY a.updated_at DESC, a.id DESC
+      LIMIT $2 OFFSET $3
+    `;
+
+    const result = await pool.query(query, [viewerId, limit, offset]);
+    return result.rows;
+  }
+
+  /**
+   * Get count of other users' albums visible to the viewer
+   */
+  static async getAlbumFeedCount(viewerId) {
+    const query = `
+      SELECT COUNT(*) FROM albums a
+      WHERE a.user_id != $1
+      AND ${this.buildAlbumAccessCondition('$1')}
+    `;
+    const result = await pool.query(query, [viewerId]);
     return parseInt(result.rows[0].count);
   }
 
   /**
    * Add photos to album
    */
-  static async addPhotosToAlbum(albumId, photoIds) {
-    const values = photoIds.map((photoId, index) => {
-      const base = index * 2;
-      return `($${base + 1}, $${base + 2})`;
-    }).join(',');
-    
-    const queryValues = photoIds.flatMap(photoId => [albumId, photoId]);
-    
+  static async addPhotosToAlbum(albumId, photoIds, addedBy) {
+    // New photos go to the end of the manual order, in the given order
     const query = `
-      INSERT INTO album_photos (album_id, photo_id)
-      VALUES ${values}
+      INSERT INTO album_photos (album_id, photo_id, added_by, position)
+      SELECT $1, t.photo_id, $3, album_end.position + t.ordinal
+      FROM unnest($2::int[]) WITH ORDINALITY AS t(photo_id, ordinal),
+           (SELECT COALESCE(MAX(position), 0) as position FROM album_photos WHERE album_id = $1) album_end
       ON CONFLICT (album_id, photo_id) DO NOTHING
-      RETURNING album_id, photo_id
+      RETURNING album_id, photo_id, added_by, position
     `;
     
-    const result = await pool.query(query, queryValues);
+    const result = await pool.query(query, [albumId, photoIds, addedBy]);
     return result.rows;
   }
 
+  /**
+   * Lock an album's photo entries and get their photo IDs in manual order (inside a transaction)
+   */
+  static async lockAlbumPhotoOrder(client, albumId) {
+    const query = `
+      SELECT photo_id FROM album_photos
+      WHERE album_id = $1
+      ORDER BY position ASC, id ASC
+      FOR UPDATE
+    `;
+
+    const result = await client.query(query, [albumId]);
+    return result.rows.map(row => row.photo_id);
+  }
+
+  /**
+   * Store the manual order of an album's photos (inside a transaction)
+   */
+  static async updateAlbumPhotoPositions(client, albumId, photoIds) {
+    const query = `
+      UPDATE album_photos ap
+      SET position = t.ordinal
+      FROM unnest($2::int[]) WITH ORDINALITY AS t(photo_id, ordinal)
+      WHERE ap.album_id = $1 AND ap.photo_id = t.photo_id AND ap.position != t.ordinal
+    `;
+
+    await client.query(query, [albumId, photoIds]);
+  }
+
+  /**
+   * Forget a chosen cover that is among the given photos so the album falls back to its first photo
+   */
+  static async clearCoverPhoto(albumId, photoIds) {
+    const query = `
+      UPDATE albums SET cover_photo_id = NULL
+      WHERE id = $1 AND cover_photo_id = ANY($2::int[])
+    `;
+
+    await pool.query(query, [albumId, photoIds]);
+  }
+
   /**
    * Remove photos from album
    */
@@ -207,6 +479,71 @@ class SharingModel {
     return result.rows;
   }
 
+  /**
+   * Get album entries of the given photos with who added them
+   */
+  static async getAlbumPhotoEntries(albumId, photoIds) {
+    const query = `
+      SELECT photo_id, added_by
+      FROM album_photos
+      WHERE album_id = $1 AND photo_id = ANY($2::int[])
+    `;
+
+    const result = await pool.query(query, [albumId, photoIds]);
+    return result.rows;
+  }
+
+  /**
+   * Get the active album share a user received, preferring one that allows contributing
+   */
+  static async getActiveAlbumShare(albumId, userId) {
+    const query = `
+      SELECT id, permission_level, expires_at
+      FROM album_shares
+      WHERE album_id = $1 AND shared_with = $2 AND is_active = TRUE
+        AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+      ORDER BY permission_level = 'contribute' DESC, created_at DESC
+      LIMIT 1
+    `;
+
+    const result = await pool.query(query, [albumId, userId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Check if a photo was contributed to an album the viewer can see
+   */
+  static async isVisibleAsContribution(photoId, viewerId) {
+    const query = `
+      SELECT 1 FROM album_photos ap
+      JOIN photos p ON ap.photo_id = p.id
+      JOIN albums a ON ap.album_id = a.id
+      WHERE ap.photo_id = $1 AND p.is_deleted = false
+        AND ${this.buildContributionCondition()}
+        AND ${BlockModel.buildNotBlockedCondition('$2', 'p.user_id')}
+        AND ${this.buildAlbumAccessCondition('$2')}
+      LIMIT 1
+    `;
+
+    const result = await pool.query(query, [photoId, viewerId]);
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Check if a photo is in an album (trashed photos and albums do not count)
+   */
+  static async isPhotoInAlbum(albumId, photoId) {
+    const query = `
+      SELECT 1 FROM album_photos ap
+      JOIN albums a ON ap.album_id = a.id
+      JOIN photos p ON ap.photo_id = p.id
+      WHERE ap.album_id = $1 AND ap.photo_id = $2 AND p.is_deleted = false AND a.is_deleted = false
+    `;
+
+    const result = await pool.query(query, [albumId, photoId]);
+    return result.rows.length > 0;
+  }
+
   /**
    * Photo Sharing
    */
@@ -220,6 +557,7 @@ class SharingModel {
     shareType,
     albumId = null,
     photoId = null,
+    smartAlbumId = null,
     permissionLevel = 'view',
     expiresAt = null
   }) {
@@ -233,11 +571,24 @@ class SharingModel {
           permission_level, expires_at, is_active
         )
         VALUES ($1, $2, $3, $4, $5, TRUE)
-        RETURNING id, shared_by, shared_with, album_id, NULL as photo_id,
+        RETURNING id, shared_by, shared_with, album_id, NULL as photo_id, NULL as smart_album_id,
                   permission_level, expires_at, is_active, created_at, 
                   'album' as share_type
       `;
       values = [sharerId, recipientId, albumId, permissionLevel, expiresAt];
+    } else if (shareType === 'smart_album' && smartAlbumId) {
+      // Smart albums share the album_shares table through smart_album_id
+      query = `
+        INSERT INTO album_shares (
+          shared_by, shared_with, smart_album_id,
+          permission_level, expires_at, is_active
+        )
+        VALUES ($1, $2, $3, $4, $5, TRUE)
+        RETURNING id, shared_by, shared_with, NULL as album_id, NULL as photo_id, smart_album_id,
+                  permission_level, expires_at, is_active, created_at,
+                  'smart_album' as share_type
+      `;
+      values = [sharerId, recipientId, smartAlbumId, permissionLevel, expiresAt];
     } else if (shareType === 'individual_photo' && photoId) {
       // Use photo_shares table for individual photo shares
       query = `
@@ -246,7 +597,7 @@ class SharingModel {
           permission_level, expires_at, is_active
         )
         VALUES ($1, $2, $3, $4, $5, TRUE)
-        RETURNING id, shared_by, shared_with, NULL as album_id, photo_id,
+        RETURNING id, shared_by, shared_with, NULL as album_id, photo_id, NULL as smart_album_id,
                   permission_level, expires_at, is_active, created_at,
                   'individual_photo' as share_type
       `;
@@ -259,7 +610,7 @@ class SharingModel {
           permission_level, expires_at, is_active
         )
         VALUES ($1, $2, $3, $4, TRUE)
-        RETURNING id, shared_by, shared_with, NULL as album_id, NULL as photo_id,
+        RETURNING id, shared_by, shared_with, NULL as album_id, NULL as photo_id, NULL as smart_album_id,
                   permission_level, expires_at, is_active, created_at,
                   'all_photos' as share_type
       `;
@@ -274,6 +625,7 @@ class SharingModel {
 
   /**
    * Get shares by user (given or received)
+   * Shares with users blocked either way are left out
    */
   static async getSharesByUser(userId, type = 'given', { page = 1, limit = 20, status = 'active', shareType = null } = {}) {
     const offset = (page - 1) * limit;
@@ -293,14 +645,16 @@ class SharingModel {
       
       photoSharesQuery = `
         SELECT ps.id, ps.shared_by, ps.shared_with, 'individual_photo' as share_type, 
-               NULL as album_id, ps.photo_id, ps.permission_level, ps.expires_at, 
+               NULL as album_id, ps.photo_id, NULL as smart_album_id, ps.permission_level, ps.expires_at, 
                ps.is_active, ps.created_at,
                u.username as shared_with_username, u.display_name as shared_with_display_name,
                NULL as album_name, p.filename as file_name
         FROM photo_shares ps
         JOIN users u ON ps.shared_with = u.id
         LEFT JOIN photos p ON ps.photo_id = p.id
-        WHERE ps.shared_by = $1 AND ${photoStatusCondition}
+        WHERE ps.shared_by = $1 AND (${photoStatusCondition})
+          AND (p.id IS NULL OR p.is_deleted = false)
+          AND ${BlockModel.buildNotBlockedCondition('$1', 'u.id')}
       `;
       
       // Get album shares given by user
@@ -314,15 +668,18 @@ class SharingModel {
       }
       
       albumSharesQuery = `
-        SELECT als.id, als.shared_by, als.shared_with, 'album' as share_type,
-               als.album_id, NULL as photo_id, als.permission_level, als.expires_at,
+        SELECT als.id, als.shared_by, als.shared_with, ${ALBUM_SHARE_TYPE} as share_type,
+               als.album_id, NULL as photo_id, als.smart_album_id, als.permission_level, als.expires_at,
                als.is_active, als.created_at,
                u.username as shared_with_username, u.display_name as shared_with_display_name,
-               a.name as album_name, NULL as file_name
+               COALESCE(a.name, sa.name) as album_name, NULL as file_name
         FROM album_shares als
         JOIN users u ON als.shared_with = u.id
         LEFT JOIN albums a ON als.album_id = a.id
-        WHERE als.shared_by = $1 AND ${albumStatusCondition}
+        LEFT JOIN smart_albums sa ON als.smart_album_id = sa.id
+        WHERE als.shared_by = $1 AND (${albumStatusCondition})
+          AND (a.id IS NULL OR a.is_deleted = false)
+          AND ${BlockModel.buildNotBlockedCondition('$1', 'u.id')}
       `;
     } else {
       // Get photo shares received by user
@@ -337,14 +694,16 @@ class SharingModel {
       
       photoSharesQuery = `
         SELECT ps.id, ps.shared_by, ps.shared_with, 'individual_photo' as share_type,
-               NULL as album_id, ps.photo_id, ps.permission_level, ps.expires_at,
+               NULL as album_id, ps.photo_id, NULL as smart_album_id, ps.permission_level, ps.expires_at,
                ps.is_active, ps.created_at,
                u.username as shared_by_username, u.display_name as shared_by_display_name,
                NULL as album_name, p.filename as file_name
         FROM photo_shares ps
         JOIN users u ON ps.shared_by = u.id
         LEFT JOIN photos p ON ps.photo_id = p.id
-        WHERE ps.shared_with = $1 AND ${photoStatusCondition}
+        WHERE ps.shared_with = $1 AND (${photoStatusCondition})
+          AND (p.id IS NULL OR p.is_deleted = false)
+          AND ${BlockModel.buildNotBlockedCondition('$1', 'u.id')}
       `;
       
       // Get album shares received by user
@@ -358,37 +717,45 @@ class SharingModel {
       }
       
       albumSharesQuery = `
-        SELECT als.id, als.shared_by, als.shared_with, 'album' as share_type,
-               als.album_id, NULL as photo_id, als.permission_level, als.expires_at,
+        SELECT als.id, als.shared_by, als.shared_with, ${ALBUM_SHARE_TYPE} as share_type,
+               als.album_id, NULL as photo_id, als.smart_album_id, als.permission_level, als.expires_at,
                als.is_active, als.created_at,
                u.username as shared_by_username, u.display_name as shared_by_display_name,
-               a.name as album_name, NULL as file_name
+               COALESCE(a.name, sa.name) as album_name, NULL as file_name
         FROM album_shares als
         JOIN users u ON als.shared_by = u.id
         LEFT JOIN albums a ON als.album_id = a.id
-        WHERE als.shared_with = $1 AND ${albumStatusCondition}
+        LEFT JOIN smart_albums sa ON als.smart_album_id = sa.id
+        WHERE als.shared_with = $1 AND (${albumStatusCondition})
+          AND (a.id IS NULL OR a.is_deleted = false)
+          AND ${BlockModel.buildNotBlockedCondition('$1', 'u.id')}
       `;
     }
     
     // Combine queries with UNION and add share type filter if needed
     let unionQuery = `(${photoSharesQuery}) UNION ALL (${albumSharesQuery})`;
     
+    const values = [userId, limit, offset];
+    let shareTypeCondition = '';
+    
     if (shareType) {
       if (shareType === 'individual_photo') {
         unionQuery = photoSharesQuery;
-      } else if (shareType === 'album') {
+      } else if (shareType === 'album' || shareType === 'smart_album') {
         unionQuery = albumSharesQuery;
+        values.push(shareType);
+        shareTypeCondition = 'WHERE share_type = $4';
       }
       // If shareType is 'all_photos', we still need both queries but will filter later
     }
     
     const finalQuery = `
       SELECT * FROM (${unionQuery}) combined_shares
+      ${shareTypeCondition}
       ORDER BY created_at DESC
       LIMIT $2 OFFSET $3
     `;
     
-    const values = [userId, limit, offset];
     const result = await pool.query(finalQuery, values);
     return result.rows;
   }
@@ -400,7 +767,7 @@ class SharingModel {
     // Try to find in photo_shares table first
     const photoShareQuery = `
       SELECT ps.id, ps.shared_by, ps.shared_with, 'individual_photo' as share_type, 
-             NULL as album_id, ps.photo_id, ps.permission_level, ps.expires_at, 
+             NULL as album_id, ps.photo_id, NULL as smart_album_id, ps.permission_level, ps.expires_at, 
              ps.is_active, ps.created_at,
              sharer.username as shared_by_username, sharer.display_name as shared_by_display_name,
              recipient.username as shared_with_username, recipient.display_name as shared_with_display_name,
@@ -419,16 +786,17 @@ class SharingModel {
     
     // If not found in photo_shares, try album_shares table
     const albumShareQuery = `
-      SELECT als.id, als.shared_by, als.shared_with, 'album' as share_type,
-             als.album_id, NULL as photo_id, als.permission_level, als.expires_at,
+      SELECT als.id, als.shared_by, als.shared_with, ${ALBUM_SHARE_TYPE} as share_type,
+             als.album_id, NULL as photo_id, als.smart_album_id, als.permission_level, als.expires_at,
              als.is_active, als.created_at,
              sharer.username as shared_by_username, sharer.display_name as shared_by_display_name,
              recipient.username as shared_with_username, recipient.display_name as shared_with_display_name,
-             a.name as album_name, NULL as file_name
+             COALESCE(a.name, sa.name) as album_name, NULL as file_name
       FROM album_shares als
       JOIN users sharer ON als.shared_by = sharer.id
       JOIN users recipient ON als.shared_with = recipient.id
       LEFT JOIN albums a ON als.album_id = a.id
+      LEFT JOIN smart_albums sa ON als.smart_album_id = sa.id
       WHERE als.id = $1
     `;
     
@@ -465,7 +833,7 @@ class SharingModel {
       SET ${updateFields.join(', ')}
       WHERE id = $${paramIndex}
       RETURNING id, shared_by, shared_with, 'individual_photo' as share_type, 
-                NULL as album_id, photo_id, permission_level, expires_at, 
+                NULL as album_id, photo_id, NULL as smart_album_id, permission_level, expires_at, 
                 is_active, created_at
     `;
     
@@ -479,8 +847,9 @@ class SharingModel {
       UPDATE album_shares 
       SET ${updateFields.join(', ')}
       WHERE id = $${paramIndex}
-      RETURNING id, shared_by, shared_with, 'album' as share_type,
-                album_id, NULL as photo_id, permission_level, expires_at,
+      RETURNING id, shared_by, shared_with,
+                CASE WHEN smart_album_id IS NOT NULL THEN 'smart_album' ELSE 'album' END as share_type,
+                album_id, NULL as photo_id, smart_album_id, permission_level, expires_at,
                 is_active, created_at
     `;
     
@@ -506,6 +875,221 @@ class SharingModel {
     return result.rows[0];
   }
 
+  /**
+   * Check if a user received an active share covering a photo:
+   * the photo itself, an album containing it, or all photos of its owner
+   */
+  static async hasActiveShareForPhoto(photoId, ownerId, userId) {
+    const query = `
+      SELECT 1 FROM photo_shares ps
+      WHERE ps.shared_with = $3 AND ps.is_active = TRUE
+        AND (ps.expires_at IS NULL OR ps.expires_at > CURRENT_TIMESTAMP)
+        AND (ps.photo_id = $1 OR (ps.photo_id IS NULL AND ps.album_id IS NULL AND ps.shared_by = $2))
+      UNION ALL
+      SELECT 1 FROM album_shares als
+      JOIN albums a ON a.id = als.album_id AND a.is_deleted = false
+      JOIN album_photos ap ON ap.album_id = als.album_id
+      WHERE als.shared_with = $3 AND als.is_active = TRUE
+        AND (als.expires_at IS NULL OR als.expires_at > CURRENT_TIMESTAMP)
+        AND ap.photo_id = $1
+      LIMIT 1
+    `;
+
+    const result = await pool.query(query, [photoId, ownerId, userId]);
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Share Links
+   */
+
+  /**
+   * Create a public share link (a share without recipient)
+   */
+  static async createShareLink({
+    sharerId,
+    shareType,
+    albumId = null,
+    photoId = null,
+    permissionLevel = 'view',
+    expiresAt = null,
+    maxAccessCount = null,
+    requireAuth = false,
+    passwordHash = null,
+    message = null
+  }) {
+    let query, values;
+
+    if (shareType === 'album' && albumId) {
+      query = `
+        INSERT INTO album_shares (
+          shared_by, shared_with, album_id, permission_level, expires_at,
+          max_access_count, require_auth, password_hash, message, is_active
+        )
+        VALUES ($1, NULL, $2, $3, $4, $5, $6, $7, $8, TRUE)
+        RETURNING *, NULL as photo_id, 'album' as share_type
+      `;
+      values = [sharerId, albumId, permissionLevel, expiresAt, maxAccessCount, requireAuth, passwordHash, message];
+    } else if (shareType === 'individual_photo' && photoId) {
+      query = `
+        INSERT INTO photo_shares (
+          shared_by, shared_with, photo_id, share_type, permission_level, expires_at,
+          max_access_count, require_auth, password_hash, message, is_active
+        )
+        VALUES ($1, NULL, $2, 'individual_photo', $3, $4, $5, $6, $7, $8, TRUE)
+        RETURNING *
+      `;
+      values = [sharerId, photoId, permissionLevel, expiresAt, maxAccessCount, requireAuth, passwordHash, message];
+    } else {
+      throw new Error('Invalid share type or missing resource ID');
+    }
+
+    const result = await pool.query(query, values);
+    return result.rows[0];
+  }
+
+  /**
+   * Get a share link by its access token
+   */
+  static async getShareLinkByToken(accessToken) {
+    const query = `
+      SELECT * FROM (
+        SELECT ps.id, ps.shared_by, ps.share_type, NULL as album_id, ps.photo_id,
+               ps.permission_level, ps.expires_at, ps.access_token, ps.access_count,
+               ps.max_access_count, ps.require_auth, ps.password_hash, ps.message,
+               ps.is_active, ps.created_at, ps.last_accessed_at,
+               u.username as shared_by_username, u.display_name as shared_by_display_name
+        FROM photo_shares ps
+        JOIN users u ON ps.shared_by = u.id
+        WHERE ps.access_token = $1 AND ps.shared_with IS NULL
+        UNION ALL
+        SELECT als.id, als.shared_by, 'album' as share_type, als.album_id, NULL as photo_id,
+               als.permission_level, als.expires_at, als.access_token, als.access_count,
+               als.max_access_count, als.require_auth, als.password_hash, als.message,
+               als.is_active, als.created_at, als.last_accessed_at,
+               u.username as shared_by_username, u.display_name as shared_by_display_name
+        FROM album_shares als
+        JOIN users u ON als.shared_by = u.id
+        WHERE als.access_token = $1 AND als.shared_with IS NULL
+      ) links
+    `;
+
+    const result = await pool.query(query, [accessToken]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get share links created by user
+   */
+  static async getShareLinksByUser(userId, { page = 1, limit = 20 } = {}) {
+    const offset = (page - 1) * limit;
+
+    const query = `
+      SELECT * FROM (
+        SELECT ps.id, ps.shared_by, ps.share_type, NULL as album_id, ps.photo_id,
+               ps.permission_level, ps.expires_at, ps.access_token, ps.access_count,
+               ps.max_access_count, ps.require_auth, ps.password_hash, ps.message,
+               ps.is_active, ps.created_at, ps.last_accessed_at,
+               NULL as album_name, p.filename as file_name
+        FROM photo_shares ps
+        LEFT JOIN photos p ON ps.photo_id = p.id
+        WHERE ps.shared_by = $1 AND ps.shared_with IS NULL
+          AND (p.id IS NULL OR p.is_deleted = false)
+        UNION ALL
+        SELECT als.id, als.shared_by, 'album' as share_type, als.album_id, NULL as photo_id,
+               als.permission_level, als.expires_at, als.access_token, als.access_count,
+               als.max_access_count, als.require_auth, als.password_hash, als.message,
+               als.is_active, als.created_at, als.last_accessed_at,
+               a.name as album_name, NULL as file_name
+        FROM album_shares als
+        LEFT JOIN albums a ON als.album_id = a.id
+        WHERE als.shared_by = $1 AND als.shared_with IS NULL
+          AND (a.id IS NULL OR a.is_deleted = false)
+      ) links
+      ORDER BY created_at DESC
+      LIMIT $2 OFFSET $3
+    `;
+
+    const result = await pool.query(query, [userId, limit, offset]);
+    return result.rows;
+  }
+
+  /**
+   * Get total share link count for user
+   */
+  static async getShareLinksCount(userId) {
+    const query = `
+      SELECT
+        (SELECT COUNT(*) FROM photo_shares ps
+         LEFT JOIN photos p ON ps.photo_id = p.id
+         WHERE ps.shared_by = $1 AND ps.shared_with IS NULL
+           AND (p.id IS NULL OR p.is_deleted = false)) +
+        (SELECT COUNT(*) FROM album_shares als
+         LEFT JOIN albums a ON als.album_id = a.id
+         WHERE als.shared_by = $1 AND als.shared_with IS NULL
+           AND (a.id IS NULL OR a.is_deleted = false)) as count
+    `;
+    const result = await pool.query(query, [userId]);
+    return parseInt(result.rows[0].count);
+  }
+
+  /**
+   * Count one access of a share link. Returns null when the link is no longer usable,
+   * so concurrent requests can never push access_count past max_access_count.
+   */
+  static async registerShareLinkAccess(shareId, shareType) {
+    const table = shareType === 'album' ? 'album_shares' : 'photo_shares';
+
+    const query = `
+      UPDATE ${table}
+      SET access_count = COALESCE(access_count, 0) + 1,
+          last_accessed_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+        AND shared_with IS NULL
+        AND is_active = TRUE
+        AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+        AND (max_access_count IS NULL OR COALESCE(access_count, 0) < max_access_count)
+      RETURNING id, access_count, max_access_count
+    `;
+
+    const result = await pool.query(query, [shareId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Replace the access token of a share link
+   */
+  static async rotateShareLinkToken(shareId, shareType, sharerId) {
+    const table = shareType === 'album' ? 'album_shares' : 'photo_shares';
+
+    const query = `
+      UPDATE ${table}
+      SET access_token = uuid_generate_v4()
+      WHERE id = $1 AND shared_by = $2 AND shared_with IS NULL
+      RETURNING access_token
+    `;
+
+    const result = await pool.query(query, [shareId, sharerId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Deactivate a share link
+   */
+  static async revokeShareLink(shareId, shareType, sharerId) {
+    const table = shareType === 'album' ? 'album_shares' : 'photo_shares';
+
+    const query = `
+      UPDATE ${table}
+      SET is_active = FALSE
+      WHERE id = $1 AND shared_by = $2 AND shared_with IS NULL
+      RETURNING id
+    `;
+
+    const result = await pool.query(query, [shareId, sharerId]);
+    return result.rows[0] || null;
+  }
+
   /**
    * Helper methods
    */
@@ -517,7 +1101,8 @@ class SharingModel {
     const fieldMap = {
       albumName: 'name',
       description: 'description',
-      privacyType: 'is_public'
+      privacyType: 'privacy_type',
+      customGroupId: 'custom_group_id'
     };
     
     return fieldMap[field] || field;
@@ -545,14 +1130,45 @@ class SharingModel {
       userId: album.user_id,
       name: album.name,
       description: album.description,
-      isPublic: album.is_public,
+      privacyType: album.privacy_type,
+      customGroupId: album.custom_group_id,
+      isPublic: album.privacy_type === 'public',
+      sortMode: album.sort_mode,
       photoCount: album.photo_count ? parseInt(album.photo_count) : 0,
+      coverPhotoId: album.effective_cover_photo_id !== undefined ? album.effective_cover_photo_id : album.cover_photo_id,
       coverPhotoUrl: album.cover_photo_url,
       createdAt: album.created_at,
       updatedAt: album.updated_at
     };
   }
 
+  /**
+   * Format share link for API response
+   */
+  static formatShareLink(link) {
+    return {
+      id: link.id,
+      token: link.access_token,
+      shareType: link.share_type,
+      albumId: link.album_id,
+      photoId: link.photo_id,
+      permissionLevel: link.permission_level,
+      expiresAt: link.expires_at,
+      accessCount: link.access_count || 0,
+      maxAccessCount: link.max_access_count,
+      requireAuth: link.require_auth,
+      hasPassword: !!link.password_hash,
+      message: link.message,
+      isActive: link.is_active,
+      createdAt: link.created_at,
+      lastAccessedAt: link.last_accessed_at,
+      content: {
+        albumName: link.album_name,
+        fileName: link.file_name
+      }
+    };
+  }
+
   /**
    * Format share for API response
    */
@@ -566,6 +1182,7 @@ class SharingModel {
       shareType: share.share_type,
       albumId: share.album_id,
       photoId: share.photo_id,
+      smartAlbumId: share.smart_album_id,
       permissionLevel: share.permission_level,
       expiresAt: share.expires_at,
       isActive: share.is_active,
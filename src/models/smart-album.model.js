@@ -0,0 +1,281 @@
+const { pool } = require('../config/database.config');
+const PhotoModel = require('./photo.model');
+
+/**
+ * Smart Album Model
+ * Handles database operations for albums defined by a saved photo filter
+ * The filter is evaluated on read, so smart albums never store their photos
+ */
+
+class SmartAlbumModel {
+  /**
+   * Create a smart album
+   */
+  static async create({ userId, name, description = null, filters }) {
+    const query = `
+      INSERT INTO smart_albums (user_id, name, description, filters)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `;
+
+    const result = await pool.query(query, [userId, name, description, JSON.stringify(filters)]);
+    return result.rows[0];
+  }
+
+  /**
+   * Find a smart album by ID, optionally only when owned by the given user
+   */
+  static async findById(smartAlbumId, userId = null) {
+    let query = `
+      SELECT sa.*, u.username, u.display_name
+      FROM smart_albums sa
+      JOIN users u ON sa.user_id = u.id
+      WHERE sa.id = $1
+    `;
+    const values = [smartAlbumId];
+
+    if (userId) {
+      query += ' AND sa.user_id = $2';
+      values.push(userId);
+    }
+
+    const result = await pool.query(query, values);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get a user's smart albums
+   */
+  static async findByUser(userId, { page = 1, limit = 20 } = {}) {
+    const offset = (page - 1) * limit;
+    const query = `
+      SELECT * FROM smart_albums
+      WHERE user_id = $1
+      ORDER BY created_at DESC, id DESC
+      LIMIT $2 OFFSET $3
+    `;
+
+    const result = await pool.query(query, [userId, limit, offset]);
+    return result.rows;
+  }
+
+  /**
+   * Get count of a user's smart albums
+   */
+  static async countByUser(userId) {
+    const query = 'SELECT COUNT(*) FROM smart_albums WHERE user_id = $1';
+    const result = await pool.query(query, [userId]);
+    return parseInt(result.rows[0].count);
+  }
+
+  /**
+   * Update a smart album
+   */
+  static async update(smartAlbumId, { name, description, filters }) {
+    const fields = [];
+    const values = [];
+
+    if (name !== undefined) {
+      values.push(name);
+      fields.push(`name = $${values.length}`);
+    }
+
+    if (description !== undefined) {
+      values.push(description);
+      fields.push(`description = $${values.length}`);
+    }
+
+    if (filters !== undefined) {
+      values.push(JSON.stringify(filters));
+      fields.push(`filters = $${values.length}`);
+    }
+
+    if (fields.length === 0) {
+      throw new Error('No fields to update');
+    }
+
+    values.push(smartAlbumId);
+    const query = `
+      UPDATE smart_albums
+      SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $${values.length}
+      RETURNING *
+    `;
+
+    const result = await pool.query(query, values);
+    return result.rows[0];
+  }
+
+  /**
+   * Delete a smart album (its shares go with it)
+   */
+  static async delete(smartAlbumId) {
+    const query = 'DELETE FROM smart_albums WHERE id = $1 RETURNING id, name';
+    const result = await pool.query(query, [smartAlbumId]);
+    return result.rows[0];
+  }
+
+  /**
+   * Build the SQL condition for a saved filter over photos (p), appending its parameters to values
+   * Every given criterion must match; camera make and model match case-insensitive substrings
+   */
+  static buildFilterCondition(filters, values) {
+    const conditions = [];
+
+    if (filters.tags && filters.tags.length > 0) {
+      values.push(filters.tags);
+      conditions.push(`p.tags @> $${values.length}::text[]`);
+    }
+
+    if (filters.takenFrom) {
+      values.push(filters.takenFrom);
+      conditions.push(`p.taken_at >= $${values.length}`);
+    }
+
+    if (filters.takenTo) {
+      values.push(filters.takenTo);
+      conditions.push(`p.taken_at < $${values.length}`);
+    }
+
+    if (filters.cameraMake) {
+      values.push(filters.cameraMake.toLowerCase());
+      conditions.push(`strpos(lower(p.exif_data->>'make'), $${values.length}) > 0`);
+    }
+
+    if (filters.cameraModel) {
+      values.push(filters.cameraModel.toLowerCase());
+      conditions.push(`strpos(lower(p.exif_data->>'model'), $${values.length}) > 0`);
+    }
+
+    // Saved as the owner's client device IDs, resolved through device_sync
+    if (filters.sourceDeviceIds && filters.sourceDeviceIds.length > 0) {
+      values.push(filters.sourceDeviceIds);
+      conditions.push(`p.source_device_id IN (
+        SELECT ds.id FROM device_sync ds
+        WHERE ds.user_id = p.user_id AND ds.device_id = ANY($${values.length}::text[])
+      )`);
+    }
+
+    return conditions.length > 0 ? conditions.join(' AND ') : 'TRUE';
+  }
+
+  /**
+   * Build WHERE clause for the photos of a smart album
+   * Share recipients see every matching photo except close-friends ones they aren't close friends for
+   */
+  static buildPhotoFilters(smartAlbum, viewerId = null) {
+    const values = [smartAlbum.user_id];
+    const conditions = ['p.user_id = $1', 'p.is_deleted = false'];
+
+    if (viewerId) {
+      values.push(viewerId);
+      conditions.push(`(p.permission_type != 'close_friends' OR ${PhotoModel.buildAccessCondition('$2')})`);
+    }
+
+    conditions.push(this.buildFilterCondition(smartAlbum.filters, values));
+    return { where: conditions.join(' AND '), values };
+  }
+
+  /**
+   * Get the photos matching a smart album, newest capture first
+   */
+  static async findPhotos(smartAlbum, { viewerId = null, page = 1, limit = 20 } = {}) {
+    const offset = (page - 1) * limit;
+    const { where, values } = this.buildPhotoFilters(smartAlbum, viewerId);
+
+    values.push(limit, offset);
+    const query = `
+      SELECT p.id, p.user_id, p.file_path, p.filename, p.original_name, p.file_size,
+             p.mime_type, p.caption, p.permission_type, p.custom_group_id, p.uploaded_at,
+             p.like_count, p.comment_count, p.renditions, p.width, p.height, p.taken_at, p.location, p.exif_data, p.tags,
+             u.username, u.display_name, u.avatar_url
+      FROM photos p
+      JOIN users u ON p.user_id = u.id
+      WHERE ${where}
+      ORDER BY COALESCE(p.taken_at, p.uploaded_at) DESC, p.id DESC
+      LIMIT $${values.length - 1} OFFSET $${values.length}
+    `;
+
+    const result = await pool.query(query, values);
+    return result.rows;
+  }
+
+  /**
+   * Get count of the photos matching a smart album
+   */
+  static async countPhotos(smartAlbum, { viewerId = null } = {}) {
+    const { where, values } = this.buildPhotoFilters(smartAlbum, viewerId);
+    const query = `SELECT COUNT(*) FROM photos p WHERE ${where}`;
+
+    const result = await pool.query(query, values);
+    return parseInt(result.rows[0].count);
+  }
+
+  /**
+   * Get the active share of a smart album a user received
+   */
+  static async getActiveShare(smartAlbumId, userId) {
+    const query = `
+      SELECT id, permission_level, expires_at
+      FROM album_shares
+      WHERE smart_album_id = $1 AND shared_with = $2 AND is_active = TRUE
+        AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+      ORDER BY created_at DESC
+      LIMIT 1
+    `;
+
+    const result = await pool.query(query, [smartAlbumId, userId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Check if a user received an active share of a smart album of the photo's owner that matches the photo
+   */
+  static async hasActiveShareForPhoto(photoId, ownerId, userId) {
+    const sharesQuery = `
+      SELECT DISTINCT sa.id, sa.filters
+      FROM smart_albums sa
+      JOIN album_shares als ON als.smart_album_id = sa.id
+      WHERE sa.user_id = $1 AND als.shared_with = $2 AND als.is_active = TRUE
+        AND (als.expires_at IS NULL OR als.expires_at > CURRENT_TIMESTAMP)
+    `;
+    const shares = await pool.query(sharesQuery, [ownerId, userId]);
+
+    for (const smartAlbum of shares.rows) {
+      const values = [photoId];
+      const condition = this.buildFilterCondition(smartAlbum.filters, values);
+      const result = await pool.query(
+        `SELECT 1 FROM photos p WHERE p.id = $1 AND p.is_deleted = false AND ${condition}`,
+        values
+      );
+
+      if (result.rows.length > 0) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Format smart album for API response
+   */
+  static formatSmartAlbum(smartAlbum) {
+    return {
+      id: smartAlbum.id,
+      userId: smartAlbum.user_id,
+      name: smartAlbum.name,
+      description: smartAlbum.description,
+      filters: smartAlbum.filters,
+      owner: smartAlbum.username ? {
+        id: smartAlbum.user_id,
+        username: smartAlbum.username,
+        displayName: smartAlbum.display_name
+      } : undefined,
+      createdAt: smartAlbum.created_at,
+      updatedAt: smartAlbum.updated_at
+    };
+  }
+}
+
+module.exports = SmartAlbumModel;
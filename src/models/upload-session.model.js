@@ -0,0 +1,208 @@
+const { pool } = require('../config/database.config');
+
+/**
+ * Upload Session Model
+ * Handles database operations for resumable chunked uploads
+ */
+
+class UploadSessionModel {
+  /**
+   * Create an upload session
+   */
+  static async create(data) {
+    const query = `
+      INSERT INTO upload_sessions
+      (user_id, device_id, sync_session_id, local_path, file_name, mime_type, file_size, expected_md5,
+       local_modified, caption, permission_type, custom_group_id, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+      RETURNING *
+    `;
+
+    const result = await pool.query(query, [
+      data.userId,
+      data.deviceId,
+      data.syncSessionId,
+      data.localPath,
+      data.fileName,
+      data.mimeType,
+      data.fileSize,
+      data.expectedMd5,
+      data.localModified || null,
+      data.caption || null,
+      data.permissionType,
+      data.customGroupId || null,
+      data.expiresAt
+    ]);
+    return result.rows[0];
+  }
+
+  /**
+   * Find an upload session of a user by token
+   */
+  static async findByToken(uploadToken, userId) {
+    const query = 'SELECT * FROM upload_sessions WHERE upload_token = $1 AND user_id = $2';
+    const result = await pool.query(query, [uploadToken, userId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find an unfinished upload of the same device file that can be resumed
+   */
+  static async findResumable(userId, deviceId, localPath, expectedMd5) {
+    const query = `
+      SELECT * FROM upload_sessions
+      WHERE user_id = $1 AND device_id = $2 AND local_path = $3 AND expected_md5 = $4
+        AND status = 'uploading' AND expires_at > CURRENT_TIMESTAMP
+      ORDER BY bytes_received DESC, created_at DESC
+      LIMIT 1
+    `;
+
+    const result = await pool.query(query, [userId, deviceId, localPath, expectedMd5]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Move a resumed upload into the current sync session and extend its expiry
+   */
+  static async attachToSyncSession(id, syncSessionId, expiresAt) {
+    const query = `
+      UPDATE upload_sessions
+      SET sync_session_id = $2, expires_at = $3
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const result = await pool.query(query, [id, syncSessionId, expiresAt]);
+    return result.rows[0];
+  }
+
+  /**
+   * Lock an upload session row inside a transaction
+   */
+  static async lockByToken(client, uploadToken, userId) {
+    const query = 'SELECT * FROM upload_sessions WHERE upload_token = $1 AND user_id = $2 FOR UPDATE';
+    const result = await client.query(query, [uploadToken, userId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Store received byte ranges
+   */
+  static async updateReceivedRanges(client, id, ranges, bytesReceived, expiresAt) {
+    const query = `
+      UPDATE upload_sessions
+      SET received_ranges = $2, bytes_received = $3, expires_at = $4
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [id, JSON.stringify(ranges), bytesReceived, expiresAt]);
+    return result.rows[0];
+  }
+
+  /**
+   * Claim an upload for finalizing; only one request can win
+   * The new expiry bounds how long it may stay finalizing before cleanup expires it
+   */
+  static async markFinalizing(uploadToken, userId, expiresAt) {
+    const query = `
+      UPDATE upload_sessions
+      SET status = 'finalizing', expires_at = $3
+      WHERE upload_token = $1 AND user_id = $2 AND status = 'uploading'
+      RETURNING *
+    `;
+
+    const result = await pool.query(query, [uploadToken, userId, expiresAt]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Mark an upload as completed
+   */
+  static async markCompleted(id, photoId) {
+    const query = `
+      UPDATE upload_sessions
+      SET status = 'completed', photo_id = $2, completed_at = CURRENT_TIMESTAMP, error_message = NULL
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const result = await pool.query(query, [id, photoId]);
+    return result.rows[0];
+  }
+
+  /**
+   * Update upload status
+   */
+  static async updateStatus(id, status, errorMessage = null) {
+    const query = `
+      UPDATE upload_sessions
+      SET status = $2, error_message = $3
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const result = await pool.query(query, [id, status, errorMessage]);
+    return result.rows[0];
+  }
+
+  /**
+   * Cancel unfinished uploads of a sync session
+   */
+  static async cancelBySyncSession(syncSessionId) {
+    const query = `
+      UPDATE upload_sessions
+      SET status = 'cancelled'
+      WHERE sync_session_id = $1 AND status = 'uploading'
+      RETURNING id, upload_token
+    `;
+
+    const result = await pool.query(query, [syncSessionId]);
+    return result.rows;
+  }
+
+  /**
+   * Mark unfinished uploads past their expiry as expired
+   * Includes uploads stuck finalizing, e.g. after a crash mid-completion
+   */
+  static async expireStale(limit = 100) {
+    const query = `
+      UPDATE upload_sessions
+      SET status = 'expired'
+      WHERE id IN (
+        SELECT id FROM upload_sessions
+        WHERE status IN ('uploading', 'finalizing') AND expires_at <= CURRENT_TIMESTAMP
+        ORDER BY expires_at
+        LIMIT $1
+      )
+      RETURNING id, upload_token
+    `;
+
+    const result = await pool.query(query, [limit]);
+    return result.rows;
+  }
+
+  /**
+   * Format upload session for API response
+   */
+  static formatUpload(upload) {
+    return {
+      uploadId: upload.upload_token,
+      status: upload.status,
+      fileName: upload.file_name,
+      localPath: upload.local_path,
+      mimeType: upload.mime_type,
+      fileSize: parseInt(upload.file_size),
+      md5: upload.expected_md5,
+      bytesReceived: parseInt(upload.bytes_received),
+      receivedRanges: upload.received_ranges || [],
+      photoId: upload.photo_id,
+      errorMessage: upload.error_message,
+      expiresAt: upload.expires_at,
+      completedAt: upload.completed_at,
+      createdAt: upload.created_at
+    };
+  }
+}
+
+module.exports = UploadSessionModel;
@@ -1,4 +1,5 @@
 const { pool } = require('../config/database.config');
+const BlockModel = require('./block.model');
 
 /**
  * User model for database operations
@@ -31,8 +32,8 @@ class UserModel {
   static async findById(id) {
     const query = `
       SELECT id, username, email, display_name, bio, avatar_url, 
-             auto_sync_enabled, auto_sync_permission_type, last_sync_at, sync_status,
-             auto_share_all, default_sharing_enabled, created_at, updated_at
+             auto_sync_enabled, auto_sync_permission_type, auto_sync_custom_group_id, last_sync_at, sync_status,
+             auto_share_all, default_sharing_enabled, strip_gps_on_upload, created_at, updated_at
       FROM users
       WHERE id = $1
     `;
@@ -50,7 +51,7 @@ class UserModel {
     const query = `
       SELECT id, username, email, password_hash, display_name, bio, avatar_url,
              auto_sync_enabled, auto_sync_permission_type, last_sync_at, sync_status,
-             auto_share_all, default_sharing_enabled, created_at, updated_at
+             auto_share_all, default_sharing_enabled, token_version, created_at, updated_at
       FROM users
       WHERE email = $1
     `;
@@ -59,6 +60,104 @@ class UserModel {
     return result.rows.length > 0 ? result.rows[0] : null;
   }
 
+  /**
+   * Find the fields needed to authenticate a token
+   * @param {number} id - User ID
+   * @returns {Promise<Object|null>} User auth state or null
+   */
+  static async findAuthById(id) {
+    const query = `
+      SELECT id, username, email, display_name, is_active, token_version
+      FROM users
+      WHERE id = $1
+    `;
+    
+    const result = await pool.query(query, [id]);
+    return result.rows.length > 0 ? result.rows[0] : null;
+  }
+
+  /**
+   * Find user credentials by ID
+   * @param {number} id - User ID
+   * @returns {Promise<Object|null>} User with password hash or null
+   */
+  static async findCredentialsById(id) {
+    const query = `
+      SELECT id, email, password_hash, token_version
+      FROM users
+      WHERE id = $1
+    `;
+    
+    const result = await pool.query(query, [id]);
+    return result.rows.length > 0 ? result.rows[0] : null;
+  }
+
+  /**
+   * Update password and revoke all previously issued tokens
+   * @param {number} id - User ID
+   * @param {string} passwordHash - New bcrypt hash
+   * @returns {Promise<Object|null>} User ID and new token version
+   */
+  static async updatePassword(id, passwordHash) {
+    const query = `
+      UPDATE users
+      SET password_hash = $1,
+          token_version = token_version + 1,
+          password_changed_at = CURRENT_TIMESTAMP,
+          password_reset_token = NULL,
+          password_reset_expires = NULL,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+      RETURNING id, token_version
+    `;
+    
+    const result = await pool.query(query, [passwordHash, id]);
+    return result.rows.length > 0 ? result.rows[0] : null;
+  }
+
+  /**
+   * Store a password reset token hash, replacing any previous one
+   * @param {number} id - User ID
+   * @param {string} tokenHash - SHA-256 hash of the reset token
+   * @param {Date} expiresAt - Token expiry
+   * @returns {Promise<boolean>} True if stored
+   */
+  static async setPasswordResetToken(id, tokenHash, expiresAt) {
+    const query = `
+      UPDATE users
+      SET password_reset_token = $1, password_reset_expires = $2
+      WHERE id = $3
+    `;
+    
+    const result = await pool.query(query, [tokenHash, expiresAt, id]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Consume a reset token and set the new password in one statement,
+   * so the same token can never be used twice
+   * @param {string} tokenHash - SHA-256 hash of the reset token
+   * @param {string} passwordHash - New bcrypt hash
+   * @returns {Promise<Object|null>} User ID and new token version, or null if token invalid/expired
+   */
+  static async resetPasswordWithToken(tokenHash, passwordHash) {
+    const query = `
+      UPDATE users
+      SET password_hash = $1,
+          token_version = token_version + 1,
+          password_changed_at = CURRENT_TIMESTAMP,
+          password_reset_token = NULL,
+          password_reset_expires = NULL,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE password_reset_token = $2
+        AND password_reset_expires > CURRENT_TIMESTAMP
+      RETURNING id, token_version
+    `;
+    
+    const result = await pool.query(query, [passwordHash, tokenHash]);
+    return result.rows.length > 0 ? result.rows[0] : null;
+  }
+
   /**
    * Find user by username
    * @param {string} username - Username
@@ -185,6 +284,42 @@ class UserModel {
     return result.rows[0];
   }
 
+  /**
+   * Update privacy settings
+   * @param {number} id - User ID
+   * @param {Object} privacyData - Privacy settings data
+   * @returns {Promise<Object>} Updated user
+   */
+  static async updatePrivacySettings(id, privacyData) {
+    const allowedFields = ['strip_gps_on_upload'];
+    const updateFields = [];
+    const values = [];
+    let paramIndex = 1;
+
+    Object.keys(privacyData).forEach(key => {
+      if (allowedFields.includes(key) && privacyData[key] !== undefined) {
+        updateFields.push(`${key} = $${paramIndex}`);
+        values.push(privacyData[key]);
+        paramIndex++;
+      }
+    });
+
+    if (updateFields.length === 0) {
+      throw new Error('No valid privacy fields to update');
+    }
+
+    values.push(id);
+    const query = `
+      UPDATE users 
+      SET ${updateFields.join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $${paramIndex}
+      RETURNING id, strip_gps_on_upload, updated_at
+    `;
+
+    const result = await pool.query(query, values);
+    return result.rows[0];
+  }
+
   /**
    * Search users by username or display name
    * @param {string} searchTerm - Search term
@@ -231,10 +366,10 @@ class UserModel {
   static async getStatistics(id) {
     const queries = [
       // Photo count
-      `SELECT COUNT(*) as photo_count FROM photos WHERE user_id = $1`,
+      `SELECT COUNT(*) as photo_count FROM photos WHERE user_id = $1 AND is_deleted = false`,
       
       // Album count
-      `SELECT COUNT(*) as album_count FROM albums WHERE user_id = $1`,
+      `SELECT COUNT(*) as album_count FROM albums WHERE user_id = $1 AND is_deleted = false`,
       
       // Friend count
       `SELECT COUNT(*) as friend_count FROM friendships 
@@ -334,16 +469,18 @@ class UserModel {
    * @param {string} searchQuery - Search query
    * @param {number} limit - Results limit
    * @param {number} offset - Results offset
+   * @param {number} viewerId - Searching user; users blocked either way are left out
    * @returns {Promise<Object>} Search results with pagination
    */
-  static async search(searchQuery, limit = 20, offset = 0) {
+  static async search(searchQuery, limit = 20, offset = 0, viewerId = null) {
     const query = `
       SELECT id, username, email, display_name, bio, avatar_url, created_at
       FROM users
       WHERE 
-        username ILIKE $1 OR 
+        (username ILIKE $1 OR 
         display_name ILIKE $1 OR 
-        email ILIKE $1
+        email ILIKE $1)
+        AND ${BlockModel.buildNotBlockedCondition('$2::integer', 'users.id')}
       ORDER BY 
         CASE 
           WHEN username ILIKE $1 THEN 1
@@ -351,23 +488,24 @@ class UserModel {
           ELSE 3
         END,
         username
-      LIMIT $2 OFFSET $3
+      LIMIT $3 OFFSET $4
     `;
 
     const countQuery = `
       SELECT COUNT(*) as total
       FROM users
       WHERE 
-        username ILIKE $1 OR 
+        (username ILIKE $1 OR 
         display_name ILIKE $1 OR 
-        email ILIKE $1
+        email ILIKE $1)
+        AND ${BlockModel.buildNotBlockedCondition('$2::integer', 'users.id')}
     `;
 
     const searchPattern = `%${searchQuery}%`;
     
     const [result, countResult] = await Promise.all([
-      pool.query(query, [searchPattern, limit, offset]),
-      pool.query(countQuery, [searchPattern])
+      pool.query(query, [searchPattern, viewerId, limit, offset]),
+      pool.query(countQuery, [searchPattern, viewerId])
     ]);
 
     return {
@@ -376,52 +514,6 @@ class UserModel {
     };
   }
 
-  /**
-   * Get user activity for a given period
-   * @param {number} userId - User ID
-   * @param {number} days - Number of days to look back
-   * @returns {Promise<Object>} Activity data
-   */
-  static async getActivity(userId, days = 30) {
-    const query = `
-      SELECT 
-        DATE(created_at) as date,
-        COUNT(*) as photos_uploaded
-      FROM photos
-      WHERE user_id = $1 
-        AND created_at >= NOW() - INTERVAL '${days} days'
-      GROUP BY DATE(created_at)
-      ORDER BY date DESC
-    `;
-
-    const friendsQuery = `
-      SELECT COUNT(*) as friends_count
-      FROM friendships
-      WHERE (requester_id = $1 OR addressee_id = $1)
-        AND status = 'accepted'
-    `;
-
-    const sharesQuery = `
-      SELECT COUNT(*) as shares_count
-      FROM photo_shares
-      WHERE shared_by_id = $1
-        AND created_at >= NOW() - INTERVAL '${days} days'
-    `;
-
-    const [activityResult, friendsResult, sharesResult] = await Promise.all([
-      pool.query(query, [userId]),
-      pool.query(friendsQuery, [userId]),
-      pool.query(sharesQuery, [userId])
-    ]);
-
-    return {
-      photoActivity: activityResult.rows,
-      friendsCount: parseInt(friendsResult.rows[0].friends_count),
-      sharesCount: parseInt(sharesResult.rows[0].shares_count),
-      period: `${days} days`
-    };
-  }
-
   /**
    * Delete user (soft delete by deactivating)
    * @param {number} id - User ID
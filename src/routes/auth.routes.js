@@ -1,5 +1,5 @@
 const express = require('express');
-const { authenticateToken } = require('../middleware/auth.middleware');
+const { authenticateToken, logActivity } = require('../middleware/auth.middleware');
 const AuthController = require('../controllers/auth.controller');
 
 const router = express.Router();
@@ -218,12 +218,13 @@ router.post('/request-password-reset', emailValidation, AuthController.requestPa
  *           schema:
  *             type: object
  *             required:
- *               - token
+ *               - resetToken
  *               - newPassword
  *             properties:
- *               token:
+ *               resetToken:
  *                 type: string
  *                 example: 'reset_token_here'
+ *                 description: Single-use token; it is invalidated once the password is reset
  *               newPassword:
  *                 type: string
  *                 minLength: 8
@@ -381,11 +382,23 @@ router.post('/refresh-token', AuthController.refreshToken);
  *                 example: 'newPassword123'
  *     responses:
  *       200:
- *         description: Password changed successfully
+ *         description: Password changed successfully. All other sessions are signed out and a new token is returned.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Success'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         token:
+ *                           type: string
  *       400:
  *         description: Current password incorrect
  */
-router.post('/change-password', authenticateToken, changePasswordValidation, AuthController.changePassword);
+router.post('/change-password', authenticateToken, logActivity('password_change', { resourceType: 'user', resourceId: (req) => req.user.id }), changePasswordValidation, AuthController.changePassword);
 
 /**
  * @swagger
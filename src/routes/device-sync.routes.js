@@ -1,12 +1,21 @@
 const express = require('express');
 const DeviceSyncController = require('../controllers/device-sync.controller');
-const { authenticateToken } = require('../middleware/auth.middleware');
-const { deviceSyncMultipleUpload, handleDeviceSyncUploadErrors } = require('../middleware/device-sync-upload.middleware');
+const { authenticateToken, logActivity } = require('../middleware/auth.middleware');
+const { chunkUpload, handleChunkUploadErrors } = require('../middleware/device-sync-upload.middleware');
 const {
   deviceRegistrationValidation,
-  bulkUploadValidation,
   syncSettingsValidation,
-  deviceIdValidation
+  deviceIdValidation,
+  syncSessionValidation,
+  sessionTokenValidation,
+  syncSessionUpdateValidation,
+  syncSessionFailValidation,
+  manifestValidation,
+  changesValidation,
+  localDeletionsValidation,
+  createUploadValidation,
+  uploadIdValidation,
+  uploadChunkValidation
 } = require('../validators/device-sync.validators');
 
 const router = express.Router();
@@ -18,11 +27,12 @@ const router = express.Router();
 // Register a device for sync
 router.post('/register', 
   authenticateToken, 
+  logActivity('device_register', { resourceType: 'device', metadata: (req) => ({ deviceId: req.body.deviceId, deviceName: req.body.deviceName }) }),
   deviceRegistrationValidation, 
   DeviceSyncController.registerDevice
 );
 
-// Get device sync status
+// Get device sync status and syncs in progress on any of the user's devices
 router.get('/status', 
   authenticateToken, 
   deviceIdValidation, 
@@ -38,17 +48,115 @@ router.get('/devices',
 // Update device sync settings
 router.put('/settings', 
   authenticateToken, 
+  logActivity('device_settings_update', { resourceType: 'device', metadata: (req) => ({ deviceId: req.body.deviceId }) }),
   syncSettingsValidation, 
   DeviceSyncController.updateSyncSettings
 );
 
-// Process bulk photo upload from device
-router.post('/bulk-upload', 
-  authenticateToken,
-  deviceSyncMultipleUpload,
-  handleDeviceSyncUploadErrors,
-  bulkUploadValidation, 
-  DeviceSyncController.processBulkUpload
+// Compare a device manifest with stored files before uploading
+router.post('/manifest', 
+  authenticateToken, 
+  manifestValidation, 
+  DeviceSyncController.diffManifest
+);
+
+// Get photo changes since a cursor for two-way sync
+router.get('/changes', 
+  authenticateToken, 
+  changesValidation, 
+  DeviceSyncController.getChanges
+);
+
+// Report files deleted on the device
+router.post('/deletions', 
+  authenticateToken, 
+  logActivity('device_local_deletions', { resourceType: 'device', metadata: (req) => ({ deviceId: req.body.deviceId, count: req.body.localPaths?.length }) }),
+  localDeletionsValidation, 
+  DeviceSyncController.reportDeletions
+);
+
+// Start a sync session for resumable uploads
+router.post('/sessions', 
+  authenticateToken, 
+  logActivity('device_sync_start', { resourceType: 'device', metadata: (req) => ({ deviceId: req.body.deviceId }) }),
+  syncSessionValidation, 
+  DeviceSyncController.startSyncSession
+);
+
+// Get live progress of a sync session
+router.get('/sessions/:sessionToken', 
+  authenticateToken, 
+  sessionTokenValidation, 
+  DeviceSyncController.getSyncSession
+);
+
+// Update declared totals of an active sync session
+router.patch('/sessions/:sessionToken', 
+  authenticateToken, 
+  syncSessionUpdateValidation, 
+  DeviceSyncController.updateSyncSession
+);
+
+// Complete a sync session
+router.post('/sessions/:sessionToken/complete', 
+  authenticateToken, 
+  logActivity('device_sync_complete', { resourceType: 'device', metadata: (req) => ({ sessionToken: req.params.sessionToken }) }),
+  sessionTokenValidation, 
+  DeviceSyncController.completeSyncSession
+);
+
+// Cancel a sync session and its unfinished uploads
+router.post('/sessions/:sessionToken/cancel', 
+  authenticateToken, 
+  logActivity('device_sync_cancel', { resourceType: 'device', metadata: (req) => ({ sessionToken: req.params.sessionToken }) }),
+  sessionTokenValidation, 
+  DeviceSyncController.cancelSyncSession
+);
+
+// Mark a sync session as failed
+router.post('/sessions/:sessionToken/fail', 
+  authenticateToken, 
+  logActivity('device_sync_fail', { resourceType: 'device', metadata: (req) => ({ sessionToken: req.params.sessionToken }) }),
+  syncSessionFailValidation, 
+  DeviceSyncController.failSyncSession
+);
+
+// Create or resume an upload within a sync session
+router.post('/sessions/:sessionToken/uploads', 
+  authenticateToken, 
+  createUploadValidation, 
+  DeviceSyncController.createUpload
+);
+
+// Upload a chunk at a byte offset
+router.put('/uploads/:uploadId/chunks', 
+  authenticateToken, 
+  chunkUpload,
+  handleChunkUploadErrors,
+  uploadChunkValidation, 
+  DeviceSyncController.uploadChunk
+);
+
+// Get received and missing byte ranges of an upload
+router.get('/uploads/:uploadId', 
+  authenticateToken, 
+  uploadIdValidation, 
+  DeviceSyncController.getUploadStatus
+);
+
+// Verify the checksum and create the photo
+router.post('/uploads/:uploadId/complete', 
+  authenticateToken, 
+  logActivity('device_upload_complete', { resourceType: 'device', metadata: (req) => ({ uploadId: req.params.uploadId }) }),
+  uploadIdValidation, 
+  DeviceSyncController.completeUpload
+);
+
+// Cancel an upload
+router.delete('/uploads/:uploadId', 
+  authenticateToken, 
+  uploadIdValidation, 
+  DeviceSyncController.cancelUpload
 );
 
 // Get device file mappings
@@ -68,6 +176,7 @@ router.get('/history',
 // Delete device and all related data
 router.delete('/device', 
   authenticateToken, 
+  logActivity('device_delete', { resourceType: 'device', metadata: (req) => ({ deviceId: req.query.deviceId }) }),
   deviceIdValidation, 
   DeviceSyncController.deleteDevice
 );
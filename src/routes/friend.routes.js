@@ -1,6 +1,6 @@
 const express = require('express');
 const FriendController = require('../controllers/friend.controller');
-const { authenticateToken } = require('../middleware/auth.middleware');
+const { authenticateToken, logActivity } = require('../middleware/auth.middleware');
 const {
   friendRequestValidation,
   respondRequestValidation,
@@ -51,6 +51,7 @@ const router = express.Router();
 // Send friend request
 router.post('/request', 
   authenticateToken, 
+  logActivity('friend_request', { resourceType: 'user', resourceId: (req) => req.body.addresseeId }),
   friendRequestValidation, 
   FriendController.sendFriendRequest
 );
@@ -133,6 +134,7 @@ router.get('/requests',
 // Respond to friend request (accept/decline)
 router.post('/respond', 
   authenticateToken, 
+  logActivity('friend_respond', { resourceType: 'friendship', resourceId: (req) => req.body.requestId, metadata: (req) => ({ response: req.body.action }) }),
   respondRequestValidation, 
   FriendController.respondToFriendRequest
 );
@@ -183,6 +185,56 @@ router.get('/',
   FriendController.getFriendsList
 );
 
+/**
+ * @swagger
+ * /api/v2/friends/close:
+ *   get:
+ *     summary: Get close-friends list
+ *     description: Friends who can see photos shared with the close_friends permission
+ *     tags: [Friends]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Close friends list retrieved
+ */
+// Get close friends list
+router.get('/close', 
+  authenticateToken, 
+  FriendController.getCloseFriends
+);
+
+/**
+ * @swagger
+ * /api/v2/friends/blocked:
+ *   get:
+ *     summary: Get blocked users
+ *     description: Users blocked by the current user. Blocked users and the current user are hidden from each other.
+ *     tags: [Friends]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Blocked users retrieved
+ */
+// Get blocked users
+router.get('/blocked', 
+  authenticateToken, 
+  friendsListValidation, 
+  FriendController.getBlockedUsers
+);
+
 /**
  * @swagger
  * /api/v2/friends/{friendId}:
@@ -211,10 +263,73 @@ router.get('/',
 // Remove friend
 router.delete('/:friendId', 
   authenticateToken, 
+  logActivity('friend_remove', { resourceType: 'user', resourceId: 'friendId' }),
   friendIdValidation, 
   FriendController.removeFriend
 );
 
+/**
+ * @swagger
+ * /api/v2/friends/{friendId}/close:
+ *   put:
+ *     summary: Add friend to close friends
+ *     tags: [Friends]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: friendId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Friend user ID
+ *     responses:
+ *       200:
+ *         description: Friend added to close friends
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       404:
+ *         description: Friendship not found
+ *   delete:
+ *     summary: Remove friend from close friends
+ *     tags: [Friends]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: friendId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Friend user ID
+ *     responses:
+ *       200:
+ *         description: Friend removed from close friends
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       404:
+ *         description: Friendship not found
+ */
+// Add friend to close friends
+router.put('/:friendId/close', 
+  authenticateToken, 
+  logActivity('close_friend_add', { resourceType: 'user', resourceId: 'friendId' }),
+  friendIdValidation, 
+  FriendController.addCloseFriend
+);
+
+// Remove friend from close friends
+router.delete('/:friendId/close', 
+  authenticateToken, 
+  logActivity('close_friend_remove', { resourceType: 'user', resourceId: 'friendId' }),
+  friendIdValidation, 
+  FriendController.removeCloseFriend
+);
+
 /**
  * @swagger
  * /api/v2/friends/{friendId}/accept:
@@ -243,6 +358,7 @@ router.delete('/:friendId',
 // Accept friend request by friendId - NEW ROUTE
 router.put('/:friendId/accept', 
   authenticateToken, 
+  logActivity('friend_accept', { resourceType: 'user', resourceId: 'friendId' }),
   friendIdValidation, 
   FriendController.acceptFriendRequestById
 );
@@ -275,6 +391,7 @@ router.put('/:friendId/accept',
 // Decline friend request by friendId - NEW ROUTE
 router.put('/:friendId/decline', 
   authenticateToken, 
+  logActivity('friend_decline', { resourceType: 'user', resourceId: 'friendId' }),
   friendIdValidation, 
   FriendController.declineFriendRequestById
 );
@@ -283,7 +400,8 @@ router.put('/:friendId/decline',
  * @swagger
  * /api/v2/friends/{friendId}/block:
  *   put:
- *     summary: Block friend
+ *     summary: Block user
+ *     description: Removes any friendship or pending request and prevents new ones until unblocked
  *     tags: [Friends]
  *     security:
  *       - bearerAuth: []
@@ -293,24 +411,52 @@ router.put('/:friendId/decline',
  *         required: true
  *         schema:
  *           type: integer
- *         description: Friend user ID to block
+ *         description: User ID to block
  *     responses:
  *       200:
- *         description: Friend blocked successfully
+ *         description: User blocked successfully
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Cannot block yourself
  *       404:
- *         description: Friend not found
+ *         description: User not found
+ *   delete:
+ *     summary: Unblock user
+ *     tags: [Friends]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: friendId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID to unblock
+ *     responses:
+ *       200:
+ *         description: User unblocked successfully
+ *       404:
+ *         description: Blocked user not found
  */
-// Block friend
+// Block user
 router.put('/:friendId/block', 
   authenticateToken, 
+  logActivity('friend_block', { resourceType: 'user', resourceId: 'friendId' }),
   friendIdValidation, 
   FriendController.blockFriend
 );
 
+// Unblock user
+router.delete('/:friendId/block', 
+  authenticateToken, 
+  logActivity('friend_unblock', { resourceType: 'user', resourceId: 'friendId' }),
+  friendIdValidation, 
+  FriendController.unblockUser
+);
+
 /**
  * @swagger
  * /api/v2/friends/status/{userId}:
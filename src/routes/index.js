@@ -5,10 +5,13 @@ const { appConfig, isFeatureEnabled } = require('../config/app.config');
 const authRoutes = require('./auth.routes');
 const userRoutes = require('./user.routes');
 const photoRoutes = require('./photo.routes');
+const mediaRoutes = require('./media.routes');
 const friendRoutes = require('./friend.routes');
 const sharingRoutes = require('./sharing.routes');
+const smartAlbumRoutes = require('./smart-album.routes');
 const deviceSyncRoutes = require('./device-sync.routes');
 const permissionRoutes = require('./permission.routes');
+const notificationRoutes = require('./notification.routes');
 
 // Import middleware
 const AuthMiddleware = require('../middleware/auth.middleware');
@@ -37,10 +40,13 @@ router.get('/', (req, res) => {
       authentication: '/auth',
       users: '/users',
       photos: isFeatureEnabled('enablePhotos') ? '/photos' : 'disabled',
+      media: isFeatureEnabled('enablePhotos') ? '/media' : 'disabled',
       friends: isFeatureEnabled('enableFriends') ? '/friends' : 'disabled',
       sharing: isFeatureEnabled('enableSharing') ? '/sharing' : 'disabled',
+      smartAlbums: isFeatureEnabled('enableSharing') ? '/smart-albums' : 'disabled',
       deviceSync: isFeatureEnabled('enableDeviceSync') ? '/device-sync' : 'disabled',
-      permissions: isFeatureEnabled('enablePermissions') ? '/permissions' : 'disabled'
+      permissions: isFeatureEnabled('enablePermissions') ? '/permissions' : 'disabled',
+      notifications: isFeatureEnabled('enableNotifications') ? '/notifications' : 'disabled'
     },
     documentation: isFeatureEnabled('enableDocs') ? `${appConfig.api.docsPath}` : 'disabled'
   });
@@ -55,8 +61,9 @@ router.use('/users', userRoutes);
 // Photo management routes (feature flag controlled)
 if (isFeatureEnabled('enablePhotos')) {
   router.use('/photos', photoRoutes);
+  router.use('/media', mediaRoutes);
 } else {
-  router.all('/photos/*', (req, res) => {
+  router.all(['/photos/*', '/media/*'], (req, res) => {
     res.status(503).json({
       success: false,
       message: 'Photo management feature is currently disabled',
@@ -81,8 +88,9 @@ if (isFeatureEnabled('enableFriends')) {
 // Sharing routes (feature flag controlled)
 if (isFeatureEnabled('enableSharing')) {
   router.use('/sharing', sharingRoutes);
+  router.use('/smart-albums', smartAlbumRoutes);
 } else {
-  router.all('/sharing/*', (req, res) => {
+  router.all(['/sharing/*', '/smart-albums/*'], (req, res) => {
     res.status(503).json({
       success: false,
       message: 'Sharing feature is currently disabled',
@@ -117,6 +125,19 @@ if (isFeatureEnabled('enablePermissions')) {
   });
 }
 
+// Notification routes (feature flag controlled)
+if (isFeatureEnabled('enableNotifications')) {
+  router.use('/notifications', notificationRoutes);
+} else {
+  router.all('/notifications/*', (req, res) => {
+    res.status(503).json({
+      success: false,
+      message: 'Notification feature is currently disabled',
+      errorCode: 'FEATURE_DISABLED'
+    });
+  });
+}
+
 // Health check endpoint for API v2
 router.get('/health', async (req, res) => {
   try {
@@ -140,7 +161,8 @@ router.get('/health', async (req, res) => {
         friends: isFeatureEnabled('enableFriends'),
         sharing: isFeatureEnabled('enableSharing'),
         deviceSync: isFeatureEnabled('enableDeviceSync'),
-        permissions: isFeatureEnabled('enablePermissions')
+        permissions: isFeatureEnabled('enablePermissions'),
+        notifications: isFeatureEnabled('enableNotifications')
       }
     };
     
@@ -237,7 +259,30 @@ if (isFeatureEnabled('enableDocs')) {
           deletePhoto: 'DELETE /photos/:photoId',
           timeline: 'GET /photos/timeline',
           userPhotos: 'GET /photos/user/:userId',
-          storageStats: 'GET /photos/storage-stats'
+          storageStats: 'GET /photos/storage-stats',
+          trash: 'GET /photos/trash',
+          restore: 'POST /photos/trash/restore',
+          restorePhoto: 'POST /photos/trash/:photoId/restore',
+          emptyTrash: 'DELETE /photos/trash',
+          like: 'POST /photos/:photoId/like',
+          unlike: 'DELETE /photos/:photoId/like',
+          likes: 'GET /photos/:photoId/likes',
+          comments: 'GET /photos/:photoId/comments',
+          addComment: 'POST /photos/:photoId/comments',
+          replies: 'GET /photos/comments/:commentId/replies',
+          updateComment: 'PUT /photos/comments/:commentId',
+          deleteComment: 'DELETE /photos/comments/:commentId'
+        } : 'disabled',
+        media: isFeatureEnabled('enablePhotos') ? {
+          photo: 'GET /media/photos/:photoId',
+          signed: 'GET /media/signed/*'
+        } : 'disabled',
+        notifications: isFeatureEnabled('enableNotifications') ? {
+          list: 'GET /notifications',
+          unreadCount: 'GET /notifications/unread-count',
+          markRead: 'PUT /notifications/:notificationId/read',
+          markAllRead: 'PUT /notifications/read-all',
+          delete: 'DELETE /notifications/:notificationId'
         } : 'disabled',
         // Add other endpoint documentation as needed
       }
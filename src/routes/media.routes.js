@@ -0,0 +1,122 @@
+const express = require('express');
+const MediaController = require('../controllers/media.controller');
+const { optionalAuth } = require('../middleware/auth.middleware');
+const {
+  signedMediaValidation,
+  photoMediaValidation
+} = require('../validators/media.validators');
+
+const router = express.Router();
+
+/**
+ * Media Routes - Permission-checked delivery of stored photo files
+ */
+
+/**
+ * @swagger
+ * /api/v2/media/photos/{photoId}:
+ *   get:
+ *     summary: Download a photo file
+ *     description: |
+ *       Streams the photo to its owner, viewers its permission allows, recipients of an
+ *       active share, or holders of a share link passed as shareToken. Supports Range requests.
+ *     tags: [Media]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     parameters:
+ *       - in: path
+ *         name: photoId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: variant
+ *         schema:
+ *           type: string
+ *           enum: [original, small, medium, large]
+ *           default: original
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [jpeg, webp]
+ *           default: jpeg
+ *       - in: query
+ *         name: shareToken
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: header
+ *         name: X-Share-Password
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: Range
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Photo file
+ *       206:
+ *         description: Requested byte range of the photo file
+ *       304:
+ *         description: Cached copy is still valid
+ *       401:
+ *         description: Authentication or share password required
+ *       403:
+ *         description: Access denied or invalid share password
+ *       404:
+ *         description: Photo or share link not found
+ *       410:
+ *         description: Share link has expired
+ *       416:
+ *         description: Requested range not satisfiable
+ */
+// Download photo file
+router.get('/photos/:photoId',
+  optionalAuth,
+  photoMediaValidation,
+  MediaController.streamPhoto
+);
+
+/**
+ * @swagger
+ * /api/v2/media/signed/{key}:
+ *   get:
+ *     summary: Download a file through a signed URL
+ *     description: Signed URLs are returned as fileUrl in photo responses and expire after a short time.
+ *     tags: [Media]
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: expires
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: signature
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: File
+ *       206:
+ *         description: Requested byte range of the file
+ *       403:
+ *         description: Invalid or expired media URL
+ *       404:
+ *         description: File not found
+ */
+// Download file through signed URL
+router.get('/signed/*',
+  signedMediaValidation,
+  MediaController.streamSignedFile
+);
+
+module.exports = router;
@@ -0,0 +1,140 @@
+const express = require('express');
+const NotificationController = require('../controllers/notification.controller');
+const { authenticateToken } = require('../middleware/auth.middleware');
+const {
+  notificationIdValidation,
+  notificationsQueryValidation
+} = require('../validators/notification.validators');
+
+const router = express.Router();
+
+/**
+ * Notification Routes - Clean route definitions with middleware and validation
+ */
+
+/**
+ * @swagger
+ * /api/v2/notifications:
+ *   get:
+ *     summary: Get current user's notifications
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: unreadOnly
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: Notifications retrieved
+ */
+// Get notifications
+router.get('/',
+  authenticateToken,
+  notificationsQueryValidation,
+  NotificationController.getNotifications
+);
+
+/**
+ * @swagger
+ * /api/v2/notifications/unread-count:
+ *   get:
+ *     summary: Get unread notification count
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Unread count retrieved
+ */
+// Get unread count
+router.get('/unread-count',
+  authenticateToken,
+  NotificationController.getUnreadCount
+);
+
+/**
+ * @swagger
+ * /api/v2/notifications/read-all:
+ *   put:
+ *     summary: Mark all notifications as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All notifications marked as read
+ */
+// Mark all notifications as read
+router.put('/read-all',
+  authenticateToken,
+  NotificationController.markAllAsRead
+);
+
+/**
+ * @swagger
+ * /api/v2/notifications/{notificationId}/read:
+ *   put:
+ *     summary: Mark a notification as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: notificationId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Notification marked as read
+ *       404:
+ *         description: Notification not found
+ */
+// Mark notification as read
+router.put('/:notificationId/read',
+  authenticateToken,
+  notificationIdValidation,
+  NotificationController.markAsRead
+);
+
+/**
+ * @swagger
+ * /api/v2/notifications/{notificationId}:
+ *   delete:
+ *     summary: Delete a notification
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: notificationId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Notification deleted
+ *       404:
+ *         description: Notification not found
+ */
+// Delete notification
+router.delete('/:notificationId',
+  authenticateToken,
+  notificationIdValidation,
+  NotificationController.deleteNotification
+);
+
+module.exports = router;
@@ -1,6 +1,6 @@
 const express = require('express');
 const PermissionController = require('../controllers/permission.controller');
-const { authenticateToken } = require('../middleware/auth.middleware');
+const { authenticateToken, logActivity } = require('../middleware/auth.middleware');
 const {
   createPermissionGroupValidation,
   updatePermissionGroupValidation,
@@ -19,6 +19,7 @@ const router = express.Router();
 // Create a new permission group
 router.post('/groups', 
   authenticateToken, 
+  logActivity('permission_group_create', { resourceType: 'permission_group', resourceId: (req, data) => data.group && data.group.id }),
   createPermissionGroupValidation, 
   PermissionController.createPermissionGroup
 );
@@ -39,6 +40,7 @@ router.get('/groups/:groupId',
 // Update permission group
 router.put('/groups/:groupId', 
   authenticateToken, 
+  logActivity('permission_group_update', { resourceType: 'permission_group', resourceId: 'groupId' }),
   updatePermissionGroupValidation, 
   PermissionController.updatePermissionGroup
 );
@@ -46,12 +48,14 @@ router.put('/groups/:groupId',
 // Delete permission group
 router.delete('/groups/:groupId', 
   authenticateToken, 
+  logActivity('permission_group_delete', { resourceType: 'permission_group', resourceId: 'groupId' }),
   PermissionController.deletePermissionGroup
 );
 
 // Add users to permission group
 router.post('/groups/add-users', 
   authenticateToken, 
+  logActivity('permission_group_add_users', { resourceType: 'permission_group', resourceId: (req) => req.body.groupId }),
   addUsersToGroupValidation, 
   PermissionController.addUsersToGroup
 );
@@ -59,6 +63,7 @@ router.post('/groups/add-users',
 // Remove users from permission group
 router.post('/groups/remove-users', 
   authenticateToken, 
+  logActivity('permission_group_remove_users', { resourceType: 'permission_group', resourceId: (req) => req.body.groupId }),
   removeUsersFromGroupValidation, 
   PermissionController.removeUsersFromGroup
 );
@@ -72,6 +77,7 @@ router.get('/defaults',
 // Update user's default permission settings
 router.put('/defaults', 
   authenticateToken, 
+  logActivity('default_permissions_update', { resourceType: 'user', resourceId: (req) => req.user.id }),
   setDefaultPermissionValidation, 
   PermissionController.updateUserDefaultPermissions
 );
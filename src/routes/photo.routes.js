@@ -0,0 +1,796 @@
+const express = require('express');
+const PhotoController = require('../controllers/photo.controller');
+const CommentController = require('../controllers/comment.controller');
+const { authenticateToken, logActivity } = require('../middleware/auth.middleware');
+const { photoUploadMiddleware } = require('../middleware/upload.middleware');
+const {
+  uploadValidation,
+  updateValidation,
+  photoIdValidation,
+  userIdValidation,
+  friendIdValidation,
+  paginationValidation,
+  timelineFeedValidation,
+  captureTimelineBucketsValidation,
+  captureTimelineValidation,
+  restorePhotosValidation
+} = require('../validators/photo.validators');
+const {
+  createCommentValidation,
+  updateCommentValidation,
+  commentIdValidation,
+  commentsQueryValidation
+} = require('../validators/comment.validators');
+
+const router = express.Router();
+
+/**
+ * Photo Routes - Clean route definitions with middleware and validation
+ */
+
+/**
+ * @swagger
+ * /api/v2/photos/upload:
+ *   post:
+ *     summary: Upload a new photo
+ *     tags: [Photos]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - photo
+ *               - permissionType
+ *             properties:
+ *               photo:
+ *                 type: string
+ *                 format: binary
+ *               caption:
+ *                 type: string
+ *               permissionType:
+ *                 type: string
+ *                 enum: [public, friends, close_friends, custom]
+ *               customGroupId:
+ *                 type: integer
+ *               tags:
+ *                 type: string
+ *                 description: Comma-separated tags (or repeat the field once per tag)
+ *     responses:
+ *       201:
+ *         description: Photo uploaded successfully
+ *       400:
+ *         description: Validation error or no file uploaded
+ */
+// Upload photo
+router.post('/upload',
+  authenticateToken,
+  logActivity('photo_upload', { resourceType: 'photo', resourceId: (req, data) => data.photo.id }),
+  photoUploadMiddleware,
+  uploadValidation,
+  PhotoController.uploadPhoto
+);
+
+/**
+ * @swagger
+ * /api/v2/photos/feed/timeline:
+ *   get:
+ *     summary: Get timeline feed
+ *     tags: [Photos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 20
+ *     responses:
+ *       200:
+ *         description: Timeline feed retrieved
+ */
+// Get timeline feed
+router.get('/feed/timeline',
+  authenticateToken,
+  timelineFeedValidation,
+  PhotoController.getTimelineFeed
+);
+
+/**
+ * @swagger
+ * /api/v2/photos/timeline/{userId}/buckets:
+ *   get:
+ *     summary: Count a user's photos per capture date bucket
+ *     description: Buckets group photos by taken_at (upload time when unknown) in UTC and only count photos the caller may see
+ *     tags: [Photos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: granularity
+ *         schema:
+ *           type: string
+ *           enum: [year, month, day]
+ *           default: month
+ *       - in: query
+ *         name: bucket
+ *         description: Only count photos inside this parent bucket (YYYY, YYYY-MM or YYYY-MM-DD)
+ *         schema:
+ *           type: string
+ *           example: "2023-07"
+ *     responses:
+ *       200:
+ *         description: Bucket counts retrieved
+ *       404:
+ *         description: User not found
+ */
+// Get capture date bucket counts
+router.get('/timeline/:userId/buckets',
+  authenticateToken,
+  captureTimelineBucketsValidation,
+  PhotoController.getCaptureTimelineBuckets
+);
+
+/**
+ * @swagger
+ * /api/v2/photos/timeline/{userId}:
+ *   get:
+ *     summary: Browse a user's photos by capture date
+ *     description: Newest capture first. Pass pagination.nextCursor back as cursor to load the next page.
+ *     tags: [Photos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: bucket
+ *         description: Restrict to a year, month or day (YYYY, YYYY-MM or YYYY-MM-DD, UTC)
+ *         schema:
+ *           type: string
+ *           example: "2023-07-14"
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *     responses:
+ *       200:
+ *         description: Timeline photos retrieved
+ *       400:
+ *         description: Invalid bucket or cursor
+ *       404:
+ *         description: User not found
+ */
+// Get photos by capture date
+router.get('/timeline/:userId',
+  authenticateToken,
+  captureTimelineValidation,
+  PhotoController.getCaptureTimeline
+);
+
+/**
+ * @swagger
+ * /api/v2/photos/friends/discover:
+ *   get:
+ *     summary: Discover photos from friends
+ *     tags: [Photos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Friends photos retrieved
+ */
+// Discover friends photos
+router.get('/friends/discover',
+  authenticateToken,
+  paginationValidation,
+  PhotoController.discoverFriendsPhotos
+);
+
+/**
+ * @swagger
+ * /api/v2/photos/friends/by-user/{friendId}:
+ *   get:
+ *     summary: Get photos from a specific friend
+ *     tags: [Photos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: friendId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Friend photos retrieved
+ *       403:
+ *         description: Not friends with this user
+ */
+// Get photos from a specific friend
+router.get('/friends/by-user/:friendId',
+  authenticateToken,
+  friendIdValidation,
+  paginationValidation,
+  PhotoController.getFriendPhotos
+);
+
+/**
+ * @swagger
+ * /api/v2/photos/trash:
+ *   get:
+ *     summary: Get photos in trash
+ *     tags: [Photos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Trashed photos retrieved with their purge dates
+ *   delete:
+ *     summary: Empty trash (permanently deletes all trashed photos and albums)
+ *     tags: [Photos]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Trash emptied
+ */
+// Get photos in trash
+router.get('/trash',
+  authenticateToken,
+  paginationValidation,
+  PhotoController.getTrash
+);
+
+// Empty trash
+router.delete('/trash',
+  authenticateToken,
+  logActivity('photo_trash_empty', { resourceType: 'photo' }),
+  PhotoController.emptyTrash
+);
+
+/**
+ * @swagger
+ * /api/v2/photos/trash/restore:
+ *   post:
+ *     summary: Restore photos from trash
+ *     tags: [Photos]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - photoIds
+ *             properties:
+ *               photoIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *     responses:
+ *       200:
+ *         description: Restored and not found photo IDs
+ */
+// Restore photos from trash
+router.post('/trash/restore',
+  authenticateToken,
+  logActivity('photo_restore', { resourceType: 'photo', metadata: (req) => ({ photoIds: req.body.photoIds }) }),
+  restorePhotosValidation,
+  PhotoController.restorePhotos
+);
+
+/**
+ * @swagger
+ * /api/v2/photos/trash/{photoId}/restore:
+ *   post:
+ *     summary: Restore a photo from trash
+ *     tags: [Photos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: photoId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Photo restored
+ *       404:
+ *         description: Photo not found in trash
+ */
+// Restore a photo from trash
+router.post('/trash/:photoId/restore',
+  authenticateToken,
+  logActivity('photo_restore', { resourceType: 'photo', resourceId: 'photoId' }),
+  photoIdValidation,
+  PhotoController.restorePhoto
+);
+
+/**
+ * @swagger
+ * /api/v2/photos/storage/stats:
+ *   get:
+ *     summary: Get storage statistics
+ *     tags: [Photos]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Storage statistics retrieved
+ */
+// Get storage statistics
+router.get('/storage/stats',
+  authenticateToken,
+  PhotoController.getStorageStats
+);
+
+// Debug photo visibility for a specific user
+router.get('/debug/:userId',
+  authenticateToken,
+  userIdValidation,
+  PhotoController.debugPhotoVisibility
+);
+
+/**
+ * @swagger
+ * /api/v2/photos/single/{photoId}:
+ *   get:
+ *     summary: Get single photo details
+ *     tags: [Photos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: photoId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Photo retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Photo'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Photo not found
+ */
+// Get single photo
+router.get('/single/:photoId',
+  authenticateToken,
+  photoIdValidation,
+  PhotoController.getPhotoById
+);
+
+/**
+ * @swagger
+ * /api/v2/photos/{photoId}/like:
+ *   post:
+ *     summary: Like a photo
+ *     tags: [Photos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: photoId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Photo liked
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Photo not found
+ *   delete:
+ *     summary: Unlike a photo
+ *     tags: [Photos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: photoId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Photo unliked
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Photo or like not found
+ */
+// Like photo
+router.post('/:photoId/like',
+  authenticateToken,
+  logActivity('photo_like', { resourceType: 'photo', resourceId: 'photoId' }),
+  photoIdValidation,
+  PhotoController.likePhoto
+);
+
+// Unlike photo
+router.delete('/:photoId/like',
+  authenticateToken,
+  logActivity('photo_unlike', { resourceType: 'photo', resourceId: 'photoId' }),
+  photoIdValidation,
+  PhotoController.unlikePhoto
+);
+
+/**
+ * @swagger
+ * /api/v2/photos/{photoId}/likes:
+ *   get:
+ *     summary: Get users who liked a photo
+ *     tags: [Photos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: photoId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Photo likes retrieved
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Photo not found
+ */
+// Get photo likes
+router.get('/:photoId/likes',
+  authenticateToken,
+  photoIdValidation,
+  paginationValidation,
+  PhotoController.getPhotoLikes
+);
+
+/**
+ * @swagger
+ * /api/v2/photos/{photoId}/comments:
+ *   get:
+ *     summary: Get comment threads of a photo
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: photoId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Comments retrieved
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Photo not found
+ *   post:
+ *     summary: Add a comment or reply to a photo
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: photoId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - comment
+ *             properties:
+ *               comment:
+ *                 type: string
+ *               parentCommentId:
+ *                 type: integer
+ *                 description: Reply to this comment (replies to a reply join the root thread)
+ *     responses:
+ *       201:
+ *         description: Comment added
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Photo or parent comment not found
+ */
+// Get photo comments
+router.get('/:photoId/comments',
+  authenticateToken,
+  photoIdValidation,
+  commentsQueryValidation,
+  CommentController.getPhotoComments
+);
+
+// Add comment
+router.post('/:photoId/comments',
+  authenticateToken,
+  logActivity('comment_create', { resourceType: 'comment', resourceId: (req, data) => data.comment.id }),
+  createCommentValidation,
+  CommentController.addComment
+);
+
+/**
+ * @swagger
+ * /api/v2/photos/comments/{commentId}/replies:
+ *   get:
+ *     summary: Get replies of a comment
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Replies retrieved
+ *       404:
+ *         description: Comment not found
+ */
+// Get comment replies
+router.get('/comments/:commentId/replies',
+  authenticateToken,
+  commentIdValidation,
+  commentsQueryValidation,
+  CommentController.getCommentReplies
+);
+
+/**
+ * @swagger
+ * /api/v2/photos/comments/{commentId}:
+ *   put:
+ *     summary: Edit own comment
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - comment
+ *             properties:
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Comment updated
+ *       403:
+ *         description: Not the comment author
+ *       404:
+ *         description: Comment not found
+ *   delete:
+ *     summary: Delete a comment (author or photo owner)
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Comment deleted
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Comment not found
+ */
+// Update comment
+router.put('/comments/:commentId',
+  authenticateToken,
+  logActivity('comment_update', { resourceType: 'comment', resourceId: 'commentId' }),
+  updateCommentValidation,
+  CommentController.updateComment
+);
+
+// Delete comment
+router.delete('/comments/:commentId',
+  authenticateToken,
+  logActivity('comment_delete', { resourceType: 'comment', resourceId: 'commentId' }),
+  commentIdValidation,
+  CommentController.deleteComment
+);
+
+/**
+ * @swagger
+ * /api/v2/photos/{photoId}:
+ *   put:
+ *     summary: Update photo details
+ *     tags: [Photos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: photoId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               caption:
+ *                 type: string
+ *               permissionType:
+ *                 type: string
+ *                 enum: [public, friends, close_friends, custom]
+ *               customGroupId:
+ *                 type: integer
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Replaces the photo's tags
+ *     responses:
+ *       200:
+ *         description: Photo updated
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Photo not found
+ *   delete:
+ *     summary: Delete photo (moves it to trash)
+ *     tags: [Photos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: photoId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Photo moved to trash
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Photo not found
+ */
+// Update photo
+router.put('/:photoId',
+  authenticateToken,
+  logActivity('photo_update', { resourceType: 'photo', resourceId: 'photoId' }),
+  updateValidation,
+  PhotoController.updatePhoto
+);
+
+// Delete photo
+router.delete('/:photoId',
+  authenticateToken,
+  logActivity('photo_delete', { resourceType: 'photo', resourceId: 'photoId' }),
+  photoIdValidation,
+  PhotoController.deletePhoto
+);
+
+/**
+ * @swagger
+ * /api/v2/photos/{userId}:
+ *   get:
+ *     summary: Get photos of a specific user
+ *     tags: [Photos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 12
+ *     responses:
+ *       200:
+ *         description: Photos retrieved
+ */
+// Get user photos
+router.get('/:userId',
+  authenticateToken,
+  userIdValidation,
+  paginationValidation,
+  PhotoController.getUserPhotos
+);
+
+module.exports = router;
@@ -1,13 +1,19 @@
 const express = require('express');
 const SharingController = require('../controllers/sharing.controller');
-const { authenticateToken } = require('../middleware/auth.middleware');
+const { authenticateToken, optionalAuth, logActivity } = require('../middleware/auth.middleware');
 const {
   albumValidation,
   updateAlbumValidation,
   albumIdValidation,
+  restoreAlbumsValidation,
+  albumDetailsValidation,
   addPhotosToAlbumValidation,
+  reorderAlbumPhotosValidation,
+  moveAlbumPhotoValidation,
   shareValidation,
   shareIdValidation,
+  shareLinkValidation,
+  shareTokenValidation,
   paginationValidation,
   shareQueryValidation
 } = require('../validators/sharing.validators');
@@ -43,9 +49,21 @@ const router = express.Router();
  *               description:
  *                 type: string
  *                 example: 'Photos from our summer vacation'
+ *               privacyType:
+ *                 type: string
+ *                 enum: [private, friends, close_friends, custom, public]
+ *                 default: private
+ *               customGroupId:
+ *                 type: integer
+ *                 description: Required when privacyType is custom
+ *               sortMode:
+ *                 type: string
+ *                 enum: [manual, taken_at, uploaded_at]
+ *                 default: manual
  *               isPublic:
  *                 type: boolean
  *                 default: false
+ *                 description: Deprecated, used only when privacyType is not given
  *     responses:
  *       201:
  *         description: Album created successfully
@@ -65,12 +83,17 @@ const router = express.Router();
  *                           type: string
  *                         description:
  *                           type: string
+ *                         privacyType:
+ *                           type: string
+ *                         customGroupId:
+ *                           type: integer
  *                         isPublic:
  *                           type: boolean
  */
 // Create album
 router.post('/albums', 
   authenticateToken, 
+  logActivity('album_create', { resourceType: 'album', resourceId: (req, data) => data.album.id }),
   albumValidation, 
   SharingController.createAlbum
 );
@@ -125,6 +148,129 @@ router.get('/albums',
   SharingController.getUserAlbums
 );
 
+/**
+ * @swagger
+ * /api/v2/sharing/albums/feed:
+ *   get:
+ *     summary: Get albums of other users visible to the current user
+ *     description: Albums whose privacy setting covers the user or that are shared with them, newest first. Photo counts and covers only include photos the user may see.
+ *     tags: [Sharing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Album feed retrieved
+ */
+// Get album feed
+router.get('/albums/feed', 
+  authenticateToken, 
+  paginationValidation, 
+  SharingController.getAlbumFeed
+);
+
+/**
+ * @swagger
+ * /api/v2/sharing/albums/trash:
+ *   get:
+ *     summary: Get albums in trash
+ *     description: Deleted albums stay in trash for the photo trash retention period, then are purged
+ *     tags: [Sharing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Trashed albums retrieved with their purge dates
+ */
+// Get albums in trash
+router.get('/albums/trash', 
+  authenticateToken, 
+  paginationValidation, 
+  SharingController.getAlbumTrash
+);
+
+/**
+ * @swagger
+ * /api/v2/sharing/albums/trash/restore:
+ *   post:
+ *     summary: Restore albums from trash
+ *     tags: [Sharing]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - albumIds
+ *             properties:
+ *               albumIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *     responses:
+ *       200:
+ *         description: Restored and not found album IDs
+ */
+// Restore albums from trash
+router.post('/albums/trash/restore', 
+  authenticateToken, 
+  logActivity('album_restore', { resourceType: 'album', metadata: (req) => ({ albumIds: req.body.albumIds }) }),
+  restoreAlbumsValidation, 
+  SharingController.restoreAlbums
+);
+
+/**
+ * @swagger
+ * /api/v2/sharing/albums/trash/{albumId}/restore:
+ *   post:
+ *     summary: Restore an album from trash
+ *     tags: [Sharing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: albumId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Album restored
+ *       404:
+ *         description: Album not found in trash
+ */
+// Restore an album from trash
+router.post('/albums/trash/:albumId/restore', 
+  authenticateToken, 
+  logActivity('album_restore', { resourceType: 'album', resourceId: 'albumId' }),
+  albumIdValidation, 
+  SharingController.restoreAlbum
+);
+
 /**
  * @swagger
  * /api/v2/sharing/albums/{albumId}:
@@ -140,6 +286,12 @@ router.get('/albums',
  *         schema:
  *           type: integer
  *         description: Album ID
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [manual, taken_at, uploaded_at]
+ *         description: Photo order; defaults to the album's sortMode
  *     responses:
  *       200:
  *         description: Album details retrieved
@@ -167,7 +319,7 @@ router.get('/albums',
 // Get album details with photos
 router.get('/albums/:albumId', 
   authenticateToken, 
-  albumIdValidation, 
+  albumDetailsValidation, 
   SharingController.getAlbumDetails
 );
 
@@ -199,8 +351,22 @@ router.get('/albums/:albumId',
  *               description:
  *                 type: string
  *                 example: 'Updated description'
+ *               privacyType:
+ *                 type: string
+ *                 enum: [private, friends, close_friends, custom, public]
+ *               customGroupId:
+ *                 type: integer
+ *                 description: Required when privacyType is custom
+ *               sortMode:
+ *                 type: string
+ *                 enum: [manual, taken_at, uploaded_at]
+ *               coverPhotoId:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: A photo in the album; null falls back to the first photo
  *               isPublic:
  *                 type: boolean
+ *                 description: Deprecated, used only when privacyType is not given
  *     responses:
  *       200:
  *         description: Album updated successfully
@@ -212,6 +378,7 @@ router.get('/albums/:albumId',
 // Update album
 router.put('/albums/:albumId', 
   authenticateToken, 
+  logActivity('album_update', { resourceType: 'album', resourceId: 'albumId' }),
   updateAlbumValidation, 
   SharingController.updateAlbum
 );
@@ -221,6 +388,7 @@ router.put('/albums/:albumId',
  * /api/v2/sharing/albums/{albumId}:
  *   delete:
  *     summary: Delete album
+ *     description: Moves the album to trash; its photos and shares come back with a restore
  *     tags: [Sharing]
  *     security:
  *       - bearerAuth: []
@@ -246,6 +414,7 @@ router.put('/albums/:albumId',
 // Delete album
 router.delete('/albums/:albumId', 
   authenticateToken, 
+  logActivity('album_delete', { resourceType: 'album', resourceId: 'albumId' }),
   albumIdValidation, 
   SharingController.deleteAlbum
 );
@@ -255,6 +424,7 @@ router.delete('/albums/:albumId',
  * /api/v2/sharing/albums/{albumId}/photos:
  *   post:
  *     summary: Add photos to album
+ *     description: The album owner and recipients of a 'contribute' album share can add their own photos. Contributed photos stay owned by the contributor and are visible to everyone who can view the album.
  *     tags: [Sharing]
  *     security:
  *       - bearerAuth: []
@@ -290,6 +460,7 @@ router.delete('/albums/:albumId',
 // Add photos to album
 router.post('/albums/:albumId/photos', 
   authenticateToken, 
+  logActivity('album_add_photos', { resourceType: 'album', resourceId: 'albumId', metadata: (req) => ({ photoIds: req.body.photoIds }) }),
   addPhotosToAlbumValidation, 
   SharingController.addPhotosToAlbum
 );
@@ -299,6 +470,7 @@ router.post('/albums/:albumId/photos',
  * /api/v2/sharing/albums/{albumId}/photos:
  *   delete:
  *     summary: Remove photos from album
+ *     description: The album owner can remove any photo; contributors only the photos they added.
  *     tags: [Sharing]
  *     security:
  *       - bearerAuth: []
@@ -334,10 +506,102 @@ router.post('/albums/:albumId/photos',
 // Remove photos from album
 router.delete('/albums/:albumId/photos', 
   authenticateToken, 
+  logActivity('album_remove_photos', { resourceType: 'album', resourceId: 'albumId', metadata: (req) => ({ photoIds: req.body.photoIds }) }),
   addPhotosToAlbumValidation, 
   SharingController.removePhotosFromAlbum
 );
 
+/**
+ * @swagger
+ * /api/v2/sharing/albums/{albumId}/photos/order:
+ *   put:
+ *     summary: Reorder album photos
+ *     description: The given photos move to the start of the album's manual order in the given order; the other photos keep their order after them. Album owner only.
+ *     tags: [Sharing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: albumId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Album ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - photoIds
+ *             properties:
+ *               photoIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 example: [3, 1, 2]
+ *     responses:
+ *       200:
+ *         description: Album photos reordered, returns the full manual order
+ *       400:
+ *         description: Photo not in the album or duplicate IDs
+ */
+// Reorder album photos
+router.put('/albums/:albumId/photos/order', 
+  authenticateToken, 
+  logActivity('album_reorder_photos', { resourceType: 'album', resourceId: 'albumId' }),
+  reorderAlbumPhotosValidation, 
+  SharingController.reorderAlbumPhotos
+);
+
+/**
+ * @swagger
+ * /api/v2/sharing/albums/{albumId}/photos/{photoId}/position:
+ *   put:
+ *     summary: Move an album photo before or after another one
+ *     description: Album owner only. Give exactly one of beforePhotoId or afterPhotoId.
+ *     tags: [Sharing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: albumId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Album ID
+ *       - in: path
+ *         name: photoId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Photo to move
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               beforePhotoId:
+ *                 type: integer
+ *               afterPhotoId:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Album photo moved, returns the full manual order
+ *       400:
+ *         description: Photo not in the album
+ */
+// Move album photo
+router.put('/albums/:albumId/photos/:photoId/position', 
+  authenticateToken, 
+  logActivity('album_reorder_photos', { resourceType: 'album', resourceId: 'albumId' }),
+  moveAlbumPhotoValidation, 
+  SharingController.moveAlbumPhoto
+);
+
 // Photo Sharing Routes
 
 /**
@@ -391,6 +655,7 @@ router.delete('/albums/:albumId/photos',
 // Share photo (alias for createShare) - NEW ROUTE
 router.post('/photo', 
   authenticateToken, 
+  logActivity('share_create', { resourceType: 'share', resourceId: (req, data) => data.share.id, metadata: (req) => ({ shareType: req.body.shareType, recipientId: req.body.recipientId }) }),
   shareValidation, 
   SharingController.createShare
 );
@@ -420,6 +685,10 @@ router.post('/photo',
  *                 type: integer
  *                 nullable: true
  *                 example: 456
+ *               smart_album_id:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Smart album to share (share type smart_album)
  *               friend_ids:
  *                 type: array
  *                 items:
@@ -427,8 +696,9 @@ router.post('/photo',
  *                 example: [2, 3, 4]
  *               permission_level:
  *                 type: string
- *                 enum: [view, download]
+ *                 enum: [view, download, contribute]
  *                 default: view
+ *                 description: contribute lets the recipient add their own photos (album shares only)
  *               message:
  *                 type: string
  *                 example: 'Sharing some memories!'
@@ -443,6 +713,7 @@ router.post('/photo',
 // Create share (share content with friends)
 router.post('/share', 
   authenticateToken, 
+  logActivity('share_create', { resourceType: 'share', resourceId: (req, data) => data.share.id, metadata: (req) => ({ shareType: req.body.shareType, recipientId: req.body.recipientId }) }),
   shareValidation, 
   SharingController.createShare
 );
@@ -464,6 +735,7 @@ router.get('/shares/:shareId',
 // Revoke share
 router.patch('/shares/:shareId/revoke', 
   authenticateToken, 
+  logActivity('share_revoke', { resourceType: 'share', resourceId: 'shareId' }),
   shareIdValidation, 
   SharingController.revokeShare
 );
@@ -471,6 +743,7 @@ router.patch('/shares/:shareId/revoke',
 // Reactivate share
 router.patch('/shares/:shareId/reactivate', 
   authenticateToken, 
+  logActivity('share_reactivate', { resourceType: 'share', resourceId: 'shareId' }),
   shareIdValidation, 
   SharingController.reactivateShare
 );
@@ -478,6 +751,7 @@ router.patch('/shares/:shareId/reactivate',
 // Delete share
 router.delete('/shares/:shareId', 
   authenticateToken, 
+  logActivity('share_delete', { resourceType: 'share', resourceId: 'shareId' }),
   shareIdValidation, 
   SharingController.deleteShare
 );
@@ -489,4 +763,197 @@ router.get('/shared-with-me',
   SharingController.getSharedWithMe
 );
 
-module.exports = router; 
\ No newline at end of file
+// Share Link Routes
+
+/**
+ * @swagger
+ * /api/v2/sharing/links:
+ *   post:
+ *     summary: Create public share link
+ *     description: Creates a link to a photo or album that can be opened without being friends with the owner
+ *     tags: [Sharing]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - shareType
+ *             properties:
+ *               shareType:
+ *                 type: string
+ *                 enum: [album, individual_photo]
+ *               albumId:
+ *                 type: integer
+ *               photoId:
+ *                 type: integer
+ *               permissionLevel:
+ *                 type: string
+ *                 enum: [view, download]
+ *                 default: view
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *               maxAccessCount:
+ *                 type: integer
+ *                 description: Number of times the link can be opened
+ *               requireAuth:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Only signed-in users can open the link
+ *               password:
+ *                 type: string
+ *                 description: Optional password, sent back as X-Share-Password when opening the link
+ *               message:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Share link created
+ *       404:
+ *         description: Photo or album not found
+ *   get:
+ *     summary: Get share links created by current user
+ *     tags: [Sharing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Share links retrieved
+ */
+// Create share link
+router.post('/links', 
+  authenticateToken, 
+  logActivity('share_link_create', { resourceType: 'share', resourceId: (req, data) => data.link.id, metadata: (req) => ({ shareType: req.body.shareType }) }),
+  shareLinkValidation, 
+  SharingController.createShareLink
+);
+
+// Get share links
+router.get('/links', 
+  authenticateToken, 
+  paginationValidation, 
+  SharingController.getShareLinks
+);
+
+/**
+ * @swagger
+ * /api/v2/sharing/links/{token}/content:
+ *   get:
+ *     summary: Open a share link
+ *     description: Resolves the link token and returns the shared photo or album. Each successful call counts towards maxAccessCount.
+ *     tags: [Sharing]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: header
+ *         name: X-Share-Password
+ *         schema:
+ *           type: string
+ *         description: Required when the link is password protected
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Shared content retrieved
+ *       401:
+ *         description: Password or authentication required
+ *       403:
+ *         description: Invalid password
+ *       404:
+ *         description: Share link not found
+ *       410:
+ *         description: Share link expired or access limit reached
+ */
+// Open share link (no account required unless the link asks for it)
+router.get('/links/:token/content', 
+  optionalAuth, 
+  shareTokenValidation.concat(paginationValidation), 
+  SharingController.accessShareLink
+);
+
+/**
+ * @swagger
+ * /api/v2/sharing/links/{token}/rotate:
+ *   post:
+ *     summary: Rotate share link token
+ *     description: Issues a new token; the old link stops working immediately
+ *     tags: [Sharing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Token rotated
+ *       404:
+ *         description: Share link not found
+ */
+// Rotate share link token
+router.post('/links/:token/rotate', 
+  authenticateToken, 
+  logActivity('share_link_rotate', { resourceType: 'share', resourceId: (req, data) => data.link.id }),
+  shareTokenValidation, 
+  SharingController.rotateShareLink
+);
+
+/**
+ * @swagger
+ * /api/v2/sharing/links/{token}:
+ *   delete:
+ *     summary: Revoke share link
+ *     tags: [Sharing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Share link revoked
+ *       404:
+ *         description: Share link not found
+ */
+// Revoke share link
+router.delete('/links/:token', 
+  authenticateToken, 
+  logActivity('share_link_revoke', { resourceType: 'share', resourceId: (req, data) => data.link.id }),
+  shareTokenValidation, 
+  SharingController.revokeShareLink
+);
+
+module.exports = router;
@@ -0,0 +1,242 @@
+const express = require('express');
+const SmartAlbumController = require('../controllers/smart-album.controller');
+const { authenticateToken, logActivity } = require('../middleware/auth.middleware');
+const {
+  smartAlbumValidation,
+  updateSmartAlbumValidation,
+  smartAlbumIdValidation,
+  smartAlbumDetailsValidation,
+  paginationValidation
+} = require('../validators/smart-album.validators');
+
+const router = express.Router();
+
+/**
+ * Smart Album Routes - Albums defined by a saved photo filter
+ * Share them through POST /sharing/shares with shareType smart_album
+ */
+
+/**
+ * @swagger
+ * /api/v2/smart-albums:
+ *   post:
+ *     summary: Create smart album
+ *     tags: [Smart Albums]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - filters
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: 'Trips with the new camera'
+ *               description:
+ *                 type: string
+ *               filters:
+ *                 type: object
+ *                 description: At least one criterion; a photo must match all given criteria
+ *                 properties:
+ *                   tags:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                     description: Photo must have every tag
+ *                   takenFrom:
+ *                     type: string
+ *                     format: date-time
+ *                   takenTo:
+ *                     type: string
+ *                     format: date-time
+ *                     description: Exclusive upper bound
+ *                   cameraMake:
+ *                     type: string
+ *                     description: Case-insensitive match within the EXIF make
+ *                   cameraModel:
+ *                     type: string
+ *                     description: Case-insensitive match within the EXIF model
+ *                   sourceDeviceIds:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                     description: deviceId of the sync devices the photo was uploaded from
+ *     responses:
+ *       201:
+ *         description: Smart album created successfully
+ *       400:
+ *         description: Invalid filters
+ */
+// Create smart album
+router.post('/',
+  authenticateToken,
+  logActivity('smart_album_create', { resourceType: 'smart_album', resourceId: (req, data) => data.smartAlbum.id }),
+  smartAlbumValidation,
+  SmartAlbumController.createSmartAlbum
+);
+
+/**
+ * @swagger
+ * /api/v2/smart-albums:
+ *   get:
+ *     summary: Get user's smart albums
+ *     tags: [Smart Albums]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Smart albums retrieved
+ */
+// Get user's smart albums
+router.get('/',
+  authenticateToken,
+  paginationValidation,
+  SmartAlbumController.getUserSmartAlbums
+);
+
+/**
+ * @swagger
+ * /api/v2/smart-albums/{smartAlbumId}:
+ *   get:
+ *     summary: Get smart album details with a page of matching photos
+ *     description: Available to the owner and to users the smart album is shared with
+ *     tags: [Smart Albums]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: smartAlbumId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Smart album details retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Success'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         smartAlbum:
+ *                           type: object
+ *                         photos:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/Photo'
+ *                         pagination:
+ *                           type: object
+ *       403:
+ *         description: Smart album is not shared with you
+ *       404:
+ *         description: Smart album not found
+ */
+// Get smart album details
+router.get('/:smartAlbumId',
+  authenticateToken,
+  smartAlbumDetailsValidation,
+  SmartAlbumController.getSmartAlbumDetails
+);
+
+/**
+ * @swagger
+ * /api/v2/smart-albums/{smartAlbumId}:
+ *   put:
+ *     summary: Update smart album
+ *     tags: [Smart Albums]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: smartAlbumId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               filters:
+ *                 type: object
+ *                 description: Replaces the saved filter
+ *     responses:
+ *       200:
+ *         description: Smart album updated successfully
+ *       404:
+ *         description: Smart album not found
+ */
+// Update smart album
+router.put('/:smartAlbumId',
+  authenticateToken,
+  logActivity('smart_album_update', { resourceType: 'smart_album', resourceId: 'smartAlbumId' }),
+  updateSmartAlbumValidation,
+  SmartAlbumController.updateSmartAlbum
+);
+
+/**
+ * @swagger
+ * /api/v2/smart-albums/{smartAlbumId}:
+ *   delete:
+ *     summary: Delete smart album
+ *     description: Removes the smart album and its shares; the photos are untouched
+ *     tags: [Smart Albums]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: smartAlbumId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Smart album deleted successfully
+ *       404:
+ *         description: Smart album not found
+ */
+// Delete smart album
+router.delete('/:smartAlbumId',
+  authenticateToken,
+  logActivity('smart_album_delete', { resourceType: 'smart_album', resourceId: 'smartAlbumId' }),
+  smartAlbumIdValidation,
+  SmartAlbumController.deleteSmartAlbum
+);
+
+module.exports = router;
@@ -1,11 +1,13 @@
 const express = require('express');
 const UserController = require('../controllers/user.controller');
-const { authenticateToken } = require('../middleware/auth.middleware');
+const { authenticateToken, logActivity } = require('../middleware/auth.middleware');
 const {
   updateProfileValidation,
   userSearchValidation,
   userIdValidation,
-  syncSettingsValidation
+  syncSettingsValidation,
+  privacySettingsValidation,
+  activityQueryValidation
 } = require('../validators/user.validators');
 
 const router = express.Router();
@@ -87,6 +89,7 @@ router.get('/me',
 // Update current user profile
 router.put('/me', 
   authenticateToken, 
+  logActivity('profile_update', { resourceType: 'user', resourceId: (req) => req.user.id }),
   updateProfileValidation, 
   UserController.updateCurrentUserProfile
 );
@@ -138,6 +141,32 @@ router.get('/me/statistics',
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: Filter by action (e.g. photo_upload, share_revoke)
+ *       - in: query
+ *         name: resourceType
+ *         schema:
+ *           type: string
+ *         description: Filter by resource type (e.g. photo, album, share)
  *     responses:
  *       200:
  *         description: User activity log
@@ -149,23 +178,39 @@ router.get('/me/statistics',
  *                 - type: object
  *                   properties:
  *                     data:
- *                       type: array
- *                       items:
- *                         type: object
- *                         properties:
- *                           id:
- *                             type: integer
- *                           action:
- *                             type: string
- *                           timestamp:
- *                             type: string
- *                             format: date-time
- *                           details:
+ *                       type: object
+ *                       properties:
+ *                         activities:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               id:
+ *                                 type: integer
+ *                               action:
+ *                                 type: string
+ *                               resourceType:
+ *                                 type: string
+ *                               resourceId:
+ *                                 type: integer
+ *                               metadata:
+ *                                 type: object
+ *                               ipAddress:
+ *                                 type: string
+ *                               userAgent:
+ *                                 type: string
+ *                               createdAt:
+ *                                 type: string
+ *                                 format: date-time
+ *                         summary:
+ *                           type: array
+ *                           items:
  *                             type: object
  */
 // Get user activity
 router.get('/me/activity', 
   authenticateToken, 
+  activityQueryValidation,
   UserController.getUserActivity
 );
 
@@ -190,6 +235,7 @@ router.get('/me/activity',
 // Delete user account
 router.delete('/me', 
   authenticateToken, 
+  logActivity('account_delete', { resourceType: 'user', resourceId: (req) => req.user.id }),
   UserController.deleteUserAccount
 );
 
@@ -268,10 +314,80 @@ router.get('/sync-settings',
  */
 router.put('/sync-settings', 
   authenticateToken, 
+  logActivity('sync_settings_update', { resourceType: 'user', resourceId: (req) => req.user.id }),
   syncSettingsValidation, 
   UserController.setupSyncSettings
 );
 
+/**
+ * @swagger
+ * /api/v2/users/privacy-settings:
+ *   get:
+ *     summary: Get privacy settings
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Privacy settings retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Success'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         privacySettings:
+ *                           type: object
+ *                           properties:
+ *                             stripGpsOnUpload:
+ *                               type: boolean
+ */
+// Privacy settings routes
+router.get('/privacy-settings', 
+  authenticateToken, 
+  UserController.getPrivacySettings
+);
+
+/**
+ * @swagger
+ * /api/v2/users/privacy-settings:
+ *   put:
+ *     summary: Update privacy settings
+ *     description: With stripGpsOnUpload enabled, GPS coordinates are removed from uploaded files and no location is stored
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - stripGpsOnUpload
+ *             properties:
+ *               stripGpsOnUpload:
+ *                 type: boolean
+ *                 example: true
+ *     responses:
+ *       200:
+ *         description: Privacy settings updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ */
+router.put('/privacy-settings', 
+  authenticateToken, 
+  logActivity('privacy_settings_update', { resourceType: 'user', resourceId: (req) => req.user.id }),
+  privacySettingsValidation, 
+  UserController.updatePrivacySettings
+);
+
 /**
  * @swagger
  * /api/v2/users/search:
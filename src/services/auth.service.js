@@ -1,6 +1,7 @@
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const UserModel = require('../models/user.model');
+const CryptoUtils = require('../utils/crypto.utils');
 const { authConfig } = require('../config/auth.config');
 
 /**
@@ -89,10 +90,10 @@ class AuthService {
     }
 
     // Generate token
-    const token = this.generateToken(user.id);
+    const token = this.generateToken(user.id, user.token_version);
 
     // Remove password hash from response
-    const { password_hash, ...userResponse } = user;
+    const { password_hash, token_version, ...userResponse } = user;
 
     return {
       user: userResponse,
@@ -103,11 +104,12 @@ class AuthService {
   /**
    * Generate JWT token
    * @param {number} userId - User ID
+   * @param {number} tokenVersion - User's current token version
    * @returns {string} JWT token
    */
-  static generateToken(userId) {
+  static generateToken(userId, tokenVersion = 0) {
     return jwt.sign(
-      { userId },
+      { userId, tokenVersion },
       authConfig.jwt.secret,
       { expiresIn: authConfig.jwt.expiresIn }
     );
@@ -127,14 +129,33 @@ class AuthService {
     }
   }
 
+  /**
+   * Check that a decoded token was issued after the last password change
+   * @param {Object} decoded - Decoded token payload
+   * @returns {Promise<Object>} User auth state
+   */
+  static async assertTokenCurrent(decoded) {
+    const authUser = await UserModel.findAuthById(decoded.userId);
+    if (!authUser) {
+      throw new Error('User not found');
+    }
+
+    if ((decoded.tokenVersion || 0) !== authUser.token_version) {
+      throw new Error('Invalid or expired token');
+    }
+
+    return authUser;
+  }
+
   /**
    * Refresh user token
    * @param {string} token - Current JWT token
    * @returns {Promise<Object>} New token and user data
    */
   static async refreshToken(token) {
-    // Verify current token
+    // Verify current token and reject tokens revoked by a password change
     const decoded = await this.verifyToken(token);
+    const authUser = await this.assertTokenCurrent(decoded);
     
     // Get current user data
     const user = await UserModel.findById(decoded.userId);
@@ -143,7 +164,7 @@ class AuthService {
     }
 
     // Generate new token
-    const newToken = this.generateToken(user.id);
+    const newToken = this.generateToken(user.id, authUser.token_version);
 
     // Remove password hash from response
     const { password_hash, ...userResponse } = user;
@@ -161,6 +182,7 @@ class AuthService {
    */
   static async getProfile(token) {
     const decoded = await this.verifyToken(token);
+    await this.assertTokenCurrent(decoded);
     const user = await UserModel.findById(decoded.userId);
     
     if (!user) {
@@ -177,11 +199,11 @@ class AuthService {
    * @param {number} userId - User ID
    * @param {string} currentPassword - Current password
    * @param {string} newPassword - New password
-   * @returns {Promise<boolean>} Success status
+   * @returns {Promise<Object>} Fresh token for the current client
    */
   static async changePassword(userId, currentPassword, newPassword) {
     // Get user with password hash
-    const user = await UserModel.findByEmail((await UserModel.findById(userId)).email);
+    const user = await UserModel.findCredentialsById(userId);
     if (!user) {
       throw new Error('User not found');
     }
@@ -193,13 +215,17 @@ class AuthService {
     }
 
     // Hash new password
-    const newPasswordHash = await bcrypt.hash(newPassword, 12);
+    const newPasswordHash = await bcrypt.hash(newPassword, authConfig.bcrypt.saltRounds);
 
-    // Update password in database
-    // Note: This would require a UserModel.updatePassword method
-    // For now, this is a placeholder for the concept
-    
-    return true;
+    // Update password; bumping token_version revokes every previously issued token
+    const updated = await UserModel.updatePassword(userId, newPasswordHash);
+    if (!updated) {
+      throw new Error('User not found');
+    }
+
+    return {
+      token: this.generateToken(updated.id, updated.token_version)
+    };
   }
 
   /**
@@ -237,7 +263,7 @@ class AuthService {
   }
 
   /**
-   * Generate password reset token
+   * Generate single-use password reset token
    * @param {string} email - User email
    * @returns {Promise<string>} Reset token
    */
@@ -247,12 +273,11 @@ class AuthService {
       throw new Error('User not found');
     }
 
-    // Generate reset token (valid for 1 hour)
-    const resetToken = jwt.sign(
-      { userId: user.id, type: 'password_reset' },
-      authConfig.jwt.secret,
-      { expiresIn: '1h' }
-    );
+    // Only the hash is stored, and issuing a new token replaces any previous one
+    const resetToken = CryptoUtils.generateRandomToken(32);
+    const expiresAt = new Date(Date.now() + authConfig.email.resetTokenExpiry);
+
+    await UserModel.setPasswordResetToken(user.id, CryptoUtils.hashSHA256(resetToken), expiresAt);
 
     return resetToken;
   }
@@ -264,23 +289,20 @@ class AuthService {
    * @returns {Promise<boolean>} Success status
    */
   static async resetPassword(resetToken, newPassword) {
-    try {
-      const decoded = jwt.verify(resetToken, authConfig.jwt.secret);
-      
-      if (decoded.type !== 'password_reset') {
-        throw new Error('Invalid reset token');
-      }
+    // Hash new password
+    const passwordHash = await bcrypt.hash(newPassword, authConfig.bcrypt.saltRounds);
 
-      // Hash new password
-      const passwordHash = await bcrypt.hash(newPassword, 12);
+    // Consume the token and update the password atomically
+    const updated = await UserModel.resetPasswordWithToken(
+      CryptoUtils.hashSHA256(resetToken),
+      passwordHash
+    );
 
-      // Update password in database
-      // Note: This would require a UserModel.updatePassword method
-      
-      return true;
-    } catch (error) {
+    if (!updated) {
       throw new Error('Invalid or expired reset token');
     }
+
+    return true;
   }
 }
 
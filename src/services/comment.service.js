@@ -0,0 +1,162 @@
+const CommentModel = require('../models/comment.model');
+const BlockModel = require('../models/block.model');
+const PhotoService = require('./photo.service');
+const NotificationService = require('./notification.service');
+
+/**
+ * Comment Service - Handles photo comment business logic
+ */
+class CommentService {
+  /**
+   * Get paginated comment threads of a photo
+   */
+  static async getPhotoComments(photoId, currentUserId, { page = 1, limit = 20 } = {}) {
+    const photo = await PhotoService.getAccessiblePhoto(photoId, currentUserId);
+
+    const comments = await CommentModel.findByPhotoId(photoId, { page, limit, viewerId: currentUserId });
+    const totalCount = await CommentModel.countByPhotoId(photoId, currentUserId);
+
+    return {
+      comments: comments.map(comment =>
+        CommentModel.formatComment(comment, currentUserId, photo.user_id)
+      ),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalCount / limit),
+        totalCount: totalCount,
+        hasNext: (page - 1) * limit + limit < totalCount,
+        hasPrev: page > 1
+      }
+    };
+  }
+
+  /**
+   * Get paginated replies of a comment
+   */
+  static async getCommentReplies(commentId, currentUserId, { page = 1, limit = 20 } = {}) {
+    const parent = await CommentModel.findById(commentId);
+
+    if (!parent || await BlockModel.isBlockedBetween(currentUserId, parent.user_id)) {
+      throw new Error('Comment not found');
+    }
+
+    const photo = await PhotoService.getAccessiblePhoto(parent.photo_id, currentUserId);
+
+    const replies = await CommentModel.findReplies(commentId, { page, limit, viewerId: currentUserId });
+    const totalCount = await CommentModel.countReplies(commentId, currentUserId);
+
+    return {
+      replies: replies.map(reply =>
+        CommentModel.formatComment(reply, currentUserId, photo.user_id)
+      ),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalCount / limit),
+        totalCount: totalCount,
+        hasNext: (page - 1) * limit + limit < totalCount,
+        hasPrev: page > 1
+      }
+    };
+  }
+
+  /**
+   * Add a comment or reply to a photo
+   */
+  static async addComment(photoId, userId, { comment, parentCommentId = null }) {
+    const photo = await PhotoService.getAccessiblePhoto(photoId, userId);
+
+    let threadParentId = null;
+    let parentAuthorId = null;
+    if (parentCommentId) {
+      const parent = await CommentModel.findById(parentCommentId);
+
+      if (!parent || parent.photo_id !== photoId ||
+          await BlockModel.isBlockedBetween(userId, parent.user_id)) {
+        throw new Error('Parent comment not found');
+      }
+
+      if (parent.is_deleted) {
+        throw new Error('Cannot reply to a deleted comment');
+      }
+
+      // Threads are one level deep: replies to a reply join the root comment's thread
+      threadParentId = parent.parent_comment_id || parent.id;
+      parentAuthorId = parent.user_id;
+    }
+
+    const created = await CommentModel.create({
+      photoId,
+      userId,
+      comment,
+      parentCommentId: threadParentId
+    });
+
+    await NotificationService.notifyPhotoCommented(photo.user_id, userId, {
+      photoId,
+      commentId: created.id,
+      parentAuthorId
+    });
+
+    return CommentModel.formatComment(created, userId, photo.user_id);
+  }
+
+  /**
+   * Edit own comment
+   */
+  static async updateComment(commentId, userId, comment) {
+    const existing = await CommentModel.findById(commentId);
+
+    if (!existing || existing.is_deleted) {
+      throw new Error('Comment not found');
+    }
+
+    const photo = await PhotoService.getAccessiblePhoto(existing.photo_id, userId);
+
+    if (existing.user_id !== userId) {
+      throw new Error('Access denied. You can only edit your own comments.');
+    }
+
+    const updated = await CommentModel.update(commentId, comment);
+
+    if (!updated) {
+      throw new Error('Comment not found');
+    }
+
+    return CommentModel.formatComment(updated, userId, photo.user_id);
+  }
+
+  /**
+   * Delete a comment (author, or photo owner moderating their photo)
+   */
+  static async deleteComment(commentId, userId) {
+    const existing = await CommentModel.findById(commentId);
+
+    if (!existing || existing.is_deleted) {
+      throw new Error('Comment not found');
+    }
+
+    const photo = await PhotoService.getAccessiblePhoto(existing.photo_id, userId);
+
+    const isAuthor = existing.user_id === userId;
+    const isPhotoOwner = photo.user_id === userId;
+
+    if (!isAuthor && !isPhotoOwner) {
+      throw new Error('Access denied. You can only delete your own comments or comments on your photos.');
+    }
+
+    const deleted = await CommentModel.softDelete(commentId);
+
+    if (!deleted) {
+      throw new Error('Comment not found');
+    }
+
+    return {
+      id: deleted.id,
+      photoId: deleted.photo_id,
+      deletedBy: isAuthor ? 'author' : 'photo_owner',
+      deletedAt: deleted.deleted_at
+    };
+  }
+}
+
+module.exports = CommentService;
@@ -1,5 +1,8 @@
 const DeviceSyncModel = require('../models/device-sync.model');
+const PhotoChangeModel = require('../models/photo-change.model');
 const PhotoService = require('./photo.service');
+const UploadSessionService = require('./upload-session.service');
+const { storageConfig } = require('../config/storage.config');
 const { createSuccessResponse, createErrorResponse } = require('../utils/response.utils');
 const crypto = require('crypto');
 
@@ -21,7 +24,7 @@ class DeviceSyncService {
         : 'Device updated successfully';
       
       return createSuccessResponse(message, { 
-        device: result.device,
+        device: DeviceSyncModel.formatDevice(result.device),
         isNewDevice: result.isNew 
       });
     } catch (error) {
@@ -40,8 +43,16 @@ class DeviceSyncService {
       if (!device) {
         return createErrorResponse('Device not found', 404);
       }
+
+      // Syncs running on any of the user's devices, so other devices can show them
+      const activeSessions = await DeviceSyncModel.getActiveSyncSessions(userId);
+      const activeSyncs = activeSessions.map(session => DeviceSyncModel.formatSyncSession(session));
       
-      return createSuccessResponse('Device status retrieved successfully', { device });
+      return createSuccessResponse('Device status retrieved successfully', { 
+        device: DeviceSyncModel.formatDevice(device),
+        currentSync: activeSyncs.find(sync => sync.device.deviceId === deviceId) || null,
+        activeSyncs
+      });
     } catch (error) {
       console.error('Get device status error:', error);
       return createErrorResponse('Failed to retrieve device status');
@@ -56,7 +67,7 @@ class DeviceSyncService {
       const devices = await DeviceSyncModel.getUserDevices(userId);
       
       return createSuccessResponse('Devices retrieved successfully', { 
-        devices,
+        devices: devices.map(device => DeviceSyncModel.formatDevice(device)),
         total: devices.length 
       });
     } catch (error) {
@@ -76,7 +87,9 @@ class DeviceSyncService {
         return createErrorResponse('Device not found', 404);
       }
       
-      return createSuccessResponse('Sync settings updated successfully', { device });
+      return createSuccessResponse('Sync settings updated successfully', { 
+        device: DeviceSyncModel.formatDevice(device) 
+      });
     } catch (error) {
       console.error('Update sync settings error:', error);
       return createErrorResponse('Failed to update sync settings');
@@ -84,110 +97,328 @@ class DeviceSyncService {
   }
 
   /**
-   * Process bulk photo upload from device
+   * Start a sync session that resumable uploads are attached to
    */
-  static async processBulkUpload(userId, files, uploadData) {
+  static async startSyncSession(userId, deviceId, totals = {}) {
     try {
-      const { deviceId, permissionType, customGroupId, sessionType = 'manual_sync' } = uploadData;
+      const syncDevice = await DeviceSyncModel.findDevice(userId, deviceId);
       
-      // Verify device exists
-      const device = await DeviceSyncModel.getDeviceStatus(userId, deviceId);
-      if (!device) {
+      if (!syncDevice) {
+        return createErrorResponse('Device not found', 404);
+      }
+
+      if (!syncDevice.sync_enabled) {
+        return createErrorResponse('Sync is disabled for this device', 403);
+      }
+      
+      const session = await DeviceSyncModel.createSyncSession(syncDevice.id, totals);
+      const { chunkSize, maxChunkSize, maxFileSize } = storageConfig.resumableUploads;
+      
+      return createSuccessResponse('Sync session started successfully', {
+        session: DeviceSyncModel.formatSyncSession({
+          ...session,
+          device_key: syncDevice.device_id,
+          device_name: syncDevice.device_name
+        }),
+        uploadLimits: {
+          chunkSize,
+          maxChunkSize,
+          maxFileSize
+        }
+      });
+    } catch (error) {
+      console.error('Start sync session error:', error);
+      return createErrorResponse('Failed to start sync session');
+    }
+  }
+
+  /**
+   * Get live progress of a sync session
+   */
+  static async getSyncSession(userId, sessionToken) {
+    try {
+      const session = await DeviceSyncModel.findSyncSessionByToken(userId, sessionToken);
+      
+      if (!session) {
+        return createErrorResponse('Sync session not found', 404);
+      }
+      
+      return createSuccessResponse('Sync session retrieved successfully', {
+        session: DeviceSyncModel.formatSyncSession(session)
+      });
+    } catch (error) {
+      console.error('Get sync session error:', error);
+      return createErrorResponse('Failed to retrieve sync session');
+    }
+  }
+
+  /**
+   * Update the totals of an active sync session, e.g. when the device finds more files
+   */
+  static async updateSyncSession(userId, sessionToken, totals) {
+    try {
+      const session = await DeviceSyncModel.findSyncSessionByToken(userId, sessionToken);
+      
+      if (!session) {
+        return createErrorResponse('Sync session not found', 404);
+      }
+
+      const updated = await DeviceSyncModel.updateSessionTotals(session.id, totals);
+      if (!updated) {
+        return createErrorResponse(`Sync session is ${session.status}`, 409);
+      }
+      
+      return createSuccessResponse('Sync session updated successfully', {
+        session: DeviceSyncModel.formatSyncSession({ ...session, ...updated })
+      });
+    } catch (error) {
+      console.error('Update sync session error:', error);
+      return createErrorResponse('Failed to update sync session');
+    }
+  }
+
+  /**
+   * Mark a sync session as completed
+   * Unfinished uploads stay resumable from the device's next session
+   */
+  static async completeSyncSession(userId, sessionToken) {
+    return this.finishSyncSession(userId, sessionToken, 'completed');
+  }
+
+  /**
+   * Cancel a sync session and its unfinished uploads
+   */
+  static async cancelSyncSession(userId, sessionToken) {
+    return this.finishSyncSession(userId, sessionToken, 'cancelled');
+  }
+
+  /**
+   * Mark a sync session as failed and cancel its unfinished uploads
+   */
+  static async failSyncSession(userId, sessionToken, errorMessage) {
+    return this.finishSyncSession(userId, sessionToken, 'failed', errorMessage);
+  }
+
+  /**
+   * Move an active sync session to a final status
+   */
+  static async finishSyncSession(userId, sessionToken, status, errorMessage = null) {
+    try {
+      const session = await DeviceSyncModel.findSyncSessionByToken(userId, sessionToken);
+      
+      if (!session) {
+        return createErrorResponse('Sync session not found', 404);
+      }
+
+      const finished = await DeviceSyncModel.finishSyncSession(session.id, status, errorMessage);
+      if (!finished) {
+        return createErrorResponse(`Sync session is already ${session.status}`, 409);
+      }
+
+      const uploadsCancelled = status === 'completed'
+        ? 0
+        : await UploadSessionService.cancelSessionUploads(session.id);
+      
+      return createSuccessResponse(`Sync session ${status} successfully`, {
+        session: DeviceSyncModel.formatSyncSession({ ...session, ...finished }),
+        uploadsCancelled
+      });
+    } catch (error) {
+      console.error('Finish sync session error:', error);
+      return createErrorResponse('Failed to update sync session');
+    }
+  }
+
+  /**
+   * Compare a device manifest with stored files so only missing or changed files are uploaded
+   * A file whose hash matches any of the user's photos is stored; otherwise it is changed when its
+   * path is mapped with a different hash, and new when it isn't
+   */
+  static async diffManifest(userId, deviceId, files) {
+    try {
+      const syncDevice = await DeviceSyncModel.findDevice(userId, deviceId);
+      
+      if (!syncDevice) {
+        return createErrorResponse('Device not found', 404);
+      }
+
+      // Last entry wins when a path is listed twice
+      const manifest = [...new Map(files.map(file => [file.localPath, {
+        ...file,
+        hash: file.hash.toLowerCase()
+      }])).values()];
+
+      const [mappings, photos] = await Promise.all([
+        DeviceSyncModel.findFileMappingsByPaths(syncDevice.id, manifest.map(file => file.localPath)),
+        DeviceSyncModel.findPhotosByHashes(userId, [...new Set(manifest.map(file => file.hash))])
+      ]);
+
+      const mappingsByPath = new Map(mappings.map(mapping => [mapping.local_path, mapping]));
+      const photosByHash = new Map(photos.map(photo => [photo.hash_md5, photo]));
+
+      const diff = { stored: [], new: [], changed: [] };
+      const entries = [];
+
+      for (const file of manifest) {
+        const mapping = mappingsByPath.get(file.localPath);
+        const photo = photosByHash.get(file.hash);
+
+        const entry = {
+          localPath: file.localPath,
+          localFilename: file.localPath.split(/[\\/]/).pop() || file.localPath,
+          localHash: file.hash,
+          localSize: file.size,
+          localModified: file.modified
+        };
+
+        if (photo) {
+          diff.stored.push({ localPath: file.localPath, hash: file.hash, photoId: photo.id });
+          entries.push({ ...entry, photoId: photo.id, syncStatus: 'completed' });
+        } else if (mapping && mapping.local_hash && mapping.local_hash !== file.hash) {
+          diff.changed.push({
+            localPath: file.localPath,
+            hash: file.hash,
+            size: file.size,
+            previousHash: mapping.local_hash,
+            previousPhotoId: mapping.photo_id
+          });
+          entries.push({ ...entry, photoId: mapping.photo_id, syncStatus: 'pending' });
+        } else {
+          diff.new.push({ localPath: file.localPath, hash: file.hash, size: file.size });
+          entries.push({ ...entry, syncStatus: 'pending' });
+        }
+      }
+
+      await DeviceSyncModel.upsertManifestMappings(syncDevice.id, entries);
+
+      return createSuccessResponse('Manifest compared successfully', {
+        ...diff,
+        summary: {
+          total: manifest.length,
+          stored: diff.stored.length,
+          new: diff.new.length,
+          changed: diff.changed.length,
+          bytesToUpload: [...diff.new, ...diff.changed].reduce((total, file) => total + file.size, 0)
+        }
+      });
+    } catch (error) {
+      console.error('Diff manifest error:', error);
+      return createErrorResponse('Failed to compare manifest');
+    }
+  }
+
+  /**
+   * Get photo changes (created, updated, deleted) since a cursor
+   * Changes made by the requesting device are skipped but still advance the cursor
+   */
+  static async getChanges(userId, deviceId, cursor, limit) {
+    try {
+      const syncDevice = await DeviceSyncModel.findDevice(userId, deviceId);
+      
+      if (!syncDevice) {
+        return createErrorResponse('Device not found', 404);
+      }
+
+      let afterId = 0;
+      if (cursor) {
+        afterId = this.decodeChangeCursor(cursor);
+        if (afterId === null) {
+          return createErrorResponse('Invalid changes cursor', 400);
+        }
+      }
+
+      // One extra row tells whether another page exists
+      const rows = await PhotoChangeModel.findSince(userId, syncDevice.id, { afterId, limit: limit + 1 });
+      const hasMore = rows.length > limit;
+      const page = rows.slice(0, limit);
+      const lastId = page.length > 0 ? parseInt(page[page.length - 1].id) : afterId;
+
+      const changes = page
+        .filter(change => change.source_device_id !== syncDevice.id)
+        .map(change => PhotoChangeModel.formatChange(change));
+      
+      return createSuccessResponse('Changes retrieved successfully', {
+        changes,
+        nextCursor: this.encodeChangeCursor(lastId),
+        hasMore
+      });
+    } catch (error) {
+      console.error('Get changes error:', error);
+      return createErrorResponse('Failed to retrieve changes');
+    }
+  }
+
+  /**
+   * Handle files deleted on the device
+   * With the mirror policy their photos are deleted too; with ignore they are only unlinked
+   */
+  static async reportDeletions(userId, deviceId, localPaths) {
+    try {
+      const syncDevice = await DeviceSyncModel.findDevice(userId, deviceId);
+      
+      if (!syncDevice) {
         return createErrorResponse('Device not found', 404);
       }
 
+      const paths = [...new Set(localPaths)];
+      const mappings = await DeviceSyncModel.findFileMappingsByPaths(syncDevice.id, paths);
+      const mappedPaths = new Set(mappings.map(mapping => mapping.local_path));
+      const mirror = syncDevice.local_deletion_policy === 'mirror';
+
       const results = {
-        processed: 0,
-        uploaded: 0,
-        skipped: 0,
-        failed: 0,
-        photos: []
+        policy: syncDevice.local_deletion_policy,
+        deleted: [],
+        unlinked: [],
+        unknown: paths.filter(localPath => !mappedPaths.has(localPath))
       };
+      const deletedPhotoIds = new Set();
 
-      // Process each file
-      for (const file of files) {
-        results.processed++;
-        
-        try {
-          // Generate file hash for deduplication
-          const fileHash = crypto.createHash('md5').update(file.buffer).digest('hex');
-          
-          // Check if photo already exists
-          const existingPhoto = await DeviceSyncModel.findPhotoByHash(userId, fileHash);
-          
-          if (existingPhoto) {
-            results.skipped++;
-            results.photos.push({
-              filename: file.originalname,
-              status: 'skipped',
-              reason: 'File already exists',
-              existingPhotoId: existingPhoto.id
-            });
-            continue;
-          }
+      for (const mapping of mappings) {
+        const entry = { localPath: mapping.local_path, photoId: mapping.photo_id };
 
-          // Upload photo using photo service
-          const uploadResult = await PhotoService.uploadPhoto(userId, file, {
-            caption: '',
-            permissionType,
-            customGroupId,
-            fileHash
-          });
+        if (!mirror || !mapping.photo_id) {
+          results.unlinked.push(entry);
+          continue;
+        }
 
-          if (uploadResult.success) {
-            results.uploaded++;
-            const photoId = uploadResult.data.photo.id;
-            
-            // Store device file mapping if deviceFilePath is provided
-            const deviceFilePath = uploadData.photos?.find(p => p.fileName === file.originalname)?.deviceFilePath;
-            if (deviceFilePath) {
-              await DeviceSyncModel.storeDeviceFileMapping({
-                userId,
-                deviceId,
-                deviceFilePath,
-                photoId,
-                fileHash
-              });
-            }
-            
-            results.photos.push({
-              filename: file.originalname,
-              status: 'uploaded',
-              photoId,
-              fileUrl: uploadResult.data.photo.fileUrl
-            });
-          } else {
-            results.failed++;
-            results.photos.push({
-              filename: file.originalname,
-              status: 'failed',
-              reason: uploadResult.message
-            });
+        try {
+          // Two local copies of the same photo delete it once
+          if (!deletedPhotoIds.has(mapping.photo_id)) {
+            await PhotoService.deletePhoto(mapping.photo_id, userId, { sourceDeviceId: syncDevice.id });
+            deletedPhotoIds.add(mapping.photo_id);
           }
-        } catch (fileError) {
-          console.error('File processing error:', fileError);
-          results.failed++;
-          results.photos.push({
-            filename: file.originalname,
-            status: 'failed',
-            reason: 'Processing error'
-          });
+          results.deleted.push(entry);
+        } catch (deleteError) {
+          // Already deleted elsewhere
+          results.unlinked.push({ ...entry, reason: deleteError.message });
         }
       }
 
-      // Log sync session
-      await DeviceSyncModel.logSyncSession(userId, deviceId, {
-        sessionType,
-        photosProcessed: results.processed,
-        photosUploaded: results.uploaded,
-        photosFailed: results.failed,
-        status: results.failed > 0 ? 'completed_with_errors' : 'completed'
-      });
+      await DeviceSyncModel.deleteFileMappings(syncDevice.id, [...mappedPaths]);
+      
+      return createSuccessResponse('Deletions processed successfully', { results });
+    } catch (error) {
+      console.error('Report deletions error:', error);
+      return createErrorResponse('Failed to process deletions');
+    }
+  }
 
-      return createSuccessResponse('Bulk upload completed', { results });
+  /**
+   * Encode a change feed position as an opaque cursor
+   */
+  static encodeChangeCursor(changeId) {
+    return Buffer.from(JSON.stringify({ id: changeId })).toString('base64url');
+  }
+
+  /**
+   * Decode a change feed cursor; returns null when it is invalid
+   */
+  static decodeChangeCursor(cursor) {
+    try {
+      const { id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+      return Number.isSafeInteger(id) && id >= 0 ? id : null;
     } catch (error) {
-      console.error('Process bulk upload error:', error);
-      return createErrorResponse('Failed to process bulk upload');
+      return null;
     }
   }
 
@@ -199,7 +430,7 @@ class DeviceSyncService {
       const mappings = await DeviceSyncModel.getDeviceFileMappings(userId, deviceId, limit, offset);
       
       return createSuccessResponse('Device file mappings retrieved successfully', {
-        mappings,
+        mappings: mappings.map(mapping => DeviceSyncModel.formatFileMapping(mapping)),
         pagination: {
           limit,
           offset,
@@ -220,7 +451,7 @@ class DeviceSyncService {
       const history = await DeviceSyncModel.getSyncHistory(userId, deviceId, limit, offset);
       
       return createSuccessResponse('Sync history retrieved successfully', {
-        history,
+        history: history.map(session => DeviceSyncModel.formatSyncSession(session)),
         pagination: {
           limit,
           offset,
@@ -244,7 +475,9 @@ class DeviceSyncService {
         return createErrorResponse('Device not found', 404);
       }
       
-      return createSuccessResponse('Device deleted successfully', { device: deletedDevice });
+      return createSuccessResponse('Device deleted successfully', { 
+        device: DeviceSyncModel.formatDevice(deletedDevice) 
+      });
     } catch (error) {
       console.error('Delete device error:', error);
       return createErrorResponse('Failed to delete device');
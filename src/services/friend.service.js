@@ -1,5 +1,8 @@
 const FriendModel = require('../models/friend.model');
 const UserModel = require('../models/user.model');
+const BlockModel = require('../models/block.model');
+const { transaction } = require('../config/database.config');
+const NotificationService = require('./notification.service');
 
 /**
  * Friend Service - Handles friendship business logic
@@ -20,6 +23,15 @@ class FriendService {
       throw new Error('User not found');
     }
 
+    // Users who blocked the requester look like they don't exist
+    const block = await BlockModel.findBetween(requesterId, targetUserId);
+    if (block) {
+      if (block.blocker_id === requesterId) {
+        throw new Error('Unblock this user before sending a friend request');
+      }
+      throw new Error('User not found');
+    }
+
     // Check if friendship already exists
     const existingFriendship = await FriendModel.checkFriendshipExists(requesterId, targetUserId);
     
@@ -44,6 +56,8 @@ class FriendService {
     // Create friend request
     const friendRequest = await FriendModel.sendFriendRequest(requesterId, targetUserId);
 
+    await NotificationService.notifyFriendRequest(requesterId, targetUserId, friendRequest.id);
+
     return {
       request: FriendModel.formatFriendship(friendRequest),
       targetUser: {
@@ -98,6 +112,8 @@ class FriendService {
     const newStatus = action === 'accept' ? 'accepted' : 'declined';
     const updatedFriendship = await FriendModel.updateFriendshipStatus(requestId, newStatus);
 
+    await NotificationService.notifyFriendRequestResponse(userId, friendRequest.requester_id, action);
+
     return {
       friendship: FriendModel.formatFriendship(updatedFriendship),
       requester: {
@@ -128,6 +144,8 @@ class FriendService {
     const newStatus = action === 'accept' ? 'accepted' : 'declined';
     const updatedFriendship = await FriendModel.updateFriendshipStatus(friendRequest.id, newStatus);
 
+    await NotificationService.notifyFriendRequestResponse(userId, friendRequest.requester_id, action);
+
     return {
       friendship: FriendModel.formatFriendship(updatedFriendship),
       requester: {
@@ -199,6 +217,114 @@ class FriendService {
     };
   }
 
+  /**
+   * Get the user's close-friends list
+   */
+  static async getCloseFriends(userId) {
+    const closeFriends = await FriendModel.getCloseFriends(userId);
+
+    return {
+      closeFriends: closeFriends.map(friend => FriendModel.formatFriend(friend)),
+      total: closeFriends.length
+    };
+  }
+
+  /**
+   * Add or remove a friend from the user's close-friends list
+   */
+  static async setCloseFriend(userId, friendId, isClose) {
+    const parsedFriendId = parseInt(friendId);
+    if (isNaN(parsedFriendId)) {
+      throw new Error('Invalid friend ID');
+    }
+
+    const friendship = await FriendModel.setCloseFriend(userId, parsedFriendId, isClose);
+
+    if (!friendship) {
+      throw new Error('Friendship not found');
+    }
+
+    const friend = await FriendModel.getUserBasicInfo(parsedFriendId);
+
+    return {
+      friend: {
+        id: parsedFriendId,
+        username: friend ? friend.username : null,
+        displayName: friend ? friend.display_name : null,
+        isCloseFriend: isClose
+      }
+    };
+  }
+
+  /**
+   * Block a user: ends any friendship or pending request and hides both users from each other
+   */
+  static async blockFriend(userId, targetUserId) {
+    if (userId === targetUserId) {
+      throw new Error('Cannot block yourself');
+    }
+
+    const targetUser = await UserModel.findById(targetUserId);
+    if (!targetUser) {
+      throw new Error('User not found');
+    }
+
+    const block = await transaction(async (client) => {
+      await FriendModel.deleteFriendshipsBetween(client, userId, targetUserId);
+      return await BlockModel.create(client, userId, targetUserId);
+    });
+
+    return {
+      blockedUser: {
+        id: targetUser.id,
+        username: targetUser.username,
+        displayName: targetUser.display_name
+      },
+      alreadyBlocked: !block
+    };
+  }
+
+  /**
+   * Unblock a user; friendship is not restored
+   */
+  static async unblockUser(userId, targetUserId) {
+    const removed = await BlockModel.delete(userId, targetUserId);
+
+    if (!removed) {
+      throw new Error('Blocked user not found');
+    }
+
+    return {
+      unblockedUserId: targetUserId
+    };
+  }
+
+  /**
+   * Get users blocked by the user with pagination
+   */
+  static async getBlockedUsers(userId, { limit = 50, offset = 0 } = {}) {
+    const parsedLimit = Math.min(Math.max(parseInt(limit), 1), 100);
+    const parsedOffset = Math.max(parseInt(offset), 0);
+
+    const blockedUsers = await BlockModel.getBlockedUsers(userId, {
+      limit: parsedLimit,
+      offset: parsedOffset
+    });
+
+    const totalCount = await BlockModel.getBlockedCount(userId);
+
+    return {
+      blockedUsers: blockedUsers.map(user => BlockModel.formatBlockedUser(user)),
+      pagination: {
+        total: totalCount,
+        limit: parsedLimit,
+        offset: parsedOffset,
+        hasNext: (parsedOffset + parsedLimit) < totalCount,
+        hasPrev: parsedOffset > 0
+      }
+    };
+  }
+
   /**
    * Check if two users are friends
    */
@@ -210,6 +336,16 @@ class FriendService {
    * Get friendship status between two users
    */
   static async getFriendshipStatus(userId1, userId2) {
+    const block = await BlockModel.findBetween(userId1, userId2);
+
+    if (block) {
+      return {
+        status: 'blocked',
+        canSendRequest: false,
+        blockedByMe: block.blocker_id === userId1
+      };
+    }
+
     const friendship = await FriendModel.checkFriendshipExists(userId1, userId2);
     
     if (!friendship) {
@@ -230,14 +366,19 @@ class FriendService {
    * Get mutual friends between two users
    */
   static async getMutualFriends(userId1, userId2) {
+    if (await BlockModel.isBlockedBetween(userId1, userId2)) {
+      throw new Error('User not found');
+    }
+
     // This would require a more complex query
     // For now, we'll implement a basic version
     const user1Friends = await FriendModel.getFriendsList(userId1, { limit: 1000 });
     const user2Friends = await FriendModel.getFriendsList(userId2, { limit: 1000 });
+    const hiddenUserIds = new Set(await BlockModel.getHiddenUserIds(userId1));
 
     const user1FriendIds = new Set(user1Friends.map(f => f.friend_id));
     const mutualFriends = user2Friends.filter(friend => 
-      user1FriendIds.has(friend.friend_id)
+      user1FriendIds.has(friend.friend_id) && !hiddenUserIds.has(friend.friend_id)
     );
 
     return {
@@ -257,6 +398,7 @@ class FriendService {
     const existingFriendships = await FriendModel.getFriendsList(userId, { limit: 1000 });
     const friendIds = existingFriendships.map(f => f.friend_id);
     friendIds.push(userId); // Exclude self
+    friendIds.push(...await BlockModel.getHiddenUserIds(userId));
 
     // Get users who are not friends
     const suggestions = await UserModel.findUsersNotInList(friendIds, { limit });
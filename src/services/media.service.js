@@ -0,0 +1,120 @@
+const PhotoModel = require('../models/photo.model');
+const SharingModel = require('../models/sharing.model');
+const SmartAlbumModel = require('../models/smart-album.model');
+const BlockModel = require('../models/block.model');
+const CryptoUtils = require('../utils/crypto.utils');
+const { checkPhotoPermission } = require('../utils/permission.utils');
+
+/**
+ * Media Service - Decides who may download which stored photo file
+ */
+class MediaService {
+  /**
+   * Get the storage key of a photo file after checking the viewer or share link may see it
+   */
+  static async getPhotoFile(photoId, { viewerId = null, shareToken = null, password = null, variant = 'original', format = 'jpeg' } = {}) {
+    const photo = await PhotoModel.findById(photoId);
+
+    if (!photo) {
+      throw new Error('Photo not found');
+    }
+
+    if (shareToken) {
+      await this.checkShareLinkAccess(photo, shareToken, { viewerId, password });
+    } else {
+      await this.checkViewerAccess(photo, viewerId);
+    }
+
+    return this.getVariantKey(photo, variant, format);
+  }
+
+  /**
+   * Allow the owner, anyone the photo's permission covers, viewers of an album it was contributed to,
+   * and recipients of an active share, including a share of a smart album the photo matches
+   */
+  static async checkViewerAccess(photo, viewerId) {
+    const permission = await checkPhotoPermission(
+      viewerId,
+      photo.user_id,
+      photo.permission_type,
+      photo.custom_group_id
+    );
+
+    if (permission.hasPermission) {
+      return;
+    }
+
+    // Photos contributed to an album are visible to everyone who can view the album
+    if (await SharingModel.isVisibleAsContribution(photo.id, viewerId)) {
+      return;
+    }
+
+    if (!viewerId) {
+      throw new Error('Authentication required');
+    }
+
+    // A direct share never bypasses the owner's close-friends list or a block
+    if (photo.permission_type !== 'close_friends' &&
+        !(await BlockModel.isBlockedBetween(viewerId, photo.user_id)) &&
+        (await SharingModel.hasActiveShareForPhoto(photo.id, photo.user_id, viewerId) ||
+         await SmartAlbumModel.hasActiveShareForPhoto(photo.id, photo.user_id, viewerId))) {
+      return;
+    }
+
+    throw new Error(`Access denied: ${permission.reason}`);
+  }
+
+  /**
+   * Allow access through an active share link covering the photo
+   * Media requests don't count towards the link's access limit; opening the link does
+   */
+  static async checkShareLinkAccess(photo, shareToken, { viewerId, password }) {
+    const link = await SharingModel.getShareLinkByToken(shareToken);
+
+    if (!link || !link.is_active || await BlockModel.isBlockedBetween(viewerId, link.shared_by)) {
+      throw new Error('Share link not found');
+    }
+
+    if (link.expires_at && new Date(link.expires_at) <= new Date()) {
+      throw new Error('Share link has expired');
+    }
+
+    if (link.require_auth && !viewerId) {
+      throw new Error('Authentication required');
+    }
+
+    if (link.password_hash) {
+      if (!password) {
+        throw new Error('Password required');
+      }
+
+      const isValidPassword = await CryptoUtils.comparePassword(password, link.password_hash);
+      if (!isValidPassword) {
+        throw new Error('Invalid password');
+      }
+    }
+
+    const covered = link.share_type === 'album'
+      ? await SharingModel.isPhotoInAlbum(link.album_id, photo.id)
+      : link.photo_id === photo.id;
+
+    if (!covered) {
+      throw new Error('Access denied: photo is not part of this share');
+    }
+  }
+
+  /**
+   * Storage key of the requested rendition, falling back to the original when it doesn't exist
+   */
+  static getVariantKey(photo, variant, format) {
+    const rendition = variant !== 'original' && photo.renditions ? photo.renditions[variant] : null;
+
+    if (!rendition) {
+      return photo.file_path;
+    }
+
+    return format === 'webp' && rendition.webpPath ? rendition.webpPath : rendition.path;
+  }
+}
+
+module.exports = MediaService;
@@ -0,0 +1,240 @@
+const NotificationModel = require('../models/notification.model');
+const FriendModel = require('../models/friend.model');
+const { appConfig } = require('../config/app.config');
+
+let cleanupTimer = null;
+
+/**
+ * Notification Service - Handles in-app notification business logic
+ */
+class NotificationService {
+  /**
+   * Get notifications of a user
+   */
+  static async getNotifications(userId, { page = 1, limit = 20, unreadOnly = false } = {}) {
+    const notifications = await NotificationModel.findByUserId(userId, { page, limit, unreadOnly });
+    const totalCount = await NotificationModel.countByUserId(userId, { unreadOnly });
+    const unreadCount = unreadOnly ? totalCount : await NotificationModel.countByUserId(userId, { unreadOnly: true });
+
+    return {
+      notifications: notifications.map(notification => NotificationModel.formatNotification(notification)),
+      unreadCount: unreadCount,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalCount / limit),
+        totalCount: totalCount,
+        hasNext: (page - 1) * limit + limit < totalCount,
+        hasPrev: page > 1
+      }
+    };
+  }
+
+  /**
+   * Get unread notification count
+   */
+  static async getUnreadCount(userId) {
+    const unreadCount = await NotificationModel.countByUserId(userId, { unreadOnly: true });
+    return { unreadCount };
+  }
+
+  /**
+   * Mark a notification as read
+   */
+  static async markAsRead(notificationId, userId) {
+    const notification = await NotificationModel.markAsRead(notificationId, userId);
+
+    if (!notification) {
+      throw new Error('Notification not found');
+    }
+
+    return NotificationModel.formatNotification(notification);
+  }
+
+  /**
+   * Mark all notifications as read
+   */
+  static async markAllAsRead(userId) {
+    const updatedCount = await NotificationModel.markAllAsRead(userId);
+    return { updatedCount };
+  }
+
+  /**
+   * Delete a notification
+   */
+  static async deleteNotification(notificationId, userId) {
+    const deleted = await NotificationModel.delete(notificationId, userId);
+
+    if (!deleted) {
+      throw new Error('Notification not found');
+    }
+
+    return { id: deleted.id };
+  }
+
+  /**
+   * Create a notification. Failures are logged and never break the calling action.
+   */
+  static async notify(userId, type, { title, message = null, data = null }) {
+    try {
+      const expiresAt = new Date(Date.now() + appConfig.notifications.retentionDays * 24 * 60 * 60 * 1000);
+
+      return await NotificationModel.create({
+        userId,
+        type,
+        title,
+        message,
+        data,
+        expiresAt
+      });
+    } catch (error) {
+      console.error('Create notification error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get display name of the user who triggered a notification
+   */
+  static async getActorName(actorId) {
+    try {
+      const actor = await FriendModel.getUserBasicInfo(actorId);
+      return actor ? (actor.display_name || actor.username) : 'Someone';
+    } catch (error) {
+      console.error('Get notification actor error:', error);
+      return 'Someone';
+    }
+  }
+
+  /**
+   * Notify addressee about a new friend request
+   */
+  static async notifyFriendRequest(requesterId, addresseeId, requestId) {
+    const actorName = await this.getActorName(requesterId);
+
+    return this.notify(addresseeId, 'friend_request', {
+      title: 'New friend request',
+      message: `${actorName} sent you a friend request`,
+      data: { requestId, userId: requesterId }
+    });
+  }
+
+  /**
+   * Notify requester that their friend request was answered
+   */
+  static async notifyFriendRequestResponse(responderId, requesterId, action) {
+    // Declined requests are not announced to the requester
+    if (action !== 'accept') {
+      return null;
+    }
+
+    const actorName = await this.getActorName(responderId);
+
+    return this.notify(requesterId, 'friend_accepted', {
+      title: 'Friend request accepted',
+      message: `${actorName} accepted your friend request`,
+      data: { userId: responderId }
+    });
+  }
+
+  /**
+   * Notify recipient about new shared content
+   */
+  static async notifyShare(sharerId, recipientId, { shareId, shareType, albumId = null, photoId = null, smartAlbumId = null }) {
+    const actorName = await this.getActorName(sharerId);
+
+    const resourceLabel = {
+      album: 'an album',
+      smart_album: 'a smart album',
+      individual_photo: 'a photo',
+      all_photos: 'all their photos'
+    }[shareType] || 'content';
+
+    return this.notify(recipientId, 'photo_shared', {
+      title: 'New shared content',
+      message: `${actorName} shared ${resourceLabel} with you`,
+      data: { shareId, shareType, albumId, photoId, smartAlbumId, userId: sharerId }
+    });
+  }
+
+  /**
+   * Notify photo owner about a like
+   */
+  static async notifyPhotoLiked(photoOwnerId, likerId, photoId) {
+    if (photoOwnerId === likerId) {
+      return null;
+    }
+
+    const actorName = await this.getActorName(likerId);
+
+    return this.notify(photoOwnerId, 'like', {
+      title: 'New like',
+      message: `${actorName} liked your photo`,
+      data: { photoId, userId: likerId }
+    });
+  }
+
+  /**
+   * Notify photo owner (and parent comment author for replies) about a comment
+   */
+  static async notifyPhotoCommented(photoOwnerId, commenterId, { photoId, commentId, parentAuthorId = null }) {
+    const actorName = await this.getActorName(commenterId);
+    const data = { photoId, commentId, userId: commenterId };
+
+    if (photoOwnerId !== commenterId) {
+      await this.notify(photoOwnerId, 'comment', {
+        title: 'New comment',
+        message: `${actorName} commented on your photo`,
+        data
+      });
+    }
+
+    if (parentAuthorId && parentAuthorId !== commenterId && parentAuthorId !== photoOwnerId) {
+      await this.notify(parentAuthorId, 'comment_reply', {
+        title: 'New reply',
+        message: `${actorName} replied to your comment`,
+        data
+      });
+    }
+  }
+
+  /**
+   * Remove expired notifications
+   */
+  static async cleanupExpired() {
+    try {
+      const deletedCount = await NotificationModel.deleteExpired();
+      if (deletedCount > 0) {
+        console.log(`🧹 Removed ${deletedCount} expired notifications`);
+      }
+      return deletedCount;
+    } catch (error) {
+      console.error('Notification cleanup error:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Start periodic cleanup of expired notifications
+   */
+  static startCleanupJob() {
+    if (cleanupTimer) {
+      return;
+    }
+
+    this.cleanupExpired();
+    cleanupTimer = setInterval(() => this.cleanupExpired(), appConfig.notifications.cleanupIntervalMs);
+    cleanupTimer.unref();
+  }
+
+  /**
+   * Stop periodic cleanup
+   */
+  static stopCleanupJob() {
+    if (cleanupTimer) {
+      clearInterval(cleanupTimer);
+      cleanupTimer = null;
+    }
+  }
+}
+
+module.exports = NotificationService;
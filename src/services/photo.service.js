@@ -1,14 +1,23 @@
+const fs = require('fs');
 const PhotoModel = require('../models/photo.model');
+const SharingModel = require('../models/sharing.model');
 const UserModel = require('../models/user.model');
+const PhotoChangeModel = require('../models/photo-change.model');
 const { pool } = require('../config/database.config');
 const {
   storageConfig,
   getUserStoragePath,
-  getStorageStats,
-  getFileUrl
+  getStorageStats
 } = require('../config/storage.config');
+const { getStorage, getFileUrl } = require('../storage');
 const FileUtils = require('../utils/file.utils');
-const { checkPhotoPermission, checkFriendship } = require('../utils/permission.utils');
+const ImageUtils = require('../utils/image.utils');
+const ExifUtils = require('../utils/exif.utils');
+const CryptoUtils = require('../utils/crypto.utils');
+const NotificationService = require('./notification.service');
+const { checkPhotoPermission, checkFriendship, checkCloseFriendship } = require('../utils/permission.utils');
+
+let trashPurgeTimer = null;
 
 /**
  * Photo Service - Handles photo business logic
@@ -16,8 +25,10 @@ const { checkPhotoPermission, checkFriendship } = require('../utils/permission.u
 class PhotoService {
   /**
    * Upload a new photo
+   * The file is either in memory (file.buffer) or on disk (file.path); files on disk are
+   * streamed to storage and read by sharp and exifr from there
    */
-  static async uploadPhoto(userId, file, { caption, permissionType, customGroupId }) {
+  static async uploadPhoto(userId, file, { caption, permissionType, customGroupId, tags = [], fileHash, sourceDeviceId = null }) {
     // Validate custom group if permission type is custom
     if (permissionType === 'custom') {
       if (!customGroupId) {
@@ -30,11 +41,30 @@ class PhotoService {
       }
     }
 
-    // Generate local upload path
+    // Hash of the file as received (before GPS stripping) so device dedup matches client hashes
+    const hashMd5 = fileHash || (file.path ? await CryptoUtils.hashFileMD5(file.path) : CryptoUtils.hashMD5(file.buffer));
+
+    // Remove GPS data before anything is written when the user opted in
+    const owner = await UserModel.findById(userId);
+    const stripGps = owner && owner.strip_gps_on_upload;
+    let input = file.path;
+
+    if (!file.path) {
+      input = stripGps ? ExifUtils.stripGps(file.buffer) : file.buffer;
+    } else if (stripGps) {
+      await ExifUtils.stripGpsFromFile(file.path);
+    }
+
+    // Generate storage key and filename
     const uploadData = FileUtils.generateLocalUploadPath(userId, file.originalname, file.mimetype);
     
-    // Save file to local storage
-    await FileUtils.saveFileToLocal(file.buffer, uploadData.filePath);
+    // Save file to the configured storage backend
+    const body = file.path ? fs.createReadStream(file.path) : input;
+    await getStorage().put(uploadData.relativePath, body, { contentType: file.mimetype });
+
+    // Resized copies and metadata are optional; the upload still succeeds without them
+    const renditions = await this.createRenditions(input, uploadData.relativePath);
+    const metadata = await this.extractMetadata(input);
 
     try {
       // Save photo information to database
@@ -47,7 +77,20 @@ class PhotoService {
         mimeType: file.mimetype,
         caption,
         permissionType,
-        customGroupId
+        customGroupId,
+        tags: this.normalizeTags(tags),
+        renditions,
+        metadata,
+        hashMd5,
+        sourceDeviceId
+      });
+
+      await this.recordChange({
+        userId,
+        photoId: photo.id,
+        changeType: 'created',
+        hashMd5: photo.hash_md5,
+        sourceDeviceId
       });
 
       // Get custom group info if applicable
@@ -57,14 +100,14 @@ class PhotoService {
         if (group) {
           customGroup = {
             id: group.id,
-            name: group.group_name,
+            name: group.name,
             description: group.description
           };
         }
       }
 
       // Generate file URL
-      const fileUrl = FileUtils.generateLocalFileUrl(uploadData.relativePath);
+      const fileUrl = getFileUrl(uploadData.relativePath);
 
       return {
         photo: PhotoModel.formatPhoto(photo, customGroup),
@@ -73,7 +116,8 @@ class PhotoService {
     } catch (error) {
       // Clean up uploaded file if database operation fails
       try {
-        await FileUtils.deleteFileFromLocal(uploadData.relativePath);
+        await getStorage().delete(uploadData.relativePath);
+        await ImageUtils.deleteRenditions(renditions);
       } catch (cleanupError) {
         console.error('Failed to cleanup uploaded file:', cleanupError);
       }
@@ -81,6 +125,34 @@ class PhotoService {
     }
   }
 
+  /**
+   * Generate renditions for a stored original, or null when disabled or the format is unsupported
+   */
+  static async createRenditions(input, relativePath) {
+    if (!storageConfig.renditions.enabled) {
+      return null;
+    }
+
+    try {
+      return await ImageUtils.generateRenditions(input, relativePath);
+    } catch (error) {
+      console.error('Rendition generation error:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Extract EXIF/XMP metadata, or null when the file cannot be parsed
+   */
+  static async extractMetadata(input) {
+    try {
+      return await ExifUtils.extractMetadata(input);
+    } catch (error) {
+      console.error('Metadata extraction error:', error.message);
+      return null;
+    }
+  }
+
   /**
    * Get photos of a specific user with permission filtering
    */
@@ -88,6 +160,7 @@ class PhotoService {
     // Get photos from database
     const photos = await PhotoModel.findByUserId(targetUserId, { page, limit });
     const totalCount = await PhotoModel.countByUserId(targetUserId);
+    await this.markLikedPhotos(photos, currentUserId);
     
     // Filter photos based on permissions and generate URLs
     const accessiblePhotos = [];
@@ -101,7 +174,7 @@ class PhotoService {
       );
       
       if (permission.hasPermission) {
-        const fileUrl = FileUtils.generateLocalFileUrl(photo.file_path);
+        const fileUrl = getFileUrl(photo.file_path);
         
         // Get custom group info if applicable
         let customGroup = null;
@@ -110,7 +183,7 @@ class PhotoService {
           if (group) {
             customGroup = {
               id: group.id,
-              name: group.group_name,
+              name: group.name,
               description: group.description
             };
           }
@@ -158,8 +231,10 @@ class PhotoService {
       throw new Error(`Access denied: ${permission.reason}`);
     }
     
+    await this.markLikedPhotos([photo], currentUserId);
+    
     // Generate file URL
-    const fileUrl = FileUtils.generateLocalFileUrl(photo.file_path);
+    const fileUrl = getFileUrl(photo.file_path);
     
     // Get custom group info if applicable
     let customGroup = null;
@@ -168,7 +243,7 @@ class PhotoService {
       if (group) {
         customGroup = {
           id: group.id,
-          name: group.group_name,
+          name: group.name,
           description: group.description
         };
       }
@@ -203,9 +278,20 @@ class PhotoService {
       }
     }
 
+    if (updateData.tags !== undefined) {
+      updateData = { ...updateData, tags: this.normalizeTags(updateData.tags) };
+    }
+
     // Update photo
     const updatedPhoto = await PhotoModel.update(photoId, updateData);
 
+    await this.recordChange({
+      userId,
+      photoId,
+      changeType: 'updated',
+      changedFields: Object.keys(updateData).filter(key => updateData[key] !== undefined)
+    });
+
     // Get custom group info if applicable
     let customGroup = null;
     if (updatedPhoto.custom_group_id) {
@@ -213,7 +299,7 @@ class PhotoService {
       if (group) {
         customGroup = {
           id: group.id,
-          name: group.group_name,
+          name: group.name,
           description: group.description
         };
       }
@@ -223,9 +309,9 @@ class PhotoService {
   }
 
   /**
-   * Delete photo
+   * Delete photo (moves it to trash; it is purged after the retention period)
    */
-  static async deletePhoto(photoId, userId) {
+  static async deletePhoto(photoId, userId, { sourceDeviceId = null } = {}) {
     // Check ownership
     const ownership = await PhotoModel.isOwner(photoId, userId);
     
@@ -237,32 +323,197 @@ class PhotoService {
       throw new Error('Access denied. You can only delete your own photos.');
     }
 
-    // Get photo details for file deletion
-    const photo = await PhotoModel.findById(photoId);
+    const trashedPhoto = await PhotoModel.moveToTrash(photoId);
     
-    // Delete from database first
-    const deletedPhoto = await PhotoModel.delete(photoId);
+    if (!trashedPhoto) {
+      throw new Error('Photo not found');
+    }
 
-    // Delete from local storage
-    try {
-      await FileUtils.deleteFileFromLocal(photo.file_path);
-    } catch (storageError) {
-      console.error('Local storage deletion error:', storageError);
-      // Continue even if file deletion fails
+    await this.recordChange({
+      userId,
+      photoId,
+      changeType: 'deleted',
+      hashMd5: trashedPhoto.hash_md5,
+      sourceDeviceId
+    });
+
+    return {
+      id: trashedPhoto.id,
+      fileName: trashedPhoto.filename,
+      deletedAt: trashedPhoto.deleted_at,
+      purgeAt: this.getPurgeDate(trashedPhoto.deleted_at)
+    };
+  }
+
+  /**
+   * Trim and de-duplicate photo tags
+   */
+  static normalizeTags(tags) {
+    return [...new Set(tags.map(tag => String(tag).trim()).filter(Boolean))];
+  }
+
+  /**
+   * Get photos in the user's trash
+   */
+  static async getTrash(userId, { page = 1, limit = 20 } = {}) {
+    const photos = await PhotoModel.findTrashByUserId(userId, { page, limit });
+    const { count: totalCount, totalSize } = await PhotoModel.getTrashStats(userId);
+
+    return {
+      photos: photos.map(photo => ({
+        ...PhotoModel.formatPhoto(photo),
+        fileUrl: getFileUrl(photo.file_path),
+        deletedAt: photo.deleted_at,
+        purgeAt: this.getPurgeDate(photo.deleted_at)
+      })),
+      totalSize,
+      retentionDays: storageConfig.trash.retentionDays,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalCount / limit),
+        totalCount: totalCount,
+        hasNext: (page - 1) * limit + limit < totalCount,
+        hasPrev: page > 1
+      }
+    };
+  }
+
+  /**
+   * Restore photos from the user's trash
+   */
+  static async restorePhotos(userId, photoIds) {
+    const ids = [...new Set(photoIds)];
+    const restored = await PhotoModel.restoreFromTrash(userId, ids);
+    const restoredIds = restored.map(photo => photo.id);
+
+    // Devices see a restored photo as newly created
+    for (const photo of restored) {
+      await this.recordChange({
+        userId,
+        photoId: photo.id,
+        changeType: 'created',
+        hashMd5: photo.hash_md5
+      });
     }
 
     return {
-      id: deletedPhoto.id,
-      fileName: deletedPhoto.file_name
+      restored: restoredIds,
+      notFound: ids.filter(id => !restoredIds.includes(id))
+    };
+  }
+
+  /**
+   * Permanently delete all photos and albums in the user's trash
+   */
+  static async emptyTrash(userId) {
+    const deleted = await PhotoModel.deleteTrash(userId);
+    await this.removeStoredFiles(deleted);
+
+    const deletedAlbums = await SharingModel.deleteAlbumTrash(userId);
+
+    return {
+      deletedCount: deleted.length,
+      deletedAlbumCount: deletedAlbums.length
     };
   }
 
+  /**
+   * Permanently delete photos and albums whose trash retention has passed
+   */
+  static async purgeExpiredTrash() {
+    const { retentionDays, purgeBatchSize } = storageConfig.trash;
+    let purged = 0;
+    let purgedAlbums = 0;
+
+    try {
+      let batch;
+      do {
+        batch = await PhotoModel.deleteExpiredTrash(retentionDays, purgeBatchSize);
+        await this.removeStoredFiles(batch);
+        purged += batch.length;
+      } while (batch.length === purgeBatchSize);
+
+      do {
+        batch = await SharingModel.deleteExpiredAlbumTrash(retentionDays, purgeBatchSize);
+        purgedAlbums += batch.length;
+      } while (batch.length === purgeBatchSize);
+
+      if (purged > 0 || purgedAlbums > 0) {
+        console.log(`🧹 Purged ${purged} photos and ${purgedAlbums} albums from trash`);
+      }
+    } catch (error) {
+      console.error('Trash purge error:', error);
+    }
+
+    return purged + purgedAlbums;
+  }
+
+  /**
+   * Start periodic purge of expired trash
+   */
+  static startTrashPurgeJob() {
+    if (trashPurgeTimer) {
+      return;
+    }
+
+    this.purgeExpiredTrash();
+    trashPurgeTimer = setInterval(() => this.purgeExpiredTrash(), storageConfig.trash.purgeIntervalMs);
+    trashPurgeTimer.unref();
+  }
+
+  /**
+   * Stop periodic trash purge
+   */
+  static stopTrashPurgeJob() {
+    if (trashPurgeTimer) {
+      clearInterval(trashPurgeTimer);
+      trashPurgeTimer = null;
+    }
+  }
+
+  /**
+   * Remove originals and renditions of permanently deleted photos
+   */
+  static async removeStoredFiles(photos) {
+    for (const photo of photos) {
+      try {
+        await getStorage().delete(photo.file_path);
+        await ImageUtils.deleteRenditions(photo.renditions);
+      } catch (storageError) {
+        console.error('Local storage deletion error:', storageError);
+        // Continue even if file deletion fails
+      }
+    }
+  }
+
+  /**
+   * When a trashed photo or album will be purged
+   */
+  static getPurgeDate(deletedAt) {
+    const purgeAt = new Date(deletedAt);
+    purgeAt.setDate(purgeAt.getDate() + storageConfig.trash.retentionDays);
+    return purgeAt;
+  }
+
+  /**
+   * Add an entry to the change feed read by syncing devices
+   * A failed entry is logged and doesn't fail the change itself
+   */
+  static async recordChange(change) {
+    try {
+      await PhotoChangeModel.record(change);
+    } catch (error) {
+      console.error('Record photo change error:', error);
+    }
+  }
+
   /**
    * Discover photos from friends
    */
   static async discoverFriendsPhotos(userId, { page = 1, limit = 20 } = {}) {
     const photos = await PhotoModel.findFriendsPhotos(userId, { page, limit });
     const totalCount = await PhotoModel.countFriendsPhotos(userId);
+    await this.markLikedPhotos(photos, userId);
     
     // Process photos and check custom group permissions
     const accessiblePhotos = [];
@@ -271,17 +522,13 @@ class PhotoService {
       let hasAccess = true;
       
       // For custom permission type, check if current user is in the custom group
-      if (photo.permission_type === 'custom' && photo.custom_group_id) {
-        const group = await PhotoModel.getCustomGroup(photo.custom_group_id);
-        if (group && group.allowed_user_ids) {
-          hasAccess = group.allowed_user_ids.includes(userId);
-        } else {
-          hasAccess = false;
-        }
+      if (photo.permission_type === 'custom') {
+        const permission = await checkPhotoPermission(userId, photo.user_id, photo.permission_type, photo.custom_group_id);
+        hasAccess = permission.hasPermission;
       }
       
       if (hasAccess) {
-        const fileUrl = FileUtils.generateLocalFileUrl(photo.file_path);
+        const fileUrl = getFileUrl(photo.file_path);
         
         // Get custom group info if applicable
         let customGroup = null;
@@ -290,7 +537,7 @@ class PhotoService {
           if (group) {
             customGroup = {
               id: group.id,
-              name: group.group_name,
+              name: group.name,
               description: group.description
             };
           }
@@ -330,17 +577,163 @@ class PhotoService {
     return this.getUserPhotos(friendId, currentUserId, { page, limit });
   }
 
+  /**
+   * Get capture-date bucket counts of a user's accessible photos
+   * Optionally scoped to a parent bucket, e.g. day buckets inside "2023-07"
+   */
+  static async getCaptureTimelineBuckets(targetUserId, currentUserId, { granularity = 'month', bucket = null } = {}) {
+    const targetUser = await UserModel.findById(targetUserId);
+    if (!targetUser) {
+      throw new Error('User not found');
+    }
+
+    const range = bucket ? this.parseTimelineBucket(bucket) : {};
+    const buckets = await PhotoModel.getTimelineBuckets(targetUserId, currentUserId, {
+      granularity,
+      from: range.from,
+      to: range.to
+    });
+
+    return {
+      granularity,
+      scope: bucket,
+      buckets,
+      totalCount: buckets.reduce((sum, entry) => sum + entry.count, 0)
+    };
+  }
+
+  /**
+   * Get a user's accessible photos ordered by capture date with cursor pagination
+   */
+  static async getCaptureTimeline(targetUserId, currentUserId, { bucket = null, cursor = null, limit = 30 } = {}) {
+    const targetUser = await UserModel.findById(targetUserId);
+    if (!targetUser) {
+      throw new Error('User not found');
+    }
+
+    const range = bucket ? this.parseTimelineBucket(bucket) : {};
+    const photos = await PhotoModel.findTimelinePhotos(targetUserId, currentUserId, {
+      from: range.from,
+      to: range.to,
+      cursor: cursor ? this.decodeTimelineCursor(cursor) : null,
+      // One extra row tells whether another page exists
+      limit: limit + 1
+    });
+
+    const hasNext = photos.length > limit;
+    const page = photos.slice(0, limit);
+    await this.markLikedPhotos(page, currentUserId);
+
+    // The query already filters by access; checkPhotoPermission stays the final authority
+    const accessiblePhotos = [];
+    for (const photo of page) {
+      const permission = await checkPhotoPermission(
+        currentUserId,
+        photo.user_id,
+        photo.permission_type,
+        photo.custom_group_id
+      );
+
+      if (!permission.hasPermission) {
+        continue;
+      }
+
+      let customGroup = null;
+      if (photo.custom_group_id) {
+        const group = await PhotoModel.getCustomGroup(photo.custom_group_id);
+        if (group) {
+          customGroup = {
+            id: group.id,
+            name: group.name,
+            description: group.description
+          };
+        }
+      }
+
+      accessiblePhotos.push({
+        ...PhotoModel.formatPhoto(photo, customGroup),
+        fileUrl: getFileUrl(photo.file_path)
+      });
+    }
+
+    const last = page[page.length - 1];
+    return {
+      photos: accessiblePhotos,
+      bucket,
+      pagination: {
+        limit,
+        hasNext,
+        nextCursor: hasNext ? this.encodeTimelineCursor(last) : null
+      }
+    };
+  }
+
+  /**
+   * Convert a bucket key (YYYY, YYYY-MM or YYYY-MM-DD) to a UTC [from, to) range
+   */
+  static parseTimelineBucket(bucket) {
+    const match = String(bucket).match(/^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/);
+    if (!match) {
+      throw new Error('Invalid timeline bucket');
+    }
+
+    const year = parseInt(match[1]);
+    const month = match[2] ? parseInt(match[2]) - 1 : null;
+    const day = match[3] ? parseInt(match[3]) : null;
+
+    const from = new Date(Date.UTC(year, month ?? 0, day ?? 1));
+    const to = day !== null
+      ? new Date(Date.UTC(year, month, day + 1))
+      : month !== null
+        ? new Date(Date.UTC(year, month + 1, 1))
+        : new Date(Date.UTC(year + 1, 0, 1));
+
+    // Reject dates that rolled over, e.g. 2023-02-30
+    if (from.getUTCFullYear() !== year
+      || (month !== null && from.getUTCMonth() !== month)
+      || (day !== null && from.getUTCDate() !== day)) {
+      throw new Error('Invalid timeline bucket');
+    }
+
+    return { from, to };
+  }
+
+  /**
+   * Encode the position after a photo as an opaque cursor
+   */
+  static encodeTimelineCursor(photo) {
+    return Buffer.from(JSON.stringify({ t: photo.captured_key, id: photo.id })).toString('base64url');
+  }
+
+  /**
+   * Decode a timeline cursor
+   */
+  static decodeTimelineCursor(cursor) {
+    try {
+      const { t, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+      if (typeof t !== 'string' || Number.isNaN(Date.parse(t)) || !Number.isInteger(id)) {
+        throw new Error('Malformed cursor');
+      }
+
+      return { capturedAt: t, id };
+    } catch (error) {
+      throw new Error('Invalid timeline cursor');
+    }
+  }
+
   /**
    * Get timeline feed
    */
   static async getTimelineFeed(userId, { page = 1, limit = 10 } = {}) {
     const photos = await PhotoModel.getTimelineFeed(userId, { page, limit });
+    await this.markLikedPhotos(photos, userId);
     
     // Generate URLs for all photos
     const feedPhotos = [];
     
     for (const photo of photos) {
-      const fileUrl = FileUtils.generateLocalFileUrl(photo.file_path);
+      const fileUrl = getFileUrl(photo.file_path);
       
       // Get custom group info if applicable
       let customGroup = null;
@@ -349,7 +742,7 @@ class PhotoService {
         if (group) {
           customGroup = {
             id: group.id,
-            name: group.group_name,
+            name: group.name,
             description: group.description
           };
         }
@@ -372,6 +765,115 @@ class PhotoService {
     };
   }
 
+  /**
+   * Get a photo the current user is allowed to see, or throw
+   */
+  static async getAccessiblePhoto(photoId, currentUserId) {
+    const photo = await PhotoModel.findById(photoId);
+    
+    if (!photo) {
+      throw new Error('Photo not found');
+    }
+    
+    const permission = await checkPhotoPermission(
+      currentUserId, 
+      photo.user_id, 
+      photo.permission_type, 
+      photo.custom_group_id
+    );
+    
+    if (!permission.hasPermission) {
+      throw new Error(`Access denied: ${permission.reason}`);
+    }
+    
+    return photo;
+  }
+
+  /**
+   * Set liked_by_me on photo rows for the current user
+   */
+  static async markLikedPhotos(photos, currentUserId) {
+    const likedIds = await PhotoModel.getLikedPhotoIds(
+      currentUserId,
+      photos.map(photo => photo.id)
+    );
+    
+    for (const photo of photos) {
+      photo.liked_by_me = likedIds.includes(photo.id);
+    }
+    
+    return photos;
+  }
+
+  /**
+   * Like a photo
+   */
+  static async likePhoto(photoId, userId) {
+    const photo = await this.getAccessiblePhoto(photoId, userId);
+    
+    const like = await PhotoModel.addLike(photoId, userId);
+    
+    if (like) {
+      await NotificationService.notifyPhotoLiked(photo.user_id, userId, photoId);
+    }
+    const likeCount = await PhotoModel.getLikeCount(photoId);
+    
+    return {
+      photoId: photoId,
+      liked: true,
+      alreadyLiked: !like,
+      likeCount: likeCount
+    };
+  }
+
+  /**
+   * Remove current user's like from a photo
+   */
+  static async unlikePhoto(photoId, userId) {
+    await this.getAccessiblePhoto(photoId, userId);
+    
+    const removed = await PhotoModel.removeLike(photoId, userId);
+    
+    if (!removed) {
+      throw new Error('Like not found');
+    }
+    
+    const likeCount = await PhotoModel.getLikeCount(photoId);
+    
+    return {
+      photoId: photoId,
+      liked: false,
+      likeCount: likeCount
+    };
+  }
+
+  /**
+   * Get users who liked a photo
+   */
+  static async getPhotoLikes(photoId, currentUserId, { page = 1, limit = 20 } = {}) {
+    const photo = await this.getAccessiblePhoto(photoId, currentUserId);
+    
+    const likes = await PhotoModel.getLikes(photoId, { page, limit, viewerId: currentUserId });
+    const totalCount = parseInt(photo.like_count) || 0;
+    
+    return {
+      likes: likes.map(like => ({
+        userId: like.user_id,
+        username: like.username,
+        displayName: like.display_name,
+        avatarUrl: like.avatar_url,
+        likedAt: like.created_at
+      })),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalCount / limit),
+        totalCount: totalCount,
+        hasNext: (page - 1) * limit + limit < totalCount,
+        hasPrev: page > 1
+      }
+    };
+  }
+
   /**
    * Get storage statistics
    */
@@ -379,11 +881,15 @@ class PhotoService {
     // Get user's photo stats from database
     const userStatsRows = await PhotoModel.getUserStats(userId);
     
+    // Trashed photos keep using storage until they are purged
+    const trashStats = await PhotoModel.getTrashStats(userId);
+    
     // Get overall storage stats
     const storageStats = await getStorageStats();
     
     // Check storage availability
     const storageAvailable = FileUtils.checkLocalStorageAvailable();
+    const storageProvider = getStorage().name;
     
     return {
       userStats: {
@@ -392,13 +898,15 @@ class PhotoService {
         permissionBreakdown: userStatsRows.map(row => ({
           permissionType: row.permission_type,
           count: parseInt(row.count_by_permission)
-        }))
+        })),
+        trash: trashStats
       },
       systemStats: {
         totalFiles: storageStats.totalFiles,
         totalSize: storageStats.totalSize,
         uploadDir: storageStats.uploadDir,
         photosDir: storageStats.photosDir,
+        storageProvider: storageProvider,
         storageAvailable: storageAvailable
       }
     };
@@ -410,6 +918,7 @@ class PhotoService {
   static async debugPhotoVisibility(targetUserId, currentUserId) {
     // Check friendship status
     const areFriends = await checkFriendship(currentUserId, targetUserId);
+    const isCloseFriend = await checkCloseFriendship(targetUserId, currentUserId);
     
     // Get all photos from the user
     const photos = await PhotoModel.findByUserId(targetUserId, { page: 1, limit: 1000 });
@@ -440,6 +949,7 @@ class PhotoService {
       currentUserId: currentUserId,
       targetUserId: targetUserId,
       areFriends: areFriends,
+      isCloseFriend: isCloseFriend,
       totalPhotos: photos.length,
       photoPermissions: photoPermissions,
       accessiblePhotos: photoPermissions.filter(p => p.hasPermission).length
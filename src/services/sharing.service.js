@@ -1,8 +1,15 @@
+const { transaction } = require('../config/database.config');
 const SharingModel = require('../models/sharing.model');
 const PhotoModel = require('../models/photo.model');
+const SmartAlbumModel = require('../models/smart-album.model');
 const FriendModel = require('../models/friend.model');
-const { checkAlbumPermission, isOwner } = require('../utils/permission.utils');
-const { getFileUrl } = require('../config/storage.config');
+const BlockModel = require('../models/block.model');
+const NotificationService = require('./notification.service');
+const PhotoService = require('./photo.service');
+const { checkAlbumPermission, checkCloseFriendship, isOwner } = require('../utils/permission.utils');
+const { getFileUrl } = require('../storage');
+const { getApiUrl } = require('../config/app.config');
+const CryptoUtils = require('../utils/crypto.utils');
 
 /**
  * Sharing Service - Handles sharing and album business logic
@@ -15,20 +22,41 @@ class SharingService {
   /**
    * Create a new album
    */
-  static async createAlbum(userId, { name, description, isPublic = false }) {
-    // Convert isPublic to privacyType for database
-    const privacyType = isPublic ? 'public' : 'private';
+  static async createAlbum(userId, { name, description, privacyType, customGroupId, sortMode, isPublic = false }) {
+    // isPublic is still accepted from older clients when no privacyType is given
+    const resolvedPrivacyType = privacyType || (isPublic ? 'public' : 'private');
+    await this.validateAlbumCustomGroup(userId, resolvedPrivacyType, customGroupId);
     
     const album = await SharingModel.createAlbum({
       userId,
       albumName: name,
       description,
-      privacyType
+      privacyType: resolvedPrivacyType,
+      customGroupId: resolvedPrivacyType === 'custom' ? customGroupId : null,
+      sortMode
     });
 
     return SharingModel.formatAlbum(album);
   }
 
+  /**
+   * Validate the custom group of an album with custom privacy
+   */
+  static async validateAlbumCustomGroup(userId, privacyType, customGroupId) {
+    if (privacyType !== 'custom') {
+      return;
+    }
+
+    if (!customGroupId) {
+      throw new Error('Custom group ID is required when privacy type is custom');
+    }
+
+    const isOwner = await PhotoModel.isCustomGroupOwner(customGroupId, userId);
+    if (!isOwner) {
+      throw new Error('Custom permission group not found');
+    }
+  }
+
   /**
    * Get user's albums
    */
@@ -56,10 +84,43 @@ class SharingService {
     };
   }
 
+  /**
+   * Get albums of other users visible to the current user
+   */
+  static async getAlbumFeed(userId, { page = 1, limit = 20 } = {}) {
+    const albums = await SharingModel.getAlbumFeed(userId, { page, limit });
+    const totalCount = await SharingModel.getAlbumFeedCount(userId);
+
+    const formattedAlbums = albums.map(album => {
+      const formatted = SharingModel.formatAlbum(album);
+      if (formatted.coverPhotoUrl) {
+        formatted.coverPhotoUrl = getFileUrl(album.cover_photo_url);
+      }
+      formatted.owner = {
+        id: album.user_id,
+        username: album.username,
+        displayName: album.display_name,
+        avatarUrl: album.avatar_url
+      };
+      return formatted;
+    });
+
+    return {
+      albums: formattedAlbums,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalCount / limit),
+        totalCount: totalCount,
+        hasNext: (page - 1) * limit + limit < totalCount,
+        hasPrev: page > 1
+      }
+    };
+  }
+
   /**
    * Get album details with photos
    */
-  static async getAlbumDetails(albumId, currentUserId) {
+  static async getAlbumDetails(albumId, currentUserId, { sortMode = null } = {}) {
     // Check if album exists and user has permission
     const album = await SharingModel.getAlbumById(albumId);
     if (!album) {
@@ -72,36 +133,68 @@ class SharingService {
       throw new Error(`Access denied: ${permission.reason}`);
     }
 
-    // Get photos in album
-    const photos = await SharingModel.getAlbumPhotos(albumId, { page: 1, limit: 50 });
-    const photoCount = await SharingModel.getAlbumPhotosCount(albumId);
-
-    // Format photos with URLs
-    const formattedPhotos = photos.map(photo => {
-      const fileUrl = photo.file_path ? getFileUrl(photo.file_path) : null;
-      return {
-        id: photo.id,
-        ownerId: photo.owner_id,
-        fileName: photo.file_name,
-        originalName: photo.original_name,
-        fileSize: photo.file_size,
-        mimeType: photo.mime_type,
-        caption: photo.caption,
-        fileUrl: fileUrl,
-        addedAt: photo.added_at,
-        owner: {
-          id: photo.owner_id,
-          username: photo.username,
-          displayName: photo.display_name,
-          avatarUrl: photo.avatar_url
-        }
-      };
-    });
+    // Get photos in album the viewer may see; album visibility only widens access to contributed photos
+    const viewerId = album.user_id === currentUserId ? null : currentUserId;
+    const effectiveSortMode = sortMode || album.sort_mode;
+    const photos = await SharingModel.getAlbumPhotos(albumId, { page: 1, limit: 50, viewerId, sortMode: effectiveSortMode });
+    const photoCount = await SharingModel.getAlbumPhotosCount(albumId, { viewerId });
 
     return {
       album: SharingModel.formatAlbum(album),
-      photos: formattedPhotos,
-      photoCount: photoCount
+      photos: photos.map(photo => this.formatAlbumPhoto(photo)),
+      photoCount: photoCount,
+      sortMode: effectiveSortMode,
+      canContribute: await this.canContributeToAlbum(album, currentUserId)
+    };
+  }
+
+  /**
+   * Check if a user may add photos to an album: its owner or a recipient of an active 'contribute' share
+   */
+  static async canContributeToAlbum(album, userId) {
+    if (album.user_id === userId) {
+      return true;
+    }
+
+    if (await BlockModel.isBlockedBetween(album.user_id, userId)) {
+      return false;
+    }
+
+    const share = await SharingModel.getActiveAlbumShare(album.id, userId);
+    return share !== null && share.permission_level === 'contribute';
+  }
+
+  /**
+   * Format album photo with URL
+   */
+  static formatAlbumPhoto(photo) {
+    const fileUrl = photo.file_path ? getFileUrl(photo.file_path) : null;
+    return {
+      id: photo.id,
+      ownerId: photo.owner_id,
+      fileName: photo.file_name,
+      originalName: photo.original_name,
+      fileSize: photo.file_size,
+      mimeType: photo.mime_type,
+      caption: photo.caption,
+      fileUrl: fileUrl,
+      renditions: PhotoModel.formatRenditions(photo.renditions),
+      takenAt: photo.taken_at,
+      tags: photo.tags || [],
+      uploadedAt: photo.created_at,
+      position: photo.position,
+      addedAt: photo.added_at,
+      addedBy: photo.added_by ? {
+        id: photo.added_by,
+        username: photo.added_by_username,
+        displayName: photo.added_by_display_name
+      } : null,
+      owner: {
+        id: photo.owner_id,
+        username: photo.username,
+        displayName: photo.display_name,
+        avatarUrl: photo.avatar_url
+      }
     };
   }
 
@@ -119,12 +212,34 @@ class SharingService {
       throw new Error('Cannot rename default album');
     }
 
-    const updatedAlbum = await SharingModel.updateAlbum(albumId, updateData);
+    const { name, description, privacyType, customGroupId, isPublic, coverPhotoId, sortMode } = updateData;
+    const albumData = { name, description, sortMode };
+
+    // null clears the chosen cover so the album falls back to its first photo
+    if (coverPhotoId !== undefined) {
+      if (coverPhotoId !== null && !(await SharingModel.isPhotoInAlbum(albumId, coverPhotoId))) {
+        throw new Error('Cover photo must be a photo in the album');
+      }
+      albumData.coverPhotoId = coverPhotoId;
+    }
+
+    if (privacyType !== undefined || isPublic !== undefined) {
+      albumData.privacyType = privacyType || (isPublic ? 'public' : 'private');
+    }
+
+    if (albumData.privacyType || customGroupId !== undefined) {
+      const effectivePrivacyType = albumData.privacyType || album.privacy_type;
+      const effectiveGroupId = customGroupId !== undefined ? customGroupId : album.custom_group_id;
+      await this.validateAlbumCustomGroup(userId, effectivePrivacyType, effectiveGroupId);
+      albumData.customGroupId = effectivePrivacyType === 'custom' ? effectiveGroupId : null;
+    }
+
+    const updatedAlbum = await SharingModel.updateAlbum(albumId, albumData);
     return SharingModel.formatAlbum(updatedAlbum);
   }
 
   /**
-   * Delete album
+   * Move album to trash; it is purged with the photo trash
    */
   static async deleteAlbum(albumId, userId) {
     // Check ownership
@@ -137,20 +252,69 @@ class SharingService {
       throw new Error('Cannot delete default album');
     }
 
-    const deletedAlbum = await SharingModel.deleteAlbum(albumId);
+    const trashedAlbum = await SharingModel.moveAlbumToTrash(albumId);
+    if (!trashedAlbum) {
+      throw new Error('Album not found or access denied');
+    }
+
     return {
-      id: deletedAlbum.id,
-      albumName: deletedAlbum.album_name
+      id: trashedAlbum.id,
+      albumName: trashedAlbum.name,
+      deletedAt: trashedAlbum.deleted_at,
+      purgeAt: PhotoService.getPurgeDate(trashedAlbum.deleted_at)
+    };
+  }
+
+  /**
+   * Get albums in the user's trash
+   */
+  static async getAlbumTrash(userId, { page = 1, limit = 20 } = {}) {
+    const albums = await SharingModel.findTrashedAlbums(userId, { page, limit });
+    const totalCount = await SharingModel.getAlbumTrashCount(userId);
+
+    const formattedAlbums = albums.map(album => {
+      const formatted = SharingModel.formatAlbum(album);
+      if (formatted.coverPhotoUrl) {
+        formatted.coverPhotoUrl = getFileUrl(album.cover_photo_url);
+      }
+      formatted.deletedAt = album.deleted_at;
+      formatted.purgeAt = PhotoService.getPurgeDate(album.deleted_at);
+      return formatted;
+    });
+
+    return {
+      albums: formattedAlbums,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalCount / limit),
+        totalCount: totalCount,
+        hasNext: (page - 1) * limit + limit < totalCount,
+        hasPrev: page > 1
+      }
+    };
+  }
+
+  /**
+   * Restore albums from the user's trash
+   */
+  static async restoreAlbums(userId, albumIds) {
+    const ids = [...new Set(albumIds)];
+    const restored = await SharingModel.restoreAlbumsFromTrash(userId, ids);
+    const restoredIds = restored.map(album => album.id);
+
+    return {
+      restored: restoredIds,
+      notFound: ids.filter(id => !restoredIds.includes(id))
     };
   }
 
   /**
    * Add photos to album
+   * The owner and contributors can only add their own photos; contributed photos stay owned by the contributor
    */
   static async addPhotosToAlbum(albumId, photoIds, userId) {
-    // Check album ownership
-    const album = await SharingModel.getAlbumById(albumId, userId);
-    if (!album) {
+    const album = await SharingModel.getAlbumById(albumId);
+    if (!album || !(await this.canContributeToAlbum(album, userId))) {
       throw new Error('Album not found or access denied');
     }
 
@@ -169,7 +333,7 @@ class SharingService {
     }
 
     // Add photos to album
-    const addedPhotos = await SharingModel.addPhotosToAlbum(albumId, photoIds);
+    const addedPhotos = await SharingModel.addPhotosToAlbum(albumId, photoIds, userId);
 
     return {
       albumId: albumId,
@@ -180,23 +344,27 @@ class SharingService {
 
   /**
    * Remove photos from album
+   * The owner can remove any photo; anyone else only the photos they added
    */
   static async removePhotosFromAlbum(albumId, photoIds, userId) {
-    // Check album ownership
-    const album = await SharingModel.getAlbumById(albumId, userId);
+    const album = await SharingModel.getAlbumById(albumId);
     if (!album) {
       throw new Error('Album not found or access denied');
     }
 
-    // Check if all photos belong to the user (for security)
-    const photoChecks = await Promise.all(
-      photoIds.map(photoId => PhotoModel.isOwner(photoId, userId))
-    );
+    const isAlbumOwner = album.user_id === userId;
+    const entries = await SharingModel.getAlbumPhotoEntries(albumId, photoIds);
 
-    const invalidPhotos = photoChecks
-      .map((check, index) => ({ check, photoId: photoIds[index] }))
-      .filter(({ check }) => !check.exists || !check.isOwner)
-      .map(({ photoId }) => photoId);
+    if (!isAlbumOwner && !entries.some(entry => entry.added_by === userId)) {
+      throw new Error('Album not found or access denied');
+    }
+
+    const removableIds = new Set(
+      entries
+        .filter(entry => isAlbumOwner || entry.added_by === userId)
+        .map(entry => entry.photo_id)
+    );
+    const invalidPhotos = photoIds.filter(photoId => !removableIds.has(parseInt(photoId)));
 
     if (invalidPhotos.length > 0) {
       throw new Error(`Photos not found or access denied: ${invalidPhotos.join(', ')}`);
@@ -204,6 +372,7 @@ class SharingService {
 
     // Remove photos from album
     const removedPhotos = await SharingModel.removePhotosFromAlbum(albumId, photoIds);
+    await SharingModel.clearCoverPhoto(albumId, removedPhotos.map(p => p.photo_id));
 
     return {
       albumId: albumId,
@@ -212,6 +381,79 @@ class SharingService {
     };
   }
 
+  /**
+   * Reorder album photos: the given photos move to the start of the manual order in the given order,
+   * the others keep their order after them
+   */
+  static async reorderAlbumPhotos(albumId, userId, photoIds) {
+    const album = await SharingModel.getAlbumById(albumId, userId);
+    if (!album) {
+      throw new Error('Album not found or access denied');
+    }
+
+    const requestedIds = photoIds.map(photoId => parseInt(photoId));
+    if (new Set(requestedIds).size !== requestedIds.length) {
+      throw new Error('Photo IDs must not contain duplicates');
+    }
+
+    const order = await transaction(async (client) => {
+      const currentOrder = await SharingModel.lockAlbumPhotoOrder(client, albumId);
+
+      const missingPhotos = requestedIds.filter(photoId => !currentOrder.includes(photoId));
+      if (missingPhotos.length > 0) {
+        throw new Error(`Photos not found in album: ${missingPhotos.join(', ')}`);
+      }
+
+      const newOrder = [
+        ...requestedIds,
+        ...currentOrder.filter(photoId => !requestedIds.includes(photoId))
+      ];
+      await SharingModel.updateAlbumPhotoPositions(client, albumId, newOrder);
+      return newOrder;
+    });
+
+    return {
+      albumId: albumId,
+      photoIds: order
+    };
+  }
+
+  /**
+   * Move one album photo right before or after another in the manual order
+   */
+  static async moveAlbumPhoto(albumId, userId, photoId, { beforePhotoId = null, afterPhotoId = null }) {
+    const album = await SharingModel.getAlbumById(albumId, userId);
+    if (!album) {
+      throw new Error('Album not found or access denied');
+    }
+
+    const targetPhotoId = parseInt(beforePhotoId || afterPhotoId);
+    if (targetPhotoId === photoId) {
+      throw new Error('Cannot move a photo relative to itself');
+    }
+
+    const order = await transaction(async (client) => {
+      const currentOrder = await SharingModel.lockAlbumPhotoOrder(client, albumId);
+
+      const missingPhotos = [photoId, targetPhotoId].filter(id => !currentOrder.includes(id));
+      if (missingPhotos.length > 0) {
+        throw new Error(`Photos not found in album: ${missingPhotos.join(', ')}`);
+      }
+
+      const newOrder = currentOrder.filter(id => id !== photoId);
+      const targetIndex = newOrder.indexOf(targetPhotoId);
+      newOrder.splice(beforePhotoId ? targetIndex : targetIndex + 1, 0, photoId);
+
+      await SharingModel.updateAlbumPhotoPositions(client, albumId, newOrder);
+      return newOrder;
+    });
+
+    return {
+      albumId: albumId,
+      photoIds: order
+    };
+  }
+
   /**
    * Photo Sharing
    */
@@ -220,7 +462,7 @@ class SharingService {
    * Create a new share
    */
   static async createShare(userId, shareData) {
-    const { recipientId, shareType, albumId, photoId, permissionLevel = 'view', expiresAt } = shareData;
+    const { recipientId, shareType, albumId, photoId, smartAlbumId, permissionLevel = 'view', expiresAt } = shareData;
 
     // Check if recipient exists and is a friend
     const areFriends = await FriendModel.areFriends(userId, recipientId);
@@ -228,12 +470,21 @@ class SharingService {
       throw new Error('Can only share with friends');
     }
 
+    if (permissionLevel === 'contribute' && shareType !== 'album') {
+      throw new Error('Contribute permission is only available for album shares');
+    }
+
     // Validate share type and resource ownership
     if (shareType === 'album' && albumId) {
       const album = await SharingModel.getAlbumById(albumId, userId);
       if (!album) {
         throw new Error('Album not found or access denied');
       }
+    } else if (shareType === 'smart_album' && smartAlbumId) {
+      const smartAlbum = await SmartAlbumModel.findById(smartAlbumId, userId);
+      if (!smartAlbum) {
+        throw new Error('Smart album not found or access denied');
+      }
     } else if (shareType === 'individual_photo' && photoId) {
       const photoOwnership = await PhotoModel.isOwner(photoId, userId);
       if (!photoOwnership.exists || !photoOwnership.isOwner) {
@@ -250,10 +501,19 @@ class SharingService {
       shareType,
       albumId,
       photoId,
+      smartAlbumId,
       permissionLevel,
       expiresAt
     });
 
+    await NotificationService.notifyShare(userId, recipientId, {
+      shareId: share.id,
+      shareType,
+      albumId,
+      photoId,
+      smartAlbumId
+    });
+
     return SharingModel.formatShare(share, 'given');
   }
 
@@ -360,6 +620,223 @@ class SharingService {
     };
   }
 
+  /**
+   * Share Links
+   */
+
+  /**
+   * Create a public share link for a photo or album
+   */
+  static async createShareLink(userId, linkData) {
+    const {
+      shareType,
+      albumId,
+      photoId,
+      permissionLevel = 'view',
+      expiresAt = null,
+      maxAccessCount = null,
+      requireAuth = false,
+      password = null,
+      message = null
+    } = linkData;
+
+    if (shareType === 'album' && albumId) {
+      const album = await SharingModel.getAlbumById(albumId, userId);
+      if (!album) {
+        throw new Error('Album not found or access denied');
+      }
+    } else if (shareType === 'individual_photo' && photoId) {
+      const photoOwnership = await PhotoModel.isOwner(photoId, userId);
+      if (!photoOwnership.exists || !photoOwnership.isOwner) {
+        throw new Error('Photo not found or access denied');
+      }
+    } else {
+      throw new Error('Share links support only albums and individual photos');
+    }
+
+    const passwordHash = password ? await CryptoUtils.hashPassword(password) : null;
+
+    const link = await SharingModel.createShareLink({
+      sharerId: userId,
+      shareType,
+      albumId: shareType === 'album' ? albumId : null,
+      photoId: shareType === 'individual_photo' ? photoId : null,
+      permissionLevel,
+      expiresAt,
+      maxAccessCount,
+      requireAuth,
+      passwordHash,
+      message
+    });
+
+    return this.formatShareLink(link);
+  }
+
+  /**
+   * Get share links created by user
+   */
+  static async getShareLinks(userId, { page = 1, limit = 20 } = {}) {
+    const links = await SharingModel.getShareLinksByUser(userId, { page, limit });
+    const totalCount = await SharingModel.getShareLinksCount(userId);
+
+    return {
+      links: links.map(link => this.formatShareLink(link)),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalCount / limit),
+        totalCount: totalCount,
+        hasNext: (page - 1) * limit + limit < totalCount,
+        hasPrev: page > 1
+      }
+    };
+  }
+
+  /**
+   * Issue a new token for a share link, invalidating the old URL
+   */
+  static async rotateShareLink(accessToken, userId) {
+    const link = await this.getOwnedShareLink(accessToken, userId);
+
+    const rotated = await SharingModel.rotateShareLinkToken(link.id, link.share_type, userId);
+    if (!rotated) {
+      throw new Error('Share link not found');
+    }
+
+    return this.formatShareLink({ ...link, access_token: rotated.access_token });
+  }
+
+  /**
+   * Deactivate a share link
+   */
+  static async revokeShareLink(accessToken, userId) {
+    const link = await this.getOwnedShareLink(accessToken, userId);
+
+    const revoked = await SharingModel.revokeShareLink(link.id, link.share_type, userId);
+    if (!revoked) {
+      throw new Error('Share link not found');
+    }
+
+    return this.formatShareLink({ ...link, is_active: false });
+  }
+
+  /**
+   * Resolve a share link and return its content
+   */
+  static async accessShareLink(accessToken, { viewerId = null, password = null, page = 1, limit = 50 } = {}) {
+    const link = await SharingModel.getShareLinkByToken(accessToken);
+    // Signed-in users blocked either way by the sharer can't open their links
+    if (!link || !link.is_active || await BlockModel.isBlockedBetween(viewerId, link.shared_by)) {
+      throw new Error('Share link not found');
+    }
+
+    if (link.expires_at && new Date(link.expires_at) <= new Date()) {
+      throw new Error('Share link has expired');
+    }
+
+    if (link.max_access_count !== null && (link.access_count || 0) >= link.max_access_count) {
+      throw new Error('Share link access limit reached');
+    }
+
+    if (link.require_auth && !viewerId) {
+      throw new Error('Authentication required');
+    }
+
+    if (link.password_hash) {
+      if (!password) {
+        throw new Error('Password required');
+      }
+
+      const isValidPassword = await CryptoUtils.comparePassword(password, link.password_hash);
+      if (!isValidPassword) {
+        throw new Error('Invalid password');
+      }
+    }
+
+    let content = null;
+
+    if (link.share_type === 'album') {
+      const album = await SharingModel.getAlbumById(link.album_id);
+      if (album) {
+        const photos = await SharingModel.getAlbumPhotos(link.album_id, { page, limit });
+        const photoCount = await SharingModel.getAlbumPhotosCount(link.album_id);
+
+        content = {
+          type: 'album',
+          album: SharingModel.formatAlbum(album),
+          photos: photos.map(photo => this.formatAlbumPhoto(photo)),
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(photoCount / limit),
+            totalCount: photoCount,
+            hasNext: (page - 1) * limit + limit < photoCount,
+            hasPrev: page > 1
+          }
+        };
+      }
+    } else {
+      const photo = await PhotoModel.findById(link.photo_id);
+      if (photo) {
+        content = {
+          type: 'photo',
+          photo: {
+            ...PhotoModel.formatPhoto(photo),
+            fileUrl: photo.file_path ? getFileUrl(photo.file_path) : null
+          }
+        };
+      }
+    }
+
+    if (!content) {
+      throw new Error('Share link not found');
+    }
+
+    // Count the access only once everything checked out
+    const access = await SharingModel.registerShareLinkAccess(link.id, link.share_type);
+    if (!access) {
+      throw new Error('Share link access limit reached');
+    }
+
+    return {
+      ...content,
+      shareInfo: {
+        shareType: link.share_type,
+        permissionLevel: link.permission_level,
+        message: link.message,
+        expiresAt: link.expires_at,
+        accessCount: access.access_count,
+        maxAccessCount: access.max_access_count,
+        sharer: {
+          id: link.shared_by,
+          username: link.shared_by_username,
+          displayName: link.shared_by_display_name
+        }
+      }
+    };
+  }
+
+  /**
+   * Get a share link and ensure the user created it
+   */
+  static async getOwnedShareLink(accessToken, userId) {
+    const link = await SharingModel.getShareLinkByToken(accessToken);
+
+    if (!link || link.shared_by !== userId) {
+      throw new Error('Share link not found');
+    }
+
+    return link;
+  }
+
+  /**
+   * Format share link with its public URL
+   */
+  static formatShareLink(link) {
+    return {
+      ...SharingModel.formatShareLink(link),
+      url: getApiUrl('v2', `/sharing/links/${link.access_token}/content`)
+    };
+  }
+
   /**
    * Get shared content accessible to user
    */
@@ -377,19 +854,41 @@ class SharingService {
       let content = null;
 
       if (share.share_type === 'album' && share.album_id) {
-        // Get album details
+        // Get album details, counting only the photos this user may see
         const album = await SharingModel.getAlbumById(share.album_id);
-        if (album) {
+        const permission = album ? await checkAlbumPermission(userId, album.id) : null;
+        if (album && permission.hasPermission) {
+          const photoCount = await SharingModel.getAlbumPhotosCount(album.id, { viewerId: userId });
           content = {
             type: 'album',
-            album: SharingModel.formatAlbum(album),
+            album: {
+              ...SharingModel.formatAlbum(album),
+              photoCount
+            },
+            shareInfo: SharingModel.formatShare(share, 'received')
+          };
+        }
+      } else if (share.share_type === 'smart_album' && share.smart_album_id) {
+        // The filter is evaluated now, so the count follows the owner's library
+        const smartAlbum = await SmartAlbumModel.findById(share.smart_album_id);
+        if (smartAlbum) {
+          const photoCount = await SmartAlbumModel.countPhotos(smartAlbum, { viewerId: userId });
+          content = {
+            type: 'smart_album',
+            smartAlbum: {
+              ...SmartAlbumModel.formatSmartAlbum(smartAlbum),
+              photoCount
+            },
             shareInfo: SharingModel.formatShare(share, 'received')
           };
         }
       } else if (share.share_type === 'individual_photo' && share.photo_id) {
         // Get photo details
         const photo = await PhotoModel.findById(share.photo_id);
-        if (photo) {
+        // A direct share never bypasses the owner's close-friends list
+        const hiddenByCloseFriends = photo && photo.permission_type === 'close_friends' &&
+          !(await checkCloseFriendship(photo.user_id, userId));
+        if (photo && !hiddenByCloseFriends) {
           const fileUrl = photo.file_path ? getFileUrl(photo.file_path) : null;
           content = {
             type: 'photo',
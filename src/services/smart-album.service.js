@@ -0,0 +1,155 @@
+const SmartAlbumModel = require('../models/smart-album.model');
+const PhotoModel = require('../models/photo.model');
+const BlockModel = require('../models/block.model');
+const { getFileUrl } = require('../storage');
+
+/**
+ * Smart Album Service - Albums that fill themselves from a saved photo filter
+ */
+class SmartAlbumService {
+  /**
+   * Keep the known filter criteria, trimmed and de-duplicated
+   */
+  static normalizeFilters(filters = {}) {
+    const normalized = {};
+
+    const tags = [...new Set((filters.tags || []).map(tag => String(tag).trim()).filter(Boolean))];
+    if (tags.length > 0) {
+      normalized.tags = tags;
+    }
+
+    if (filters.takenFrom) {
+      normalized.takenFrom = new Date(filters.takenFrom).toISOString();
+    }
+
+    if (filters.takenTo) {
+      normalized.takenTo = new Date(filters.takenTo).toISOString();
+    }
+
+    if (normalized.takenFrom && normalized.takenTo && normalized.takenFrom >= normalized.takenTo) {
+      throw new Error('takenFrom must be before takenTo');
+    }
+
+    for (const key of ['cameraMake', 'cameraModel']) {
+      const value = filters[key] ? String(filters[key]).trim() : '';
+      if (value) {
+        normalized[key] = value;
+      }
+    }
+
+    const sourceDeviceIds = [...new Set((filters.sourceDeviceIds || []).map(id => String(id).trim()).filter(Boolean))];
+    if (sourceDeviceIds.length > 0) {
+      normalized.sourceDeviceIds = sourceDeviceIds;
+    }
+
+    if (Object.keys(normalized).length === 0) {
+      throw new Error('At least one filter is required');
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Create a smart album
+   */
+  static async createSmartAlbum(userId, { name, description, filters }) {
+    const smartAlbum = await SmartAlbumModel.create({
+      userId,
+      name,
+      description,
+      filters: this.normalizeFilters(filters)
+    });
+
+    return SmartAlbumModel.formatSmartAlbum(smartAlbum);
+  }
+
+  /**
+   * Get the current user's smart albums
+   */
+  static async getUserSmartAlbums(userId, { page = 1, limit = 20 } = {}) {
+    const smartAlbums = await SmartAlbumModel.findByUser(userId, { page, limit });
+    const totalCount = await SmartAlbumModel.countByUser(userId);
+
+    return {
+      smartAlbums: smartAlbums.map(smartAlbum => SmartAlbumModel.formatSmartAlbum(smartAlbum)),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalCount / limit),
+        totalCount: totalCount,
+        hasNext: (page - 1) * limit + limit < totalCount,
+        hasPrev: page > 1
+      }
+    };
+  }
+
+  /**
+   * Get a smart album with one page of its photos
+   * Viewable by its owner and by recipients of an active share
+   */
+  static async getSmartAlbumDetails(smartAlbumId, currentUserId, { page = 1, limit = 20 } = {}) {
+    const smartAlbum = await SmartAlbumModel.findById(smartAlbumId);
+    if (!smartAlbum || await BlockModel.isBlockedBetween(smartAlbum.user_id, currentUserId)) {
+      throw new Error('Smart album not found');
+    }
+
+    const isOwner = smartAlbum.user_id === currentUserId;
+    if (!isOwner && !(await SmartAlbumModel.getActiveShare(smartAlbumId, currentUserId))) {
+      throw new Error('Access denied: Smart album is not shared with you');
+    }
+
+    const viewerId = isOwner ? null : currentUserId;
+    const photos = await SmartAlbumModel.findPhotos(smartAlbum, { viewerId, page, limit });
+    const totalCount = await SmartAlbumModel.countPhotos(smartAlbum, { viewerId });
+
+    return {
+      smartAlbum: SmartAlbumModel.formatSmartAlbum(smartAlbum),
+      photos: photos.map(photo => ({
+        ...PhotoModel.formatPhoto(photo),
+        fileUrl: getFileUrl(photo.file_path)
+      })),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalCount / limit),
+        totalCount: totalCount,
+        hasNext: (page - 1) * limit + limit < totalCount,
+        hasPrev: page > 1
+      }
+    };
+  }
+
+  /**
+   * Update a smart album
+   */
+  static async updateSmartAlbum(smartAlbumId, userId, { name, description, filters }) {
+    const smartAlbum = await SmartAlbumModel.findById(smartAlbumId, userId);
+    if (!smartAlbum) {
+      throw new Error('Smart album not found or access denied');
+    }
+
+    const updated = await SmartAlbumModel.update(smartAlbumId, {
+      name,
+      description,
+      filters: filters !== undefined ? this.normalizeFilters(filters) : undefined
+    });
+
+    return SmartAlbumModel.formatSmartAlbum(updated);
+  }
+
+  /**
+   * Delete a smart album; its photos are untouched
+   */
+  static async deleteSmartAlbum(smartAlbumId, userId) {
+    const smartAlbum = await SmartAlbumModel.findById(smartAlbumId, userId);
+    if (!smartAlbum) {
+      throw new Error('Smart album not found or access denied');
+    }
+
+    const deleted = await SmartAlbumModel.delete(smartAlbumId);
+    return {
+      id: deleted.id,
+      name: deleted.name
+    };
+  }
+}
+
+module.exports = SmartAlbumService;
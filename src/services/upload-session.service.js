@@ -0,0 +1,561 @@
+const fs = require('fs');
+const path = require('path');
+const UploadSessionModel = require('../models/upload-session.model');
+const DeviceSyncModel = require('../models/device-sync.model');
+const PhotoModel = require('../models/photo.model');
+const UserModel = require('../models/user.model');
+const PhotoService = require('./photo.service');
+const CryptoUtils = require('../utils/crypto.utils');
+const { transaction } = require('../config/database.config');
+const { storageConfig, isValidFileType } = require('../config/storage.config');
+const { createSuccessResponse, createErrorResponse } = require('../utils/response.utils');
+
+let cleanupTimer = null;
+
+/**
+ * Upload Session Service
+ * Resumable chunked uploads for device sync
+ *
+ * A file is uploaded in chunks written at their byte offset into a temporary file.
+ * Received byte ranges are stored as [{ start, end }] with an exclusive end, so clients
+ * can resume after a dropped connection by asking which ranges are still missing.
+ */
+
+class UploadSessionService {
+  /**
+   * Create an upload inside a sync session, or resume an unfinished upload of the same file
+   */
+  static async createUpload(userId, sessionToken, uploadData) {
+    try {
+      const { localPath, fileName, mimeType, fileSize, md5, localModified, caption } = uploadData;
+      const { maxFileSize } = storageConfig.resumableUploads;
+
+      const syncSession = await DeviceSyncModel.findSyncSessionByToken(userId, sessionToken);
+      if (!syncSession) {
+        return createErrorResponse('Sync session not found', 404);
+      }
+
+      if (syncSession.status !== 'active') {
+        return createErrorResponse('Sync session is not active', 409);
+      }
+
+      if (!isValidFileType(mimeType, 'device-sync')) {
+        return createErrorResponse(`Invalid file type: ${mimeType}. Only image files are allowed for device sync.`, 400);
+      }
+
+      if (fileSize > maxFileSize) {
+        return createErrorResponse(`File too large. Maximum size is ${Math.round(maxFileSize / (1024 * 1024))}MB per file.`, 413);
+      }
+
+      const expectedMd5 = md5.toLowerCase();
+
+      // Same content already stored (e.g. from another device): link it instead of uploading
+      const existingPhoto = await DeviceSyncModel.findPhotoByHash(userId, expectedMd5);
+      if (existingPhoto) {
+        await DeviceSyncModel.upsertFileMapping({
+          syncDeviceId: syncSession.device_id,
+          localPath,
+          localFilename: fileName,
+          localHash: expectedMd5,
+          localSize: fileSize,
+          localModified,
+          photoId: existingPhoto.id,
+          syncStatus: 'skipped'
+        });
+
+        return createSuccessResponse('File already stored', {
+          upload: null,
+          duplicate: true,
+          photoId: existingPhoto.id
+        });
+      }
+
+      const existing = await UploadSessionModel.findResumable(userId, syncSession.device_id, localPath, expectedMd5);
+
+      if (existing && parseInt(existing.file_size) === fileSize && fs.existsSync(this.getTempFilePath(existing.upload_token))) {
+        const resumed = await UploadSessionModel.attachToSyncSession(existing.id, syncSession.id, this.getExpiryDate());
+
+        return createSuccessResponse('Upload resumed', {
+          upload: this.formatUploadStatus(resumed),
+          resumed: true,
+          chunkSize: storageConfig.resumableUploads.chunkSize
+        });
+      }
+
+      // Fall back to the user's auto sync defaults
+      const user = await UserModel.findById(userId);
+      const permissionType = uploadData.permissionType || (user && user.auto_sync_permission_type) || 'friends';
+      const customGroupId = permissionType === 'custom'
+        ? uploadData.customGroupId || (user && user.auto_sync_custom_group_id)
+        : null;
+
+      if (permissionType === 'custom') {
+        if (!customGroupId) {
+          return createErrorResponse('Custom group ID is required when permission type is custom', 400);
+        }
+
+        const isOwner = await PhotoModel.isCustomGroupOwner(customGroupId, userId);
+        if (!isOwner) {
+          return createErrorResponse('Custom permission group not found', 404);
+        }
+      }
+
+      const upload = await UploadSessionModel.create({
+        userId,
+        deviceId: syncSession.device_id,
+        syncSessionId: syncSession.id,
+        localPath,
+        fileName,
+        mimeType,
+        fileSize,
+        expectedMd5,
+        localModified,
+        caption,
+        permissionType,
+        customGroupId,
+        expiresAt: this.getExpiryDate()
+      });
+
+      await fs.promises.mkdir(this.getTempDir(), { recursive: true });
+      await fs.promises.writeFile(this.getTempFilePath(upload.upload_token), '');
+
+      return createSuccessResponse('Upload created successfully', {
+        upload: this.formatUploadStatus(upload),
+        resumed: false,
+        chunkSize: storageConfig.resumableUploads.chunkSize
+      });
+    } catch (error) {
+      console.error('Create upload error:', error);
+      return createErrorResponse('Failed to create upload');
+    }
+  }
+
+  /**
+   * Write a chunk at the given byte offset
+   */
+  static async uploadChunk(userId, uploadToken, offset, chunk) {
+    try {
+      const upload = await UploadSessionModel.findByToken(uploadToken, userId);
+      const unavailable = this.checkUploadable(upload);
+      if (unavailable) {
+        return unavailable;
+      }
+
+      if (!chunk || chunk.length === 0) {
+        return createErrorResponse('Chunk body is empty', 400);
+      }
+
+      const end = offset + chunk.length;
+      if (end > parseInt(upload.file_size)) {
+        return createErrorResponse('Chunk exceeds the declared file size', 416);
+      }
+
+      const written = await this.writeChunk(uploadToken, offset, chunk);
+      if (!written) {
+        await UploadSessionModel.updateStatus(upload.id, 'failed', 'Upload data is no longer available');
+        return createErrorResponse('Upload data is no longer available, start a new upload', 410);
+      }
+
+      // Concurrent chunks of the same upload are merged one at a time
+      const updated = await transaction(async (client) => {
+        const locked = await UploadSessionModel.lockByToken(client, uploadToken, userId);
+        if (!locked || locked.status !== 'uploading') {
+          return null;
+        }
+
+        const ranges = this.mergeRanges(locked.received_ranges || [], { start: offset, end });
+        return UploadSessionModel.updateReceivedRanges(
+          client,
+          locked.id,
+          ranges,
+          this.countBytes(ranges),
+          this.getExpiryDate()
+        );
+      });
+
+      if (!updated) {
+        return createErrorResponse('Upload is no longer accepting chunks', 409);
+      }
+
+      await DeviceSyncModel.touchSyncSession(updated.sync_session_id);
+
+      return createSuccessResponse('Chunk received', { upload: this.formatUploadStatus(updated) });
+    } catch (error) {
+      console.error('Upload chunk error:', error);
+      return createErrorResponse('Failed to store chunk');
+    }
+  }
+
+  /**
+   * Get received and missing byte ranges of an upload
+   */
+  static async getUploadStatus(userId, uploadToken) {
+    try {
+      const upload = await UploadSessionModel.findByToken(uploadToken, userId);
+      if (!upload) {
+        return createErrorResponse('Upload not found', 404);
+      }
+
+      return createSuccessResponse('Upload status retrieved successfully', {
+        upload: this.formatUploadStatus(upload)
+      });
+    } catch (error) {
+      console.error('Get upload status error:', error);
+      return createErrorResponse('Failed to retrieve upload status');
+    }
+  }
+
+  /**
+   * Verify the assembled file against its MD5 and turn it into a photo
+   */
+  static async completeUpload(userId, uploadToken) {
+    try {
+      const upload = await UploadSessionModel.findByToken(uploadToken, userId);
+      if (!upload) {
+        return createErrorResponse('Upload not found', 404);
+      }
+
+      // Retried completion requests get the original result
+      if (upload.status === 'completed') {
+        return createSuccessResponse('Upload already completed', {
+          upload: this.formatUploadStatus(upload),
+          photoId: upload.photo_id
+        });
+      }
+
+      const unavailable = this.checkUploadable(upload);
+      if (unavailable) {
+        return unavailable;
+      }
+
+      const missingRanges = this.getMissingRanges(upload.received_ranges || [], parseInt(upload.file_size));
+      if (missingRanges.length > 0) {
+        return {
+          ...createErrorResponse('Upload is incomplete', 409),
+          data: { missingRanges }
+        };
+      }
+
+      const finalizing = await UploadSessionModel.markFinalizing(uploadToken, userId, this.getExpiryDate());
+      if (!finalizing) {
+        return createErrorResponse('Upload is already being completed', 409);
+      }
+
+      const tempFilePath = this.getTempFilePath(uploadToken);
+      const actualMd5 = await CryptoUtils.hashFileMD5(tempFilePath);
+
+      if (actualMd5 !== upload.expected_md5) {
+        await this.failUpload(upload, 'Checksum mismatch');
+        return {
+          ...createErrorResponse('Checksum mismatch, the file must be uploaded again', 422),
+          data: { expectedMd5: upload.expected_md5, actualMd5 }
+        };
+      }
+
+      let result;
+      try {
+        // Handed over as a file on disk so large uploads are never held in memory
+        result = await PhotoService.uploadPhoto(userId, {
+          path: tempFilePath,
+          originalname: upload.file_name,
+          mimetype: upload.mime_type,
+          size: parseInt(upload.file_size)
+        }, {
+          caption: upload.caption,
+          permissionType: upload.permission_type,
+          customGroupId: upload.custom_group_id,
+          fileHash: upload.expected_md5,
+          sourceDeviceId: upload.device_id
+        });
+      } catch (processingError) {
+        console.error('Upload processing error:', processingError);
+        await this.failUpload(upload, processingError.message);
+        return createErrorResponse(`Failed to process uploaded file: ${processingError.message}`, 422);
+      }
+
+      const completed = await UploadSessionModel.markCompleted(upload.id, result.photo.id);
+
+      // The photo exists and the upload is completed; failed bookkeeping is logged and doesn't fail it
+      try {
+        await DeviceSyncModel.upsertFileMapping({
+          syncDeviceId: upload.device_id,
+          localPath: upload.local_path,
+          localFilename: upload.file_name,
+          localHash: upload.expected_md5,
+          localSize: upload.file_size,
+          localModified: upload.local_modified,
+          photoId: result.photo.id
+        });
+        await DeviceSyncModel.recordSessionUpload(upload.sync_session_id, upload.file_size);
+        await DeviceSyncModel.updateDeviceStats(upload.device_id, 1);
+      } catch (bookkeepingError) {
+        console.error('Upload bookkeeping error:', bookkeepingError);
+      }
+
+      await this.removeTempFile(uploadToken);
+
+      return createSuccessResponse('Upload completed successfully', {
+        upload: this.formatUploadStatus(completed),
+        photo: result.photo,
+        fileUrl: result.fileUrl
+      });
+    } catch (error) {
+      console.error('Complete upload error:', error);
+      return createErrorResponse('Failed to complete upload');
+    }
+  }
+
+  /**
+   * Cancel an unfinished upload and discard its data
+   */
+  static async cancelUpload(userId, uploadToken) {
+    try {
+      const upload = await UploadSessionModel.findByToken(uploadToken, userId);
+      if (!upload) {
+        return createErrorResponse('Upload not found', 404);
+      }
+
+      if (upload.status === 'completed' || upload.status === 'finalizing') {
+        return createErrorResponse(`Upload is ${upload.status} and cannot be cancelled`, 409);
+      }
+
+      const cancelled = await UploadSessionModel.updateStatus(upload.id, 'cancelled');
+      await this.removeTempFile(uploadToken);
+
+      return createSuccessResponse('Upload cancelled successfully', {
+        upload: this.formatUploadStatus(cancelled)
+      });
+    } catch (error) {
+      console.error('Cancel upload error:', error);
+      return createErrorResponse('Failed to cancel upload');
+    }
+  }
+
+  /**
+   * Return an error result when an upload can't accept chunks or be completed
+   */
+  static checkUploadable(upload) {
+    if (!upload) {
+      return createErrorResponse('Upload not found', 404);
+    }
+
+    if (upload.status === 'expired' || (upload.status === 'uploading' && new Date(upload.expires_at) <= new Date())) {
+      return createErrorResponse('Upload has expired, start a new upload', 410);
+    }
+
+    if (upload.status !== 'uploading') {
+      return createErrorResponse(`Upload is ${upload.status}`, 409);
+    }
+
+    return null;
+  }
+
+  /**
+   * Record a failed upload on the session, the file mapping and disk
+   */
+  static async failUpload(upload, errorMessage) {
+    await UploadSessionModel.updateStatus(upload.id, 'failed', errorMessage);
+    await DeviceSyncModel.upsertFileMapping({
+      syncDeviceId: upload.device_id,
+      localPath: upload.local_path,
+      localFilename: upload.file_name,
+      localHash: upload.expected_md5,
+      localSize: upload.file_size,
+      localModified: upload.local_modified,
+      syncStatus: 'failed',
+      errorMessage
+    });
+    await DeviceSyncModel.recordSessionFailure(upload.sync_session_id);
+    await this.removeTempFile(upload.upload_token);
+  }
+
+  /**
+   * Write chunk bytes at their offset; returns false when the temp file is gone
+   */
+  static async writeChunk(uploadToken, offset, chunk) {
+    let handle;
+    try {
+      handle = await fs.promises.open(this.getTempFilePath(uploadToken), 'r+');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+
+    try {
+      await handle.write(chunk, 0, chunk.length, offset);
+      return true;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Add a range to a sorted list, joining overlapping and adjacent ranges
+   */
+  static mergeRanges(ranges, range) {
+    const sorted = [...ranges, range].sort((a, b) => a.start - b.start);
+    const merged = [];
+
+    for (const current of sorted) {
+      const last = merged[merged.length - 1];
+      if (last && current.start <= last.end) {
+        last.end = Math.max(last.end, current.end);
+      } else {
+        merged.push({ start: current.start, end: current.end });
+      }
+    }
+
+    return merged;
+  }
+
+  /**
+   * Get byte ranges not received yet
+   */
+  static getMissingRanges(ranges, fileSize) {
+    const missing = [];
+    let position = 0;
+
+    for (const range of ranges) {
+      if (range.start > position) {
+        missing.push({ start: position, end: range.start });
+      }
+      position = Math.max(position, range.end);
+    }
+
+    if (position < fileSize) {
+      missing.push({ start: position, end: fileSize });
+    }
+
+    return missing;
+  }
+
+  /**
+   * Count bytes covered by merged ranges
+   */
+  static countBytes(ranges) {
+    return ranges.reduce((total, range) => total + (range.end - range.start), 0);
+  }
+
+  /**
+   * Format upload with the ranges a client still has to send
+   */
+  static formatUploadStatus(upload) {
+    const formatted = UploadSessionModel.formatUpload(upload);
+
+    return {
+      ...formatted,
+      missingRanges: upload.status === 'uploading'
+        ? this.getMissingRanges(formatted.receivedRanges, formatted.fileSize)
+        : []
+    };
+  }
+
+  /**
+   * Expiry slides forward with every chunk
+   */
+  static getExpiryDate() {
+    return new Date(Date.now() + storageConfig.resumableUploads.sessionTtlHours * 60 * 60 * 1000);
+  }
+
+  /**
+   * Directory holding partially uploaded files
+   */
+  static getTempDir() {
+    const { uploadsDir, tempDir } = storageConfig.local;
+    return path.join(uploadsDir, tempDir, storageConfig.resumableUploads.tempDir);
+  }
+
+  /**
+   * Temp file of an upload
+   */
+  static getTempFilePath(uploadToken) {
+    return path.join(this.getTempDir(), `${uploadToken}.part`);
+  }
+
+  /**
+   * Delete the temp file of an upload if it still exists
+   */
+  static async removeTempFile(uploadToken) {
+    await fs.promises.unlink(this.getTempFilePath(uploadToken)).catch(() => null);
+  }
+
+  /**
+   * Expire abandoned uploads and delete their data
+   */
+  static async cleanupExpiredUploads() {
+    try {
+      const expired = await UploadSessionModel.expireStale();
+      await Promise.all(expired.map(upload => this.removeTempFile(upload.upload_token)));
+
+      if (expired.length > 0) {
+        console.log(`🧹 Expired ${expired.length} abandoned uploads`);
+      }
+      return expired.length;
+    } catch (error) {
+      console.error('Upload cleanup error:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Cancel the unfinished uploads of a sync session that ended
+   */
+  static async cancelSessionUploads(syncSessionId) {
+    const cancelled = await UploadSessionModel.cancelBySyncSession(syncSessionId);
+    await Promise.all(cancelled.map(upload => this.removeTempFile(upload.upload_token)));
+    return cancelled.length;
+  }
+
+  /**
+   * Fail sync sessions that stopped reporting progress
+   * Their unfinished uploads stay resumable until they expire
+   */
+  static async cleanupInactiveSyncSessions() {
+    try {
+      const timedOut = await DeviceSyncModel.failInactiveSessions(storageConfig.resumableUploads.syncSessionTimeoutHours);
+
+      if (timedOut.length > 0) {
+        console.log(`🧹 Timed out ${timedOut.length} inactive sync sessions`);
+      }
+      return timedOut.length;
+    } catch (error) {
+      console.error('Sync session cleanup error:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Run all upload cleanup tasks
+   */
+  static async runCleanup() {
+    await this.cleanupExpiredUploads();
+    await this.cleanupInactiveSyncSessions();
+  }
+
+  /**
+   * Start periodic cleanup of abandoned uploads and sync sessions
+   */
+  static startCleanupJob() {
+    if (cleanupTimer) {
+      return;
+    }
+
+    this.runCleanup();
+    cleanupTimer = setInterval(() => this.runCleanup(), storageConfig.resumableUploads.cleanupIntervalMs);
+    cleanupTimer.unref();
+  }
+
+  /**
+   * Stop periodic cleanup
+   */
+  static stopCleanupJob() {
+    if (cleanupTimer) {
+      clearInterval(cleanupTimer);
+      cleanupTimer = null;
+    }
+  }
+}
+
+module.exports = UploadSessionService;
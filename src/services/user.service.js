@@ -1,4 +1,6 @@
 const UserModel = require('../models/user.model');
+const BlockModel = require('../models/block.model');
+const ActivityLogModel = require('../models/activity-log.model');
 const ResponseUtils = require('../utils/response.utils');
 
 /**
@@ -9,9 +11,14 @@ const ResponseUtils = require('../utils/response.utils');
 class UserService {
   /**
    * Get user profile by ID
+   * With a viewer, users blocked either way are reported as not found
    */
-  static async getUserProfile(userId) {
+  static async getUserProfile(userId, viewerId = null) {
     try {
+      if (viewerId && viewerId !== userId && await BlockModel.isBlockedBetween(viewerId, userId)) {
+        throw new Error('User not found');
+      }
+
       const user = await UserModel.findById(userId);
       if (!user) {
         throw new Error('User not found');
@@ -57,7 +64,7 @@ class UserService {
    */
   static async searchUsers(query, limit = 20, offset = 0, currentUserId = null) {
     try {
-      const { users, total } = await UserModel.search(query, limit, offset);
+      const { users, total } = await UserModel.search(query, limit, offset, currentUserId);
       
       // Remove sensitive information and mark current user
       const safeUsers = users.map(user => {
@@ -103,19 +110,34 @@ class UserService {
   }
 
   /**
-   * Get user activity summary
+   * Get user activity from the audit trail
    */
-  static async getUserActivity(userId, days = 30) {
+  static async getUserActivity(userId, { days = 30, page = 1, limit = 20, action = null, resourceType = null } = {}) {
     try {
       const user = await UserModel.findById(userId);
       if (!user) {
         throw new Error('User not found');
       }
 
-      // Get activity data from user model
-      const activity = await UserModel.getActivity(userId, days);
+      const filters = { days, action, resourceType };
+      const [activities, totalCount, summary] = await Promise.all([
+        ActivityLogModel.findByUserId(userId, { ...filters, page, limit }),
+        ActivityLogModel.countByUserId(userId, filters),
+        ActivityLogModel.getActionSummary(userId, days)
+      ]);
       
-      return { activity };
+      return {
+        activities: activities.map(activity => ActivityLogModel.formatActivity(activity)),
+        summary,
+        period: `${days} days`,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(totalCount / limit),
+          totalCount: totalCount,
+          hasNext: (page - 1) * limit + limit < totalCount,
+          hasPrev: page > 1
+        }
+      };
     } catch (error) {
       console.error('Get user activity error:', error);
       throw error;
@@ -205,6 +227,42 @@ class UserService {
       throw error;
     }
   }
+
+  /**
+   * Get user privacy settings
+   */
+  static async getPrivacySettings(userId) {
+    const user = await UserModel.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    return {
+      privacySettings: {
+        stripGpsOnUpload: user.strip_gps_on_upload === true
+      }
+    };
+  }
+
+  /**
+   * Update user privacy settings
+   */
+  static async updatePrivacySettings(userId, privacyData) {
+    const existingUser = await UserModel.findById(userId);
+    if (!existingUser) {
+      throw new Error('User not found');
+    }
+
+    const updatedSettings = await UserModel.updatePrivacySettings(userId, {
+      strip_gps_on_upload: privacyData.stripGpsOnUpload
+    });
+
+    return {
+      privacySettings: {
+        stripGpsOnUpload: updatedSettings.strip_gps_on_upload
+      }
+    };
+  }
 }
 
 module.exports = UserService; 
\ No newline at end of file
@@ -0,0 +1,77 @@
+const { storageConfig } = require('../config/storage.config');
+const LocalStorage = require('./local.storage');
+
+/**
+ * Storage
+ * Every driver implements the same interface:
+ *   put(key, body, { contentType })   store a buffer or readable stream
+ *   getStream(key, { start, end })    read stream (inclusive range), ENOENT when missing
+ *   delete(key)                       remove a file
+ *   stat(key)                         { size, lastModified, contentType, etag } or null
+ *   getSignedUrl(key, { expiresIn })  URL the file can be downloaded from
+ */
+
+let defaultStorage = null;
+
+/**
+ * Create a storage driver for a provider (local or aws)
+ */
+const createStorage = (provider = storageConfig.cloud.provider) => {
+  switch (provider) {
+    case 'local':
+      return new LocalStorage();
+    case 'aws':
+    case 's3': {
+      // aws-sdk is only loaded when S3 is actually used
+      const S3Storage = require('./s3.storage');
+      return new S3Storage(storageConfig.cloud.aws);
+    }
+    default:
+      throw new Error(`Unsupported storage provider: ${provider}`);
+  }
+};
+
+/**
+ * Get the storage driver selected by CLOUD_PROVIDER
+ */
+const getStorage = () => {
+  if (!defaultStorage) {
+    defaultStorage = createStorage();
+  }
+  return defaultStorage;
+};
+
+/**
+ * Get the URL of a stored file, through the CDN when one is configured
+ */
+const getFileUrl = (key) => {
+  const { cdn } = storageConfig;
+  const normalizedKey = key.replace(/\\/g, '/');
+
+  if (cdn.enabled && cdn.baseUrl) {
+    return `${cdn.baseUrl}/${normalizedKey.replace(/^\/?uploads\//, '')}`;
+  }
+
+  return getStorage().getSignedUrl(normalizedKey);
+};
+
+/**
+ * Read a whole stored file into a buffer
+ */
+const readFile = async (key, storage = getStorage()) => {
+  const stream = await storage.getStream(key);
+  const chunks = [];
+
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks);
+};
+
+module.exports = {
+  createStorage,
+  getStorage,
+  getFileUrl,
+  readFile
+};
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const FileUtils = require('../utils/file.utils');
+const MediaUtils = require('../utils/media.utils');
+
+/**
+ * Local Storage Driver
+ * Stores files on disk. Keys are paths relative to the root directory,
+ * e.g. uploads/photos/1/abc.jpg
+ */
+
+class LocalStorage {
+  constructor({ rootDir = process.cwd() } = {}) {
+    this.name = 'local';
+    this.rootDir = path.resolve(rootDir);
+  }
+
+  /**
+   * Resolve a key to an absolute path, refusing keys that escape the root directory
+   */
+  resolvePath(key) {
+    const fullPath = path.resolve(this.rootDir, key);
+
+    if (!fullPath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return fullPath;
+  }
+
+  /**
+   * Store a buffer or readable stream under a key
+   */
+  async put(key, body) {
+    const fullPath = this.resolvePath(key);
+    await FileUtils.ensureDirectoryExists(path.dirname(fullPath));
+
+    if (Buffer.isBuffer(body)) {
+      await fs.promises.writeFile(fullPath, body);
+    } else {
+      await pipeline(body, fs.createWriteStream(fullPath));
+    }
+
+    return { key };
+  }
+
+  /**
+   * Open a read stream, optionally for an inclusive byte range
+   * Rejects with code ENOENT when the file does not exist
+   */
+  async getStream(key, { start, end } = {}) {
+    const fullPath = this.resolvePath(key);
+
+    // Fail before any bytes are sent so callers can still answer 404
+    await fs.promises.access(fullPath);
+    return fs.createReadStream(fullPath, { start, end });
+  }
+
+  /**
+   * Delete a file; returns false when it did not exist
+   */
+  async delete(key) {
+    return FileUtils.deleteFileIfExists(this.resolvePath(key));
+  }
+
+  /**
+   * Get size, modification time, content type and ETag, or null when the file does not exist
+   */
+  async stat(key) {
+    try {
+      const stats = await fs.promises.stat(this.resolvePath(key));
+
+      if (!stats.isFile()) {
+        return null;
+      }
+
+      return {
+        size: stats.size,
+        lastModified: stats.mtime,
+        contentType: FileUtils.getMimeTypeFromExtension(path.extname(key)),
+        etag: `"${stats.size.toString(16)}-${stats.mtime.getTime().toString(16)}"`
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Short-lived URL of the media route that streams the file
+   */
+  getSignedUrl(key, { expiresIn } = {}) {
+    return MediaUtils.createSignedUrl(key.replace(/\\/g, '/'), { expiresIn });
+  }
+}
+
+module.exports = LocalStorage;
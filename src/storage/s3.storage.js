@@ -0,0 +1,113 @@
+const path = require('path');
+const AWS = require('aws-sdk');
+const FileUtils = require('../utils/file.utils');
+
+/**
+ * S3 Storage Driver
+ * Stores files in an S3 bucket or any S3-compatible service (MinIO, Ceph, R2...).
+ * Keys are used as object keys unchanged, so files keep the same key in every backend.
+ */
+
+class S3Storage {
+  constructor({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle = false, signedUrlExpiresIn = 3600 }) {
+    this.name = 'aws';
+    this.bucket = bucket;
+    this.signedUrlExpiresIn = signedUrlExpiresIn;
+    this.client = new AWS.S3({
+      region,
+      endpoint,
+      accessKeyId,
+      secretAccessKey,
+      // S3-compatible services usually don't support bucket subdomains
+      s3ForcePathStyle: forcePathStyle,
+      signatureVersion: 'v4'
+    });
+  }
+
+  /**
+   * Normalize a key to forward slashes
+   */
+  toObjectKey(key) {
+    return key.replace(/\\/g, '/');
+  }
+
+  /**
+   * Store a buffer or readable stream under a key
+   */
+  async put(key, body, { contentType } = {}) {
+    const objectKey = this.toObjectKey(key);
+
+    // upload() also handles streams of unknown length via multipart
+    await this.client.upload({
+      Bucket: this.bucket,
+      Key: objectKey,
+      Body: body,
+      ContentType: contentType || FileUtils.getMimeTypeFromExtension(path.extname(objectKey))
+    }).promise();
+
+    return { key };
+  }
+
+  /**
+   * Open a read stream, optionally for an inclusive byte range
+   * Rejects with code ENOENT when the object does not exist
+   */
+  async getStream(key, { start, end } = {}) {
+    // getObject streams only report a missing object once piped, so check first
+    const stats = await this.stat(key);
+    if (!stats) {
+      const error = new Error(`File not found: ${key}`);
+      error.code = 'ENOENT';
+      throw error;
+    }
+
+    const params = { Bucket: this.bucket, Key: this.toObjectKey(key) };
+    if (start !== undefined || end !== undefined) {
+      params.Range = `bytes=${start || 0}-${end !== undefined ? end : ''}`;
+    }
+
+    return this.client.getObject(params).createReadStream();
+  }
+
+  /**
+   * Delete an object; S3 doesn't report whether it existed
+   */
+  async delete(key) {
+    await this.client.deleteObject({ Bucket: this.bucket, Key: this.toObjectKey(key) }).promise();
+    return true;
+  }
+
+  /**
+   * Get size, modification time, content type and ETag, or null when the object does not exist
+   */
+  async stat(key) {
+    try {
+      const head = await this.client.headObject({ Bucket: this.bucket, Key: this.toObjectKey(key) }).promise();
+
+      return {
+        size: head.ContentLength,
+        lastModified: head.LastModified,
+        contentType: head.ContentType,
+        etag: head.ETag
+      };
+    } catch (error) {
+      if (error.code === 'NotFound' || error.statusCode === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Presigned GET URL for the object
+   */
+  getSignedUrl(key, { expiresIn = this.signedUrlExpiresIn } = {}) {
+    return this.client.getSignedUrl('getObject', {
+      Bucket: this.bucket,
+      Key: this.toObjectKey(key),
+      Expires: expiresIn
+    });
+  }
+}
+
+module.exports = S3Storage;
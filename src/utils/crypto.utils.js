@@ -1,4 +1,5 @@
 const crypto = require('crypto');
+const fs = require('fs');
 const bcrypt = require('bcryptjs');
 
 /**
@@ -57,6 +58,19 @@ class CryptoUtils {
     return crypto.createHash('md5').update(data).digest('hex');
   }
 
+  /**
+   * Hash a file on disk using MD5 without reading it into memory
+   */
+  static hashFileMD5(filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('md5');
+      fs.createReadStream(filePath)
+        .on('error', reject)
+        .on('data', data => hash.update(data))
+        .on('end', () => resolve(hash.digest('hex')));
+    });
+  }
+
   /**
    * Hash data using SHA256
    */
@@ -0,0 +1,307 @@
+const fs = require('fs');
+const exifr = require('exifr');
+const sharp = require('sharp');
+
+/**
+ * EXIF Utilities
+ * Extracts EXIF/XMP metadata from uploads and strips GPS data on request
+ */
+
+// Byte size of each TIFF field type, indexed by type id
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+const GPS_IFD_POINTER_TAG = 0x8825;
+
+// EXIF and XMP sit near the start of JPEG, HEIC, WebP and TIFF-based RAW files
+const GPS_STRIP_HEADER_BYTES = 1024 * 1024;
+
+const EXIF_PARSE_OPTIONS = {
+  tiff: true,
+  exif: true,
+  gps: true,
+  xmp: true,
+  ifd1: false,
+  icc: false,
+  iptc: false,
+  interop: false,
+  mergeOutput: true,
+  translateValues: false,
+  reviveValues: false
+};
+
+class ExifUtils {
+  /**
+   * Extract metadata stored on the photo row
+   * Accepts a buffer or a file path; exifr only reads the chunks it needs from a file
+   * Returns { exifData, takenAt, width, height, location }; fields are null when unavailable
+   */
+  static async extractMetadata(input) {
+    const [tags, dimensions] = await Promise.all([
+      exifr.parse(input, EXIF_PARSE_OPTIONS).catch(() => null),
+      this.getDimensions(input)
+    ]);
+
+    const exif = tags || {};
+    const gps = this.getGpsCoordinates(exif);
+    const width = dimensions.width || exif.ExifImageWidth || exif.ImageWidth || null;
+    const height = dimensions.height || exif.ExifImageHeight || exif.ImageHeight || null;
+
+    return {
+      exifData: this.buildExifData(exif, gps),
+      takenAt: this.getTakenAt(exif),
+      width,
+      height,
+      location: gps ? `${gps.latitude.toFixed(6)},${gps.longitude.toFixed(6)}` : null
+    };
+  }
+
+  /**
+   * Get display dimensions (after EXIF orientation) of formats sharp can decode
+   */
+  static async getDimensions(input) {
+    try {
+      const metadata = await sharp(input, { failOn: 'none' }).metadata();
+      // Orientations 5-8 are rotated by 90 degrees
+      const rotated = metadata.orientation >= 5;
+
+      return {
+        width: rotated ? metadata.height : metadata.width,
+        height: rotated ? metadata.width : metadata.height
+      };
+    } catch (error) {
+      // HEIC and most RAW formats fall back to the EXIF dimensions
+      return { width: null, height: null };
+    }
+  }
+
+  /**
+   * Pick the subset of tags kept in photos.exif_data
+   */
+  static buildExifData(exif, gps) {
+    const data = {
+      make: this.cleanString(exif.Make),
+      model: this.cleanString(exif.Model),
+      lensModel: this.cleanString(exif.LensModel),
+      software: this.cleanString(exif.Software),
+      orientation: this.toNumber(exif.Orientation),
+      exposureTime: this.toNumber(exif.ExposureTime),
+      fNumber: this.toNumber(exif.FNumber),
+      iso: this.toNumber(exif.ISO),
+      focalLength: this.toNumber(exif.FocalLength),
+      focalLengthIn35mm: this.toNumber(exif.FocalLengthIn35mmFormat),
+      flash: this.toNumber(exif.Flash),
+      dateTimeOriginal: this.cleanString(exif.DateTimeOriginal),
+      offsetTimeOriginal: this.cleanString(exif.OffsetTimeOriginal),
+      gps: gps
+    };
+
+    // Drop empty fields so JSONB containment queries stay simple
+    const entries = Object.entries(data).filter(([, value]) => value !== null && value !== undefined);
+    return entries.length > 0 ? Object.fromEntries(entries) : null;
+  }
+
+  /**
+   * Resolve capture time from EXIF, falling back to XMP
+   * Without an offset the camera's wall-clock time is stored as UTC so date buckets match what the camera showed
+   */
+  static getTakenAt(exif) {
+    const raw = exif.DateTimeOriginal || exif.CreateDate || exif.DateCreated || exif.DateTime;
+    if (!raw) {
+      return null;
+    }
+
+    const match = String(raw).match(/^(\d{4})[:-](\d{2})[:-](\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+    if (!match) {
+      const parsed = new Date(raw);
+      return Number.isNaN(parsed.getTime()) ? null : parsed;
+    }
+
+    const [, year, month, day, hour, minute, second] = match;
+    const offset = this.cleanString(exif.OffsetTimeOriginal || exif.OffsetTime);
+    const zone = offset && /^[+-]\d{2}:\d{2}$/.test(offset) ? offset : 'Z';
+    const takenAt = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${zone}`);
+
+    // Cameras without a clock set write 0000:00:00 00:00:00
+    return Number.isNaN(takenAt.getTime()) || takenAt.getUTCFullYear() < 1900 ? null : takenAt;
+  }
+
+  /**
+   * Get decimal GPS coordinates
+   */
+  static getGpsCoordinates(exif) {
+    const latitude = this.toNumber(exif.latitude);
+    const longitude = this.toNumber(exif.longitude);
+
+    if (latitude === null || longitude === null || (latitude === 0 && longitude === 0)) {
+      return null;
+    }
+
+    const altitude = this.toNumber(exif.GPSAltitude);
+    return {
+      latitude,
+      longitude,
+      ...(altitude !== null && { altitude: exif.GPSAltitudeRef === 1 ? -altitude : altitude })
+    };
+  }
+
+  /**
+   * Remove GPS data from the file without re-encoding it
+   * Blanks the EXIF GPS IFD (JPEG, HEIC, WebP and TIFF-based RAW) and XMP GPS properties in place,
+   * so the file keeps its size, image data and remaining metadata
+   */
+  static stripGps(buffer) {
+    const output = Buffer.from(buffer);
+    const tiffStart = this.findTiffHeader(output);
+
+    if (tiffStart !== -1) {
+      this.clearGpsIfd(output, tiffStart);
+    }
+
+    this.clearXmpGps(output);
+    return output;
+  }
+
+  /**
+   * Remove GPS data from a file on disk in place, rewriting only its header
+   * Throws when GPS data is still found afterwards, so a location is never stored by mistake
+   */
+  static async stripGpsFromFile(filePath) {
+    const handle = await fs.promises.open(filePath, 'r+');
+
+    try {
+      const header = Buffer.alloc(GPS_STRIP_HEADER_BYTES);
+      const { bytesRead } = await handle.read(header, 0, header.length, 0);
+      const stripped = this.stripGps(header.subarray(0, bytesRead));
+      await handle.write(stripped, 0, bytesRead, 0);
+    } finally {
+      await handle.close();
+    }
+
+    const gps = await exifr.gps(filePath).catch(() => null);
+    if (gps && (Number.isFinite(gps.latitude) || Number.isFinite(gps.longitude))) {
+      throw new Error('GPS data could not be removed from the file');
+    }
+  }
+
+  /**
+   * Locate the TIFF header holding EXIF IFDs
+   */
+  static findTiffHeader(buffer) {
+    const isTiffHeader = (offset) => {
+      const order = buffer.toString('latin1', offset, offset + 2);
+      if (order === 'II') return buffer.readUInt16LE(offset + 2) === 42;
+      if (order === 'MM') return buffer.readUInt16BE(offset + 2) === 42;
+      return false;
+    };
+
+    // TIFF, DNG, CR2, NEF, ARW... are TIFF files themselves
+    if (buffer.length >= 8 && isTiffHeader(0)) {
+      return 0;
+    }
+
+    // JPEG APP1, HEIC Exif item and WebP EXIF chunk prefix the header with "Exif\0\0"
+    let marker = buffer.indexOf('Exif\0\0', 0, 'latin1');
+    while (marker !== -1) {
+      const offset = marker + 6;
+      if (offset + 8 <= buffer.length && isTiffHeader(offset)) {
+        return offset;
+      }
+      marker = buffer.indexOf('Exif\0\0', marker + 1, 'latin1');
+    }
+
+    return -1;
+  }
+
+  /**
+   * Zero every GPS IFD entry and its out-of-line values
+   */
+  static clearGpsIfd(buffer, tiffStart) {
+    const littleEndian = buffer.toString('latin1', tiffStart, tiffStart + 2) === 'II';
+    const readUInt16 = (offset) => littleEndian ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset);
+    const readUInt32 = (offset) => littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset);
+    const inBounds = (offset, length) => offset >= 0 && offset + length <= buffer.length;
+
+    const ifd0 = tiffStart + readUInt32(tiffStart + 4);
+    if (!inBounds(ifd0, 2)) {
+      return false;
+    }
+
+    let gpsIfd = null;
+    const ifd0Entries = readUInt16(ifd0);
+    for (let i = 0; i < ifd0Entries; i++) {
+      const entry = ifd0 + 2 + i * 12;
+      if (!inBounds(entry, 12)) break;
+
+      if (readUInt16(entry) === GPS_IFD_POINTER_TAG) {
+        gpsIfd = tiffStart + readUInt32(entry + 8);
+        break;
+      }
+    }
+
+    if (gpsIfd === null || !inBounds(gpsIfd, 2)) {
+      return false;
+    }
+
+    const gpsEntries = readUInt16(gpsIfd);
+    for (let i = 0; i < gpsEntries; i++) {
+      const entry = gpsIfd + 2 + i * 12;
+      if (!inBounds(entry, 12)) break;
+
+      const size = (TIFF_TYPE_SIZES[readUInt16(entry + 2)] || 0) * readUInt32(entry + 4);
+      if (size > 4) {
+        const valueOffset = tiffStart + readUInt32(entry + 8);
+        if (inBounds(valueOffset, size)) {
+          buffer.fill(0, valueOffset, valueOffset + size);
+        }
+      }
+      buffer.fill(0, entry, entry + 12);
+    }
+
+    // An empty IFD: zero entries, next-IFD pointer (already zeroed) follows
+    buffer.fill(0, gpsIfd, gpsIfd + 2);
+    return true;
+  }
+
+  /**
+   * Blank exif:GPS* properties in XMP packets, padding with spaces to keep byte offsets intact
+   */
+  static clearXmpGps(buffer) {
+    if (buffer.indexOf('exif:GPS', 0, 'latin1') === -1) {
+      return false;
+    }
+
+    // latin1 maps bytes 1:1, so the string round-trips to the same length
+    const text = buffer.toString('latin1');
+    const blanked = text
+      .replace(/(exif:GPS\w+)="[^"]*"/g, (match, name) => `${name}=""`.padEnd(match.length, ' '))
+      .replace(/<(exif:GPS\w+)>([^<]*)<\/\1>/g, (match, name, value) => `<${name}>${' '.repeat(value.length)}</${name}>`);
+
+    buffer.write(blanked, 0, 'latin1');
+    return true;
+  }
+
+  /**
+   * Trim EXIF strings (often NUL padded)
+   */
+  static cleanString(value) {
+    if (value === null || value === undefined) {
+      return null;
+    }
+
+    const cleaned = String(value).replace(/\0/g, '').trim();
+    return cleaned || null;
+  }
+
+  /**
+   * Convert EXIF numeric values (numbers or [numerator, denominator]) to a finite number
+   */
+  static toNumber(value) {
+    if (Array.isArray(value) && value.length === 2) {
+      value = value[1] ? value[0] / value[1] : null;
+    }
+
+    const number = typeof value === 'number' ? value : parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+  }
+}
+
+module.exports = ExifUtils;
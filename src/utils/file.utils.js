@@ -172,76 +172,19 @@ class FileUtils {
     // Create full file path
     const filePath = path.join(uploadDir, uniqueFilename);
     
-    // Create relative path for URL and storage reference
+    // Create relative path used as the storage key
     const relativePath = path.join('uploads', 'photos', userId.toString(), uniqueFilename);
     
-    // Create relative URL for access
-    const fileUrl = `/uploads/photos/${userId}/${uniqueFilename}`;
-    
     return {
       directory: uploadDir,
       filename: uniqueFilename,
       filePath: filePath,
       relativePath: relativePath,
-      fileUrl: fileUrl,
       originalName: originalFilename,
       mimetype: mimetype
     };
   }
 
-  /**
-   * Save file buffer to local storage
-   */
-  static async saveFileToLocal(buffer, filePath) {
-    try {
-      // Ensure directory exists
-      const directory = path.dirname(filePath);
-      await this.ensureDirectoryExists(directory);
-      
-      // Write file to disk
-      await fs.writeFile(filePath, buffer);
-      
-      return {
-        success: true,
-        filePath: filePath,
-        size: buffer.length
-      };
-    } catch (error) {
-      console.error('Save file to local error:', error);
-      throw new Error(`Failed to save file: ${error.message}`);
-    }
-  }
-
-  /**
-   * Generate local file URL for accessing stored files
-   */
-  static generateLocalFileUrl(relativePath) {
-    // Ensure path starts with /
-    if (!relativePath.startsWith('/')) {
-      relativePath = '/' + relativePath;
-    }
-    return relativePath;
-  }
-
-  /**
-   * Delete file from local storage
-   */
-  static async deleteFileFromLocal(relativePath) {
-    try {
-      // Convert relative path to absolute
-      const fullPath = path.join(process.cwd(), relativePath);
-      await this.deleteFileIfExists(fullPath);
-      
-      return {
-        success: true,
-        deletedPath: relativePath
-      };
-    } catch (error) {
-      console.error('Delete file from local error:', error);
-      throw new Error(`Failed to delete file: ${error.message}`);
-    }
-  }
-
   /**
    * Check if local storage is available and has space
    */
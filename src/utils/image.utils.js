@@ -0,0 +1,103 @@
+const path = require('path');
+const sharp = require('sharp');
+const { getStorage } = require('../storage');
+const { storageConfig } = require('../config/storage.config');
+
+/**
+ * Image Utilities
+ * Generates resized renditions of uploaded photos
+ */
+
+class ImageUtils {
+  /**
+   * Get configured rendition sizes ordered from smallest to largest
+   */
+  static getRenditionSizes() {
+    return Object.entries(storageConfig.renditions.sizes)
+      .sort(([, a], [, b]) => a - b);
+  }
+
+  /**
+   * Build rendition file paths next to the original
+   * e.g. uploads/photos/1/abc.heic -> uploads/photos/1/abc_small.jpg / abc_small.webp
+   */
+  static getRenditionPaths(relativePath, sizeName) {
+    const parsed = path.parse(relativePath);
+    const base = path.join(parsed.dir, `${parsed.name}_${sizeName}`);
+
+    return {
+      path: `${base}.jpg`,
+      webpPath: `${base}.webp`
+    };
+  }
+
+  /**
+   * Generate JPEG and WebP renditions for every configured size
+   * Accepts a buffer or a file path
+   * Returns a map of size name -> { path, webpPath, width, height }
+   */
+  static async generateRenditions(input, relativePath) {
+    const { jpegQuality, webpQuality } = storageConfig.renditions;
+    const renditions = {};
+    const written = [];
+
+    try {
+      for (const [sizeName, maxDimension] of this.getRenditionSizes()) {
+        const paths = this.getRenditionPaths(relativePath, sizeName);
+
+        // Apply EXIF orientation once, then never upscale beyond the original
+        const resized = sharp(input, { failOn: 'none' })
+          .rotate()
+          .resize(maxDimension, maxDimension, { fit: 'inside', withoutEnlargement: true });
+
+        const jpeg = await resized
+          .clone()
+          .flatten({ background: '#ffffff' })
+          .jpeg({ quality: jpegQuality, mozjpeg: true })
+          .toBuffer({ resolveWithObject: true });
+
+        const webp = await resized
+          .clone()
+          .webp({ quality: webpQuality })
+          .toBuffer();
+
+        await getStorage().put(paths.path, jpeg.data, { contentType: 'image/jpeg' });
+        written.push(paths.path);
+        await getStorage().put(paths.webpPath, webp, { contentType: 'image/webp' });
+        written.push(paths.webpPath);
+
+        renditions[sizeName] = {
+          path: paths.path,
+          webpPath: paths.webpPath,
+          width: jpeg.info.width,
+          height: jpeg.info.height
+        };
+      }
+    } catch (error) {
+      // Don't leave a partial set behind
+      await Promise.all(written.map(filePath =>
+        getStorage().delete(filePath).catch(() => null)
+      ));
+      throw new Error(`Failed to generate renditions: ${error.message}`);
+    }
+
+    return renditions;
+  }
+
+  /**
+   * Delete rendition files of a photo
+   */
+  static async deleteRenditions(renditions) {
+    if (!renditions) {
+      return;
+    }
+
+    const files = Object.values(renditions)
+      .flatMap(rendition => [rendition.path, rendition.webpPath])
+      .filter(Boolean);
+
+    await Promise.all(files.map(filePath => getStorage().delete(filePath)));
+  }
+}
+
+module.exports = ImageUtils;
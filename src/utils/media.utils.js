@@ -0,0 +1,91 @@
+const { storageConfig } = require('../config/storage.config');
+const { appConfig } = require('../config/app.config');
+const { authConfig } = require('../config/auth.config');
+const CryptoUtils = require('./crypto.utils');
+
+// Expiry times are rounded up to this step so repeated listings return the same URL and browsers can cache it
+const EXPIRY_STEP_SECONDS = 60;
+
+/**
+ * Media Utilities
+ * Signed media URLs and HTTP Range parsing for the media route
+ */
+
+class MediaUtils {
+  /**
+   * Secret used to sign media URLs
+   */
+  static getSecret() {
+    return storageConfig.media.urlSecret || authConfig.jwt.secret;
+  }
+
+  /**
+   * Sign a storage key together with its expiry (unix seconds)
+   */
+  static signKey(key, expires) {
+    return CryptoUtils.generateHMAC(`${key}:${expires}`, this.getSecret());
+  }
+
+  /**
+   * Create a short-lived URL that streams a stored file without further checks
+   */
+  static createSignedUrl(key, { expiresIn = storageConfig.media.signedUrlExpiresIn } = {}) {
+    const now = Math.floor(Date.now() / 1000);
+    const expires = Math.ceil((now + expiresIn) / EXPIRY_STEP_SECONDS) * EXPIRY_STEP_SECONDS;
+    const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+
+    return `${appConfig.api.v2Prefix}/media/signed/${encodedKey}?expires=${expires}&signature=${this.signKey(key, expires)}`;
+  }
+
+  /**
+   * Check the signature and expiry of a signed media URL
+   */
+  static verifySignature(key, expires, signature) {
+    if (!Number.isInteger(expires) || expires <= Math.floor(Date.now() / 1000)) {
+      return false;
+    }
+
+    return CryptoUtils.constantTimeCompare(this.signKey(key, expires), signature);
+  }
+
+  /**
+   * Parse a single-range Range header against the file size
+   * Returns null to send the whole file, { start, end } (inclusive) or -1 when unsatisfiable
+   */
+  static parseRange(header, size) {
+    if (!header) {
+      return null;
+    }
+
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+
+    // Multiple or malformed ranges are ignored and the whole file is sent
+    if (!match || (match[1] === '' && match[2] === '')) {
+      return null;
+    }
+
+    let start;
+    let end;
+
+    if (match[1] === '') {
+      // Suffix range: the last n bytes
+      const suffixLength = parseInt(match[2]);
+      if (suffixLength === 0) {
+        return -1;
+      }
+      start = Math.max(size - suffixLength, 0);
+      end = size - 1;
+    } else {
+      start = parseInt(match[1]);
+      end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2]), size - 1);
+    }
+
+    if (start >= size || start > end) {
+      return -1;
+    }
+
+    return { start, end };
+  }
+}
+
+module.exports = MediaUtils;
@@ -1,4 +1,5 @@
 const { pool } = require('../config/database.config');
+const BlockModel = require('../models/block.model');
 
 /**
  * Permission utilities for photo and album access control
@@ -22,6 +23,58 @@ class PermissionUtils {
     return result.rows.length > 0;
   }
 
+  /**
+   * Check if the owner has put the viewer on their close-friends list
+   * @param {number} ownerId - User whose close-friends list is checked
+   * @param {number} viewerId - User requesting access
+   * @returns {Promise<boolean>} True if viewer is one of owner's close friends
+   */
+  static async isCloseFriend(ownerId, viewerId) {
+    const query = `
+      SELECT 1 FROM friendships 
+      WHERE status = 'accepted'
+      AND (
+        (requester_id = $1 AND addressee_id = $2 AND requester_marked_close = true)
+        OR (addressee_id = $1 AND requester_id = $2 AND addressee_marked_close = true)
+      )
+    `;
+    
+    const result = await pool.query(query, [ownerId, viewerId]);
+    return result.rows.length > 0;
+  }
+
+  /**
+   * SQL condition mirroring the permission types of checkPhotoPermission (without owner and block
+   * checks) for the viewer bound to the given parameter; 'private' matches nobody
+   * @param {string} viewerParam - Query parameter holding the viewer ID, e.g. '$2'
+   * @param {Object} columns - Owner, permission type and custom group columns of the checked row
+   * @returns {string} SQL condition
+   */
+  static buildAudienceCondition(viewerParam, { ownerColumn, typeColumn, groupColumn }) {
+    return `(
+        ${typeColumn} = 'public' OR
+        (${typeColumn} = 'friends' AND EXISTS (
+          SELECT 1 FROM friendships f
+          WHERE f.status = 'accepted'
+          AND ((f.requester_id = ${viewerParam} AND f.addressee_id = ${ownerColumn}) OR (f.requester_id = ${ownerColumn} AND f.addressee_id = ${viewerParam}))
+        )) OR
+        (${typeColumn} = 'close_friends' AND EXISTS (
+          SELECT 1 FROM friendships f
+          WHERE f.status = 'accepted'
+          AND (
+            (f.requester_id = ${ownerColumn} AND f.addressee_id = ${viewerParam} AND f.requester_marked_close = true) OR
+            (f.addressee_id = ${ownerColumn} AND f.requester_id = ${viewerParam} AND f.addressee_marked_close = true)
+          )
+        )) OR
+        (${typeColumn} = 'custom' AND EXISTS (
+          SELECT 1 FROM permission_groups pg
+          JOIN permission_group_members pgm ON pgm.group_id = pg.id
+          WHERE pg.id = ${groupColumn} AND pg.user_id = ${ownerColumn}
+          AND pg.is_deleted = false AND pgm.user_id = ${viewerParam}
+        ))
+      )`;
+  }
+
   /**
    * Check photo permission for a user
    * @param {number} currentUserId - User requesting access
@@ -36,17 +89,28 @@ class PermissionUtils {
       return { hasPermission: true, reason: 'Owner access' };
     }
 
+    // Blocked users don't see each other's photos, whatever the permission
+    if (await BlockModel.isBlockedBetween(currentUserId, photoOwnerId)) {
+      return { hasPermission: false, reason: 'User is blocked' };
+    }
+
     switch (permissionType) {
       case 'public':
         return { hasPermission: true, reason: 'Public access' };
         
       case 'friends':
-      case 'close_friends':
         const isFriend = await this.areFriends(currentUserId, photoOwnerId);
         return { 
           hasPermission: isFriend, 
           reason: isFriend ? 'Friend access' : 'Not friends' 
         };
+
+      case 'close_friends':
+        const isCloseFriend = await this.isCloseFriend(photoOwnerId, currentUserId);
+        return { 
+          hasPermission: isCloseFriend, 
+          reason: isCloseFriend ? 'Close friend access' : 'Not a close friend' 
+        };
         
       case 'custom':
         if (!customGroupId) {
@@ -54,18 +118,18 @@ class PermissionUtils {
         }
         
         const customGroupQuery = `
-          SELECT allowed_user_ids 
-          FROM access_permissions 
-          WHERE id = $1 AND user_id = $2
+          SELECT pg.id, pgm.user_id as member_id
+          FROM permission_groups pg
+          LEFT JOIN permission_group_members pgm ON pgm.group_id = pg.id AND pgm.user_id = $3
+          WHERE pg.id = $1 AND pg.user_id = $2 AND pg.is_deleted = false
         `;
-        const customGroupResult = await pool.query(customGroupQuery, [customGroupId, photoOwnerId]);
+        const customGroupResult = await pool.query(customGroupQuery, [customGroupId, photoOwnerId, currentUserId]);
         
         if (customGroupResult.rows.length === 0) {
           return { hasPermission: false, reason: 'Custom group not found' };
         }
         
-        const allowedUserIds = customGroupResult.rows[0].allowed_user_ids || [];
-        const hasAccess = allowedUserIds.includes(currentUserId);
+        const hasAccess = customGroupResult.rows[0].member_id !== null;
         return { 
           hasPermission: hasAccess, 
           reason: hasAccess ? 'Custom group access' : 'Not in custom group' 
@@ -84,10 +148,10 @@ class PermissionUtils {
    */
   static async checkAlbumPermission(currentUserId, albumId) {
     const albumQuery = `
-      SELECT a.id, a.user_id, a.privacy_type, u.username, u.display_name
+      SELECT a.id, a.user_id, a.privacy_type, a.custom_group_id, u.username, u.display_name
       FROM albums a
       JOIN users u ON a.user_id = u.id
-      WHERE a.id = $1
+      WHERE a.id = $1 AND a.is_deleted = false
     `;
 
     const albumResult = await pool.query(albumQuery, [albumId]);
@@ -103,37 +167,37 @@ class PermissionUtils {
       return { hasPermission: true, reason: 'Owner access', album };
     }
 
+    if (await BlockModel.isBlockedBetween(currentUserId, album.user_id)) {
+      return { hasPermission: false, reason: 'User is blocked', album };
+    }
+
     // Check if album is shared with current user
-    const shareQuery = `
-      SELECT 1 FROM photo_shares 
-      WHERE sharer_id = $1 AND recipient_id = $2 AND album_id = $3 AND is_active = TRUE
-      AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
-    `;
-    const shareResult = await pool.query(shareQuery, [album.user_id, currentUserId, albumId]);
+    if (currentUserId) {
+      const shareQuery = `
+        SELECT 1 FROM album_shares
+        WHERE shared_by = $1 AND shared_with = $2 AND album_id = $3 AND is_active = TRUE
+        AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+      `;
+      const shareResult = await pool.query(shareQuery, [album.user_id, currentUserId, albumId]);
 
-    if (shareResult.rows.length > 0) {
-      return { hasPermission: true, reason: 'Shared access', album };
+      if (shareResult.rows.length > 0) {
+        return { hasPermission: true, reason: 'Shared access', album };
+      }
     }
 
-    // Check privacy type
+    // Check privacy type; non-private albums use the same audiences as photos
     if (album.privacy_type === 'private') {
       return { hasPermission: false, reason: 'Private album', album };
     }
 
-    if (album.privacy_type === 'friends') {
-      const isFriend = await this.areFriends(currentUserId, album.user_id);
-      return { 
-        hasPermission: isFriend, 
-        reason: isFriend ? 'Friend access' : 'Not friends',
-        album 
-      };
-    }
-
-    if (album.privacy_type === 'public') {
-      return { hasPermission: true, reason: 'Public access', album };
-    }
+    const permission = await this.checkPhotoPermission(
+      currentUserId,
+      album.user_id,
+      album.privacy_type,
+      album.custom_group_id
+    );
 
-    return { hasPermission: false, reason: 'Access denied', album };
+    return { ...permission, album };
   }
 
   /**
@@ -190,7 +254,7 @@ class PermissionUtils {
         query = 'SELECT 1 FROM albums WHERE id = $1 AND user_id = $2';
         break;
       case 'device':
-        query = 'SELECT 1 FROM device_sync_status WHERE id = $1 AND user_id = $2';
+        query = 'SELECT 1 FROM device_sync WHERE id = $1 AND user_id = $2';
         break;
       case 'share':
         query = 'SELECT 1 FROM photo_shares WHERE id = $1 AND sharer_id = $2';
@@ -245,6 +309,7 @@ class PermissionUtils {
 // Export individual functions for easier importing
 const checkPhotoPermission = PermissionUtils.checkPhotoPermission.bind(PermissionUtils);
 const checkFriendship = PermissionUtils.areFriends.bind(PermissionUtils);
+const checkCloseFriendship = PermissionUtils.isCloseFriend.bind(PermissionUtils);
 const checkAlbumPermission = PermissionUtils.checkAlbumPermission.bind(PermissionUtils);
 const isOwner = PermissionUtils.isOwner.bind(PermissionUtils);
 
@@ -252,6 +317,7 @@ module.exports = {
   PermissionUtils,
   checkPhotoPermission,
   checkFriendship,
+  checkCloseFriendship,
   checkAlbumPermission,
   isOwner
 }; 
\ No newline at end of file
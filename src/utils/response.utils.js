@@ -123,6 +123,41 @@ class ResponseUtils {
     return this.success(res, message, data, 201);
   }
 
+  /**
+   * Build a success result object for services that return results instead of responding
+   * @param {string} message - Success message
+   * @param {Object} data - Response data (optional)
+   * @returns {Object} Result with success flag
+   */
+  static createSuccessResponse(message, data = null) {
+    const response = {
+      success: true,
+      message,
+      timestamp: new Date().toISOString()
+    };
+
+    if (data !== null) {
+      response.data = data;
+    }
+
+    return response;
+  }
+
+  /**
+   * Build an error result object for services that return results instead of throwing
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status code the controller should use (default: 500)
+   * @returns {Object} Result with success flag and status code
+   */
+  static createErrorResponse(message, statusCode = 500) {
+    return {
+      success: false,
+      message,
+      statusCode,
+      timestamp: new Date().toISOString()
+    };
+  }
+
   /**
    * No content response (204)
    * @param {Object} res - Express response object
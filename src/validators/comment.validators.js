@@ -0,0 +1,61 @@
+const { body, param, query } = require('express-validator');
+
+/**
+ * Validation schemas for photo comment operations
+ */
+
+const createCommentValidation = [
+  param('photoId')
+    .isInt({ min: 1 })
+    .withMessage('Photo ID must be a positive integer'),
+  
+  body('comment')
+    .trim()
+    .notEmpty()
+    .withMessage('Comment is required')
+    .isLength({ max: 2000 })
+    .withMessage('Comment must not exceed 2000 characters'),
+  
+  body('parentCommentId')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Parent comment ID must be a positive integer')
+];
+
+const updateCommentValidation = [
+  param('commentId')
+    .isInt({ min: 1 })
+    .withMessage('Comment ID must be a positive integer'),
+  
+  body('comment')
+    .trim()
+    .notEmpty()
+    .withMessage('Comment is required')
+    .isLength({ max: 2000 })
+    .withMessage('Comment must not exceed 2000 characters')
+];
+
+const commentIdValidation = [
+  param('commentId')
+    .isInt({ min: 1 })
+    .withMessage('Comment ID must be a positive integer')
+];
+
+const commentsQueryValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+];
+
+module.exports = {
+  createCommentValidation,
+  updateCommentValidation,
+  commentIdValidation,
+  commentsQueryValidation
+};
@@ -1,4 +1,4 @@
-const { body, query } = require('express-validator');
+const { body, param, query } = require('express-validator');
 
 /**
  * Device Sync Validators
@@ -18,7 +18,15 @@ const deviceRegistrationValidation = [
     .withMessage('Device name must not exceed 255 characters'),
   body('deviceType')
     .isIn(['android', 'ios', 'windows', 'mac', 'web'])
-    .withMessage('Device type must be one of: android, ios, windows, mac, web')
+    .withMessage('Device type must be one of: android, ios, windows, mac, web'),
+  body('platform')
+    .optional()
+    .isLength({ max: 50 })
+    .withMessage('Platform must not exceed 50 characters'),
+  body('appVersion')
+    .optional()
+    .isLength({ max: 50 })
+    .withMessage('App version must not exceed 50 characters')
 ];
 
 const deviceSyncValidation = [
@@ -46,32 +54,179 @@ const deviceSyncValidation = [
     .withMessage('Captured at must be a valid ISO8601 date')
 ];
 
-const bulkUploadValidation = [
+const sessionTotalsValidation = [
+  body('filesTotal')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Files total must be a non-negative integer')
+    .toInt(),
+  body('bytesTotal')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Bytes total must be a non-negative integer')
+    .toInt()
+];
+
+const syncSessionValidation = [
+  body('deviceId')
+    .notEmpty()
+    .withMessage('Device ID is required')
+    .isLength({ max: 255 })
+    .withMessage('Device ID must not exceed 255 characters'),
+  ...sessionTotalsValidation
+];
+
+const sessionTokenValidation = [
+  param('sessionToken')
+    .isUUID()
+    .withMessage('Session token must be a valid UUID')
+];
+
+const syncSessionUpdateValidation = [
+  ...sessionTokenValidation,
+  ...sessionTotalsValidation
+];
+
+const syncSessionFailValidation = [
+  ...sessionTokenValidation,
+  body('errorMessage')
+    .trim()
+    .notEmpty()
+    .withMessage('Error message is required')
+    .isLength({ max: 2000 })
+    .withMessage('Error message must not exceed 2000 characters')
+];
+
+const manifestValidation = [
+  body('deviceId')
+    .notEmpty()
+    .withMessage('Device ID is required'),
+  body('files')
+    .isArray({ min: 1, max: 1000 })
+    .withMessage('Files must be an array of 1 to 1000 entries'),
+  body('files.*.localPath')
+    .notEmpty()
+    .withMessage('Local path is required for each file')
+    .isLength({ max: 1000 })
+    .withMessage('Local path must not exceed 1000 characters'),
+  body('files.*.hash')
+    .matches(/^[a-fA-F0-9]{32}$/)
+    .withMessage('Hash must be a 32 character MD5 hex string'),
+  body('files.*.size')
+    .isInt({ min: 1 })
+    .withMessage('File size must be a positive integer')
+    .toInt(),
+  body('files.*.modified')
+    .optional()
+    .isISO8601()
+    .withMessage('Modified must be a valid ISO8601 date')
+];
+
+const changesValidation = [
+  query('deviceId')
+    .notEmpty()
+    .withMessage('Device ID is required'),
+  query('cursor')
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Cursor must be a valid changes cursor'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Limit must be between 1 and 500')
+];
+
+const localDeletionsValidation = [
+  body('deviceId')
+    .notEmpty()
+    .withMessage('Device ID is required'),
+  body('localPaths')
+    .isArray({ min: 1, max: 1000 })
+    .withMessage('Local paths must be an array of 1 to 1000 entries'),
+  body('localPaths.*')
+    .isString()
+    .notEmpty()
+    .withMessage('Each local path must be a non-empty string')
+    .isLength({ max: 1000 })
+    .withMessage('Local path must not exceed 1000 characters')
+];
+
+const createUploadValidation = [
+  ...sessionTokenValidation,
+  body('localPath')
+    .notEmpty()
+    .withMessage('Local path is required'),
+  body('fileName')
+    .notEmpty()
+    .withMessage('File name is required')
+    .isLength({ max: 255 })
+    .withMessage('File name must not exceed 255 characters'),
+  body('mimeType')
+    .notEmpty()
+    .withMessage('MIME type is required'),
+  body('fileSize')
+    .isInt({ min: 1 })
+    .withMessage('File size must be a positive integer')
+    .toInt(),
+  body('md5')
+    .matches(/^[a-fA-F0-9]{32}$/)
+    .withMessage('MD5 must be a 32 character hex string'),
+  body('localModified')
+    .optional()
+    .isISO8601()
+    .withMessage('Local modified must be a valid ISO8601 date'),
+  body('caption')
+    .optional()
+    .isLength({ max: 2000 })
+    .withMessage('Caption must not exceed 2000 characters'),
   body('permissionType')
+    .optional()
     .isIn(['public', 'friends', 'close_friends', 'custom'])
     .withMessage('Permission type must be one of: public, friends, close_friends, custom'),
   body('customGroupId')
     .optional()
     .isInt({ min: 1 })
-    .withMessage('Custom group ID must be a positive integer'),
-  body('sessionType')
-    .optional()
-    .isIn(['initial_sync', 'auto_sync', 'manual_sync'])
-    .withMessage('Session type must be one of: initial_sync, auto_sync, manual_sync')
+    .withMessage('Custom group ID must be a positive integer')
+    .toInt()
+];
+
+const uploadIdValidation = [
+  param('uploadId')
+    .isUUID()
+    .withMessage('Upload ID must be a valid UUID')
+];
+
+const uploadChunkValidation = [
+  ...uploadIdValidation,
+  query('offset')
+    .isInt({ min: 0 })
+    .withMessage('Offset must be a non-negative integer')
 ];
 
 const syncSettingsValidation = [
-  body('autoSyncEnabled')
+  body('deviceId')
+    .notEmpty()
+    .withMessage('Device ID is required'),
+  body('syncEnabled')
+    .optional()
     .isBoolean()
-    .withMessage('Auto sync enabled must be a boolean'),
-  body('autoSyncPermissionType')
+    .withMessage('Sync enabled must be a boolean')
+    .toBoolean(),
+  body('autoBackup')
     .optional()
-    .isIn(['public', 'friends', 'close_friends', 'custom'])
-    .withMessage('Permission type must be one of: public, friends, close_friends, custom'),
-  body('autoSyncCustomGroupId')
+    .isBoolean()
+    .withMessage('Auto backup must be a boolean')
+    .toBoolean(),
+  body('wifiOnly')
     .optional()
-    .isInt({ min: 1 })
-    .withMessage('Custom group ID must be a positive integer')
+    .isBoolean()
+    .withMessage('Wi-Fi only must be a boolean')
+    .toBoolean(),
+  body('deletionPolicy')
+    .optional()
+    .isIn(['mirror', 'ignore'])
+    .withMessage('Deletion policy must be either mirror or ignore')
 ];
 
 const deviceIdValidation = [
@@ -83,7 +238,16 @@ const deviceIdValidation = [
 module.exports = {
   deviceRegistrationValidation,
   deviceSyncValidation,
-  bulkUploadValidation,
+  syncSessionValidation,
+  sessionTokenValidation,
+  syncSessionUpdateValidation,
+  syncSessionFailValidation,
+  manifestValidation,
+  changesValidation,
+  localDeletionsValidation,
+  createUploadValidation,
+  uploadIdValidation,
+  uploadChunkValidation,
   syncSettingsValidation,
   deviceIdValidation
 }; 
\ No newline at end of file
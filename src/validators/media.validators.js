@@ -0,0 +1,42 @@
+const { param, query } = require('express-validator');
+
+/**
+ * Validation schemas for media delivery
+ */
+
+const signedMediaValidation = [
+  query('expires')
+    .isInt({ min: 1 })
+    .withMessage('Expires must be a unix timestamp'),
+
+  query('signature')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Signature must be a 64 character hex string')
+];
+
+const photoMediaValidation = [
+  param('photoId')
+    .isInt({ min: 1 })
+    .withMessage('Photo ID must be a positive integer'),
+
+  query('variant')
+    .optional()
+    .isIn(['original', 'small', 'medium', 'large'])
+    .withMessage('Variant must be one of: original, small, medium, large'),
+
+  query('format')
+    .optional()
+    .isIn(['jpeg', 'webp'])
+    .withMessage('Format must be one of: jpeg, webp'),
+
+  query('shareToken')
+    .optional()
+    .isUUID()
+    .withMessage('Share token must be a valid UUID')
+];
+
+module.exports = {
+  signedMediaValidation,
+  photoMediaValidation
+};
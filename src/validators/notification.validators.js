@@ -0,0 +1,33 @@
+const { param, query } = require('express-validator');
+
+/**
+ * Validation schemas for notification operations
+ */
+
+const notificationIdValidation = [
+  param('notificationId')
+    .isInt({ min: 1 })
+    .withMessage('Notification ID must be a positive integer')
+];
+
+const notificationsQueryValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+  
+  query('unreadOnly')
+    .optional()
+    .isBoolean()
+    .withMessage('unreadOnly must be a boolean')
+];
+
+module.exports = {
+  notificationIdValidation,
+  notificationsQueryValidation
+};
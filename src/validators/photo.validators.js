@@ -4,6 +4,21 @@ const { body, param, query } = require('express-validator');
  * Validation schemas for photo operations
  */
 
+// Multipart uploads may send tags as a comma-separated string instead of an array
+const tagsValidation = [
+  body('tags')
+    .optional()
+    .customSanitizer(value => (typeof value === 'string' ? value.split(',').filter(tag => tag.trim()) : value))
+    .isArray({ max: 20 })
+    .withMessage('Tags must be an array of at most 20 tags'),
+
+  body('tags.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Each tag must be between 1 and 100 characters')
+];
+
 const uploadValidation = [
   body('caption')
     .optional()
@@ -18,7 +33,9 @@ const uploadValidation = [
   body('customGroupId')
     .optional()
     .isInt({ min: 1 })
-    .withMessage('Custom group ID must be a positive integer')
+    .withMessage('Custom group ID must be a positive integer'),
+
+  ...tagsValidation
 ];
 
 const updateValidation = [
@@ -40,7 +57,9 @@ const updateValidation = [
   body('customGroupId')
     .optional()
     .isInt({ min: 1 })
-    .withMessage('Custom group ID must be a positive integer')
+    .withMessage('Custom group ID must be a positive integer'),
+
+  ...tagsValidation
 ];
 
 const photoIdValidation = [
@@ -85,6 +104,54 @@ const timelineFeedValidation = [
     .withMessage('Limit must be between 1 and 20')
 ];
 
+const captureTimelineBucketsValidation = [
+  param('userId')
+    .isInt({ min: 1 })
+    .withMessage('User ID must be a positive integer'),
+
+  query('granularity')
+    .optional()
+    .isIn(['year', 'month', 'day'])
+    .withMessage('Granularity must be one of: year, month, day'),
+
+  query('bucket')
+    .optional()
+    .matches(/^\d{4}(-\d{2}(-\d{2})?)?$/)
+    .withMessage('Bucket must be YYYY, YYYY-MM or YYYY-MM-DD')
+];
+
+const captureTimelineValidation = [
+  param('userId')
+    .isInt({ min: 1 })
+    .withMessage('User ID must be a positive integer'),
+
+  query('bucket')
+    .optional()
+    .matches(/^\d{4}(-\d{2}(-\d{2})?)?$/)
+    .withMessage('Bucket must be YYYY, YYYY-MM or YYYY-MM-DD'),
+
+  query('cursor')
+    .optional()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Cursor must be between 1 and 200 characters'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+const restorePhotosValidation = [
+  body('photoIds')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('Photo IDs must be an array of 1 to 100 entries'),
+
+  body('photoIds.*')
+    .isInt({ min: 1 })
+    .withMessage('Each photo ID must be a positive integer')
+    .toInt()
+];
+
 module.exports = {
   uploadValidation,
   updateValidation,
@@ -92,5 +159,8 @@ module.exports = {
   userIdValidation,
   friendIdValidation,
   paginationValidation,
-  timelineFeedValidation
+  timelineFeedValidation,
+  captureTimelineBucketsValidation,
+  captureTimelineValidation,
+  restorePhotosValidation
 }; 
\ No newline at end of file
@@ -16,6 +16,21 @@ const albumValidation = [
     .isLength({ max: 1000 })
     .withMessage('Description must not exceed 1000 characters'),
   
+  body('privacyType')
+    .optional()
+    .isIn(['private', 'friends', 'close_friends', 'custom', 'public'])
+    .withMessage('Privacy type must be one of: private, friends, close_friends, custom, public'),
+  
+  body('customGroupId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Custom group ID must be a positive integer'),
+  
+  body('sortMode')
+    .optional()
+    .isIn(['manual', 'taken_at', 'uploaded_at'])
+    .withMessage('Sort mode must be one of: manual, taken_at, uploaded_at'),
+  
   body('isPublic')
     .optional()
     .isBoolean()
@@ -39,6 +54,26 @@ const updateAlbumValidation = [
     .isLength({ max: 1000 })
     .withMessage('Description must not exceed 1000 characters'),
   
+  body('privacyType')
+    .optional()
+    .isIn(['private', 'friends', 'close_friends', 'custom', 'public'])
+    .withMessage('Privacy type must be one of: private, friends, close_friends, custom, public'),
+  
+  body('customGroupId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Custom group ID must be a positive integer'),
+  
+  body('sortMode')
+    .optional()
+    .isIn(['manual', 'taken_at', 'uploaded_at'])
+    .withMessage('Sort mode must be one of: manual, taken_at, uploaded_at'),
+  
+  body('coverPhotoId')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Cover photo ID must be a positive integer or null'),
+  
   body('isPublic')
     .optional()
     .isBoolean()
@@ -51,6 +86,74 @@ const albumIdValidation = [
     .withMessage('Album ID must be a positive integer')
 ];
 
+const restoreAlbumsValidation = [
+  body('albumIds')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('Album IDs must be an array of 1 to 100 entries'),
+
+  body('albumIds.*')
+    .isInt({ min: 1 })
+    .withMessage('Each album ID must be a positive integer')
+    .toInt()
+];
+
+const albumDetailsValidation = [
+  param('albumId')
+    .isInt({ min: 1 })
+    .withMessage('Album ID must be a positive integer'),
+  
+  query('sort')
+    .optional()
+    .isIn(['manual', 'taken_at', 'uploaded_at'])
+    .withMessage('Sort must be one of: manual, taken_at, uploaded_at')
+];
+
+const reorderAlbumPhotosValidation = [
+  param('albumId')
+    .isInt({ min: 1 })
+    .withMessage('Album ID must be a positive integer'),
+  
+  body('photoIds')
+    .isArray({ min: 1 })
+    .withMessage('Photo IDs must be a non-empty array'),
+  
+  body('photoIds.*')
+    .isInt({ min: 1 })
+    .withMessage('Each photo ID must be a positive integer')
+];
+
+const moveAlbumPhotoValidation = [
+  param('albumId')
+    .isInt({ min: 1 })
+    .withMessage('Album ID must be a positive integer'),
+  
+  param('photoId')
+    .isInt({ min: 1 })
+    .withMessage('Photo ID must be a positive integer'),
+  
+  body('beforePhotoId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Before photo ID must be a positive integer'),
+  
+  body('afterPhotoId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('After photo ID must be a positive integer'),
+
+  // Exactly one anchor photo
+  body().custom((value, { req }) => {
+    const { beforePhotoId, afterPhotoId } = req.body;
+    if (!beforePhotoId && !afterPhotoId) {
+      throw new Error('Either beforePhotoId or afterPhotoId must be provided');
+    }
+    if (beforePhotoId && afterPhotoId) {
+      throw new Error('Provide either beforePhotoId or afterPhotoId, not both');
+    }
+    return true;
+  })
+];
+
 const addPhotosToAlbumValidation = [
   param('albumId')
     .isInt({ min: 1 })
@@ -90,8 +193,8 @@ const shareValidation = [
     .withMessage('Recipient ID must be a positive integer'),
   
   body('shareType')
-    .isIn(['all_photos', 'album', 'individual_photo'])
-    .withMessage('Share type must be one of: all_photos, album, individual_photo'),
+    .isIn(['all_photos', 'album', 'individual_photo', 'smart_album'])
+    .withMessage('Share type must be one of: all_photos, album, individual_photo, smart_album'),
   
   body('albumId')
     .optional()
@@ -103,10 +206,15 @@ const shareValidation = [
     .isInt({ min: 1 })
     .withMessage('Photo ID must be a positive integer'),
   
+  body('smartAlbumId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Smart album ID must be a positive integer'),
+  
   body('permissionLevel')
     .optional()
-    .isIn(['view', 'download', 'comment'])
-    .withMessage('Permission level must be one of: view, download, comment'),
+    .isIn(['view', 'download', 'comment', 'contribute'])
+    .withMessage('Permission level must be one of: view, download, comment, contribute'),
   
   body('expiresAt')
     .optional()
@@ -120,6 +228,59 @@ const shareIdValidation = [
     .withMessage('Share ID must be a positive integer')
 ];
 
+const shareLinkValidation = [
+  body('shareType')
+    .isIn(['album', 'individual_photo'])
+    .withMessage('Share type must be one of: album, individual_photo'),
+  
+  body('albumId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Album ID must be a positive integer'),
+  
+  body('photoId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Photo ID must be a positive integer'),
+  
+  body('permissionLevel')
+    .optional()
+    .isIn(['view', 'download'])
+    .withMessage('Permission level must be one of: view, download'),
+  
+  body('expiresAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Expires at must be a valid ISO8601 date'),
+  
+  body('maxAccessCount')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Max access count must be a positive integer'),
+  
+  body('requireAuth')
+    .optional()
+    .isBoolean()
+    .withMessage('requireAuth must be a boolean value'),
+  
+  body('password')
+    .optional()
+    .isLength({ min: 4, max: 128 })
+    .withMessage('Password must be between 4 and 128 characters'),
+  
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Message must not exceed 1000 characters')
+];
+
+const shareTokenValidation = [
+  param('token')
+    .isUUID()
+    .withMessage('Share token must be a valid UUID')
+];
+
 const paginationValidation = [
   query('page')
     .optional()
@@ -140,17 +301,23 @@ const shareQueryValidation = [
   
   query('shareType')
     .optional()
-    .isIn(['all_photos', 'album', 'individual_photo'])
-    .withMessage('Share type must be one of: all_photos, album, individual_photo')
+    .isIn(['all_photos', 'album', 'individual_photo', 'smart_album'])
+    .withMessage('Share type must be one of: all_photos, album, individual_photo, smart_album')
 ];
 
 module.exports = {
   albumValidation,
   updateAlbumValidation,
   albumIdValidation,
+  restoreAlbumsValidation,
+  albumDetailsValidation,
   addPhotosToAlbumValidation,
+  reorderAlbumPhotosValidation,
+  moveAlbumPhotoValidation,
   shareValidation,
   shareIdValidation,
+  shareLinkValidation,
+  shareTokenValidation,
   paginationValidation,
   shareQueryValidation
 }; 
\ No newline at end of file
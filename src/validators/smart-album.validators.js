@@ -0,0 +1,127 @@
+const { body, param, query } = require('express-validator');
+
+/**
+ * Validation schemas for smart album operations
+ */
+
+// Criteria shared by create and update; at least one is required (checked by the service)
+const filterFieldValidation = [
+  body('filters.tags')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Tags must be an array of at most 20 tags'),
+
+  body('filters.tags.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Each tag must be between 1 and 100 characters'),
+
+  body('filters.takenFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('takenFrom must be a valid ISO8601 date'),
+
+  body('filters.takenTo')
+    .optional()
+    .isISO8601()
+    .withMessage('takenTo must be a valid ISO8601 date'),
+
+  body('filters.cameraMake')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Camera make must not exceed 100 characters'),
+
+  body('filters.cameraModel')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Camera model must not exceed 100 characters'),
+
+  body('filters.sourceDeviceIds')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Source device IDs must be an array of at most 20 IDs'),
+
+  body('filters.sourceDeviceIds.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Each source device ID must be between 1 and 255 characters')
+];
+
+const smartAlbumValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Smart album name must be between 1 and 255 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description must not exceed 1000 characters'),
+
+  body('filters')
+    .isObject()
+    .withMessage('Filters must be an object'),
+
+  ...filterFieldValidation
+];
+
+const updateSmartAlbumValidation = [
+  param('smartAlbumId')
+    .isInt({ min: 1 })
+    .withMessage('Smart album ID must be a positive integer'),
+
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Smart album name must be between 1 and 255 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description must not exceed 1000 characters'),
+
+  body('filters')
+    .optional()
+    .isObject()
+    .withMessage('Filters must be an object'),
+
+  ...filterFieldValidation
+];
+
+const smartAlbumIdValidation = [
+  param('smartAlbumId')
+    .isInt({ min: 1 })
+    .withMessage('Smart album ID must be a positive integer')
+];
+
+const paginationValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+];
+
+const smartAlbumDetailsValidation = [
+  ...smartAlbumIdValidation,
+  ...paginationValidation
+];
+
+module.exports = {
+  smartAlbumValidation,
+  updateSmartAlbumValidation,
+  smartAlbumIdValidation,
+  smartAlbumDetailsValidation,
+  paginationValidation
+};
@@ -60,9 +60,46 @@ const syncSettingsValidation = [
     .toInt()
 ];
 
+const privacySettingsValidation = [
+  body('stripGpsOnUpload')
+    .isBoolean()
+    .withMessage('Strip GPS on upload must be a boolean')
+    .toBoolean()
+];
+
+const activityQueryValidation = [
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Days must be between 1 and 365')
+    .toInt(),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+  query('action')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Action must be between 1 and 100 characters'),
+  query('resourceType')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Resource type must be between 1 and 50 characters')
+];
+
 module.exports = {
   updateProfileValidation,
   userSearchValidation,
   userIdValidation,
-  syncSettingsValidation
+  syncSettingsValidation,
+  privacySettingsValidation,
+  activityQueryValidation
 }; 
\ No newline at end of file